@@ -0,0 +1,87 @@
+// Minimal WebSocket price server for practising against the DemoTrader's
+// WebSocket feed without a real broker connection.
+//
+//   npm run feed:mock            -> ws://localhost:8787
+//   PORT=9000 INTERVAL=250 npm run feed:mock
+//
+// Every INTERVAL ms it broadcasts an array of quotes in the format the app's
+// WebSocket adapter expects: [{ "symbol": "EUR/USD", "bid": 1.0849, "ask": 1.0851 }, ...]
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8787;
+const INTERVAL = Number(process.env.INTERVAL) || 1000;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const SYMBOLS = [
+    { name: "EUR/USD", mid: 1.0850, pips: 0.0001, spread: 1.2 },
+    { name: "GBP/USD", mid: 1.2680, pips: 0.0001, spread: 1.5 },
+    { name: "USD/JPY", mid: 157.20, pips: 0.01, spread: 1.4 },
+    { name: "XAU/USD", mid: 2350.00, pips: 0.01, spread: 25.0 },
+    { name: "BTC/USD", mid: 65000.00, pips: 0.01, spread: 50.0 },
+    { name: "ETH/USD", mid: 3500.00, pips: 0.01, spread: 2.5 },
+    { name: "USD/INR", mid: 83.50, pips: 0.0001, spread: 20.0 },
+];
+
+const clients = new Set();
+
+// Server-to-client text frame (unmasked, no fragmentation)
+const encodeFrame = (text) => {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81; header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81; header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket price feed: connect with ws://');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) { socket.destroy(); return; }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+
+    clients.add(socket);
+    console.log(`Client connected (${clients.size} total)`);
+    // Incoming frames (the subscribe message, pings, close) are ignored; we always send everything
+    socket.on('data', (chunk) => {
+        const opcode = chunk[0] & 0x0f;
+        if (opcode === 0x8) socket.end();
+    });
+    const drop = () => {
+        if (clients.delete(socket)) console.log(`Client disconnected (${clients.size} total)`);
+    };
+    socket.on('close', drop);
+    socket.on('error', drop);
+});
+
+setInterval(() => {
+    const quotes = SYMBOLS.map(symbol => {
+        symbol.mid += (Math.random() - 0.5) * symbol.pips * 10;
+        const spread = symbol.spread * symbol.pips;
+        return { symbol: symbol.name, bid: symbol.mid - spread / 2, ask: symbol.mid + spread / 2 };
+    });
+    const frame = encodeFrame(JSON.stringify(quotes));
+    clients.forEach(socket => socket.write(frame));
+}, INTERVAL);
+
+server.listen(PORT, () => console.log(`Mock price feed on ws://localhost:${PORT}`));
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef, useSyncExternalStore } from 'react';
 import { initializeApp } from 'firebase/app';
 import {
     getAuth,
@@ -9,15 +9,54 @@ import {
     GoogleAuthProvider,
     signOut,
     signInWithCustomToken, // Import missing token sign-in
-    signInAnonymously // Import missing anonymous sign-in
+    signInAnonymously, // Import missing anonymous sign-in
+    connectAuthEmulator
 } from 'firebase/auth';
 import {
     getFirestore,
+    initializeFirestore,
+    persistentLocalCache,
+    persistentMultipleTabManager,
+    connectFirestoreEmulator,
+    waitForPendingWrites,
     doc,
+    collection,
+    query,
+    orderBy,
     onSnapshot,
-    setDoc
+    setDoc,
+    deleteDoc,
+    getDocs,
+    writeBatch,
+    runTransaction,
+    arrayUnion,
+    arrayRemove
 } from 'firebase/firestore';
 import { setLogLevel } from "firebase/firestore";
+import { CURRENT_SCHEMA_VERSION, RULE_CATEGORIES, migrateJournal } from './migrations.js';
+import {
+    STATEMENT_FORMATS,
+    REQUIRED_STATEMENT_FIELDS,
+    parseCsv,
+    toStatementRecords,
+    detectStatementFormat,
+    resolveStatementColumns,
+    mapStatementTrades,
+    groupTradesByDate,
+    applyImportedTrades,
+    buildJournalExport,
+    journalToCsv,
+    tradesToCsv,
+    parseJournalImport,
+    readJournalData
+} from './journalTransfer.js';
+import { DRAWDOWN_TYPES, EVALUATION_TEMPLATES, createEvaluation, evaluateChallenge } from './challengeEvaluation.js';
+import { MARKET_CONDITIONS, SCORES, calculateTagStats, getJournalTags, getReview, getTaggedRecords, getTradeReview, matchesTagFilters } from './journalTags.js';
+import { deleteAttachment, loadAttachment, saveAttachment } from './attachments.js';
+import { calculatePnl, calculateRiskLots, resolveStopLoss } from './positionSizing.js';
+import { DEFAULT_RISK_LIMITS, calculateRiskAtStop, countTradesOpenedOn, getDailyLossLimit, getRiskViolations } from './riskLimits.js';
+import { applySlippage, calculateCommission, calculatePositionValue, countSwapDays, withSpreadWidening } from './tradingCosts.js';
+import { DEFAULT_RULE_TEMPLATE, calculateRuleAdherence, getDayChecklist, getRuleTemplate, getTemplateChangeChecklists } from './ruleTemplates.js';
 
 // --- Configuration ---
 
@@ -38,23 +77,135 @@ const firebaseConfig = typeof __firebase_config !== 'undefined'
 const DEFAULT_INITIAL_CAPITAL = 50000;
 const DEFAULT_FINAL_TARGET = 1000000;
 const DEFAULT_TENURE_DAYS = 66;
-const TRADING_DAYS_PER_MONTH = 22;
+const DEFAULT_CHALLENGE_ID = 'data'; // The journal document that predates multiple challenges
+const DEFAULT_CHALLENGE_NAME = 'Main Challenge';
 const LOT_SIZE = 100000; // Standard lot size for forex
-
-const DEFAULT_RULES = [
-    { text: "MAINTAIN DISCIPLINE: ADHERE TO THE PLAN", checked: false },
-    { text: "VALIDATE STRATEGY: CONFIRM ENTRY/EXIT CRITERIA", checked: false },
-    { text: "ASSESS MACRO TREND: CONSULT HIGHER TIMEFRAMES", checked: false },
-    { text: "RISK PROTOCOL: MAX 2% CAPITAL PER ENGAGEMENT", checked: false },
+const DEFAULT_MARGIN_CALL_LEVEL = 100; // Margin level (%) that triggers a warning
+const DEFAULT_STOP_OUT_LEVEL = 50; // Margin level (%) at which positions are liquidated
+const MARGIN_CALL_OPTIONS = [150, 120, 100, 80];
+const REPLAY_SPEED_OPTIONS = [1, 2, 5, 10, 50];
+const BAR_REPLAY_INTERVAL = 1000; // One bar per second at 1x
+const MAX_CHART_BARS = 300; // Candles kept per symbol and timeframe
+const DEFAULT_FEED_URL = 'ws://localhost:8787';
+const DEFAULT_ACCOUNT_CURRENCY = 'INR';
+const DEFAULT_SWAP_CUTOFF_HOUR = 21; // UTC, 5 PM New York during daylight saving
+const ACCOUNT_CURRENCIES = [
+    { code: 'INR', symbol: '₹' },
+    { code: 'USD', symbol: '$' },
+    { code: 'EUR', symbol: '€' },
+    { code: 'GBP', symbol: '£' },
+    { code: 'JPY', symbol: '¥' },
 ];
+const STOP_OUT_OPTIONS = [80, 50, 30, 20];
+// How `recalculatePlan` turns the capital and target into daily goals
+const PLAN_MODELS = [
+    { value: 'compounding', label: 'Daily compounding' },
+    { value: 'linear', label: 'Fixed daily amount' },
+    { value: 'withdrawal', label: 'Compounding with weekly withdrawal' },
+    { value: 'rebase', label: 'Compounding, rebased daily' },
+    { value: 'risk', label: 'Risk-based (R-multiples)' },
+];
+const DEFAULT_PLAN_MODEL = { type: 'compounding', weeklyWithdrawal: 0, riskPercent: 1, targetR: 2 };
+
+// Weekly trading windows in UTC; null means the market never closes
+const FOREX_HOURS = { open: 'Sun 22:00', close: 'Fri 22:00' };
+const METALS_HOURS = { open: 'Sun 23:00', close: 'Fri 21:00' };
 
+// Exchange holidays that fall on weekdays. Exchanges publish these a year
+// ahead, so the lists need extending each December; `coveredThrough` is the
+// last date each list is complete for.
+const HOLIDAY_CALENDARS = {
+    NSE: {
+        label: 'NSE (India)',
+        coveredThrough: '2026-12-31',
+        dates: [
+            '2025-02-26', '2025-03-14', '2025-03-31', '2025-04-10', '2025-04-14', '2025-04-18', '2025-05-01',
+            '2025-08-15', '2025-08-27', '2025-10-02', '2025-10-21', '2025-10-22', '2025-11-05', '2025-12-25',
+            '2026-01-26', '2026-03-03', '2026-03-26', '2026-03-31', '2026-04-03', '2026-04-14', '2026-05-01',
+            '2026-05-28', '2026-06-26', '2026-09-14', '2026-10-02', '2026-10-20', '2026-11-10', '2026-11-24', '2026-12-25',
+        ],
+    },
+    NYSE: {
+        label: 'NYSE (US)',
+        coveredThrough: '2027-12-31',
+        dates: [
+            '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26', '2025-06-19',
+            '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25',
+            '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19', '2026-07-03',
+            '2026-09-07', '2026-11-26', '2026-12-25',
+            '2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31', '2027-06-18', '2027-07-05',
+            '2027-09-06', '2027-11-25', '2027-12-24',
+        ],
+    },
+    FOREX: {
+        label: 'Forex',
+        coveredThrough: '2027-01-01',
+        dates: ['2025-01-01', '2025-12-25', '2026-01-01', '2026-12-25', '2027-01-01'],
+    },
+};
+
+// Instrument registry. Besides the simulation fields (base price, pip size, spread in pips)
+// every entry carries its contract specification:
+//   contractSize - units per lot, used for notional value and margin
+//   quoteCurrency - currency PnL is realized in
+//   tickSize / tickValue - smallest price step and its value per lot, used for PnL
+//   minLot / maxLot / lotStep - allowed order sizes
+//   tradingHours - weekly UTC window (see FOREX_HOURS), null for 24/7
+//   marginRate - minimum margin as a fraction of notional, caps the usable leverage
+//   commission - charged per side: { type: 'per_lot', rate } in quote currency per lot,
+//                or { type: 'notional', rate } as % of notional; null for none
+//   swapLong / swapShort - overnight rollover per lot in quote currency (negative is a charge)
 const ALL_SYMBOLS = [
-    { name: "EUR/USD", tv: "FX:EURUSD", base: 1.0850, pips: 0.0001, spread: 1.2 },
-    { name: "GBP/USD", tv: "FX:GBPUSD", base: 1.2680, pips: 0.0001, spread: 1.5 },
-    { name: "USD/JPY", tv: "FX:USDJPY", base: 157.20, pips: 0.01,   spread: 1.4 },
-    { name: "XAU/USD", tv: "OANDA:XAUUSD", base: 2350.00, pips: 0.01, spread: 25.0 },
-    { name: "BTC/USD", tv: "COINBASE:BTCUSD", base: 65000.00, pips: 0.01, spread: 50.0 },
-    { name: "ETH/USD", tv: "COINBASE:ETHUSD", base: 3500.00, pips: 0.01, spread: 2.5 }
+    { name: "EUR/USD", base: 1.0850, pips: 0.0001, spread: 1.2, contractSize: LOT_SIZE, quoteCurrency: 'USD', tickSize: 0.00001, tickValue: 1, minLot: 0.01, maxLot: 100, lotStep: 0.01, tradingHours: FOREX_HOURS, marginRate: 0.0025, commission: { type: 'per_lot', rate: 3.5 }, swapLong: -6.5, swapShort: 1.2 },
+    { name: "GBP/USD", base: 1.2680, pips: 0.0001, spread: 1.5, contractSize: LOT_SIZE, quoteCurrency: 'USD', tickSize: 0.00001, tickValue: 1, minLot: 0.01, maxLot: 100, lotStep: 0.01, tradingHours: FOREX_HOURS, marginRate: 0.0025, commission: { type: 'per_lot', rate: 3.5 }, swapLong: -4.8, swapShort: 0.9 },
+    { name: "USD/JPY", base: 157.20, pips: 0.01, spread: 1.4, contractSize: LOT_SIZE, quoteCurrency: 'JPY', tickSize: 0.001, tickValue: 100, minLot: 0.01, maxLot: 100, lotStep: 0.01, tradingHours: FOREX_HOURS, marginRate: 0.0025, commission: { type: 'per_lot', rate: 550 }, swapLong: 1500, swapShort: -2800 },
+    { name: "XAU/USD", base: 2350.00, pips: 0.01, spread: 25.0, contractSize: 100, quoteCurrency: 'USD', tickSize: 0.01, tickValue: 1, minLot: 0.01, maxLot: 50, lotStep: 0.01, tradingHours: METALS_HOURS, marginRate: 0.005, commission: { type: 'per_lot', rate: 3.5 }, swapLong: -45, swapShort: 20 },
+    { name: "BTC/USD", base: 65000.00, pips: 0.01, spread: 50.0, contractSize: 1, quoteCurrency: 'USD', tickSize: 0.01, tickValue: 0.01, minLot: 0.01, maxLot: 10, lotStep: 0.01, tradingHours: null, marginRate: 0.02, commission: { type: 'notional', rate: 0.05 }, swapLong: -13, swapShort: -13 },
+    { name: "ETH/USD", base: 3500.00, pips: 0.01, spread: 2.5, contractSize: 1, quoteCurrency: 'USD', tickSize: 0.01, tickValue: 0.01, minLot: 0.01, maxLot: 100, lotStep: 0.01, tradingHours: null, marginRate: 0.02, commission: { type: 'notional', rate: 0.05 }, swapLong: -0.7, swapShort: -0.7 },
+    { name: "USD/INR", base: 83.50, pips: 0.0001, spread: 20.0, contractSize: LOT_SIZE, quoteCurrency: 'INR', tickSize: 0.0001, tickValue: 10, minLot: 0.01, maxLot: 100, lotStep: 0.01, tradingHours: FOREX_HOURS, marginRate: 0.02, commission: { type: 'per_lot', rate: 290 }, swapLong: -1800, swapShort: 900 }
+];
+
+// Fields of the "add custom instrument" form, as entered (margin rate in %)
+const EMPTY_INSTRUMENT_FORM = {
+    name: '', base: '', pips: '0.0001', spread: '1', contractSize: String(LOT_SIZE), quoteCurrency: 'USD',
+    minLot: '0.01', maxLot: '100', lotStep: '0.01', marginRate: '0',
+};
+const INSTRUMENT_FORM_FIELDS = [
+    { key: 'name', label: 'Name', type: 'text' },
+    { key: 'base', label: 'Start Price' },
+    { key: 'pips', label: 'Pip Size' },
+    { key: 'spread', label: 'Spread (pips)' },
+    { key: 'contractSize', label: 'Contract Size' },
+    { key: 'quoteCurrency', label: 'Quote Currency', type: 'text' },
+    { key: 'minLot', label: 'Min Lot' },
+    { key: 'maxLot', label: 'Max Lot' },
+    { key: 'lotStep', label: 'Lot Step' },
+    { key: 'marginRate', label: 'Margin Rate %' },
+];
+
+const FEED_SOURCES = [
+    { value: 'random', label: 'Random Walk (Simulated)' },
+    { value: 'replay', label: 'Tick File Replay' },
+    { value: 'websocket', label: 'WebSocket Server' },
+];
+
+const CHART_TIMEFRAMES = [
+    { value: '1m', ms: 60 * 1000 },
+    { value: '5m', ms: 5 * 60 * 1000 },
+    { value: '15m', ms: 15 * 60 * 1000 },
+    { value: '1h', ms: 60 * 60 * 1000 },
+];
+
+const PENDING_ORDER_TYPES = [
+    { value: 'limit', label: 'LIMIT' },
+    { value: 'stop', label: 'STOP' },
+    { value: 'stop_limit', label: 'STOP LIMIT' },
+];
+
+const ORDER_EXPIRY_OPTIONS = [
+    { value: 'gtc', label: 'Good Till Cancelled' },
+    { value: 'day', label: 'End of Day' },
+    { value: 'time', label: 'Specific Time' },
 ];
 
 // --- Firebase Initialization ---
@@ -66,35 +217,160 @@ let auth;
 let db;
 let googleProvider;
 
+/**
+ * Firestore with its cache kept in IndexedDB, so the journal and the trader's
+ * state load without a network and writes made offline are queued there until
+ * the connection returns. Every open tab shares the one cache.
+ * @param {object} firebaseApp - The initialized Firebase app.
+ * @returns {object} - The Firestore instance.
+ */
+const createFirestore = (firebaseApp) => {
+    try {
+        return initializeFirestore(firebaseApp, {
+            localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+        });
+    } catch (e) {
+        console.error("Offline persistence unavailable, using the in-memory cache:", e);
+        return getFirestore(firebaseApp);
+    }
+};
+
 try {
     app = initializeApp(firebaseConfig);
     auth = getAuth(app);
-    db = getFirestore(app);
+    db = createFirestore(app);
     googleProvider = new GoogleAuthProvider();
     setLogLevel('debug'); // Use 'debug' for better insights
+
+    // Manual testing against the local Firebase emulators (`npm run emulators`), e.g.
+    //   VITE_FIRESTORE_EMULATOR=localhost:8080 VITE_AUTH_EMULATOR=http://localhost:9099 npm run dev
+    // Stopping the Firestore emulator exercises the offline queue; there are no automated tests for it.
+    const { VITE_FIRESTORE_EMULATOR, VITE_AUTH_EMULATOR } = import.meta.env;
+    if (VITE_FIRESTORE_EMULATOR) {
+        const [host, port] = VITE_FIRESTORE_EMULATOR.split(':');
+        connectFirestoreEmulator(db, host, Number(port));
+    }
+    if (VITE_AUTH_EMULATOR) connectAuthEmulator(auth, VITE_AUTH_EMULATOR, { disableWarnings: true });
 } catch (e) {
     console.error("Firebase initialization failed:", e);
 }
 
+// --- Sync Status ---
+// Firestore applies a write to the local cache at once and resolves its promise
+// when the server acknowledges it, so the writes still in flight are the ones
+// waiting for a connection. They are sent in order when it returns. Conflicts
+// resolve per field: journal edits are merged field by field, so the last
+// write to each field wins, and trader writes that must happen exactly once
+// carry a precondition the server checks (see DemoTrader).
+
+let syncState = {
+    online: typeof navigator === 'undefined' || navigator.onLine, // The browser's view of the network
+    connected: true, // Whether Firestore is serving from the server rather than the cache
+    pendingWrites: 0,
+    lastError: null,
+    lastSyncedAt: null,
+};
+const syncListeners = new Set();
+
+const setSyncState = (changes) => {
+    if (Object.keys(changes).every(key => syncState[key] === changes[key])) return;
+    syncState = { ...syncState, ...changes };
+    syncListeners.forEach(listener => listener());
+};
+
+const subscribeSyncState = (listener) => {
+    syncListeners.add(listener);
+    return () => syncListeners.delete(listener);
+};
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => setSyncState({ online: true }));
+    window.addEventListener('offline', () => setSyncState({ online: false }));
+}
+
+/**
+ * Counts a write until the server has acknowledged it.
+ * @param {Promise} promise - The write, e.g. from `setDoc` or `batch.commit()`.
+ * @returns {Promise} - The same promise, for chaining a `.catch`.
+ */
+const trackWrite = (promise) => {
+    setSyncState({ pendingWrites: syncState.pendingWrites + 1 });
+    promise.then(
+        () => setSyncState({ pendingWrites: syncState.pendingWrites - 1, lastError: null, lastSyncedAt: Date.now() }),
+        (error) => setSyncState({ pendingWrites: syncState.pendingWrites - 1, lastError: error.message || String(error) }),
+    );
+    return promise;
+};
+
+/** Whether writes can reach the server now; transactions need it, plain writes don't. */
+const isServerReachable = () => syncState.online && syncState.connected;
+
+/** The current sync state, re-rendering whenever it changes. */
+const useSyncState = () => useSyncExternalStore(subscribeSyncState, () => syncState);
+
 // --- Helper Functions ---
-const getNextTradingDay = (date) => {
+// Plan dates are UTC midnights so a "YYYY-MM-DD" string maps to the same day in every timezone
+const isTradingDate = (date, holidays = new Set()) => {
+    const weekday = date.getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !holidays.has(date.toISOString().split('T')[0]); // 0 = Sunday, 6 = Saturday
+};
+
+const getNextTradingDay = (date, holidays = new Set()) => {
     const nextDay = new Date(date);
-    nextDay.setDate(nextDay.getDate() + 1);
-    while (nextDay.getDay() === 0 || nextDay.getDay() === 6) { // 0 = Sunday, 6 = Saturday
-        nextDay.setDate(nextDay.getDate() + 1);
-    }
+    do {
+        nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    } while (!isTradingDate(nextDay, holidays));
     return nextDay;
 };
 
 const getTodayDateString = () => {
-    // **NOTE:** Using a fixed date for demo purposes as in the original code.
-    // For a real app, you'd use `new Date()`
-    const today = new Date("2025-11-17T00:00:00.000Z"); // Fixed date for demo
+    const today = new Date();
     if (today.getDay() === 6) { today.setDate(today.getDate() + 2); } // If Saturday, move to Monday
     else if (today.getDay() === 0) { today.setDate(today.getDate() + 1); } // If Sunday, move to Monday
-    return today.toISOString().split('T')[0];
+    return toLocalDateString(today);
 }
 
+/**
+ * Formats a date as "YYYY-MM-DD" in local time; toISOString() would give the UTC date.
+ * @param {Date|number} date - A date or timestamp.
+ * @returns {string}
+ */
+const toLocalDateString = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Collects the holiday dates of the selected market calendars.
+ * @param {Array<string>} calendars - Keys of HOLIDAY_CALENDARS.
+ * @returns {Set<string>} - Dates as "YYYY-MM-DD".
+ */
+const getHolidaySet = (calendars = []) => {
+    return new Set(calendars.flatMap(key => HOLIDAY_CALENDARS[key]?.dates || []));
+};
+
+/**
+ * The selected holiday calendars whose lists end before a plan does. Days past
+ * the end of a list are planned as trading days.
+ * @param {Array<string>} calendars - Keys of HOLIDAY_CALENDARS.
+ * @param {string} [lastDate] - The plan's last day, as "YYYY-MM-DD".
+ * @returns {Array<object>} - The calendars, with their `label` and `coveredThrough`.
+ */
+const getUncoveredCalendars = (calendars = [], lastDate) => calendars
+    .map(key => HOLIDAY_CALENDARS[key])
+    .filter(calendar => calendar && lastDate && lastDate > calendar.coveredThrough);
+
+/**
+ * The calendar settings of a plan. Journals created before plans had a start
+ * date use their first planned day.
+ * @param {object} data - The journal data.
+ * @returns {{startDate: string, holidayCalendars: Array<string>}}
+ */
+const getPlanCalendar = (data) => ({
+    startDate: data.startDate || data.months?.[0]?.days?.[0]?.date || getTodayDateString(),
+    holidayCalendars: data.holidayCalendars || [],
+});
+
 const formatNumber = (num, showZero = true) => {
     const number = Number(num);
     if (isNaN(number)) return showZero ? '0' : '';
@@ -105,38 +381,356 @@ const formatNumber = (num, showZero = true) => {
     return number.toLocaleString('en-IN'); // Use Indian numbering system
 };
 
+/**
+ * Formats an amount with the account currency's symbol. INR keeps the Indian
+ * L / CR notation of `formatNumber`; other currencies use K / M / B.
+ * @param {number} num - The amount.
+ * @param {string} [currency=DEFAULT_ACCOUNT_CURRENCY] - ISO code of the account currency.
+ * @param {boolean} [showZero=true] - Whether to show '0' for zero values.
+ * @returns {string} - The formatted amount.
+ */
+const formatCurrency = (num, currency = DEFAULT_ACCOUNT_CURRENCY, showZero = true) => {
+    const symbol = ACCOUNT_CURRENCIES.find(c => c.code === currency)?.symbol ?? `${currency} `;
+    if (currency === 'INR') {
+        const formatted = formatNumber(num, showZero);
+        return formatted === '' ? '' : symbol + formatted;
+    }
+    const number = Number(num);
+    if (isNaN(number)) return showZero ? symbol + '0' : '';
+    if (number === 0 && !showZero) return '';
+    if (Math.abs(number) >= 1e9) return symbol + (number / 1e9).toFixed(2).replace(/\.00$/, '') + ' B';
+    if (Math.abs(number) >= 1e6) return symbol + (number / 1e6).toFixed(2).replace(/\.00$/, '') + ' M';
+    if (Math.abs(number) >= 1000) return symbol + (number / 1000).toFixed(2).replace(/\.00$/, '') + ' K';
+    return symbol + number.toLocaleString('en-US');
+};
+
+/**
+ * Decides what a pending order should do on the latest quote.
+ * BUY orders watch the ask and SELL orders watch the bid. A stop-limit order
+ * first has to be "armed" by its stop price, after which it behaves as a limit
+ * order at `limitPrice`.
+ * @param {object} order - The pending order.
+ * @param {number} bid - Current bid price.
+ * @param {number} ask - Current ask price.
+ * @returns {'fill'|'arm'|null} - The action to take, or null to keep waiting.
+ */
+const evaluatePendingOrder = (order, bid, ask) => {
+    const isBuy = order.type === 'BUY';
+    const marketPrice = isBuy ? ask : bid;
+    const stopHit = isBuy ? marketPrice >= order.price : marketPrice <= order.price;
+
+    if (order.orderType === 'stop') return stopHit ? 'fill' : null;
+
+    let armed = false;
+    let limit = order.price;
+    if (order.orderType === 'stop_limit') {
+        if (!order.armed && !stopHit) return null;
+        armed = !order.armed;
+        limit = order.limitPrice;
+    }
+    const limitHit = isBuy ? marketPrice <= limit : marketPrice >= limit;
+    if (limitHit) return 'fill';
+    return armed ? 'arm' : null;
+};
+
+/**
+ * Converts the expiry choice from the trade panel into a timestamp.
+ * @param {string} mode - One of ORDER_EXPIRY_OPTIONS values.
+ * @param {string} time - Value of the datetime input (used when mode is 'time').
+ * @returns {number|null} - Expiry in ms since epoch, or null for GTC.
+ */
+const getOrderExpiry = (mode, time) => {
+    if (mode === 'day') {
+        const endOfDay = new Date();
+        endOfDay.setHours(23, 59, 59, 999);
+        return endOfDay.getTime();
+    }
+    if (mode === 'time') {
+        return new Date(time).getTime(); // NaN if the input is empty or invalid
+    }
+    return null;
+};
+
+/**
+ * Checks stop loss / take profit levels against the side of a position and the
+ * price it would close at: a BUY needs SL below and TP above, a SELL the reverse.
+ * @param {'BUY'|'SELL'} type - Position side.
+ * @param {number} closePrice - Current closing price (bid for BUY, ask for SELL).
+ * @param {{stopLoss?: number|null, takeProfit?: number|null}} levels - The levels to check.
+ * @returns {string|null} - An error message, or null if the levels are valid.
+ */
+const validateProtectiveLevels = (type, closePrice, { stopLoss, takeProfit }) => {
+    const isBuy = type === 'BUY';
+    if (stopLoss != null && (isBuy ? stopLoss >= closePrice : stopLoss <= closePrice)) {
+        return `Stop loss must be ${isBuy ? 'below' : 'above'} the current price.`;
+    }
+    if (takeProfit != null && (isBuy ? takeProfit <= closePrice : takeProfit >= closePrice)) {
+        return `Take profit must be ${isBuy ? 'above' : 'below'} the current price.`;
+    }
+    return null;
+};
+
+/**
+ * Works out how a position's stop loss moves under its break-even rule and
+ * trailing stop. Stops only move in the position's favour, by at least one pip.
+ * @param {object} pos - The open position (`breakEvenPips`, `trailingStop: { distance, unit }`).
+ * @param {number} bid - Current bid.
+ * @param {number} ask - Current ask.
+ * @param {number} pipSize - Price value of one pip for the symbol.
+ * @returns {object|null} - Field changes for the position, or null if nothing moves.
+ */
+const getStopAdjustment = (pos, bid, ask, pipSize) => {
+    const isBuy = pos.type === 'BUY';
+    const price = isBuy ? bid : ask;
+    const changes = {};
+    const improves = (stop) => {
+        const current = changes.stopLoss ?? pos.stopLoss;
+        return current == null || (isBuy ? stop >= current + pipSize : stop <= current - pipSize);
+    };
+
+    if (pos.breakEvenPips != null) {
+        const profitPips = (isBuy ? price - pos.entryPrice : pos.entryPrice - price) / pipSize;
+        if (profitPips >= pos.breakEvenPips) {
+            changes.breakEvenPips = null; // One-shot rule
+            if (improves(pos.entryPrice)) changes.stopLoss = pos.entryPrice;
+        }
+    }
+    if (pos.trailingStop) {
+        const { distance, unit } = pos.trailingStop;
+        const offset = unit === 'percent' ? price * distance / 100 : distance * pipSize;
+        const stop = Number((isBuy ? price - offset : price + offset).toFixed(pipSize === 0.01 ? 2 : 5));
+        if (improves(stop)) changes.stopLoss = stop;
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Strips runtime-only fields (live quotes) from a position, pending order or
+ * closed trade before it is written to Firestore.
+ * @param {object} record - The trader record.
+ * @returns {object} - A plain copy safe to store.
+ */
+const toFirestoreRecord = (record) => {
+    const stored = { ...record };
+    delete stored.currentPrice;
+    return stored;
+};
+
+/**
+ * Builds the journal ledger entry for a trade closed in the DemoTrader.
+ * @param {object} trade - The closed trade from the trader's history.
+ * @returns {object} - The structured record stored on the journal day.
+ */
+const toLedgerTrade = (trade) => ({
+    id: trade.id,
+    symbol: trade.symbol,
+    side: trade.type,
+    lots: trade.lots,
+    entryPrice: trade.entryPrice,
+    exitPrice: trade.exitPrice,
+    pnl: Number(trade.pnl.toFixed(2)), // Net of commission and swap
+    commission: Number((trade.commission || 0).toFixed(2)),
+    swap: Number((trade.swap || 0).toFixed(2)),
+    reason: trade.reason,
+    openedAt: trade.openedAt || null,
+    closedAt: trade.closedAt || Date.now(),
+});
+
+/**
+ * Win/loss counts for a journal day: trades in the ledger plus the manual
+ * counts entered for off-platform trades.
+ * @param {object} day - The journal day.
+ * @returns {{wins: number, losses: number}}
+ */
+const getDayTradeCounts = (day) => {
+    const ledger = day.trades || [];
+    const wins = ledger.filter(t => t.pnl > 0).length + (Number(day.winningTrades) || 0);
+    const losses = ledger.filter(t => t.pnl < 0).length + (Number(day.losingTrades) || 0);
+    return { wins, losses };
+};
+
+// --- Instrument Functions ---
+
+/**
+ * Looks up an instrument's specification. Unknown symbols (e.g. a deleted custom
+ * instrument that still has history) fall back to a standard forex lot.
+ * @param {string} symbolName - The symbol, e.g. "EUR/USD".
+ * @param {Array} [instruments=ALL_SYMBOLS] - Registry to search, including custom instruments.
+ * @returns {object} - The instrument specification.
+ */
+const getInstrument = (symbolName, instruments = ALL_SYMBOLS) => {
+    return instruments.find(s => s.name === symbolName) || {
+        name: symbolName, base: 1, pips: 0.0001, spread: 1, contractSize: LOT_SIZE, quoteCurrency: 'USD',
+        tickSize: 0.00001, tickValue: 1, minLot: 0.01, maxLot: 100, lotStep: 0.01, tradingHours: null, marginRate: 0,
+        commission: null, swapLong: 0, swapShort: 0,
+    };
+};
+
+/**
+ * Margin required to hold a position. The instrument's margin rate acts as a
+ * floor, so leverage above `1 / marginRate` has no further effect.
+ * @returns {number}
+ */
+const calculateMargin = (instrument, price, lots, leverage) => {
+    return calculatePositionValue(instrument, price, lots) * Math.max(1 / leverage, instrument.marginRate || 0);
+};
+
+/**
+ * Short description of an instrument's commission, e.g. "3.5 USD/lot" or "0.05%".
+ * @param {object} instrument - The instrument specification.
+ * @returns {string}
+ */
+const formatCommission = (instrument) => {
+    if (!instrument.commission) return 'NO COMMISSION';
+    return instrument.commission.type === 'notional'
+        ? `${instrument.commission.rate}%`
+        : `${instrument.commission.rate} ${instrument.quoteCurrency}/LOT`;
+};
+
+/**
+ * Checks an order size against the instrument's lot limits.
+ * @param {object} instrument - The instrument specification.
+ * @param {number} lots - Requested size.
+ * @returns {string|null} - An error message, or null if the size is allowed.
+ */
+const getLotSizeError = (instrument, lots) => {
+    if (!(lots >= instrument.minLot)) return `Minimum size for ${instrument.name} is ${instrument.minLot} lots.`;
+    if (lots > instrument.maxLot) return `Maximum size for ${instrument.name} is ${instrument.maxLot} lots.`;
+    const steps = lots / instrument.lotStep;
+    if (Math.abs(steps - Math.round(steps)) > 1e-6) return `${instrument.name} trades in steps of ${instrument.lotStep} lots.`;
+    return null;
+};
+
+/**
+ * Whether the instrument is open for trading at the given time.
+ * @param {object} instrument - The instrument specification.
+ * @param {number} [time=Date.now()] - Timestamp in ms.
+ * @returns {boolean}
+ */
+const isMarketOpen = (instrument, time = Date.now()) => {
+    if (!instrument.tradingHours) return true;
+    const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const toMinuteOfWeek = (text) => {
+        const [day, clock] = text.split(' ');
+        const [hours, minutes] = clock.split(':').map(Number);
+        return DAYS.indexOf(day) * 1440 + hours * 60 + minutes;
+    };
+    const date = new Date(time);
+    const now = date.getUTCDay() * 1440 + date.getUTCHours() * 60 + date.getUTCMinutes();
+    const open = toMinuteOfWeek(instrument.tradingHours.open);
+    const close = toMinuteOfWeek(instrument.tradingHours.close);
+    // Windows that wrap around the weekend (e.g. Sun -> Fri) have open > close
+    return open <= close ? now >= open && now < close : now >= open || now < close;
+};
+
+/**
+ * Rate to convert one unit of `from` into `to`, using the mid prices of the feed.
+ * Looks for a direct or inverted pair first and otherwise crosses through USD.
+ * Symbols without a live quote yet use their registry start price.
+ * @param {string} from - Currency code, e.g. "JPY".
+ * @param {string} to - Currency code, e.g. "INR".
+ * @param {object} prices - Live quotes keyed by symbol name.
+ * @param {Array} [instruments=ALL_SYMBOLS] - Instrument registry.
+ * @returns {number|null} - The rate, or null if no path exists.
+ */
+const getConversionRate = (from, to, prices, instruments = ALL_SYMBOLS) => {
+    if (from === to) return 1;
+    const getMid = (name) => {
+        const quote = prices?.[name];
+        if (quote) return (quote.bid + quote.ask) / 2;
+        return instruments.find(s => s.name === name)?.base ?? null;
+    };
+    const direct = getMid(`${from}/${to}`);
+    if (direct) return direct;
+    const inverse = getMid(`${to}/${from}`);
+    if (inverse) return 1 / inverse;
+    if (from === 'USD' || to === 'USD') return null;
+    const toUsd = getConversionRate(from, 'USD', prices, instruments);
+    const fromUsd = getConversionRate('USD', to, prices, instruments);
+    return toUsd && fromUsd ? toUsd * fromUsd : null;
+};
+
+// Currency pairs already reported as unconvertible, so price ticks don't flood the console
+const reportedConversionGaps = new Set();
+
+/**
+ * Converts an amount between currencies with `getConversionRate`. Amounts that
+ * cannot be converted are returned unchanged; each missing pair is logged once.
+ * @returns {number}
+ */
+const convertAmount = (amount, from, to, prices, instruments = ALL_SYMBOLS) => {
+    const rate = getConversionRate(from, to, prices, instruments);
+    if (rate === null) {
+        if (!reportedConversionGaps.has(`${from}/${to}`)) {
+            reportedConversionGaps.add(`${from}/${to}`);
+            console.error(`No conversion rate from ${from} to ${to}`);
+        }
+        return amount;
+    }
+    return amount * rate;
+};
+
+/**
+ * Computes the account figures a broker would show for a set of open positions.
+ * Margin level is equity as a percentage of used margin (Infinity with no margin used).
+ * @param {Array} positions - Open positions with their live `pnl` (in account currency).
+ * @param {number} balance - Account balance before floating PnL.
+ * @param {Array} [instruments=ALL_SYMBOLS] - Instrument registry.
+ * @param {Function} [toAccountCurrency] - `(amount, currency) => amount` in account currency.
+ * @returns {{floatingPnl: number, equity: number, marginUsed: number, freeMargin: number, marginLevel: number}}
+ */
+const getAccountMetrics = (positions, balance, instruments = ALL_SYMBOLS, toAccountCurrency = (amount) => amount) => {
+    const floatingPnl = positions.reduce((acc, pos) => acc + (pos.pnl || 0), 0);
+    const marginUsed = positions.reduce((acc, pos) => {
+        const instrument = getInstrument(pos.symbol, instruments);
+        return acc + toAccountCurrency(calculateMargin(instrument, pos.entryPrice, pos.lots, pos.leverage), instrument.quoteCurrency);
+    }, 0);
+    const equity = balance + floatingPnl;
+    const freeMargin = equity - marginUsed;
+    const marginLevel = marginUsed > 0 ? (equity / marginUsed) * 100 : Infinity;
+    return { floatingPnl, equity, marginUsed, freeMargin, marginLevel };
+};
+
 // --- Hoisted Plan Functions ---
 // (Hoisted for use by both initial creation and reset)
 
 /**
  * Generates the array structure for all months and days in the plan.
+ * Days run from the start date over weekdays that aren't holidays in the chosen
+ * calendars, grouped by calendar month. Days marked "no trade" stay in the plan
+ * but don't count towards the tenure, so the schedule extends past them.
  * @param {number} tenure - Total number of trading days.
  * @param {Array} [oldMonths=[]] - Existing months data to preserve journal entries.
+ * @param {{startDate?: string, holidayCalendars?: Array<string>}} [calendar] - See `getPlanCalendar`.
+ * @param {Array<object>} [ruleTemplate=DEFAULT_RULE_TEMPLATE] - Checklist for days without a stored one.
  * @returns {Array} - The new array of months.
  */
-const generatePlanStructure = (tenure, oldMonths = []) => {
+const generatePlanStructure = (tenure, oldMonths = [], { startDate = getTodayDateString(), holidayCalendars = [] } = {}, ruleTemplate = DEFAULT_RULE_TEMPLATE) => {
     const oldDaysMap = new Map();
     oldMonths.forEach(month => month.days.forEach(day => oldDaysMap.set(day.date, day)));
+    const holidays = getHolidaySet(holidayCalendars);
 
     let months = [];
-    let currentDate = new Date("2025-11-17T00:00:00.000Z"); // Fixed start date
-    // Ensure start date is a weekday
-    if (currentDate.getDay() === 6) { currentDate.setDate(currentDate.getDate() + 2); }
-    else if (currentDate.getDay() === 0) { currentDate.setDate(currentDate.getDate() + 1); }
+    let currentDate = new Date(startDate + "T00:00:00.000Z");
+    // Ensure the plan starts on a trading day
+    if (!isTradingDate(currentDate, holidays)) { currentDate = getNextTradingDay(currentDate, holidays); }
 
     let dayCounter = 0;
     while (dayCounter < tenure) {
-        const monthIndex = Math.floor(dayCounter / TRADING_DAYS_PER_MONTH);
-        if (!months[monthIndex]) {
-            months[monthIndex] = { id: monthIndex + 1, monthName: currentDate.toLocaleString('default', { month: 'long', year: 'numeric' }), days: [] };
-        }
         const dateStr = currentDate.toISOString().split('T')[0];
+        let month = months[months.length - 1];
+        if (!month || month.days[0].date.slice(0, 7) !== dateStr.slice(0, 7)) {
+            month = { id: months.length + 1, monthName: currentDate.toLocaleString('default', { month: 'long', year: 'numeric', timeZone: 'UTC' }), days: [] };
+            months.push(month);
+        }
         const existingDayData = oldDaysMap.get(dateStr);
+        const noTrade = existingDayData?.noTrade || false;
 
         // Preserve existing data or use defaults
-        months[monthIndex].days.push({
-            day: dayCounter + 1,
+        month.days.push({
+            day: noTrade ? null : dayCounter + 1,
             date: dateStr,
+            noTrade,
             capital: 0, // Will be calculated
             target: 0, // Will be calculated
             profit: 0, // Will be calculated
@@ -146,23 +740,108 @@ const generatePlanStructure = (tenure, oldMonths = []) => {
             actual: existingDayData?.actual || "",
             winningTrades: existingDayData?.winningTrades || "",
             losingTrades: existingDayData?.losingTrades || "",
+            trades: existingDayData?.trades || [], // DemoTrader ledger
+            importedTradeIds: existingDayData?.importedTradeIds || [], // Broker statement trades already counted
             logic: existingDayData?.logic || "",
-            rules: existingDayData?.rules || JSON.parse(JSON.stringify(DEFAULT_RULES)), // Deep copy rules
+            rules: existingDayData?.rules || getDayChecklist(ruleTemplate),
+            review: existingDayData?.review || null, // Tags, scores and screenshots; see journalTags.js
+            tradeReviews: existingDayData?.tradeReviews || {}, // The same for each ledger trade, by trade id
         });
         
-        currentDate = getNextTradingDay(currentDate);
-        dayCounter++;
+        currentDate = getNextTradingDay(currentDate, holidays);
+        if (!noTrade) dayCounter++;
     }
     return months;
 };
 
 /**
- * Recalculates all financial goals (capital, target, profit) for the entire plan.
- * @param {object} fullData - The complete data object (initialCapital, finalTarget, tenure, months).
- * @returns {Array} - The months array with recalculated financial data.
+ * Journaled days a rebuilt plan leaves out, e.g. after its start date moves
+ * or a holiday calendar is added.
+ * @param {Array<object>} days - The journaled days.
+ * @param {Array} months - The rebuilt plan, from `generatePlanStructure`.
+ * @returns {Array<string>} - Their dates, in order.
+ */
+const getDroppedDates = (days, months) => {
+    const planDates = new Set(months.flatMap(month => month.days.map(day => day.date)));
+    return days.map(day => day.date).filter(date => !planDates.has(date)).sort();
+};
+
+/**
+ * Marks the trading days after which a weekly withdrawal is taken: the last
+ * trading day of each calendar week (weeks start on Monday).
+ * @param {Array<object>} days - Plan days in order, without "no trade" days.
+ * @returns {Array<boolean>}
+ */
+const getWeekEndFlags = (days) => {
+    const weekOf = (date) => Math.floor((Date.parse(date + "T00:00:00.000Z") / 86400000 + 3) / 7); // 1970-01-01 was a Thursday
+    return days.map((day, i) => i === days.length - 1 || weekOf(days[i + 1].date) !== weekOf(day.date));
+};
+
+/**
+ * Builds the ideal curve of a plan model with fixed daily goals, one goal per
+ * trading day. Rebased and risk-based goals follow the actual capital, so
+ * `recalculatePlan` sets those day by day instead.
+ * @param {object} model - The plan model (see DEFAULT_PLAN_MODEL).
+ * @param {number} initialCapital
+ * @param {number} finalTarget
+ * @param {number} tenure - Number of trading days.
+ * @param {Array<boolean>} withdrawalFlags - Days that end with a withdrawal.
+ * @returns {Array<{target: number, profit: number}>}
+ */
+const buildIdealCurve = (model, initialCapital, finalTarget, tenure, withdrawalFlags) => {
+    const compoundRate = Math.pow(finalTarget / initialCapital, 1 / tenure) - 1;
+    const withdrawal = model.type === 'withdrawal' ? Math.max(0, Number(model.weeklyWithdrawal) || 0) : 0;
+
+    // Capital left after compounding at `rate` and taking every withdrawal
+    const simulate = (rate) => {
+        let capital = initialCapital;
+        for (let i = 0; i < tenure; i++) {
+            capital *= 1 + rate;
+            if (withdrawalFlags[i]) capital -= withdrawal;
+        }
+        return capital;
+    };
+
+    let dailyRate;
+    if (withdrawal > 0) {
+        // The rate that still reaches the target after withdrawals, found by bisection
+        let low = 0, high = 1;
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (simulate(mid) < finalTarget) low = mid; else high = mid;
+        }
+        dailyRate = high;
+    } else {
+        dailyRate = compoundRate;
+    }
+    if (isNaN(dailyRate) || !isFinite(dailyRate) || dailyRate < -0.5) dailyRate = 0.01;
+
+    const dailyAmount = (finalTarget - initialCapital) / tenure;
+    let plannedCapital = initialCapital;
+    const plannedGoals = [];
+    for (let i = 0; i < tenure; i++) {
+        const plannedTarget = model.type === 'linear' ? plannedCapital + dailyAmount : plannedCapital * (1 + dailyRate);
+        const plannedProfit = plannedTarget - plannedCapital;
+        plannedGoals.push({ target: Math.round(plannedTarget), profit: Math.round(plannedProfit) });
+        plannedCapital = plannedTarget - (withdrawalFlags[i] ? withdrawal : 0);
+    }
+    return plannedGoals;
+};
+
+/**
+ * Recalculates the ideal plan and actual capital path for all days.
+ * The daily goals follow the plan model in `fullData.planModel`:
+ * - compounding: a constant daily rate from the initial capital to the final target.
+ * - linear: the same amount every day.
+ * - withdrawal: compounding that also pays out a fixed amount at the end of each week.
+ * - rebase: each day's rate is recomputed from the actual capital and the days left.
+ * - risk: each day targets `targetR` times a `riskPercent` risk of the actual capital.
+ * @param {object} fullData - The complete data object (capital, target, tenure, months, planModel).
+ * @returns {Array} - The updated array of months.
  */
 const recalculatePlan = (fullData) => {
     const { initialCapital, finalTarget, tenure } = fullData;
+    const model = { ...DEFAULT_PLAN_MODEL, ...(fullData.planModel || {}) };
     
     // Validate inputs with fallbacks
     const validTenure = tenure > 0 ? tenure : DEFAULT_TENURE_DAYS;
@@ -171,37 +850,51 @@ const recalculatePlan = (fullData) => {
     
     const newMonths = JSON.parse(JSON.stringify(fullData.months)); // Deep copy
     const allDays = newMonths.flatMap(m => m.days);
-    
-    // Calculate the required daily compounding rate
-    const dailyRate = Math.pow(validFinalTarget / validInitialCapital, 1 / validTenure) - 1;
-    const initialDailyRate = (isNaN(dailyRate) || !isFinite(dailyRate) || dailyRate < -0.5) ? 0.01 : dailyRate;
+    const tradingDays = allDays.filter(d => !d.noTrade);
+    const withdrawalFlags = model.type === 'withdrawal' ? getWeekEndFlags(tradingDays) : [];
+    const withdrawal = model.type === 'withdrawal' ? Math.max(0, Number(model.weeklyWithdrawal) || 0) : 0;
     
     // --- 1. Calculate the "Ideal Plan" ---
-    let plannedCapital = validInitialCapital;
-    const plannedGoals = [];
-    for (let i = 0; i < validTenure; i++) {
-        const plannedTarget = plannedCapital * (1 + initialDailyRate);
-        const plannedProfit = plannedTarget - plannedCapital;
-        plannedGoals.push({ target: Math.round(plannedTarget), profit: Math.round(plannedProfit) });
-        plannedCapital = plannedTarget;
-    }
+    const plannedGoals = buildIdealCurve(model, validInitialCapital, validFinalTarget, validTenure, withdrawalFlags);
     
     // --- 2. Calculate the "Actual Path" based on journal entries ---
     let actualCapital = validInitialCapital;
     let totalDaysElapsed = 0;
     
     for (let day of allDays) {
-        // Assign the ideal goals for this day
-        if (totalDaysElapsed >= plannedGoals.length) {
-            // Handle cases where tenure was extended but plan not re-calculated
-            const lastGoal = plannedGoals[plannedGoals.length - 1] || { target: actualCapital, profit: 0 };
-            plannedGoals.push({ target: lastGoal.target, profit: lastGoal.profit });
+        delete day.withdrawal;
+
+        // "No trade" days carry the capital forward without using up a day of the schedule
+        if (day.noTrade) {
+            day.capital = Math.round(actualCapital);
+            day.target = day.capital;
+            day.profit = 0;
+            day.dailyRate = 0;
+            continue;
         }
-        day.target = plannedGoals[totalDaysElapsed].target;
-        day.profit = plannedGoals[totalDaysElapsed].profit;
-        
+
         // Set the starting capital for the day
         day.capital = Math.round(actualCapital);
+
+        if (model.type === 'rebase') {
+            // The rate that reaches the final target from today's actual capital
+            const daysLeft = Math.max(1, validTenure - totalDaysElapsed);
+            const rate = actualCapital > 0 ? Math.max(0, Math.pow(validFinalTarget / actualCapital, 1 / daysLeft) - 1) : 0;
+            day.target = Math.round(actualCapital * (1 + rate));
+            day.profit = day.target - day.capital;
+        } else if (model.type === 'risk') {
+            day.profit = Math.round(Math.max(0, actualCapital) * (Number(model.riskPercent) || 0) / 100 * (Number(model.targetR) || 0));
+            day.target = day.capital + day.profit;
+        } else {
+            // Assign the ideal goals for this day
+            if (totalDaysElapsed >= plannedGoals.length) {
+                // Handle cases where tenure was extended but plan not re-calculated
+                const lastGoal = plannedGoals[plannedGoals.length - 1] || { target: actualCapital, profit: 0 };
+                plannedGoals.push({ target: lastGoal.target, profit: lastGoal.profit });
+            }
+            day.target = plannedGoals[totalDaysElapsed].target;
+            day.profit = plannedGoals[totalDaysElapsed].profit;
+        }
         
         // Calculate the daily rate needed *for this specific day*
         day.dailyRate = (actualCapital > 0 && day.target > actualCapital) ? (day.target / actualCapital) - 1 : 0;
@@ -210,18 +903,356 @@ const recalculatePlan = (fullData) => {
         if (day.actual !== "") {
             const actualProfit = Number(day.actual) || 0;
             const signedProfit = day.pnlSign === '+' ? actualProfit : -actualProfit;
+            day.achieved = signedProfit >= day.profit;
             actualCapital += signedProfit; // This becomes the starting capital for the *next* day
         } else {
             // If day is not completed, assume ideal progression for calculation
+            day.achieved = false;
             actualCapital = day.target;
         }
+
+        if (withdrawalFlags[totalDaysElapsed] && withdrawal > 0) {
+            day.withdrawal = withdrawal;
+            actualCapital -= withdrawal;
+        }
         totalDaysElapsed++;
     }
     return newMonths;
 };
 
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Performance statistics for the journal, optionally limited to a date range,
+ * a symbol and review tags. With a symbol selected only that symbol's ledger
+ * trades count, since manually entered P&L can't be attributed to a symbol.
+ * With a tag selected only the matching ledger trades count, and a day
+ * journaled by hand counts as one trade when its own review matches.
+ * @param {object} data - The assembled journal, with each day's plan `target`.
+ * @param {{from?: string, to?: string, symbol?: string, setup?: string, marketCondition?: string, mistake?: string}} [filters] - Dates as "YYYY-MM-DD".
+ * @returns {object} - The equity curve points and the computed metrics.
+ */
+const calculateAnalytics = (data, { from = '', to = '', symbol = '', setup = '', marketCondition = '', mistake = '' } = {}) => {
+    const initialCapital = data.initialCapital > 0 ? data.initialCapital : DEFAULT_INITIAL_CAPITAL;
+    const tradingDays = data.months.flatMap(m => m.days).filter(d => !d.noTrade);
+
+    const inRange = (date) => (!from || date >= from) && (!to || date <= to);
+    const tagFilters = { setup, marketCondition, mistake };
+    const isFiltered = Boolean(symbol || setup || marketCondition || mistake);
+    const days = tradingDays
+        // The plan's own goal for the day, so rebased and risk-based plans show their moving targets
+        .map(day => ({ day, ideal: day.target }))
+        .filter(({ day }) => inRange(day.date));
+
+    // --- Equity, drawdown and daily returns ---
+    let equity = days.length > 0 ? days[0].day.capital : initialCapital;
+    let peak = equity;
+    let maxDrawdown = 0, maxDrawdownPercent = 0, drawdownDays = 0, maxDrawdownDays = 0;
+    const curve = [];
+    const dailyPnls = [];
+    const returns = [];
+    const trades = [];
+    const weekdays = [1, 2, 3, 4, 5].map(d => ({ name: WEEKDAY_NAMES[d], pnl: 0, days: 0, wins: 0 }));
+
+    for (const { day, ideal } of days) {
+        const dayTrades = isFiltered
+            ? getTaggedRecords(day).filter(t => (!symbol || t.symbol === symbol) && matchesTagFilters(t.review, tagFilters))
+            : (day.trades || []);
+        trades.push(...dayTrades);
+        const completed = isFiltered ? dayTrades.length > 0 : day.actual !== "";
+        if (!completed) {
+            curve.push({ date: day.date, ideal, actual: null });
+            continue;
+        }
+
+        const pnl = isFiltered
+            ? dayTrades.reduce((acc, t) => acc + (Number(t.pnl) || 0), 0)
+            : (day.pnlSign === '+' ? 1 : -1) * (Number(day.actual) || 0);
+        if (equity > 0) returns.push(pnl / equity);
+        equity += pnl;
+        dailyPnls.push(pnl);
+        curve.push({ date: day.date, ideal, actual: equity });
+
+        if (equity >= peak) {
+            peak = equity;
+            drawdownDays = 0;
+        } else {
+            drawdownDays++;
+            maxDrawdown = Math.max(maxDrawdown, peak - equity);
+            maxDrawdownPercent = Math.max(maxDrawdownPercent, peak > 0 ? (peak - equity) / peak * 100 : 0);
+            maxDrawdownDays = Math.max(maxDrawdownDays, drawdownDays);
+        }
+        // Withdrawals leave the account after the day's result is in
+        if (day.withdrawal) {
+            equity -= day.withdrawal;
+            peak -= day.withdrawal;
+        }
+
+        const weekday = weekdays.find(w => w.name === WEEKDAY_NAMES[new Date(day.date + "T00:00:00.000Z").getUTCDay()]);
+        if (weekday) {
+            weekday.pnl += pnl;
+            weekday.days++;
+            if (pnl > 0) weekday.wins++;
+        }
+    }
+
+    // --- Risk-adjusted returns (annualised over 252 trading days) ---
+    const mean = returns.length > 0 ? returns.reduce((a, b) => a + b, 0) / returns.length : 0;
+    const variance = returns.length > 1 ? returns.reduce((acc, r) => acc + (r - mean) ** 2, 0) / (returns.length - 1) : 0;
+    const downside = returns.length > 0 ? returns.reduce((acc, r) => acc + Math.min(r, 0) ** 2, 0) / returns.length : 0;
+    const sharpe = variance > 0 ? mean / Math.sqrt(variance) * Math.sqrt(252) : null;
+    const sortino = downside > 0 ? mean / Math.sqrt(downside) * Math.sqrt(252) : null;
+
+    // --- Streaks of winning and losing days ---
+    let longestWinStreak = 0, longestLossStreak = 0, streak = 0;
+    for (const pnl of dailyPnls) {
+        if (pnl > 0) streak = streak > 0 ? streak + 1 : 1;
+        else if (pnl < 0) streak = streak < 0 ? streak - 1 : -1;
+        else streak = 0;
+        longestWinStreak = Math.max(longestWinStreak, streak);
+        longestLossStreak = Math.max(longestLossStreak, -streak);
+    }
+
+    // --- Trade statistics (ledger trades only) ---
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl < 0);
+    const grossWin = wins.reduce((acc, t) => acc + t.pnl, 0);
+    const grossLoss = -losses.reduce((acc, t) => acc + t.pnl, 0);
+
+    return {
+        curve,
+        maxDrawdown, maxDrawdownPercent, maxDrawdownDays,
+        currentDrawdown: peak - equity,
+        sharpe, sortino,
+        longestWinStreak, longestLossStreak, currentStreak: streak,
+        weekdays,
+        tradeCount: trades.length,
+        winRate: trades.length > 0 ? wins.length / trades.length * 100 : null,
+        averageWin: wins.length > 0 ? grossWin / wins.length : null,
+        averageLoss: losses.length > 0 ? grossLoss / losses.length : null,
+        profitFactor: grossLoss > 0 ? grossWin / grossLoss : (grossWin > 0 ? Infinity : null),
+        expectancy: trades.length > 0 ? (grossWin - grossLoss) / trades.length : null,
+    };
+};
+
+/**
+ * Builds the document for a new challenge with a fresh plan starting today.
+ * @param {{name?: string, initialCapital?: number, finalTarget?: number, tenure?: number, evaluation?: object|null}} [options]
+ *   `evaluation` holds prop-firm evaluation rules (see `createEvaluation`); null for a plain plan.
+ * @returns {object} - The journal document (plan settings only; see `assembleJournal`).
+ */
+const createChallengeData = ({ name = DEFAULT_CHALLENGE_NAME, initialCapital = DEFAULT_INITIAL_CAPITAL, finalTarget = DEFAULT_FINAL_TARGET, tenure = DEFAULT_TENURE_DAYS, evaluation = null } = {}) => ({
+    name, initialCapital, finalTarget, tenure, evaluation,
+    startDate: getTodayDateString(), holidayCalendars: [],
+    ruleTemplate: DEFAULT_RULE_TEMPLATE.map(rule => ({ ...rule })),
+    hiddenSymbols: [], archived: false, createdAt: Date.now(), version: CURRENT_SCHEMA_VERSION
+});
+
+/**
+ * Combines the day entries a journal document carries in `dayEntries` with
+ * the day documents. A document may only hold the fields edited since, so
+ * the two are merged field by field, the document's fields winning.
+ * @param {Array<object>} [dayEntries=[]] - Entries carried by the journal document.
+ * @param {object} [entries={}] - Day entries keyed by date.
+ * @returns {object} - The merged entries keyed by date.
+ */
+const mergeDayEntries = (dayEntries = [], entries = {}) => {
+    const byDate = Object.fromEntries(dayEntries.map(entry => [entry.date, entry]));
+    Object.entries(entries).forEach(([date, entry]) => {
+        byDate[date] = { ...byDate[date], ...entry };
+    });
+    return byDate;
+};
+
+// Day fields that are maps, changed and saved key by key; a merged `set` writes
+// only the keys an edit holds, so edits to different keys in two tabs both land
+const KEYED_ENTRY_FIELDS = ['tradeReviews'];
+
+/**
+ * Applies field changes to a day entry, or to its unsaved edits.
+ * @param {object} fields - The entry, or its unsaved fields.
+ * @param {object} changes - The changed fields; see KEYED_ENTRY_FIELDS.
+ * @returns {object}
+ */
+const mergeEntryFields = (fields, changes) => {
+    const merged = { ...fields, ...changes };
+    KEYED_ENTRY_FIELDS.filter(field => field in changes).forEach(field => {
+        merged[field] = { ...fields[field], ...changes[field] };
+    });
+    return merged;
+};
+
+/**
+ * Rebuilds a journal's months from its plan settings and day entries. The
+ * journal document only stores settings; each day with something entered has
+ * its own `days/{date}` document.
+ * @param {object} settings - The journal document. Migrated journals, and archives taken before days had their own documents, carry their entries in `dayEntries`.
+ * @param {object} [entries={}] - Day entries keyed by date; see `mergeDayEntries`.
+ * @returns {object} - The settings with the plan's `months`.
+ */
+const assembleJournal = (data, entries = {}) => {
+    const { dayEntries = [], months: _months, ...settings } = data;
+    const byDate = mergeDayEntries(dayEntries, entries);
+    const journal = { ...settings, months: generatePlanStructure(settings.tenure, [{ days: Object.values(byDate) }], getPlanCalendar(settings), getRuleTemplate(settings)) };
+    journal.months = recalculatePlan(journal);
+    return journal;
+};
+
+const MAX_BATCH_WRITES = 500; // Firestore's limit per batch
+
+/**
+ * Commits writes in as many batches as Firestore's per-batch limit needs.
+ * Each batch is atomic but the set as a whole isn't, so put the write that
+ * makes the change visible (usually the journal document) last.
+ * Each batch is committed once the server has acknowledged the one before,
+ * so a rejected batch stops the rest. The first batch applies to the local
+ * cache at once; offline, the later ones wait until the connection is back,
+ * so callers shouldn't block on the promise.
+ * @param {Array<function(object): void>} writes - Each adds one write to the batch it's given.
+ * @returns {Promise<void>}
+ */
+const commitInBatches = (writes) => {
+    const chunks = [];
+    for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) chunks.push(writes.slice(i, i + MAX_BATCH_WRITES));
+    return trackWrite(chunks.reduce((previous, chunk) => previous.then(() => {
+        const batch = writeBatch(db);
+        chunk.forEach(write => write(batch));
+        return batch.commit();
+    }), Promise.resolve()));
+};
+
+// Paths of the journals whose migrated copy is being written back
+const migratingJournals = new Set();
+
+/**
+ * Reads a journal document, upgrading it to the current schema version.
+ * A successfully migrated journal is written back in the background, once
+ * per journal at a time, with any day entries the migration split out going
+ * to their own documents.
+ * The returned settings keep those entries in `dayEntries`, so the journal
+ * shows them before they are written, or if validation stops the write.
+ * @param {object} snapshot - The Firestore document snapshot.
+ * @returns {object} - The journal settings.
+ */
+const loadJournalSnapshot = (snapshot) => {
+    const { data, migrated, errors } = migrateJournal(snapshot.data());
+    const { dayEntries = [] } = data;
+    if (errors.length > 0) {
+        // Leave the stored document alone; the app works with what it could upgrade
+        console.error(`Journal ${snapshot.id} failed validation:`, errors);
+    } else if (migrated && !migratingJournals.has(snapshot.ref.path)) {
+        console.log(`Migrating journal ${snapshot.id} to schema version ${CURRENT_SCHEMA_VERSION}.`);
+        migratingJournals.add(snapshot.ref.path);
+        // A day that already has a document was edited since; its fields win over the carried copy
+        getDocs(collection(snapshot.ref, 'days'))
+            .then(existing => {
+                const stored = mergeDayEntries(dayEntries, Object.fromEntries(existing.docs.map(d => [d.id, d.data()])));
+                return commitInBatches(dayEntries.map(entry => (batch) => batch.set(doc(snapshot.ref, 'days', entry.date), stored[entry.date])));
+            })
+            // The settings are migrated again from the stored document, so nothing saved meanwhile is overwritten
+            .then(() => trackWrite(runTransaction(db, async (transaction) => {
+                const current = await transaction.get(snapshot.ref);
+                if (!current.exists()) return;
+                const { data: latest, migrated: outdated, errors: latestErrors } = migrateJournal(current.data());
+                if (!outdated || latestErrors.length > 0) return;
+                const { dayEntries: _dayEntries, ...settings } = latest;
+                transaction.set(snapshot.ref, settings);
+            })))
+            .catch(error => console.error("Error saving migrated journal:", error))
+            .finally(() => migratingJournals.delete(snapshot.ref.path));
+    }
+    return data;
+};
+
+/**
+ * Headline figures of a challenge for the comparison view.
+ * @param {object} data - The challenge's journal data.
+ * @returns {{currentCapital: number, pnl: number, progress: number, daysTraded: number, winDays: number, maxDrawdownPercent: number}}
+ */
+const summarizeChallenge = (data) => {
+    const completedDays = data.months.flatMap(m => m.days).filter(d => !d.noTrade && d.actual !== "");
+    const pnl = completedDays.reduce((acc, day) => acc + (day.pnlSign === '+' ? 1 : -1) * (Number(day.actual) || 0), 0);
+    const withdrawn = completedDays.reduce((acc, day) => acc + (day.withdrawal || 0), 0);
+    const currentCapital = data.initialCapital + pnl - withdrawn;
+    const goal = data.finalTarget - data.initialCapital;
+    return {
+        currentCapital,
+        pnl,
+        progress: goal > 0 ? (currentCapital - data.initialCapital) / goal * 100 : 0,
+        daysTraded: completedDays.length,
+        winDays: completedDays.filter(d => d.pnlSign === '+' && Number(d.actual) > 0).length,
+        maxDrawdownPercent: calculateAnalytics(data).maxDrawdownPercent,
+    };
+};
+
+/**
+ * The final summary stored with an archived challenge. A challenge is
+ * "completed" once it reaches its target, "failed" if it blew the account or
+ * ran out of days, and "abandoned" if it was reset before either happened.
+ * A challenge with evaluation rules is completed or failed by those instead.
+ * @param {object} data - The challenge's journal data.
+ * @param {string} todayString - Today as "YYYY-MM-DD".
+ * @returns {object}
+ */
+const buildArchiveSummary = (data, todayString) => {
+    const summary = summarizeChallenge(data);
+    const planDays = data.months.flatMap(m => m.days).filter(d => !d.noTrade);
+    const completedDays = planDays.filter(d => d.actual !== "");
+    const lastPlanDate = planDays[planDays.length - 1]?.date;
+    const rules = completedDays.flatMap(d => d.rules || []);
+
+    const evaluation = evaluateChallenge(data, { todayString });
+    let result = 'abandoned';
+    if (evaluation) {
+        if (evaluation.status === 'passed') result = 'completed';
+        else if (evaluation.status === 'failed' || (lastPlanDate && lastPlanDate < todayString)) result = 'failed';
+    } else if (summary.currentCapital >= data.finalTarget) result = 'completed';
+    else if (summary.currentCapital <= 0 || (lastPlanDate && lastPlanDate < todayString)) result = 'failed';
+
+    return {
+        result,
+        initialCapital: data.initialCapital,
+        finalTarget: data.finalTarget,
+        finalCapital: Math.round(summary.currentCapital),
+        pnl: Math.round(summary.pnl),
+        daysTraded: summary.daysTraded,
+        tenure: data.tenure,
+        winDays: summary.winDays,
+        maxDrawdownPercent: summary.maxDrawdownPercent,
+        ruleAdherence: rules.length > 0 ? rules.filter(r => r.checked).length / rules.length * 100 : null,
+        startDate: getPlanCalendar(data).startDate,
+        endDate: completedDays[completedDays.length - 1]?.date || null,
+        accountCurrency: data.accountCurrency || DEFAULT_ACCOUNT_CURRENCY,
+        evaluationBreach: evaluation?.breach || null,
+    };
+};
+
 // --- Components ---
 
+/**
+ * Shows whether local changes have reached the server: offline, syncing
+ * (with how many writes are still queued), a failed write, or synced.
+ */
+const SyncIndicator = () => {
+    const { online, connected, pendingWrites, lastError, lastSyncedAt } = useSyncState();
+    const offline = !online || !connected;
+    const [label, dotClass] = offline
+        ? [pendingWrites > 0 ? `OFFLINE · ${pendingWrites} QUEUED` : 'OFFLINE', 'bg-yellow-400']
+        : pendingWrites > 0 ? [`SYNCING ${pendingWrites}…`, 'bg-cyan-400 animate-pulse']
+        : lastError ? ['SYNC ERROR', 'bg-red-500']
+        : ['SYNCED', 'bg-green-500'];
+    const title = lastError
+        ? `Last write failed: ${lastError}`
+        : offline ? 'Changes are saved on this device and sent when the connection returns.'
+        : lastSyncedAt ? `Last synced ${new Date(lastSyncedAt).toLocaleTimeString()}` : 'All changes saved.';
+    return (
+        <span title={title} className="flex items-center gap-1.5 text-[10px] font-bold tracking-wider text-gray-400">
+            <span className={`h-2 w-2 rounded-full ${dotClass}`} />
+            {label}
+        </span>
+    );
+};
+
 /**
  * Animated Bubble Background Component
  */
@@ -300,19 +1331,313 @@ const BubbleBackground = ({ theme }) => {
     return <canvas ref={canvasRef} style={{ position: 'fixed', top: 0, left: 0, width: '100%', height: '100%', zIndex: -1 }} />;
 };
 
+// --- Price Feeds ---
+// Every feed has the same shape: `{ start(onTick, onStatus), stop() }`.
+// `onTick(symbolName, bid, ask, time)` is called for each quote (time in ms, the
+// quote's own timestamp for recorded data) and `onStatus(status, detail)`
+// reports 'live' | 'paused' | 'connecting' | 'ended' | 'error' | 'stopped'.
+
+/**
+ * Finds the symbol a feed refers to, accepting "EURUSD" as well as "EUR/USD".
+ * @param {Array} symbols - Known symbols.
+ * @param {string} rawName - Symbol name as it appears in the feed.
+ * @returns {object|undefined}
+ */
+const findFeedSymbol = (symbols, rawName) => {
+    const key = String(rawName || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return symbols.find(s => s.name.replace('/', '') === key);
+};
+
+/**
+ * The original random-walk simulator: every symbol moves up to ±5 pips per tick.
+ * @param {Array} symbols - Symbols to simulate (uses `base`, `pips`, `spread`).
+ * @param {object} [options]
+ * @param {number} [options.interval=2000] - Milliseconds between ticks.
+ */
+const createRandomWalkFeed = (symbols, { interval = 2000 } = {}) => {
+    let timer = null;
+    const mids = {};
+    symbols.forEach(s => { mids[s.name] = s.base; });
+
+    return {
+        start(onTick, onStatus) {
+            onStatus?.('live');
+            timer = setInterval(() => {
+                symbols.forEach(symbol => {
+                    const move = (Math.random() - 0.5) * (symbol.pips * 10); // Random move
+                    mids[symbol.name] += move;
+                    const spread = symbol.spread * symbol.pips;
+                    onTick(symbol.name, mids[symbol.name] - spread / 2, mids[symbol.name] + spread / 2, Date.now());
+                });
+            }, interval);
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+    };
+};
+
+/**
+ * Parses a recorded tick file. CSV needs a header row with `time` (or `timestamp`),
+ * `symbol` and either `bid`/`ask` or a single `price`/`mid` column; JSON must be an
+ * array of objects with the same keys. Ticks with only a mid price get the
+ * symbol's configured spread.
+ * @param {string} text - File contents.
+ * @param {Array} symbols - Known symbols, used to resolve names and spreads.
+ * @returns {Array<{time: number, symbol: string, bid: number, ask: number}>} - Ticks sorted by time.
+ */
+const parseTickFile = (text, symbols) => {
+    const trimmed = text.trim();
+    let rows;
+    if (trimmed.startsWith('[')) {
+        rows = JSON.parse(trimmed);
+    } else {
+        const [headerLine, ...lines] = trimmed.split(/\r?\n/);
+        const headers = headerLine.split(',').map(h => h.trim().toLowerCase());
+        rows = lines.filter(line => line.trim()).map(line => {
+            const cells = line.split(',');
+            return Object.fromEntries(headers.map((h, i) => [h, cells[i]?.trim()]));
+        });
+    }
+
+    const ticks = [];
+    rows.forEach(row => {
+        const normalized = Object.fromEntries(Object.entries(row).map(([k, v]) => [k.toLowerCase(), v]));
+        const symbol = findFeedSymbol(symbols, normalized.symbol);
+        const rawTime = normalized.time ?? normalized.timestamp;
+        const time = isNaN(Number(rawTime)) ? new Date(rawTime).getTime() : Number(rawTime);
+        if (!symbol || isNaN(time)) return;
+
+        let bid = parseFloat(normalized.bid);
+        let ask = parseFloat(normalized.ask);
+        if (isNaN(bid) || isNaN(ask)) {
+            const mid = parseFloat(normalized.price ?? normalized.mid);
+            if (isNaN(mid)) return;
+            const spread = symbol.spread * symbol.pips;
+            bid = mid - spread / 2;
+            ask = mid + spread / 2;
+        }
+        ticks.push({ time, symbol: symbol.name, bid, ask });
+    });
+    return ticks.sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Replays recorded ticks, keeping their original spacing divided by `speed`.
+ * Gaps are capped so a weekend in the file doesn't stall the session.
+ * @param {Array} ticks - Output of `parseTickFile`.
+ * @param {object} [options]
+ * @param {number} [options.speed=1] - Playback multiplier.
+ * @param {number} [options.maxGap=5000] - Longest real-time wait between ticks (ms).
+ */
+const createReplayFeed = (ticks, { speed = 1, maxGap = 5000 } = {}) => {
+    let timer = null;
+    let index = 0;
+    let currentSpeed = speed;
+
+    return {
+        start(onTick, onStatus) {
+            if (ticks.length === 0) { onStatus?.('ended'); return; }
+            onStatus?.('live', `${ticks.length} ticks`);
+            const playNext = () => {
+                const tick = ticks[index];
+                onTick(tick.symbol, tick.bid, tick.ask, tick.time);
+                index++;
+                if (index >= ticks.length) {
+                    timer = null;
+                    onStatus?.('ended');
+                    return;
+                }
+                const gap = Math.min((ticks[index].time - tick.time) / currentSpeed, maxGap);
+                timer = setTimeout(playNext, Math.max(gap, 0));
+            };
+            playNext();
+        },
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        },
+        setSpeed(newSpeed) {
+            currentSpeed = newSpeed; // Applies from the next tick
+        },
+    };
+};
+
+/**
+ * Parses an OHLC bar file. CSV needs a header with `time` (or `date`/`timestamp`),
+ * `open`, `high`, `low` and `close`; JSON must be an array of objects with those keys.
+ * @param {string} text - File contents.
+ * @returns {Array<{time: number, open: number, high: number, low: number, close: number}>} - Bars sorted by time.
+ */
+const parseBarFile = (text) => {
+    const trimmed = text.trim();
+    let rows;
+    if (trimmed.startsWith('[')) {
+        rows = JSON.parse(trimmed);
+    } else {
+        const [headerLine, ...lines] = trimmed.split(/\r?\n/);
+        const headers = headerLine.split(',').map(h => h.trim().toLowerCase());
+        rows = lines.filter(line => line.trim()).map(line => {
+            const cells = line.split(',');
+            return Object.fromEntries(headers.map((h, i) => [h, cells[i]?.trim()]));
+        });
+    }
+
+    const bars = [];
+    rows.forEach(row => {
+        const normalized = Object.fromEntries(Object.entries(row).map(([k, v]) => [k.toLowerCase(), v]));
+        const rawTime = normalized.time ?? normalized.date ?? normalized.timestamp;
+        const time = isNaN(Number(rawTime)) ? new Date(rawTime).getTime() : Number(rawTime);
+        const [open, high, low, close] = ['open', 'high', 'low', 'close'].map(k => parseFloat(normalized[k]));
+        if (isNaN(time) || [open, high, low, close].some(isNaN)) return;
+        bars.push({ time, open, high, low, close });
+    });
+    return bars.sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Steps through historical bars for one symbol. Each bar is sent as four quotes
+ * (open, then low/high in the order the candle implies, then close) so stops and
+ * limits inside the bar's range get hit. Besides `start`/`stop` it exposes
+ * `play`, `pause`, `step` and `setSpeed` for the replay controls.
+ * @param {object} symbol - The symbol being replayed (uses `pips`, `spread`).
+ * @param {Array} bars - Output of `parseBarFile`.
+ * @param {object} [options]
+ * @param {number} [options.startIndex=0] - First bar to show.
+ */
+const createBarReplayFeed = (symbol, bars, { startIndex = 0 } = {}) => {
+    let timer = null;
+    let index = startIndex;
+    let speed = 1;
+    let emitTick = null;
+    let emitStatus = null;
+    const spread = symbol.spread * symbol.pips;
+
+    const describe = () => `${new Date(bars[index - 1].time).toLocaleString()} (${index}/${bars.length})`;
+    const emitBar = () => {
+        const bar = bars[index];
+        const path = bar.close >= bar.open
+            ? [bar.open, bar.low, bar.high, bar.close]
+            : [bar.open, bar.high, bar.low, bar.close];
+        path.forEach(price => emitTick(symbol.name, price - spread / 2, price + spread / 2, bar.time));
+        index++;
+    };
+    const feed = {
+        start(onTick, onStatus) {
+            emitTick = onTick;
+            emitStatus = onStatus || (() => {});
+            if (index >= bars.length) { emitStatus('ended'); return; }
+            emitBar(); // Show the starting bar straight away
+            emitStatus('paused', describe());
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        play() {
+            if (timer || index >= bars.length) return;
+            timer = setInterval(() => {
+                if (index >= bars.length) {
+                    feed.stop();
+                    emitStatus('ended', describe());
+                    return;
+                }
+                emitBar();
+                emitStatus('live', describe());
+            }, BAR_REPLAY_INTERVAL / speed);
+            emitStatus('live', describe());
+        },
+        pause() {
+            feed.stop();
+            emitStatus(index >= bars.length ? 'ended' : 'paused', describe());
+        },
+        step() {
+            if (timer || index >= bars.length) return;
+            emitBar();
+            emitStatus(index >= bars.length ? 'ended' : 'paused', describe());
+        },
+        setSpeed(newSpeed) {
+            speed = newSpeed;
+            if (timer) { feed.stop(); feed.play(); }
+        },
+    };
+    return feed;
+};
+
+/**
+ * Streams quotes from a WebSocket server. Each message is JSON: a single quote
+ * `{ "symbol": "EURUSD", "bid": 1.0851, "ask": 1.0852 }` or an array of them.
+ * On connect it sends `{ "type": "subscribe", "symbols": [...] }`, and it
+ * reconnects with a growing delay until stopped.
+ * @param {string} url - Server address, e.g. ws://localhost:8787.
+ * @param {Array} symbols - Symbols to subscribe to and resolve names against.
+ */
+const createWebSocketFeed = (url, symbols) => {
+    let socket = null;
+    let retryTimer = null;
+    let stopped = false;
+    let retryDelay = 1000;
+
+    return {
+        start(onTick, onStatus) {
+            stopped = false;
+            const connect = () => {
+                onStatus?.('connecting', url);
+                try {
+                    socket = new WebSocket(url);
+                } catch (e) {
+                    onStatus?.('error', e.message);
+                    return;
+                }
+                socket.onopen = () => {
+                    retryDelay = 1000;
+                    onStatus?.('live', url);
+                    socket.send(JSON.stringify({ type: 'subscribe', symbols: symbols.map(s => s.name) }));
+                };
+                socket.onmessage = (event) => {
+                    let payload;
+                    try { payload = JSON.parse(event.data); } catch { return; }
+                    (Array.isArray(payload) ? payload : [payload]).forEach(quote => {
+                        const symbol = findFeedSymbol(symbols, quote.symbol);
+                        const bid = Number(quote.bid);
+                        const ask = Number(quote.ask);
+                        if (symbol && bid > 0 && ask > 0) onTick(symbol.name, bid, ask, Number(quote.time) || Date.now());
+                    });
+                };
+                socket.onclose = () => {
+                    if (stopped) return;
+                    onStatus?.('connecting', `reconnecting in ${retryDelay / 1000}s`);
+                    retryTimer = setTimeout(connect, retryDelay);
+                    retryDelay = Math.min(retryDelay * 2, 30000);
+                };
+                socket.onerror = () => onStatus?.('error', url);
+            };
+            connect();
+        },
+        stop() {
+            stopped = true;
+            clearTimeout(retryTimer);
+            if (socket) socket.close();
+            socket = null;
+        },
+    };
+};
+
 /**
- * Custom Hook for Simulated Price Ticks
+ * Custom Hook for live prices from any price feed
  */
-const useSimulatedPrices = (symbols, onPriceTick) => {
+const usePriceFeed = (symbols, feed, onPriceTick) => {
     const [prices, setPrices] = useState(() => {
         const initialPrices = {};
         symbols.forEach(symbol => {
             const spread = symbol.spread * symbol.pips;
             const mid = symbol.base;
-            initialPrices[symbol.name] = { bid: mid - spread / 2, ask: mid + spread / 2, spread: symbol.spread, pips: symbol.pips, tv: symbol.tv };
+            initialPrices[symbol.name] = { bid: mid - spread / 2, ask: mid + spread / 2, spread: symbol.spread, pips: symbol.pips };
         });
         return initialPrices;
     });
+    const [feedStatus, setFeedStatus] = useState({ status: 'stopped', detail: '' });
     
     // Use a ref to store the latest callback without re-triggering the effect
     const onPriceTickRef = useRef(onPriceTick);
@@ -321,40 +1646,57 @@ const useSimulatedPrices = (symbols, onPriceTick) => {
     }, [onPriceTick]);
 
     useEffect(() => {
-        if (!symbols || symbols.length === 0) return;
-        
-        const interval = setInterval(() => {
-            const newPrices = {};
-            // Get all symbols from the `prices` state object to update
-            const symbolsToUpdate = prices ? Object.keys(prices) : symbols.map(s => s.name);
-            
-            symbolsToUpdate.forEach(symbolName => {
-                const symbolInfo = ALL_SYMBOLS.find(s => s.name === symbolName);
-                if (!symbolInfo) return;
-                
-                const oldPrice = prices[symbolName] || symbolInfo;
-                const move = (Math.random() - 0.5) * (symbolInfo.pips * 10); // Random move
-                const newMid = (oldPrice.bid || symbolInfo.base) + (oldPrice.spread || symbolInfo.spread) * (oldPrice.pips || symbolInfo.pips) / 2 + move;
-                const spread = (oldPrice.spread || symbolInfo.spread) * (oldPrice.pips || symbolInfo.pips);
-                
-                const newBid = newMid - spread / 2;
-                const newAsk = newMid + spread / 2;
-                
-                newPrices[symbolName] = { ...(oldPrice || {}), ...symbolInfo, bid: newBid, ask: newAsk };
-                
-                // Call the latest callback from the ref
-                if (onPriceTickRef.current) {
-                    onPriceTickRef.current(symbolName, newBid, newAsk);
-                }
-            });
-            
-            setPrices(prevPrices => ({ ...prevPrices, ...newPrices }));
-        }, 2000); // Price tick every 2 seconds
-        
-        return () => clearInterval(interval);
-    }, [symbols.length]); // Only re-run if the number of symbols changes
+        if (!feed) return;
+        const handleTick = (symbolName, bid, ask, time = Date.now()) => {
+            const symbolInfo = symbols.find(s => s.name === symbolName);
+            if (!symbolInfo) return;
+            setPrices(prevPrices => ({ ...prevPrices, [symbolName]: { ...prevPrices[symbolName], ...symbolInfo, bid, ask } }));
+            // Call the latest callback from the ref
+            if (onPriceTickRef.current) {
+                onPriceTickRef.current(symbolName, bid, ask, time);
+            }
+        };
+        feed.start(handleTick, (status, detail = '') => setFeedStatus({ status, detail }));
+        return () => feed.stop();
+    }, [feed, symbols]); // A new feed object means a new source
     
-    return prices;
+    return { prices, feedStatus };
+};
+
+// --- Candles ---
+
+/**
+ * Adds a tick (o = h = l = c) or a whole bar to a candle series, opening a new
+ * candle when it falls into a new time bucket. Older-than-last data is ignored.
+ * @param {Array} series - Existing candles, oldest first.
+ * @param {number} bucketMs - Timeframe length in ms.
+ * @param {number} time - Timestamp of the data (ms).
+ * @param {{open: number, high: number, low: number, close: number}} bar - The data to merge.
+ * @returns {Array} - The new series, capped at MAX_CHART_BARS.
+ */
+const addToCandleSeries = (series = [], bucketMs, time, bar) => {
+    const bucket = Math.floor(time / bucketMs) * bucketMs;
+    const last = series[series.length - 1];
+    if (last && bucket < last.time) return series;
+    if (last && bucket === last.time) {
+        const merged = { ...last, high: Math.max(last.high, bar.high), low: Math.min(last.low, bar.low), close: bar.close };
+        return [...series.slice(0, -1), merged];
+    }
+    return [...series, { time: bucket, open: bar.open, high: bar.high, low: bar.low, close: bar.close }].slice(-MAX_CHART_BARS);
+};
+
+/**
+ * Adds data for one symbol to every chart timeframe.
+ * @param {object} candles - `{ [symbolName]: { [timeframe]: Array } }`.
+ * @returns {object} - A new candles object.
+ */
+const addToCandles = (candles, symbolName, time, bar) => {
+    const symbolSeries = candles[symbolName] || {};
+    const updated = {};
+    CHART_TIMEFRAMES.forEach(tf => {
+        updated[tf.value] = addToCandleSeries(symbolSeries[tf.value], tf.ms, time, bar);
+    });
+    return { ...candles, [symbolName]: updated };
 };
 
 // --- UI Icons ---
@@ -375,27 +1717,239 @@ const MobileTab = ({ icon, label, isActive, onClick }) => (
     </button>
 );
 
+/**
+ * Canvas Candlestick Chart Component
+ * Draws candles plus horizontal price lines (entry, SL/TP, pending triggers).
+ * Lines with `draggable` set can be dragged; `onLineDrag(line, price)` fires on release.
+ */
+const CandlestickChart = ({ bars, lines, theme, precision, onLineDrag }) => {
+    const containerRef = useRef(null);
+    const canvasRef = useRef(null);
+    const scaleRef = useRef(null); // Price <-> y mapping of the last drawn frame
+    const [size, setSize] = useState({ width: 0, height: 0 });
+    const [drag, setDrag] = useState(null); // { line, price } while a line is being dragged
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return;
+        const observer = new ResizeObserver(([entry]) => {
+            setSize({ width: Math.floor(entry.contentRect.width), height: Math.floor(entry.contentRect.height) });
+        });
+        observer.observe(container);
+        return () => observer.disconnect();
+    }, []);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || size.width === 0 || size.height === 0) return;
+        const isDark = theme === 'dark';
+        const colors = {
+            background: isDark ? '#111827' : '#f3f4f6',
+            grid: isDark ? 'rgba(6, 182, 212, 0.08)' : 'rgba(14, 116, 144, 0.1)',
+            text: isDark ? '#9ca3af' : '#4b5563',
+            up: '#22c55e',
+            down: '#ef4444',
+        };
+        const axisWidth = 60;
+        const padding = 10;
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = size.width * dpr;
+        canvas.height = size.height * dpr;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(0, 0, size.width, size.height);
+
+        const plotWidth = size.width - axisWidth;
+        const candleSpace = 8;
+        const visible = bars.slice(-Math.max(1, Math.floor(plotWidth / candleSpace)));
+        const shownLines = lines.map(line => (drag && drag.line.id === line.id ? { ...line, price: drag.price } : line));
+        const prices = [...visible.flatMap(bar => [bar.high, bar.low]), ...shownLines.map(line => line.price)];
+        if (prices.length === 0) {
+            scaleRef.current = null;
+            return;
+        }
+        let max = Math.max(...prices);
+        let min = Math.min(...prices);
+        if (max === min) { max += max * 0.001 || 1; min -= min * 0.001 || 1; }
+        const range = max - min;
+        const toY = price => padding + (max - price) / range * (size.height - padding * 2);
+        scaleRef.current = { toPrice: y => max - (y - padding) / (size.height - padding * 2) * range };
+
+        // Grid and price axis
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 5; i++) {
+            const price = min + range * i / 5;
+            const y = toY(price);
+            ctx.strokeStyle = colors.grid;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(plotWidth, y);
+            ctx.stroke();
+            ctx.fillStyle = colors.text;
+            ctx.fillText(price.toFixed(precision), plotWidth + 4, y);
+        }
+
+        // Candles, newest on the right
+        const bodyWidth = Math.max(1, candleSpace - 3);
+        visible.forEach((bar, i) => {
+            const x = plotWidth - (visible.length - i) * candleSpace + candleSpace / 2;
+            const color = bar.close >= bar.open ? colors.up : colors.down;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(x, toY(bar.high));
+            ctx.lineTo(x, toY(bar.low));
+            ctx.stroke();
+            const top = toY(Math.max(bar.open, bar.close));
+            const bottom = toY(Math.min(bar.open, bar.close));
+            ctx.fillRect(x - bodyWidth / 2, top, bodyWidth, Math.max(1, bottom - top));
+        });
+
+        // Price lines with their labels on the axis
+        shownLines.forEach(line => {
+            const y = toY(line.price);
+            ctx.strokeStyle = line.color;
+            ctx.setLineDash(line.style === 'dashed' ? [6, 4] : line.style === 'dotted' ? [2, 3] : []);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(plotWidth, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = line.color;
+            ctx.fillRect(plotWidth, y - 7, axisWidth, 14);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(line.price.toFixed(precision), plotWidth + 4, y);
+            if (line.label) {
+                ctx.fillStyle = line.color;
+                ctx.fillText(line.label, 4, y - 8);
+            }
+        });
+    }, [bars, lines, theme, precision, size, drag]);
+
+    const getY = (e) => e.clientY - canvasRef.current.getBoundingClientRect().top;
+
+    const handleMouseDown = (e) => {
+        const scale = scaleRef.current;
+        if (!scale) return;
+        const y = getY(e);
+        const price = scale.toPrice(y);
+        const tolerance = Math.abs(scale.toPrice(y + 6) - price);
+        const line = lines.find(l => l.draggable && Math.abs(l.price - price) <= tolerance);
+        if (line) setDrag({ line, price: line.price });
+    };
+
+    const handleMouseMove = (e) => {
+        if (!drag || !scaleRef.current) return;
+        setDrag({ ...drag, price: scaleRef.current.toPrice(getY(e)) });
+    };
+
+    const handleMouseUp = () => {
+        if (!drag) return;
+        onLineDrag?.(drag.line, Number(drag.price.toFixed(precision)));
+        setDrag(null);
+    };
+
+    return (
+        <div ref={containerRef} className="relative h-full w-full">
+            <canvas
+                ref={canvasRef}
+                style={{ width: size.width, height: size.height }}
+                className={drag ? 'cursor-ns-resize' : ''}
+                onMouseDown={handleMouseDown}
+                onMouseMove={handleMouseMove}
+                onMouseUp={handleMouseUp}
+                onMouseLeave={() => setDrag(null)}
+            />
+            {bars.length === 0 && (
+                <div className="absolute inset-0 flex items-center justify-center pointer-events-none"><p className="text-gray-500">Waiting for ticks...</p></div>
+            )}
+        </div>
+    );
+};
+
 /**
  * Demo Trader Component
  */
-const DemoTrader = ({ onTradeClose, theme, availableCapital, onSymbolVisibilityChange, hiddenSymbols, onNewMessage }) => {
-    const tvWidgetRef = useRef(null);
-    const tvWidgetInstance = useRef(null); // To store the widget instance
-    const [openOrders, setOpenOrders] = useState([]); // Store active chart orders
-    
-    const [selectedSymbol, setSelectedSymbol] = useState(ALL_SYMBOLS.find(s => !hiddenSymbols.includes(s.name)) || ALL_SYMBOLS[0]);
+const DemoTrader = ({ journalPath, onTradeClose, onTradeRevert, theme, availableCapital, accountCurrency, traderSettings, onTraderSettingsChange, onSymbolVisibilityChange, hiddenSymbols, customInstruments, onCustomInstrumentsChange, onNewMessage, evaluation, onFloatingPnlChange }) => {
+    // Symbols the price feeds stream; kept apart from cost overrides so editing costs doesn't restart the feed.
+    // Every journal snapshot brings a new `customInstruments` array, so the list is keyed on its content.
+    const customInstrumentsKey = JSON.stringify(customInstruments || []);
+    const feedSymbols = useMemo(() => [...ALL_SYMBOLS, ...JSON.parse(customInstrumentsKey)], [customInstrumentsKey]);
+    // Built-in instruments plus the user's own, with the user's cost overrides applied.
+    // Every price, PnL, cost and margin calculation looks specs up here.
+    const instrumentCosts = traderSettings?.instrumentCosts;
+    const instruments = useMemo(() => {
+        return feedSymbols.map(s => (instrumentCosts?.[s.name] ? { ...s, ...instrumentCosts[s.name] } : s));
+    }, [feedSymbols, instrumentCosts]);
+    const [selectedSymbol, setSelectedSymbol] = useState(instruments.find(s => !hiddenSymbols.includes(s.name)) || instruments[0]);
     const [orderType, setOrderType] = useState('market');
     const [lots, setLots] = useState(0.01);
     const [leverage, setLeverage] = useState(1);
     const LEVERAGE_OPTIONS = [1, 50, 100, 200, 400];
     const [stopLoss, setStopLoss] = useState('');
     const [takeProfit, setTakeProfit] = useState('');
+    const [stopLossUnit, setStopLossUnit] = useState('price'); // The stop loss is entered as a price or in pips from the entry
+    const [sizingMode, setSizingMode] = useState('lots'); // 'lots' entered directly, or 'risk' sized from the money at risk
+    const [riskValue, setRiskValue] = useState('1');
+    const [riskUnit, setRiskUnit] = useState('percent'); // The risk is a % of capital or an amount
+    const [pendingType, setPendingType] = useState('limit');
+    const [triggerPrice, setTriggerPrice] = useState('');
+    const [limitPrice, setLimitPrice] = useState('');
+    const [expiryMode, setExpiryMode] = useState('gtc');
+    const [expiryTime, setExpiryTime] = useState('');
     const [positions, setPositions] = useState([]);
+    const [pendingOrders, setPendingOrders] = useState([]);
     const [tradeHistory, setTradeHistory] = useState([]);
     const [positionsTab, setPositionsTab] = useState('open');
     const [isSymbolModalOpen, setIsSymbolModalOpen] = useState(false);
+    const [isFeedModalOpen, setIsFeedModalOpen] = useState(false);
+    const [feedSource, setFeedSource] = useState('random');
+    const [replayTicks, setReplayTicks] = useState([]);
+    const [replayFileName, setReplayFileName] = useState('');
+    const [replaySpeed, setReplaySpeed] = useState(1);
+    const [feedUrlInput, setFeedUrlInput] = useState(DEFAULT_FEED_URL);
+    const [feedUrl, setFeedUrl] = useState(DEFAULT_FEED_URL);
+    const [isBarReplayModalOpen, setIsBarReplayModalOpen] = useState(false);
+    const [barFile, setBarFile] = useState({ name: '', bars: [] }); // Bars loaded in the replay modal
+    const [barSymbolName, setBarSymbolName] = useState(ALL_SYMBOLS[0].name);
+    const [barStartDate, setBarStartDate] = useState('');
+    const [barReplay, setBarReplay] = useState(null); // Active session: { symbolName, bars, startIndex }
+    const [replayJournal, setReplayJournal] = useState([]);
     const [mobileTab, setMobileTab] = useState('chart');
+    const [instrumentForm, setInstrumentForm] = useState(EMPTY_INSTRUMENT_FORM);
+    const [costsForm, setCostsForm] = useState(null); // Form values while execution costs are being edited
+    const [riskForm, setRiskForm] = useState(null); // Form values while risk limits are being edited
+    const [modifyForm, setModifyForm] = useState(null); // Form values while a position is being modified
+    const [candles, setCandles] = useState({}); // { [symbolName]: { [timeframe]: bars } } built from the feed
+    const [chartTimeframe, setChartTimeframe] = useState(CHART_TIMEFRAMES[0].value);
     const pricesRef = useRef(null); // <-- 1. Create ref
+    const positionsRef = useRef([]); // Latest positions for the tick handlers
+    const pendingOrdersRef = useRef([]); // Latest pending orders for the tick handlers
+    const closingIdsRef = useRef(new Set()); // Positions being closed, hidden from snapshots until committed
+    const marginCallRef = useRef(false); // Whether the margin call warning has already been shown
+    const riskLockRequestedRef = useRef(null); // Date the daily loss lock was last requested, until settings catch up
+    const isReplayMode = barReplay !== null;
+    const replayModeRef = useRef(false); // Tick handlers only act on positions of the current mode
+
+    const marginCallLevel = traderSettings?.marginCallLevel ?? DEFAULT_MARGIN_CALL_LEVEL;
+    const stopOutLevel = traderSettings?.stopOutLevel ?? DEFAULT_STOP_OUT_LEVEL;
+    const swapCutoffHour = traderSettings?.swapCutoffHour ?? DEFAULT_SWAP_CUTOFF_HOUR;
+    const maxSlippagePips = traderSettings?.maxSlippagePips ?? 0;
+    const maxSpreadMultiplier = traderSettings?.maxSpreadMultiplier ?? 1;
+    const storedRiskLimits = traderSettings?.riskLimits;
+    const riskLimits = useMemo(() => ({ ...DEFAULT_RISK_LIMITS, ...(storedRiskLimits || {}) }), [storedRiskLimits]);
+    // The daily loss lock holds the local date it was hit on and lapses when the date changes
+    const isTradingLocked = traderSettings?.riskLockDate === toLocalDateString(Date.now());
+
+    // Converts quote-currency amounts (PnL, margin) with the latest cross rates from the feed
+    const toAccountCurrency = useCallback((amount, currency) => {
+        return convertAmount(amount, currency, accountCurrency, pricesRef.current, instruments);
+    }, [accountCurrency, instruments]);
+
+    // Firestore locations of the trader state, stored next to the journal they belong to
+    const traderDoc = useCallback((name, id) => doc(db, `${journalPath}/${name}/${id}`), [journalPath]);
 
     // Create a stable showMessage function
     const showMessage = useCallback((text, isProfit) => {
@@ -404,8 +1958,13 @@ const DemoTrader = ({ onTradeClose, theme, availableCapital, onSymbolVisibilityC
 
     // **CORRECTED:** This function is now stable and efficient.
     // It accepts the full `pos` object, removing the `positions` state dependency.
-    const handleClosePosition = useCallback((pos, closePrice, reason = 'Manual Close') => {
+    // Passing `closeLots` below the position size closes only that part; the rest stays open.
+    const handleClosePosition = useCallback((pos, closePrice, reason = 'Manual Close', closeLots = pos?.lots) => {
         if (!pos) return;
+        if (!(closeLots > 0) || closeLots > pos.lots) {
+            showMessage("Invalid lot size to close.", false);
+            return;
+        }
 
         const currentPrices = pricesRef.current; // <-- 2. Read from ref
         if (!currentPrices) {
@@ -419,260 +1978,967 @@ const DemoTrader = ({ onTradeClose, theme, availableCapital, onSymbolVisibilityC
             return;
         }
 
-        const exitPrice = closePrice || (pos.type === 'BUY' ? currentSymbolPrice.bid : currentSymbolPrice.ask);
-        const contractSize = (pos.symbol.includes('BTC') || pos.symbol.includes('ETH')) ? 1 : LOT_SIZE;
-        const realizedPnl = (pos.type === 'BUY' ? (exitPrice - pos.entryPrice) : (pos.entryPrice - exitPrice)) * pos.lots * contractSize;
+        const instrument = getInstrument(pos.symbol, instruments);
+        const { quoteCurrency } = instrument;
+        const quotedExit = closePrice || (pos.type === 'BUY' ? currentSymbolPrice.bid : currentSymbolPrice.ask);
+        // Take profits are limit orders and fill at their price; every other close is a market execution
+        const exitPrice = reason === 'Take Profit Hit' ? quotedExit : applySlippage(quotedExit, pos.type === 'SELL', instrument.pips, maxSlippagePips);
+        const quotePnl = calculatePnl(instrument, pos.type, pos.entryPrice, exitPrice, closeLots);
+        const grossPnl = toAccountCurrency(quotePnl, quoteCurrency);
 
-        const newHistoryTrade = { ...pos, exitPrice, closeTime: new Date().toLocaleString(), pnl: realizedPnl, reason };
-        
-        if (pos.chartOrder) {
-            try {
-                pos.chartOrder.remove();
-            } catch (e) {
-                console.error("Could not remove chart line:", e);
-            }
+        // Costs accrued on the position are split pro rata between the closed and remaining lots
+        const share = closeLots / pos.lots;
+        const commission = (pos.commission || 0) * share + toAccountCurrency(calculateCommission(instrument, exitPrice, closeLots), quoteCurrency);
+        const swap = (pos.swap || 0) * share;
+        const slippage = (pos.slippage || 0) * share + Math.abs(toAccountCurrency(calculatePnl(instrument, 'BUY', quotedExit, exitPrice, closeLots), quoteCurrency));
+        const realizedPnl = grossPnl + swap - commission;
+
+        const remainingLots = Number((pos.lots - closeLots).toFixed(2));
+        const isPartial = remainingLots > 0;
+        // A partial gets its own history entry, linked back to the position it came from
+        const newHistoryTrade = {
+            ...pos,
+            ...(isPartial && { id: crypto.randomUUID(), positionId: pos.id }),
+            lots: closeLots, exitPrice, closeTime: new Date().toLocaleString(), closedAt: Date.now(), reason,
+            // `pnl` is net of costs; slippage is already in the prices and listed for reference
+            grossPnl, commission, swap, slippage, pnl: realizedPnl,
+            quotePnl, quoteCurrency, accountCurrency,
+        };
+        const remainingCosts = {
+            commission: (pos.commission || 0) * (1 - share),
+            swap: (pos.swap || 0) * (1 - share),
+            slippage: (pos.slippage || 0) * (1 - share),
+        };
+        const remainingPosition = isPartial ? { ...pos, ...remainingCosts, lots: remainingLots, pnl: pos.pnl * remainingLots / pos.lots } : null;
+        const applyLocalClose = (list) => (isPartial ? list.map(p => (p.id === pos.id ? remainingPosition : p)) : list.filter(p => p.id !== pos.id));
+
+        // Replay trades are session-only and go to the replay journal, never to today's entry
+        if (pos.replay) {
+            positionsRef.current = applyLocalClose(positionsRef.current);
+            setPositions(applyLocalClose);
+            trackWrite(setDoc(traderDoc('replayJournal', newHistoryTrade.id), toFirestoreRecord(newHistoryTrade)))
+                .catch(e => console.error("Error saving replay trade:", e));
+            showMessage(`Replay: closed ${pos.symbol} for PnL: ${realizedPnl.toFixed(2)} (${reason})`, realizedPnl >= 0);
+            return;
         }
 
+        // Optimistic local update; the snapshot listeners reconcile afterwards
+        if (!isPartial) closingIdsRef.current.add(pos.id);
+        positionsRef.current = applyLocalClose(positionsRef.current);
+        setPositions(applyLocalClose);
         setTradeHistory(prev => [newHistoryTrade, ...prev]);
-        onTradeClose(realizedPnl);
-        showMessage(`Closed ${pos.symbol} for PnL: ${realizedPnl.toFixed(2)} (${reason})`, realizedPnl >= 0);
-        
-        // This is the manual close path
-        setPositions(prev => prev.filter(p => p.id !== pos.id));
 
-    }, [onTradeClose, showMessage]); // <-- 5. Removed `prices` dependency
+        const positionRef = traderDoc('positions', pos.id);
+        const historyRef = traderDoc('tradeHistory', newHistoryTrade.id);
+        const revertClose = () => {
+            setTradeHistory(prev => prev.filter(t => t !== newHistoryTrade));
+            positionsRef.current = [...positionsRef.current.filter(p => p.id !== pos.id), pos];
+            setPositions(positionsRef.current);
+        };
+
+        if (!isServerReachable()) {
+            // Transactions need the server, so offline the close is queued as a
+            // batch. Its `update` only succeeds if the position still exists when
+            // the batch reaches the server; if another device closed it meanwhile,
+            // the whole batch, trade history included, is rejected.
+            const batch = writeBatch(db);
+            batch.update(positionRef, { lots: remainingLots, ...remainingCosts });
+            if (!isPartial) batch.delete(positionRef);
+            batch.set(historyRef, toFirestoreRecord(newHistoryTrade));
+            // The journal is updated now so the day's P&L is right while offline, and undone if the batch is rejected
+            const journalDate = onTradeClose(newHistoryTrade);
+            trackWrite(batch.commit()).catch((error) => {
+                console.error("Error syncing offline close:", error);
+                showMessage(`Close of ${pos.symbol} was rejected on sync; it was already closed elsewhere, so it was taken out of the journal.`, false);
+                setTradeHistory(prev => prev.filter(t => t !== newHistoryTrade));
+                if (journalDate) onTradeRevert(newHistoryTrade, journalDate);
+            }).finally(() => {
+                closingIdsRef.current.delete(pos.id);
+            });
+            showMessage(`Closed ${pos.symbol} for PnL: ${realizedPnl.toFixed(2)} (${reason}), will sync when online`, realizedPnl >= 0);
+            return;
+        }
+
+        // The transaction makes sure a position is only realized once, even if
+        // another open tab closes it at the same time.
+        trackWrite(runTransaction(db, async (transaction) => {
+            const positionSnap = await transaction.get(positionRef);
+            if (!positionSnap.exists() || positionSnap.data().lots < closeLots) return false;
+            if (isPartial) transaction.update(positionRef, { lots: remainingLots, ...remainingCosts });
+            else transaction.delete(positionRef);
+            transaction.set(historyRef, toFirestoreRecord(newHistoryTrade));
+            return true;
+        })).then((closed) => {
+            if (!closed) {
+                setTradeHistory(prev => prev.filter(t => t !== newHistoryTrade));
+                return;
+            }
+            onTradeClose(newHistoryTrade);
+            showMessage(`Closed ${pos.symbol} for PnL: ${realizedPnl.toFixed(2)} (${reason})`, realizedPnl >= 0);
+        }).catch((error) => {
+            console.error("Error closing position:", error);
+            showMessage(`Could not close ${pos.symbol}, please retry.`, false);
+            revertClose();
+        }).finally(() => {
+            closingIdsRef.current.delete(pos.id);
+        });
+
+    }, [instruments, accountCurrency, maxSlippagePips, toAccountCurrency, onTradeClose, onTradeRevert, showMessage, traderDoc]); // <-- 5. Removed `prices` dependency
+
 
+    // Applies field changes to an open position locally and, for live positions, in Firestore
+    const updatePosition = useCallback((pos, changes) => {
+        positionsRef.current = positionsRef.current.map(p => (p.id === pos.id ? { ...p, ...changes } : p));
+        setPositions(positionsRef.current);
+        if (!pos.replay) {
+            trackWrite(setDoc(traderDoc('positions', pos.id), changes, { merge: true })).catch(e => console.error("Error updating position:", e));
+        }
+    }, [traderDoc]);
 
     // **CORRECTED:** This function's dependency array is fixed.
+    // Reads positions from the ref so closing (which persists to Firestore)
+    // never runs inside a state updater.
     const checkPriceTriggers = useCallback((symbolName, bid, ask) => {
-        setPositions(currentPositions => {
-            const positionsToClose = [];
-            // Use filter to create the new array of open positions
-            const updatedPositions = currentPositions.filter(pos => {
-                if (pos.symbol !== symbolName) return true; // Keep position
-                
-                let shouldClose = false;
-                let closePrice = 0;
-                let reason = '';
-                
-                if (pos.stopLoss) {
-                    if (pos.type === 'BUY' && bid <= pos.stopLoss) { shouldClose = true; closePrice = bid; reason = 'Stop Loss Hit'; }
-                    else if (pos.type === 'SELL' && ask >= pos.stopLoss) { shouldClose = true; closePrice = ask; reason = 'Stop Loss Hit'; }
-                }
-                if (!shouldClose && pos.takeProfit) {
-                    if (pos.type === 'BUY' && bid >= pos.takeProfit) { shouldClose = true; closePrice = bid; reason = 'Take Profit Hit'; }
-                    else if (pos.type === 'SELL' && ask <= pos.takeProfit) { shouldClose = true; closePrice = ask; reason = 'Take Profit Hit'; }
-                }
-                
-                if (shouldClose) {
-                    positionsToClose.push({ pos, closePrice, reason });
-                    return false; // Remove position from new array
-                }
-                return true; // Keep position
-            });
+        const pipSize = getInstrument(symbolName, instruments).pips;
+        positionsRef.current.forEach(original => {
+            if (original.symbol !== symbolName || Boolean(original.replay) !== replayModeRef.current) return;
 
-            if (positionsToClose.length > 0) {
-                // Call outside the filter loop
-                positionsToClose.forEach(p => handleClosePosition(p.pos, p.closePrice, p.reason));
+            // Ratchet trailing / break-even stops before checking whether they are hit
+            let pos = original;
+            const stopChanges = getStopAdjustment(pos, bid, ask, pipSize);
+            if (stopChanges) {
+                pos = { ...pos, ...stopChanges };
+                updatePosition(pos, stopChanges);
+            }
+            
+            let shouldClose = false;
+            let closePrice = 0;
+            let reason = '';
+            
+            if (pos.stopLoss) {
+                const stopReason = pos.trailingStop ? 'Trailing Stop Hit' : 'Stop Loss Hit';
+                if (pos.type === 'BUY' && bid <= pos.stopLoss) { shouldClose = true; closePrice = bid; reason = stopReason; }
+                else if (pos.type === 'SELL' && ask >= pos.stopLoss) { shouldClose = true; closePrice = ask; reason = stopReason; }
+            }
+            if (!shouldClose && pos.takeProfit) {
+                if (pos.type === 'BUY' && bid >= pos.takeProfit) { shouldClose = true; closePrice = bid; reason = 'Take Profit Hit'; }
+                else if (pos.type === 'SELL' && ask <= pos.takeProfit) { shouldClose = true; closePrice = ask; reason = 'Take Profit Hit'; }
             }
-            return updatedPositions; // Return the new state
+            
+            if (shouldClose) handleClosePosition(pos, closePrice, reason);
         });
-    }, [handleClosePosition]); // **CORRECTED:** Depends on the stable handleClosePosition
+    }, [instruments, handleClosePosition, updatePosition]); // **CORRECTED:** Depends on the stable handleClosePosition
 
-    const prices = useSimulatedPrices(ALL_SYMBOLS, checkPriceTriggers); // <-- 4. Define prices
 
-    // **NEW:** Add effect to update the ref
+    // Keep the refs used by the tick handlers in sync with state
     useEffect(() => {
-        pricesRef.current = prices;
-    }, [prices]);
-
-    // Function to draw on chart
-    const drawOrderLine = useCallback((position) => {
-        if (!tvWidgetInstance.current || !tvWidgetInstance.current.chart) return null;
-        const chart = tvWidgetInstance.current.chart();
-        if (typeof chart.createOrderLine !== 'function') {
-            console.warn("chart.createOrderLine is not a function. TradingView API might be limited.");
-            return null;
-        }
-        const price = position.entryPrice;
-        const text = position.type;
-        const color = position.type === 'BUY' ? 'green' : 'red';
-        
-        try {
-            const line = chart.createOrderLine()
-                .setPrice(price)
-                .setText(text)
-                .setLineColor(color)
-                .setBodyBackgroundColor(color)
-                .setQuantityColor(color)
-                .setBodyBorderColor(color)
-                .setLineStyle(0) // 0: Solid, 1: Dotted, 2: Dashed
-                .setBodyTextColor('white')
-                .setQuantity(position.lots + " lots");
-            return line;
-        } catch (e) {
-            console.error("Failed to draw order line:", e);
-            return null;
-        }
-    }, []); // Depends on nothing, as tvWidgetInstance is a ref
+        positionsRef.current = positions;
+    }, [positions]);
+    useEffect(() => {
+        pendingOrdersRef.current = pendingOrders;
+    }, [pendingOrders]);
+    useEffect(() => {
+        replayModeRef.current = isReplayMode;
+    }, [isReplayMode]);
 
-    // Update TradingView Widget
+    // Rehydrate positions, pending orders and history, and keep them in sync across tabs
     useEffect(() => {
-        if (window.TradingView && tvWidgetRef.current && (mobileTab === 'chart' || window.innerWidth >= 768)) {
-            tvWidgetRef.current.innerHTML = ""; // Clear container
-            const widget = new window.TradingView.widget({
-                "autosize": true,
-                "symbol": selectedSymbol.tv,
-                "interval": "5",
-                "timezone": "Etc/UTC",
-                "theme": theme,
-                "style": "1",
-                "locale": "en",
-                "toolbar_bg": "#f1f3f6",
-                "enable_publishing": false,
-                "allow_symbol_change": false,
-                "container_id": tvWidgetRef.current.id,
-                "studies": ["MASimple@tv-basicstudies"]
-            });
-            tvWidgetInstance.current = widget;
-            
-            // Redraw orders when chart is ready
-            widget.onChartReady(() => {
-                const newChartOrders = [];
-                positions.forEach(pos => {
-                    if (pos.symbol === selectedSymbol.name) {
-                        const order = drawOrderLine(pos);
-                        if (order) {
-                            newChartOrders.push(order);
-                            // Update position with new chartOrder reference
-                            pos.chartOrder = order;
-                        }
-                    }
-                });
-                setOpenOrders(newChartOrders);
+        if (!journalPath) return;
+
+        const unsubscribePositions = onSnapshot(collection(db, `${journalPath}/positions`), (snapshot) => {
+            const localPositions = positionsRef.current;
+            const remotePositions = snapshot.docs
+                .map(d => ({ ...d.data(), id: d.id }))
+                .filter(p => !closingIdsRef.current.has(p.id))
+                .sort((a, b) => (a.openedAt || 0) - (b.openedAt || 0));
+            // Keep the live PnL of positions we already know; the chart draws from this list
+            const mergedPositions = remotePositions.map(p => {
+                const local = localPositions.find(lp => lp.id === p.id);
+                return local ? { ...p, pnl: local.pnl, currentPrice: local.currentPrice } : { ...p, pnl: 0 };
             });
-        }
-    }, [selectedSymbol, theme, mobileTab, drawOrderLine]); // Re-run if mobileTab changes to chart
 
-    // Live PnL Update Effect
-    useEffect(() => {
-        if (positions.length === 0) return;
-        const interval = setInterval(() => {
-            setPositions(currentPositions =>
-                currentPositions.map(pos => {
-                    const currentPrice = prices[pos.symbol];
-                    if (!currentPrice) return pos;
-                    
-                    const contractSize = (pos.symbol.includes('BTC') || pos.symbol.includes('ETH')) ? 1 : LOT_SIZE;
-                    const pnl = pos.type === 'BUY'
-                        ? (currentPrice.bid - pos.entryPrice) * pos.lots * contractSize
-                        : (pos.entryPrice - currentPrice.ask) * pos.lots * contractSize;
-                    
-                    const newPrice = pos.type === 'BUY' ? currentPrice.bid : currentPrice.ask;
-                    
-                    if (pos.chartOrder) {
-                        try {
-                            pos.chartOrder.setPrice(newPrice);
-                            pos.chartOrder.setText(`PnL: ${pnl.toFixed(2)}`);
-                        } catch (e) {
-                            // Chart order might not exist anymore, clear it
-                            pos.chartOrder = null;
-                        }
-                    }
-                    return { ...pos, pnl, currentPrice: newPrice };
-                })
-            );
-        }, 1000); // Update PnL every second
-        return () => clearInterval(interval);
-    }, [prices, positions.length]); // Only depends on prices and if positions exist
+            // Replay positions are never stored, so keep them across snapshots
+            positionsRef.current = [...mergedPositions, ...localPositions.filter(p => p.replay)];
+            setPositions(positionsRef.current);
+        }, (error) => console.error("Positions snapshot error:", error));
 
-    const handleMarketOrder = (type) => {
-        const currentPrice = prices[selectedSymbol.name];
-        if (!currentPrice) { showMessage("Market prices not available.", false); return; }
-        
-        const price = type === 'BUY' ? currentPrice.ask : currentPrice.bid;
-        const contractSize = (selectedSymbol.name.includes('BTC') || selectedSymbol.name.includes('ETH')) ? 1 : LOT_SIZE;
-        const positionValue = price * lots * contractSize;
-        const marginRequired = positionValue / leverage;
+        const unsubscribePending = onSnapshot(collection(db, `${journalPath}/pendingOrders`), (snapshot) => {
+            const orders = snapshot.docs
+                .map(d => ({ ...d.data(), id: d.id }))
+                .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+            pendingOrdersRef.current = [...orders, ...pendingOrdersRef.current.filter(o => o.replay)];
+            setPendingOrders(pendingOrdersRef.current);
+        }, (error) => console.error("Pending orders snapshot error:", error));
+
+        const historyQuery = query(collection(db, `${journalPath}/tradeHistory`), orderBy('closedAt', 'desc'));
+        const unsubscribeHistory = onSnapshot(historyQuery, (snapshot) => {
+            setTradeHistory(snapshot.docs.map(d => ({ ...d.data(), id: d.id })));
+        }, (error) => console.error("Trade history snapshot error:", error));
+
+        const replayQuery = query(collection(db, `${journalPath}/replayJournal`), orderBy('closedAt', 'desc'));
+        const unsubscribeReplay = onSnapshot(replayQuery, (snapshot) => {
+            setReplayJournal(snapshot.docs.map(d => ({ ...d.data(), id: d.id })));
+        }, (error) => console.error("Replay journal snapshot error:", error));
+
+        return () => {
+            unsubscribePositions();
+            unsubscribePending();
+            unsubscribeHistory();
+            unsubscribeReplay();
+        };
+    }, [journalPath]);
+
+    /**
+     * Opens a position after the free margin check. Shared by market orders
+     * and filled pending orders. With `slip` set, the fill is a market execution
+     * and the slippage model applies to `price`.
+     * @returns {object|null} - The new position, or null if it was rejected.
+     */
+    const openPosition = useCallback(({ symbol, type, lots, leverage, price: quotedPrice, stopLoss, takeProfit, replay = false, slip = false }, fromOrderId = null) => {
+        const currentPositions = positionsRef.current;
+        const instrument = getInstrument(symbol, instruments);
+        // Replay sessions run on historical time, so only live trading respects market hours
+        if (!replay && !isMarketOpen(instrument)) {
+            showMessage(`${symbol} market is closed`, false);
+            return null;
+        }
+        const price = slip ? applySlippage(quotedPrice, type === 'BUY', instrument.pips, maxSlippagePips) : quotedPrice;
+        const marginRequired = toAccountCurrency(calculateMargin(instrument, price, lots, leverage), instrument.quoteCurrency);
+        const commission = toAccountCurrency(calculateCommission(instrument, price, lots), instrument.quoteCurrency);
         
-        // Calculate available margin
-        const totalPnl = positions.reduce((acc, pos) => acc + (pos.pnl || 0), 0);
-        const marginUsed = positions.reduce((acc, pos) => {
-            const posContractSize = (pos.symbol.includes('BTC') || pos.symbol.includes('ETH')) ? 1 : LOT_SIZE;
-            return acc + (pos.entryPrice * pos.lots * posContractSize) / pos.leverage;
-        }, 0);
-        const freeMargin = availableCapital + totalPnl - marginUsed;
-
-        if (marginRequired > freeMargin) {
+        // Calculate available margin; the opening commission comes off equity at once
+        const { freeMargin } = getAccountMetrics(currentPositions.filter(p => Boolean(p.replay) === replay), availableCapital, instruments, toAccountCurrency);
+
+        if (marginRequired + commission > freeMargin) {
             showMessage("Not enough free margin", false);
-            return;
+            return null;
         }
 
         let newPosition = {
             id: crypto.randomUUID(),
-            symbol: selectedSymbol.name,
-            type, lots, leverage,
+            symbol, type, lots, leverage,
             entryPrice: price,
-            stopLoss: stopLoss ? parseFloat(stopLoss) : null,
-            takeProfit: takeProfit ? parseFloat(takeProfit) : null,
+            stopLoss: stopLoss || null,
+            takeProfit: takeProfit || null,
             pnl: 0,
             openTime: new Date().toLocaleString(),
-            chartOrder: null // Placeholder
+            openedAt: Date.now(),
+            replay,
+            // Costs in account currency, accrued until the position is closed
+            commission,
+            swap: 0,
+            swapChargedAt: Date.now(),
+            slippage: Math.abs(toAccountCurrency(calculatePnl(instrument, 'BUY', quotedPrice, price, lots), instrument.quoteCurrency)),
         };
-        
-        // Draw order on chart
-        const chartOrder = drawOrderLine(newPosition);
-        if (chartOrder) {
-            newPosition.chartOrder = chartOrder; // Store reference
-            setOpenOrders([...openOrders, chartOrder]);
-        }
 
-        setPositions([...positions, newPosition]);
-        showMessage(`${type} ${lots} lot ${selectedSymbol.name} @ ${price.toFixed(5)}`, true);
-        setStopLoss('');
-        setTakeProfit('');
-    };
-    
-    // --- Memoized Calculations for UI ---
-    const { positionValue, marginRequired, totalPnl, marginUsed, freeMargin } = useMemo(() => {
-        const currentSymbolPrices = prices[selectedSymbol.name];
-        const contractSize = (selectedSymbol.name.includes('BTC') || selectedSymbol.name.includes('ETH')) ? 1 : LOT_SIZE;
-        const positionValue = (currentSymbolPrices?.ask * lots * contractSize) || 0;
-        const marginRequired = positionValue / leverage;
-        
-        const totalPnl = positions.reduce((acc, pos) => acc + (pos.pnl || 0), 0);
-        const marginUsed = positions.reduce((acc, pos) => {
-            const posContractSize = (pos.symbol.includes('BTC') || pos.symbol.includes('ETH')) ? 1 : LOT_SIZE;
-            return acc + (pos.entryPrice * pos.lots * posContractSize) / pos.leverage;
-        }, 0);
-        const freeMargin = availableCapital + totalPnl - marginUsed;
-        
-        return { positionValue, marginRequired, totalPnl, marginUsed, freeMargin };
-    }, [prices, selectedSymbol, lots, leverage, positions, availableCapital]);
-    
-    const visibleSymbols = useMemo(() => {
-        return ALL_SYMBOLS.filter(s => !hiddenSymbols.includes(s.name))
-    }, [hiddenSymbols]);
+        // Update the ref immediately so a second fill on the same tick sees this margin
+        positionsRef.current = [...currentPositions, newPosition];
+        setPositions(prev => [...prev, newPosition]);
+        if (replay) return newPosition; // Replay positions live only for the session
 
-    const handleSelectSymbol = (symbol) => {
-        // Clear orders from old symbol
-        openOrders.forEach(order => {
-            if(order) try { order.remove() } catch(e){ /* ignore */ }
+        const positionRef = traderDoc('positions', newPosition.id);
+        const orderRef = fromOrderId && traderDoc('pendingOrders', fromOrderId);
+        const fillOffline = () => {
+            // Offline the `update` stands in for the transaction's read: the batch
+            // is rejected on sync if the order is gone from the server by then
+            const batch = writeBatch(db);
+            batch.update(orderRef, { filledAt: Date.now() });
+            batch.delete(orderRef);
+            batch.set(positionRef, toFirestoreRecord(newPosition));
+            return batch.commit();
+        };
+        const persist = trackWrite(!fromOrderId
+            ? setDoc(positionRef, toFirestoreRecord(newPosition))
+            : !isServerReachable()
+                ? fillOffline()
+                // Filling a pending order must consume it exactly once across tabs
+                : runTransaction(db, async (transaction) => {
+                    const orderSnap = await transaction.get(orderRef);
+                    if (!orderSnap.exists()) throw new Error("Pending order was already filled or cancelled.");
+                    transaction.delete(orderRef);
+                    transaction.set(positionRef, toFirestoreRecord(newPosition));
+                }));
+        persist.catch((error) => {
+            console.error("Error saving position:", error);
+            positionsRef.current = positionsRef.current.filter(p => p.id !== newPosition.id);
+            setPositions(prev => prev.filter(p => p.id !== newPosition.id));
         });
-        setOpenOrders([]); // Clear the array
-        
-        setSelectedSymbol(symbol);
-        setMobileTab('chart'); // Switch to chart view on mobile
+        return newPosition;
+    }, [availableCapital, instruments, maxSlippagePips, toAccountCurrency, showMessage, traderDoc]);
+
+    // Fills, arms and expires pending orders on every price tick
+    const checkPendingOrders = useCallback((symbolName, bid, ask) => {
+        const orders = pendingOrdersRef.current;
+        if (orders.length === 0) return;
+
+        const now = Date.now();
+        let changed = false;
+        const remainingOrders = [];
+        orders.forEach(order => {
+            if (order.expiresAt && now >= order.expiresAt) {
+                showMessage(`${order.symbol} ${order.type} ${order.orderType.replace('_', ' ').toUpperCase()} expired`, false);
+                if (!order.replay) {
+                    trackWrite(deleteDoc(traderDoc('pendingOrders', order.id))).catch(e => console.error("Error removing expired order:", e));
+                }
+                changed = true;
+                return;
+            }
+            if (order.symbol !== symbolName || Boolean(order.replay) !== replayModeRef.current) { remainingOrders.push(order); return; }
+            // Orders wait while their market is closed instead of filling on off-hours quotes
+            if (!order.replay && !isMarketOpen(getInstrument(order.symbol, instruments))) { remainingOrders.push(order); return; }
+
+            const action = evaluatePendingOrder(order, bid, ask);
+            if (action === 'arm') {
+                remainingOrders.push({ ...order, armed: true });
+                if (!order.replay) {
+                    trackWrite(setDoc(traderDoc('pendingOrders', order.id), { armed: true }, { merge: true })).catch(e => console.error("Error arming order:", e));
+                }
+                changed = true;
+            } else if (action === 'fill') {
+                // The daily loss lock and a blocking position cap also apply to orders placed before them
+                const openCount = positionsRef.current.filter(p => !p.replay).length;
+                const blockedReason = order.replay ? null
+                    : isTradingLocked ? 'trading is locked for the day'
+                    : riskLimits.enforcement === 'block' && riskLimits.maxOpenPositions > 0 && openCount >= riskLimits.maxOpenPositions
+                        ? `max ${riskLimits.maxOpenPositions} open positions` : null;
+                if (blockedReason) {
+                    showMessage(`Pending ${order.type} ${order.symbol} cancelled: ${blockedReason}`, false);
+                    trackWrite(deleteDoc(traderDoc('pendingOrders', order.id))).catch(e => console.error("Error removing blocked order:", e));
+                    changed = true;
+                    return;
+                }
+                const fillPrice = order.type === 'BUY' ? ask : bid;
+                // Stops trigger market executions; limits (and armed stop-limits) fill at their price
+                const position = openPosition({ ...order, price: fillPrice, slip: order.orderType === 'stop' }, order.replay ? null : order.id);
+                if (position) {
+                    showMessage(`Filled ${order.type} ${order.lots} lot ${order.symbol} @ ${position.entryPrice.toFixed(5)}`, true);
+                } else {
+                    showMessage(`Pending ${order.type} ${order.symbol} rejected: not enough free margin`, false);
+                    if (!order.replay) {
+                        trackWrite(deleteDoc(traderDoc('pendingOrders', order.id))).catch(e => console.error("Error removing rejected order:", e));
+                    }
+                }
+                changed = true;
+            } else {
+                remainingOrders.push(order);
+            }
+        });
+
+        if (changed) {
+            pendingOrdersRef.current = remainingOrders;
+            setPendingOrders(remainingOrders);
+        }
+    }, [instruments, isTradingLocked, riskLimits, openPosition, showMessage, traderDoc]);
+
+    const handlePriceTick = useCallback((symbolName, bid, ask, time) => {
+        checkPriceTriggers(symbolName, bid, ask);
+        checkPendingOrders(symbolName, bid, ask);
+        const mid = (bid + ask) / 2;
+        setCandles(prev => addToCandles(prev, symbolName, time, { open: mid, high: mid, low: mid, close: mid }));
+    }, [checkPriceTriggers, checkPendingOrders]);
+
+    // The active price source; a new feed object restarts the stream
+    const feed = useMemo(() => {
+        const createFeed = () => {
+            if (barReplay) {
+                const symbol = getInstrument(barReplay.symbolName, feedSymbols);
+                return createBarReplayFeed(symbol, barReplay.bars, { startIndex: barReplay.startIndex });
+            }
+            if (feedSource === 'replay') return createReplayFeed(replayTicks);
+            if (feedSource === 'websocket') return createWebSocketFeed(feedUrl, feedSymbols);
+            return createRandomWalkFeed(feedSymbols);
+        };
+        return maxSpreadMultiplier > 1 ? withSpreadWidening(createFeed(), maxSpreadMultiplier) : createFeed();
+    }, [barReplay, feedSource, replayTicks, feedUrl, feedSymbols, maxSpreadMultiplier]);
+
+    // Speed changes apply to the running feed instead of restarting it
+    useEffect(() => {
+        feed.setSpeed?.(replaySpeed);
+    }, [feed, replaySpeed]);
+
+    const handleTickFileLoad = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const ticks = parseTickFile(reader.result, instruments);
+                if (ticks.length === 0) {
+                    showMessage("No usable ticks found in file.", false);
+                    return;
+                }
+                setReplayTicks(ticks);
+                setReplayFileName(file.name);
+                setFeedSource('replay');
+                setCandles({});
+                showMessage(`Loaded ${ticks.length} ticks from ${file.name}`, true);
+            } catch (error) {
+                console.error("Could not parse tick file:", error);
+                showMessage("Could not read tick file.", false);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    const handleBarFileLoad = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const bars = parseBarFile(reader.result);
+                if (bars.length === 0) {
+                    showMessage("No usable bars found in file.", false);
+                    return;
+                }
+                setBarFile({ name: file.name, bars });
+                setBarStartDate(new Date(bars[0].time).toISOString().split('T')[0]);
+                // Pre-select the symbol if the file name mentions one, e.g. "EURUSD_M5.csv"
+                const guessed = instruments.find(s => file.name.toUpperCase().includes(s.name.replace('/', '')));
+                if (guessed) setBarSymbolName(guessed.name);
+            } catch (error) {
+                console.error("Could not parse bar file:", error);
+                showMessage("Could not read bar file.", false);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    const handleStartBarReplay = () => {
+        const startTime = new Date(barStartDate + "T00:00:00").getTime();
+        const startIndex = barFile.bars.findIndex(bar => bar.time >= startTime);
+        if (startIndex === -1) {
+            showMessage("No bars on or after the chosen start date.", false);
+            return;
+        }
+        setBarReplay({ symbolName: barSymbolName, bars: barFile.bars, startIndex });
+        // Seed the chart with the history leading up to the start date
+        const history = barFile.bars.slice(Math.max(0, startIndex - MAX_CHART_BARS), startIndex);
+        setCandles(history.reduce((acc, bar) => addToCandles(acc, barSymbolName, bar.time, bar), {}));
+        handleSelectSymbol(getInstrument(barSymbolName, instruments));
+        setIsBarReplayModalOpen(false);
+        showMessage(`Replay started: ${barSymbolName} from ${barStartDate}`, true);
+    };
+
+    const handleExitBarReplay = () => {
+        feed.pause?.();
+        // Settle the session so nothing from the replay leaks into live trading
+        positionsRef.current.filter(p => p.replay).forEach(p => handleClosePosition(p, null, 'Replay Ended'));
+        pendingOrdersRef.current = pendingOrdersRef.current.filter(o => !o.replay);
+        setPendingOrders(pendingOrdersRef.current);
+        setBarReplay(null);
+        setCandles({});
+    };
+
+    const handleFeedSourceChange = (source) => {
+        if (source === 'replay' && replayTicks.length === 0) {
+            showMessage("Load a tick file to start a replay.", false);
+            return;
+        }
+        setFeedSource(source);
+        setCandles({});
+    };
+
+
+    const { prices, feedStatus } = usePriceFeed(feedSymbols, feed, handlePriceTick); // <-- 4. Define prices
+
+    // **NEW:** Add effect to update the ref
+    useEffect(() => {
+        pricesRef.current = prices;
+    }, [prices]);
+
+    // Live PnL Update Effect, which also runs the margin call / stop-out engine
+    useEffect(() => {
+        if (positions.length === 0) {
+            marginCallRef.current = false;
+            return;
+        }
+        const interval = setInterval(() => {
+            const currentPrices = pricesRef.current;
+            if (!currentPrices) return;
+
+            const now = Date.now();
+            const swapCharges = [];
+            const updatedPositions = positionsRef.current.map(pos => {
+                const currentPrice = currentPrices[pos.symbol];
+                if (!currentPrice || Boolean(pos.replay) !== replayModeRef.current) return pos;
+                
+                const newPrice = pos.type === 'BUY' ? currentPrice.bid : currentPrice.ask;
+                const instrument = getInstrument(pos.symbol, instruments);
+                const grossPnl = toAccountCurrency(calculatePnl(instrument, pos.type, pos.entryPrice, newPrice, pos.lots), instrument.quoteCurrency);
+
+                // Overnight swap for every rollover cutoff passed; replay positions live on historical time and skip it
+                let swap = pos.swap || 0;
+                let swapChargedAt = pos.swapChargedAt || pos.openedAt || now;
+                if (!pos.replay) {
+                    const { days, lastCutoff } = countSwapDays(instrument, swapChargedAt, now, swapCutoffHour);
+                    if (lastCutoff) {
+                        const swapRate = (pos.type === 'BUY' ? instrument.swapLong : instrument.swapShort) || 0;
+                        swap += toAccountCurrency(swapRate * pos.lots * days, instrument.quoteCurrency);
+                        swapChargedAt = lastCutoff;
+                        swapCharges.push({ id: pos.id, swap, swapChargedAt });
+                    }
+                }
+
+                const pnl = grossPnl + swap - (pos.commission || 0);
+                return { ...pos, pnl, swap, swapChargedAt, currentPrice: newPrice };
+            });
+            positionsRef.current = updatedPositions;
+            setPositions(updatedPositions);
+            swapCharges.forEach(({ id, ...changes }) => {
+                trackWrite(setDoc(traderDoc('positions', id), changes, { merge: true })).catch(e => console.error("Error charging swap:", e));
+            });
+
+            // Margin engine: warn at the margin call level, liquidate the worst position at stop-out
+            const modePositions = updatedPositions.filter(p => Boolean(p.replay) === replayModeRef.current);
+            const { marginUsed, marginLevel } = getAccountMetrics(modePositions, availableCapital, instruments, toAccountCurrency);
+            if (marginUsed <= 0 || modePositions.length === 0) return;
+            if (marginLevel <= stopOutLevel) {
+                const worstPosition = modePositions.reduce((worst, pos) => (pos.pnl < worst.pnl ? pos : worst));
+                handleClosePosition(worstPosition, null, 'Stop Out');
+            } else if (marginLevel <= marginCallLevel) {
+                if (!marginCallRef.current) {
+                    marginCallRef.current = true;
+                    showMessage(`MARGIN CALL: margin level ${marginLevel.toFixed(1)}% (stop out at ${stopOutLevel}%)`, false);
+                }
+            } else {
+                marginCallRef.current = false;
+            }
+        }, 1000); // Update PnL every second
+        return () => clearInterval(interval);
+    }, [positions.length, availableCapital, marginCallLevel, stopOutLevel, swapCutoffHour, instruments, toAccountCurrency, handleClosePosition, showMessage, traderDoc]);
+
+    const floatingPnl = useMemo(() => positions.filter(p => !p.replay).reduce((acc, p) => acc + (p.pnl || 0), 0), [positions]);
+    // Today's live P&L: trades closed today plus what is still open
+    const dailyPnl = useMemo(() => {
+        const today = toLocalDateString(Date.now());
+        return floatingPnl + tradeHistory.filter(t => t.closedAt && toLocalDateString(t.closedAt) === today).reduce((acc, t) => acc + (t.pnl || 0), 0);
+    }, [tradeHistory, floatingPnl]);
+
+    // Prop-firm limits are judged on live equity: the journal only sees closed
+    // trades, so an open position can breach a limit before anything is logged
+    useEffect(() => {
+        onFloatingPnlChange(floatingPnl);
+    }, [floatingPnl, onFloatingPnlChange]);
+
+    // Daily loss limit: once today's P&L reaches it, new trades are locked until tomorrow.
+    // Open positions are left to their stops.
+    useEffect(() => {
+        const today = toLocalDateString(Date.now());
+        if (isTradingLocked || riskLockRequestedRef.current === today) return;
+        const lossLimit = getDailyLossLimit(riskLimits, availableCapital);
+        if (lossLimit === null || dailyPnl > -lossLimit) return;
+        riskLockRequestedRef.current = today;
+        onTraderSettingsChange({ riskLockDate: today });
+        showMessage(`DAILY LOSS LIMIT: down ${Math.abs(dailyPnl).toFixed(2)} today (limit ${lossLimit.toFixed(2)}). Trading is locked until tomorrow.`, false);
+    }, [dailyPnl, isTradingLocked, riskLimits, availableCapital, onTraderSettingsChange, showMessage]);
+
+    // Checks a new live order against the risk limits and reports what it breaks.
+    // Returns whether the order may go ahead: warnings let it through, blocks and the lock don't.
+    const passesRiskLimits = (order) => {
+        if (isReplayMode) return true; // Replays trade on history, apart from today's account
+        if (isTradingLocked) {
+            showMessage("Daily loss limit hit: trading is locked until tomorrow.", false);
+            return false;
+        }
+        const today = toLocalDateString(Date.now());
+        const livePositions = positionsRef.current.filter(p => !p.replay);
+        const tradesToday = countTradesOpenedOn([...livePositions, ...tradeHistory], today, toLocalDateString);
+        const violations = getRiskViolations(order, {
+            limits: riskLimits,
+            instrument: getInstrument(order.symbol, instruments),
+            capital: availableCapital,
+            openPositionCount: livePositions.length,
+            tradesToday,
+            toAccountCurrency,
+        });
+        if (violations.length === 0) return true;
+        const blocked = riskLimits.enforcement === 'block';
+        showMessage(`${blocked ? 'ORDER BLOCKED' : 'RISK WARNING'}: ${violations.join(' ')}`, false);
+        return !blocked;
+    };
+
+    // During a bar replay only the replayed symbol has a moving market
+    const isTradableSymbol = !isReplayMode || selectedSymbol.name === barReplay.symbolName;
+
+    // Expected fill price of an order from the panel: the market quote, or the
+    // pending order's fill price (the limit price of a stop-limit, otherwise the trigger)
+    const getOrderEntryPrice = (type) => {
+        if (orderType === 'market') {
+            const currentPrice = prices[selectedSymbol.name];
+            return currentPrice && (type === 'BUY' ? currentPrice.ask : currentPrice.bid);
+        }
+        return parseFloat(pendingType === 'stop_limit' ? limitPrice : triggerPrice);
+    };
+
+    // Size and stop loss of an order from the panel: the entered lots, or in risk
+    // sizing mode the lots that lose the chosen risk at the stop
+    const getOrderSizing = (type, entryPrice) => {
+        const orderStopLoss = resolveStopLoss(selectedSymbol, type, entryPrice, stopLoss, stopLossUnit);
+        if (sizingMode === 'lots') return { lots, stopLoss: orderStopLoss, error: null };
+        const riskAmount = riskUnit === 'percent' ? availableCapital * parseFloat(riskValue) / 100 : parseFloat(riskValue);
+        const stopDistance = orderStopLoss ? Math.abs(entryPrice - orderStopLoss) : 0;
+        return { ...calculateRiskLots(selectedSymbol, riskAmount, stopDistance, toAccountCurrency), stopLoss: orderStopLoss };
+    };
+
+    const handleMarketOrder = (type) => {
+        const currentPrice = prices[selectedSymbol.name];
+        if (!currentPrice) { showMessage("Market prices not available.", false); return; }
+        if (!isTradableSymbol) { showMessage(`Only ${barReplay.symbolName} can be traded during the replay.`, false); return; }
+        const price = type === 'BUY' ? currentPrice.ask : currentPrice.bid;
+        const sizing = getOrderSizing(type, price);
+        if (sizing.error) { showMessage(sizing.error, false); return; }
+        const lotError = getLotSizeError(selectedSymbol, sizing.lots);
+        if (lotError) { showMessage(lotError, false); return; }
+
+        if (!passesRiskLimits({ symbol: selectedSymbol.name, type, lots: sizing.lots, price, stopLoss: sizing.stopLoss })) return;
+        const position = openPosition({
+            symbol: selectedSymbol.name,
+            replay: isReplayMode,
+            type, leverage, price,
+            lots: sizing.lots,
+            slip: true,
+            stopLoss: sizing.stopLoss,
+            takeProfit: takeProfit ? parseFloat(takeProfit) : null,
+        });
+        if (!position) return;
+
+        showMessage(`${type} ${sizing.lots} lot ${selectedSymbol.name} @ ${position.entryPrice.toFixed(5)}`, true);
+        setStopLoss('');
+        setTakeProfit('');
+    };
+
+    const handlePendingOrder = (type) => {
+        const currentPrice = prices[selectedSymbol.name];
+        if (!currentPrice) { showMessage("Market prices not available.", false); return; }
+        if (!isTradableSymbol) { showMessage(`Only ${barReplay.symbolName} can be traded during the replay.`, false); return; }
+
+        const price = parseFloat(triggerPrice);
+        if (!(price > 0)) { showMessage("Enter a valid trigger price.", false); return; }
+        const stopLimitPrice = parseFloat(limitPrice);
+        if (pendingType === 'stop_limit' && !(stopLimitPrice > 0)) { showMessage("Enter a valid limit price.", false); return; }
+
+        // A limit must sit on the better side of the market and a stop on the worse side,
+        // otherwise it would fill immediately and should be a market order instead.
+        const marketPrice = type === 'BUY' ? currentPrice.ask : currentPrice.bid;
+        const isAbove = price > marketPrice;
+        const mustBeAbove = (pendingType === 'limit') ? type === 'SELL' : type === 'BUY';
+        if (isAbove !== mustBeAbove) {
+            showMessage(`${type} ${pendingType.replace('_', ' ')} price must be ${mustBeAbove ? 'above' : 'below'} ${marketPrice.toFixed(5)}`, false);
+            return;
+        }
+
+        const expiresAt = getOrderExpiry(expiryMode, expiryTime);
+        if (expiresAt !== null && (isNaN(expiresAt) || expiresAt <= Date.now())) {
+            showMessage("Expiry time must be in the future.", false);
+            return;
+        }
+        // Sizing and risk are measured from where the order fills
+        const fillPrice = getOrderEntryPrice(type);
+        const sizing = getOrderSizing(type, fillPrice);
+        if (sizing.error) { showMessage(sizing.error, false); return; }
+        const lotError = getLotSizeError(selectedSymbol, sizing.lots);
+        if (lotError) { showMessage(lotError, false); return; }
+        if (!passesRiskLimits({ symbol: selectedSymbol.name, type, lots: sizing.lots, price: fillPrice, stopLoss: sizing.stopLoss })) return;
+
+        const newOrder = {
+            id: crypto.randomUUID(),
+            symbol: selectedSymbol.name,
+            type, leverage,
+            lots: sizing.lots,
+            orderType: pendingType,
+            price,
+            limitPrice: pendingType === 'stop_limit' ? stopLimitPrice : null,
+            armed: false,
+            stopLoss: sizing.stopLoss,
+            takeProfit: takeProfit ? parseFloat(takeProfit) : null,
+            expiry: expiryMode,
+            expiresAt,
+            createdTime: new Date().toLocaleString(),
+            createdAt: Date.now(),
+            replay: isReplayMode,
+        };
+
+        pendingOrdersRef.current = [...pendingOrdersRef.current, newOrder];
+        setPendingOrders(pendingOrdersRef.current);
+        if (!newOrder.replay) {
+            trackWrite(setDoc(traderDoc('pendingOrders', newOrder.id), newOrder)).catch(e => console.error("Error saving pending order:", e));
+        }
+        showMessage(`Placed ${type} ${pendingType.replace('_', ' ').toUpperCase()} ${sizing.lots} lot ${selectedSymbol.name} @ ${price}`, true);
+        setTriggerPrice('');
+        setLimitPrice('');
+        setStopLoss('');
+        setTakeProfit('');
+    };
+
+    const handleCancelPendingOrder = (order) => {
+        pendingOrdersRef.current = pendingOrdersRef.current.filter(o => o.id !== order.id);
+        setPendingOrders(pendingOrdersRef.current);
+        if (!order.replay) {
+            trackWrite(deleteDoc(traderDoc('pendingOrders', order.id))).catch(e => console.error("Error cancelling order:", e));
+        }
+        showMessage("Pending order cancelled", false);
+    };
+
+    // Changes the protective levels of an open position. `changes` may hold `stopLoss`,
+    // `takeProfit`, `trailingStop` and `breakEvenPips`; null removes a level.
+    // Returns whether the change was accepted.
+    const handleModifyPosition = (positionId, changes) => {
+        const pos = positionsRef.current.find(p => p.id === positionId);
+        const currentPrice = pos && prices[pos.symbol];
+        if (!currentPrice) return false;
+        const closePrice = pos.type === 'BUY' ? currentPrice.bid : currentPrice.ask;
+        const error = validateProtectiveLevels(pos.type, closePrice, { stopLoss: pos.stopLoss, takeProfit: pos.takeProfit, ...changes });
+        if (error) {
+            showMessage(error, false);
+            return false;
+        }
+        // A new stop loss is held to the same SL rules as a new order, measured from the entry
+        if (!pos.replay && 'stopLoss' in changes && changes.stopLoss !== pos.stopLoss) {
+            const violations = getRiskViolations({ ...pos, price: pos.entryPrice, stopLoss: changes.stopLoss }, {
+                limits: { ...riskLimits, maxOpenPositions: 0, maxTradesPerDay: 0 },
+                instrument: getInstrument(pos.symbol, instruments),
+                capital: availableCapital,
+                toAccountCurrency,
+            });
+            if (violations.length > 0) {
+                const blocked = riskLimits.enforcement === 'block';
+                showMessage(`${blocked ? 'CHANGE BLOCKED' : 'RISK WARNING'}: ${violations.join(' ')}`, false);
+                if (blocked) return false;
+            }
+        }
+        updatePosition(pos, changes);
+        return true;
+    };
+
+    const openModifyPosition = (pos) => {
+        setModifyForm({
+            positionId: pos.id,
+            stopLoss: pos.stopLoss ?? '',
+            takeProfit: pos.takeProfit ?? '',
+            trailingDistance: pos.trailingStop?.distance ?? '',
+            trailingUnit: pos.trailingStop?.unit || 'pips',
+            breakEvenPips: pos.breakEvenPips ?? '',
+            closeLots: '',
+        });
+    };
+    const modifyingPosition = modifyForm && positions.find(p => p.id === modifyForm.positionId);
+
+    const handleSaveModify = () => {
+        const parseLevel = (value) => (value === '' ? null : parseFloat(value));
+        const trailingDistance = parseLevel(modifyForm.trailingDistance);
+        const breakEvenPips = parseLevel(modifyForm.breakEvenPips);
+        if ((trailingDistance !== null && !(trailingDistance > 0)) || (breakEvenPips !== null && !(breakEvenPips > 0))) {
+            showMessage("Trailing and break-even distances must be positive.", false);
+            return;
+        }
+        const changes = {
+            stopLoss: parseLevel(modifyForm.stopLoss),
+            takeProfit: parseLevel(modifyForm.takeProfit),
+            trailingStop: trailingDistance !== null ? { distance: trailingDistance, unit: modifyForm.trailingUnit } : null,
+            breakEvenPips,
+        };
+        if (handleModifyPosition(modifyForm.positionId, changes)) {
+            showMessage(`Updated ${modifyingPosition.symbol} position`, true);
+            setModifyForm(null);
+        }
+    };
+
+    const handlePartialClose = () => {
+        const closeLots = parseFloat(modifyForm.closeLots);
+        if (!(closeLots > 0) || closeLots >= modifyingPosition.lots) {
+            showMessage(`Partial close must be less than ${modifyingPosition.lots} lots.`, false);
+            return;
+        }
+        const lotError = getLotSizeError(getInstrument(modifyingPosition.symbol, instruments), closeLots);
+        if (lotError) {
+            showMessage(lotError, false);
+            return;
+        }
+        handleClosePosition(modifyingPosition, null, 'Partial Close', closeLots);
+        setModifyForm(form => ({ ...form, closeLots: '' }));
+    };
+
+    const handleAddInstrument = () => {
+        const name = instrumentForm.name.trim().toUpperCase();
+        const [base, pips, spread, contractSize, minLot, maxLot, lotStep, marginRate] =
+            ['base', 'pips', 'spread', 'contractSize', 'minLot', 'maxLot', 'lotStep', 'marginRate'].map(key => parseFloat(instrumentForm[key]));
+        if (!name || instruments.some(s => s.name === name)) {
+            showMessage("Enter a unique instrument name.", false);
+            return;
+        }
+        if (![base, pips, contractSize, minLot, maxLot, lotStep].every(value => value > 0) || !(spread >= 0) || !(marginRate >= 0) || minLot > maxLot) {
+            showMessage("Check the instrument values.", false);
+            return;
+        }
+        const instrument = {
+            name, base, pips, spread, contractSize,
+            quoteCurrency: instrumentForm.quoteCurrency.trim().toUpperCase() || 'USD',
+            tickSize: pips, tickValue: pips * contractSize,
+            minLot, maxLot, lotStep,
+            tradingHours: null,
+            marginRate: marginRate / 100,
+            commission: null, swapLong: 0, swapShort: 0,
+            custom: true,
+        };
+        // P&L in a currency that can't be converted would be mixed into the account unconverted
+        if (getConversionRate(instrument.quoteCurrency, accountCurrency, pricesRef.current, [...instruments, instrument]) === null) {
+            showMessage(`No rate converts ${instrument.quoteCurrency} to ${accountCurrency}. Add an instrument pricing ${instrument.quoteCurrency} against ${accountCurrency} or USD first.`, false);
+            return;
+        }
+        onCustomInstrumentsChange([...(customInstruments || []), instrument]);
+        setInstrumentForm(EMPTY_INSTRUMENT_FORM);
+        showMessage(`Added instrument ${name}`, true);
+    };
+
+    const handleRemoveInstrument = (name) => {
+        if (positions.some(p => p.symbol === name) || pendingOrders.some(o => o.symbol === name)) {
+            showMessage(`Close ${name} positions and orders first.`, false);
+            return;
+        }
+        onCustomInstrumentsChange(customInstruments.filter(s => s.name !== name));
+        if (selectedSymbol.name === name) setSelectedSymbol(ALL_SYMBOLS[0]);
+    };
+
+    const openCostsModal = () => {
+        const instrument = getInstrument(selectedSymbol.name, instruments);
+        setCostsForm({
+            commissionType: instrument.commission?.type || 'none',
+            commissionRate: instrument.commission?.rate ?? '',
+            swapLong: instrument.swapLong ?? 0,
+            swapShort: instrument.swapShort ?? 0,
+            swapCutoffHour, maxSlippagePips, maxSpreadMultiplier,
+        });
+    };
+
+    const handleSaveCosts = () => {
+        const [commissionRate, swapLong, swapShort, cutoffHour, slippagePips, spreadMultiplier] =
+            ['commissionRate', 'swapLong', 'swapShort', 'swapCutoffHour', 'maxSlippagePips', 'maxSpreadMultiplier'].map(key => parseFloat(costsForm[key]));
+        if (costsForm.commissionType !== 'none' && !(commissionRate >= 0)) { showMessage("Enter a valid commission rate.", false); return; }
+        if (!isFinite(swapLong) || !isFinite(swapShort)) { showMessage("Enter valid swap rates.", false); return; }
+        if (!Number.isInteger(cutoffHour) || cutoffHour < 0 || cutoffHour > 23) { showMessage("Swap cutoff must be an hour from 0 to 23.", false); return; }
+        if (!(slippagePips >= 0) || !(spreadMultiplier >= 1)) { showMessage("Slippage must be 0 or more and spread widening 1x or more.", false); return; }
+
+        onTraderSettingsChange({
+            instrumentCosts: {
+                ...(instrumentCosts || {}),
+                [selectedSymbol.name]: {
+                    commission: costsForm.commissionType === 'none' ? null : { type: costsForm.commissionType, rate: commissionRate },
+                    swapLong, swapShort,
+                },
+            },
+            swapCutoffHour: cutoffHour,
+            maxSlippagePips: slippagePips,
+            maxSpreadMultiplier: spreadMultiplier,
+        });
+        setCostsForm(null);
+        showMessage("Execution costs updated", true);
+    };
+
+    const openRiskModal = () => setRiskForm({ ...riskLimits });
+
+    const handleSaveRisk = () => {
+        const [maxRiskPercent, maxDailyLossPercent, maxOpenPositions, maxTradesPerDay] =
+            ['maxRiskPercent', 'maxDailyLossPercent', 'maxOpenPositions', 'maxTradesPerDay'].map(key => parseFloat(riskForm[key]));
+        if (!(maxRiskPercent >= 0) || !(maxDailyLossPercent >= 0) || maxRiskPercent > 100 || maxDailyLossPercent > 100) {
+            showMessage("Risk percentages must be from 0 to 100.", false);
+            return;
+        }
+        if (![maxOpenPositions, maxTradesPerDay].every(value => Number.isInteger(value) && value >= 0)) {
+            showMessage("Position and trade limits must be whole numbers, 0 or more.", false);
+            return;
+        }
+        onTraderSettingsChange({
+            riskLimits: {
+                maxRiskPercent, maxDailyLossPercent, maxOpenPositions, maxTradesPerDay,
+                requireStopLoss: riskForm.requireStopLoss,
+                enforcement: riskForm.enforcement,
+            },
+        });
+        setRiskForm(null);
+        showMessage("Risk limits updated", true);
+    };
+
+    const handleChartLineDrag = (line, price) => {
+        handleModifyPosition(line.positionId, { [line.field]: price });
+    };
+
+    // What the order in the panel would risk and could make. The side isn't known
+    // until BUY or SELL is pressed, so it follows from where a stop loss price sits.
+    const orderPreview = (() => {
+        const currentPrice = prices[selectedSymbol.name];
+        if (!currentPrice) return null;
+        const reference = orderType === 'market' ? (currentPrice.bid + currentPrice.ask) / 2 : getOrderEntryPrice('BUY');
+        const type = stopLossUnit === 'price' && parseFloat(stopLoss) > reference ? 'SELL' : 'BUY';
+        const entryPrice = getOrderEntryPrice(type);
+        if (!(entryPrice > 0)) return null;
+        const sizing = getOrderSizing(type, entryPrice);
+        const riskAmount = calculateRiskAtStop(selectedSymbol, { type, price: entryPrice, lots: sizing.lots, stopLoss: sizing.stopLoss }, toAccountCurrency);
+        const target = parseFloat(takeProfit);
+        const rewardRatio = sizing.stopLoss && target > 0 ? Math.abs(target - entryPrice) / Math.abs(entryPrice - sizing.stopLoss) : null;
+        return { ...sizing, riskAmount, rewardRatio };
+    })();
+    const orderLots = orderPreview ? orderPreview.lots : lots;
+
+    // --- Memoized Calculations for UI ---
+    const { positionValue, marginRequired, equity, marginUsed, freeMargin, marginLevel } = useMemo(() => {
+        const currentSymbolPrices = prices[selectedSymbol.name];
+        const convert = (amount, currency) => convertAmount(amount, currency, accountCurrency, prices, instruments);
+        const positionValue = convert(calculatePositionValue(selectedSymbol, currentSymbolPrices?.ask || 0, orderLots), selectedSymbol.quoteCurrency);
+        const marginRequired = convert(calculateMargin(selectedSymbol, currentSymbolPrices?.ask || 0, orderLots, leverage), selectedSymbol.quoteCurrency);
+        
+        const modePositions = positions.filter(p => Boolean(p.replay) === isReplayMode);
+        const { equity, marginUsed, freeMargin, marginLevel } = getAccountMetrics(modePositions, availableCapital, instruments, convert);
+        
+        return { positionValue, marginRequired, equity, marginUsed, freeMargin, marginLevel };
+    }, [prices, selectedSymbol, orderLots, leverage, positions, availableCapital, isReplayMode, instruments, accountCurrency]);
+    const isMarginCall = marginUsed > 0 && marginLevel <= marginCallLevel;
+    
+    // Price lines drawn over the chart for the selected symbol; SL/TP of open positions can be dragged
+    const chartLines = useMemo(() => {
+        const lines = [];
+        const currentPrice = prices[selectedSymbol.name];
+        if (currentPrice) lines.push({ id: 'bid', price: currentPrice.bid, color: '#6b7280', style: 'dotted' });
+        positions.filter(p => p.symbol === selectedSymbol.name && Boolean(p.replay) === isReplayMode).forEach(pos => {
+            const side = `${pos.type} ${pos.lots}`;
+            lines.push({ id: `${pos.id}-entry`, price: pos.entryPrice, color: pos.type === 'BUY' ? '#3b82f6' : '#f97316', style: 'solid', label: side });
+            if (pos.stopLoss) lines.push({ id: `${pos.id}-sl`, price: pos.stopLoss, color: '#ef4444', style: 'dashed', label: `SL ${side}`, draggable: true, positionId: pos.id, field: 'stopLoss' });
+            if (pos.takeProfit) lines.push({ id: `${pos.id}-tp`, price: pos.takeProfit, color: '#22c55e', style: 'dashed', label: `TP ${side}`, draggable: true, positionId: pos.id, field: 'takeProfit' });
+        });
+        pendingOrders.filter(o => o.symbol === selectedSymbol.name && Boolean(o.replay) === isReplayMode).forEach(order => {
+            const label = `${order.type} ${order.orderType.replace('_', ' ').toUpperCase()} ${order.lots}`;
+            lines.push({ id: `${order.id}-trigger`, price: order.price, color: '#eab308', style: 'dashed', label });
+            if (order.limitPrice) lines.push({ id: `${order.id}-limit`, price: order.limitPrice, color: '#eab308', style: 'dotted', label: `${label} limit` });
+        });
+        return lines;
+    }, [prices, selectedSymbol, positions, pendingOrders, isReplayMode]);
+
+    const visibleSymbols = useMemo(() => {
+        return instruments.filter(s => !hiddenSymbols.includes(s.name))
+    }, [instruments, hiddenSymbols]);
+
+    const handleSelectSymbol = (symbol) => {
+        setSelectedSymbol(symbol);
+        setMobileTab('chart'); // Switch to chart view on mobile
     };
     
     // --- Sub-Components for Trader ---
     
-    const SymbolList = () => (
+    const renderSymbolList = () => (
         <div className="flex flex-col h-full">
             <div className="flex justify-between items-center p-2 border-b border-cyan-700/30 dark:border-cyan-500/50">
                 <div className="grid grid-cols-3 text-xs font-bold w-full"><span>Symbol</span><span className="text-right">Bid</span><span className="text-right">Ask</span></div>
                 <button onClick={() => setIsSymbolModalOpen(true)} className="ml-2 text-gray-400 hover:text-cyan-400"><PencilIcon /></button>
             </div>
+            <button onClick={() => setIsFeedModalOpen(true)} className="flex items-center gap-2 px-2 py-1 text-[10px] text-left text-gray-500 dark:text-gray-400 hover:text-cyan-400 border-b border-cyan-700/30 dark:border-cyan-500/50">
+                <span className={`h-2 w-2 rounded-full ${feedStatus.status === 'live' ? 'bg-green-500' : ['connecting', 'paused'].includes(feedStatus.status) ? 'bg-yellow-500' : 'bg-red-500'}`}></span>
+                FEED: {isReplayMode ? `Bar Replay ${barReplay.symbolName}` : FEED_SOURCES.find(f => f.value === feedSource).label} ({feedStatus.status})
+            </button>
+            {!isReplayMode && (
+                <button onClick={() => setIsBarReplayModalOpen(true)} className="px-2 py-1 text-[10px] text-left font-bold text-fuchsia-600 dark:text-fuchsia-400 hover:text-cyan-400 border-b border-cyan-700/30 dark:border-cyan-500/50">
+                    ▶ BAR REPLAY PRACTICE
+                </button>
+            )}
             <div className="flex-1 terminal-scrollbar overflow-y-auto">
                 {visibleSymbols.map(symbol => {
                     const price = prices[symbol.name];
@@ -680,7 +2946,7 @@ const DemoTrader = ({ onTradeClose, theme, availableCapital, onSymbolVisibilityC
                     const precision = symbol.pips === 0.01 ? 2 : 5;
                     return (
                         <div key={symbol.name} onClick={() => handleSelectSymbol(symbol)} className={`grid grid-cols-3 text-xs p-1.5 cursor-pointer rounded ${selectedSymbol.name === symbol.name ? 'bg-cyan-600/30' : 'hover:bg-gray-300 dark:hover:bg-gray-700'}`}>
-                            <span className="font-bold">{symbol.name}</span>
+                            <span className="font-bold">{symbol.name}{!isReplayMode && !isMarketOpen(symbol) && <span className="ml-1 text-[9px] text-gray-500">CLOSED</span>}</span>
                             <span className="font-mono text-right text-red-600 dark:text-red-400">{price.bid.toFixed(precision)}</span>
                             <span className="font-mono text-right text-green-600 dark:text-green-400">{price.ask.toFixed(precision)}</span>
                         </div>
@@ -690,28 +2956,130 @@ const DemoTrader = ({ onTradeClose, theme, availableCapital, onSymbolVisibilityC
         </div>
     );
     
-    const ChartPanel = () => (
+    const renderChartPanel = () => (
         <div className="flex-1 p-2 flex flex-col h-full">
-            <h3 className="text-lg font-bold text-cyan-600 dark:text-cyan-400 mb-2 hidden md:block">CHART: {selectedSymbol.name}</h3>
-            <div className="flex-1 min-h-[300px] md:min-h-0" id="tradingview-widget-container" ref={tvWidgetRef}>
-                <div className="h-full w-full flex items-center justify-center bg-gray-200 dark:bg-gray-800"><p className="text-gray-500">Loading TradingView Chart...</p></div>
+            <div className="flex items-center gap-2 mb-2">
+                <h3 className="text-lg font-bold text-cyan-600 dark:text-cyan-400 hidden md:block">CHART: {selectedSymbol.name}</h3>
+                <div className="flex gap-1 ml-auto text-xs">
+                    {CHART_TIMEFRAMES.map(tf => (
+                        <button key={tf.value} onClick={() => setChartTimeframe(tf.value)} className={`px-2 py-0.5 font-bold ${chartTimeframe === tf.value ? 'bg-cyan-600/80 text-white' : 'bg-gray-300 dark:bg-gray-700'}`}>{tf.value}</button>
+                    ))}
+                </div>
+            </div>
+            {isReplayMode && (
+                <div className="flex flex-wrap items-center gap-2 mb-2 p-2 text-xs bg-fuchsia-900/20 border border-fuchsia-700/30 dark:border-fuchsia-500/50">
+                    <span className="font-bold text-fuchsia-600 dark:text-fuchsia-400">REPLAY {barReplay.symbolName}</span>
+                    <button onClick={() => feed.step()} disabled={feedStatus.status !== 'paused'} className="bg-gray-500/80 text-white px-2 py-0.5 font-bold disabled:opacity-50">STEP</button>
+                    {feedStatus.status === 'live'
+                        ? <button onClick={() => feed.pause()} className="bg-yellow-600/80 text-white px-2 py-0.5 font-bold">PAUSE</button>
+                        : <button onClick={() => feed.play()} disabled={feedStatus.status === 'ended'} className="bg-green-600/80 text-white px-2 py-0.5 font-bold disabled:opacity-50">PLAY</button>}
+                    <select value={replaySpeed} onChange={(e) => setReplaySpeed(Number(e.target.value))} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-0.5">
+                        {REPLAY_SPEED_OPTIONS.map(speed => <option key={speed} value={speed}>{speed}x</option>)}
+                    </select>
+                    <span className="font-mono text-gray-500 dark:text-gray-400">{feedStatus.detail}</span>
+                    <button onClick={handleExitBarReplay} className="ml-auto bg-red-600/80 text-white px-2 py-0.5 font-bold">EXIT REPLAY</button>
+                </div>
+            )}
+            <div className="flex-1 min-h-[300px] md:min-h-0">
+                <CandlestickChart
+                    bars={candles[selectedSymbol.name]?.[chartTimeframe] || []}
+                    lines={chartLines}
+                    theme={theme}
+                    precision={selectedSymbol.pips === 0.01 ? 2 : 5}
+                    onLineDrag={handleChartLineDrag}
+                />
             </div>
         </div>
     );
     
-    const TradePanel = () => (
+    const renderTradePanel = () => (
         <div className="w-full p-4 flex flex-col space-y-3">
             <div className="text-center text-xs space-y-1">
-                <div><span className="text-gray-500 dark:text-gray-400">Capital: </span><span className="font-bold text-cyan-600 dark:text-cyan-400">₹{formatNumber(availableCapital, true)}</span></div>
-                <div><span className="text-gray-500 dark:text-gray-400">Used Margin: </span><span className="font-bold">₹{formatNumber(marginUsed, true)}</span></div>
-                <div><span className="text-gray-500 dark:text-gray-400">Free Margin: </span><span className={`font-bold text-lg ${freeMargin >= 0 ? 'text-green-500' : 'text-red-500'}`}>₹{formatNumber(freeMargin, true)}</span></div>
+                <div><span className="text-gray-500 dark:text-gray-400">Capital: </span><span className="font-bold text-cyan-600 dark:text-cyan-400">{formatCurrency(availableCapital, accountCurrency)}</span></div>
+                <div><span className="text-gray-500 dark:text-gray-400">Equity: </span><span className="font-bold">{formatCurrency(Math.round(equity), accountCurrency)}</span></div>
+                <div><span className="text-gray-500 dark:text-gray-400">Used Margin: </span><span className="font-bold">{formatCurrency(marginUsed, accountCurrency)}</span></div>
+                <div><span className="text-gray-500 dark:text-gray-400">Free Margin: </span><span className={`font-bold text-lg ${freeMargin >= 0 ? 'text-green-500' : 'text-red-500'}`}>{formatCurrency(freeMargin, accountCurrency)}</span></div>
+                <div><span className="text-gray-500 dark:text-gray-400">Margin Level: </span><span className={`font-bold ${isMarginCall ? 'text-red-500' : ''}`}>{marginUsed > 0 ? `${marginLevel.toFixed(1)}%` : '—'}</span></div>
+            </div>
+            {isMarginCall && (
+                <div className="bg-red-800/80 border border-red-500 text-white text-xs text-center p-2 rounded">
+                    MARGIN CALL — positions will be stopped out at {stopOutLevel}%
+                </div>
+            )}
+            {evaluation?.status === 'failed' && !isReplayMode && (
+                <div className="bg-red-800/80 border border-red-500 text-white text-xs text-center p-2 rounded">
+                    EVALUATION FAILED — {evaluation.breach?.message}
+                </div>
+            )}
+            {isTradingLocked && !isReplayMode && (
+                <div className="bg-red-800/80 border border-red-500 text-white text-xs text-center p-2 rounded">
+                    DAILY LOSS LIMIT HIT — trading is locked until tomorrow
+                </div>
+            )}
+            <div className="flex gap-2 w-full">
+                <div className="flex-1">
+                    <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">Margin Call</label>
+                    <select value={marginCallLevel} onChange={(e) => onTraderSettingsChange({ marginCallLevel: Number(e.target.value) })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400">
+                        {MARGIN_CALL_OPTIONS.map(lvl => <option key={lvl} value={lvl} disabled={lvl <= stopOutLevel}>{lvl}%</option>)}
+                    </select>
+                </div>
+                <div className="flex-1">
+                    <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">Stop Out</label>
+                    <select value={stopOutLevel} onChange={(e) => onTraderSettingsChange({ stopOutLevel: Number(e.target.value) })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400">
+                        {STOP_OUT_OPTIONS.map(lvl => <option key={lvl} value={lvl} disabled={lvl >= marginCallLevel}>{lvl}%</option>)}
+                    </select>
+                </div>
             </div>
+            <button onClick={openCostsModal} className="text-[10px] text-left text-gray-500 dark:text-gray-400 hover:text-cyan-400">
+                COSTS: {formatCommission(getInstrument(selectedSymbol.name, instruments))} · SLIPPAGE {maxSlippagePips > 0 ? `≤${maxSlippagePips}p` : 'OFF'} · SPREAD {maxSpreadMultiplier > 1 ? `≤${maxSpreadMultiplier}x` : 'FIXED'}
+            </button>
+            <button onClick={openRiskModal} className="text-[10px] text-left text-gray-500 dark:text-gray-400 hover:text-cyan-400 -mt-2">
+                RISK ({riskLimits.enforcement === 'block' ? 'BLOCK' : 'WARN'}): {riskLimits.maxRiskPercent > 0 ? `≤${riskLimits.maxRiskPercent}%/TRADE` : 'ANY SIZE'} · DAILY {riskLimits.maxDailyLossPercent > 0 ? `-${riskLimits.maxDailyLossPercent}%` : 'OFF'} · TODAY <span className={dailyPnl < 0 ? 'text-red-500' : 'text-green-500'}>{formatCurrency(Math.round(dailyPnl), accountCurrency)}</span>{riskLimits.requireStopLoss ? ' · SL REQUIRED' : ''}
+            </button>
+            {evaluation && evaluation.status !== 'failed' && (
+                <div className="text-[10px] text-gray-500 dark:text-gray-400 -mt-2">
+                    EVALUATION: {evaluation.status.replace('-', ' ').toUpperCase()}
+                    {evaluation.rules.maxDailyLossPercent > 0 && ` · DAILY ROOM ${formatCurrency(Math.round(evaluation.today.dailyLossLimit + evaluation.today.pnl + floatingPnl), accountCurrency)}`}
+                    {evaluation.rules.maxLossPercent > 0 && ` · DD ROOM ${formatCurrency(Math.round(evaluation.today.startBalance + evaluation.today.pnl + floatingPnl - evaluation.today.floor), accountCurrency)}`}
+                </div>
+            )}
             <div className="flex bg-gray-300 dark:bg-gray-700 rounded-md p-1">
                 <button onClick={() => setOrderType('market')} className={`flex-1 text-center text-xs font-bold py-1.5 rounded ${orderType === 'market' ? 'bg-white dark:bg-gray-900 text-cyan-500' : 'text-gray-600 dark:text-gray-400'}`}>Market</button>
-                <button disabled onClick={() => setOrderType('pending')} className={`flex-1 text-center text-xs font-bold py-1.5 rounded ${orderType === 'pending' ? 'bg-white dark:bg-gray-900 text-cyan-500' : 'text-gray-600 dark:text-gray-400 opacity-50 cursor-not-allowed'}`}>Pending</button>
+                <button onClick={() => setOrderType('pending')} className={`flex-1 text-center text-xs font-bold py-1.5 rounded ${orderType === 'pending' ? 'bg-white dark:bg-gray-900 text-cyan-500' : 'text-gray-600 dark:text-gray-400'}`}>Pending</button>
             </div>
             <div className="flex-1 flex flex-col justify-between items-center">
                 <div className="w-full space-y-3">
+                    {orderType === 'pending' && (
+                        <>
+                            <div>
+                                <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">Order Type</label>
+                                <select value={pendingType} onChange={(e) => setPendingType(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-2 w-full focus:outline-none focus:ring-2 focus:ring-cyan-400">
+                                    {PENDING_ORDER_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                                </select>
+                            </div>
+                            <div className="flex gap-2 w-full">
+                                <div className="flex-1">
+                                    <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">{pendingType === 'limit' ? 'Limit Price' : 'Stop Price'}</label>
+                                    <input type="number" placeholder="Price" value={triggerPrice} onChange={(e) => setTriggerPrice(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-full focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                </div>
+                                {pendingType === 'stop_limit' && (
+                                    <div className="flex-1">
+                                        <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">Limit Price</label>
+                                        <input type="number" placeholder="Price" value={limitPrice} onChange={(e) => setLimitPrice(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-full focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                    </div>
+                                )}
+                            </div>
+                            <div>
+                                <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">Expiry</label>
+                                <select value={expiryMode} onChange={(e) => setExpiryMode(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-2 w-full focus:outline-none focus:ring-2 focus:ring-cyan-400">
+                                    {ORDER_EXPIRY_OPTIONS.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+                                </select>
+                                {expiryMode === 'time' && (
+                                    <input type="datetime-local" value={expiryTime} onChange={(e) => setExpiryTime(e.target.value)} className="mt-2 bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-full focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                )}
+                            </div>
+                        </>
+                    )}
                     <div>
                         <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">Leverage</label>
                         <select value={leverage} onChange={(e) => setLeverage(Number(e.target.value))} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-2 w-full focus:outline-none focus:ring-2 focus:ring-cyan-400">
@@ -719,43 +3087,90 @@ const DemoTrader = ({ onTradeClose, theme, availableCapital, onSymbolVisibilityC
                         </select>
                     </div>
                     <div>
-                        <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">Volume (Lots)</label>
-                        <input type="number" step="0.01" min="0.01" value={lots} onChange={(e) => setLots(parseFloat(e.target.value) || 0)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-full focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                        <div className="flex justify-between items-center mb-1">
+                            <label className="text-xs text-gray-500 dark:text-gray-400">{sizingMode === 'lots' ? 'Volume (Lots)' : 'Risk per Trade'}</label>
+                            <div className="flex text-[10px] font-bold">
+                                <button onClick={() => setSizingMode('lots')} className={`px-2 ${sizingMode === 'lots' ? 'text-cyan-500' : 'text-gray-500'}`}>LOTS</button>
+                                <button onClick={() => setSizingMode('risk')} className={`px-2 ${sizingMode === 'risk' ? 'text-cyan-500' : 'text-gray-500'}`}>RISK</button>
+                            </div>
+                        </div>
+                        {sizingMode === 'lots' ? (
+                            <input type="number" step={selectedSymbol.lotStep} min={selectedSymbol.minLot} max={selectedSymbol.maxLot} value={lots} onChange={(e) => setLots(parseFloat(e.target.value) || 0)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-full focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                        ) : (
+                            <div className="flex gap-2">
+                                <input type="number" min="0" step={riskUnit === 'percent' ? 0.1 : 1} value={riskValue} onChange={(e) => setRiskValue(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-full focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                <select value={riskUnit} onChange={(e) => setRiskUnit(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-2 focus:outline-none focus:ring-2 focus:ring-cyan-400">
+                                    <option value="percent">%</option>
+                                    <option value="amount">{accountCurrency}</option>
+                                </select>
+                            </div>
+                        )}
                         <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 text-center">
-                            <div>Value: ₹{formatNumber(positionValue, false)}</div>
-                            <div>Margin: ₹{formatNumber(marginRequired, false)}</div>
+                            {sizingMode === 'risk' && (
+                                <div className={orderPreview?.error ? 'text-yellow-500' : 'font-bold text-cyan-600 dark:text-cyan-400'}>{orderPreview?.error || `Size: ${orderLots} lots`}</div>
+                            )}
+                            <div>Value: {formatCurrency(positionValue, accountCurrency, false)}</div>
+                            <div>Margin: {formatCurrency(marginRequired, accountCurrency, false)}</div>
+                            {orderPreview?.stopLoss && orderLots > 0 && (
+                                <div>Risk at SL: <span className="text-red-500">{formatCurrency(orderPreview.riskAmount, accountCurrency, false)}</span>{availableCapital > 0 && ` (${(orderPreview.riskAmount / availableCapital * 100).toFixed(2)}%)`}</div>
+                            )}
+                            {orderPreview?.rewardRatio != null && (
+                                <div>R:R <span className={`font-bold ${orderPreview.rewardRatio >= 1 ? 'text-green-500' : 'text-yellow-500'}`}>1 : {orderPreview.rewardRatio.toFixed(2)}</span></div>
+                            )}
                         </div>
                     </div>
                     <div className="flex gap-2 w-full">
                         <div className="flex-1">
-                            <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">Stop Loss (Price)</label>
-                            <input type="number" placeholder="Optional" value={stopLoss} onChange={(e) => setStopLoss(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-full focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                            <div className="flex justify-between items-center mb-1">
+                                <label className="text-xs text-gray-500 dark:text-gray-400">Stop Loss</label>
+                                <select value={stopLossUnit} onChange={(e) => setStopLossUnit(e.target.value)} className="bg-transparent text-[10px] font-bold text-gray-500 dark:text-gray-400 focus:outline-none">
+                                    <option value="price">PRICE</option>
+                                    <option value="pips">PIPS</option>
+                                </select>
+                            </div>
+                            <input type="number" min="0" placeholder={sizingMode === 'risk' ? 'Required' : 'Optional'} value={stopLoss} onChange={(e) => setStopLoss(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-full focus:outline-none focus:ring-2 focus:ring-cyan-400" />
                         </div>
                         <div className="flex-1">
-                            <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">Take Profit (Price)</label>
+                            <div className="flex justify-between items-center mb-1">
+                                <label className="text-xs text-gray-500 dark:text-gray-400">Take Profit</label>
+                                <span className="text-[10px] font-bold text-gray-500 dark:text-gray-400">PRICE</span>
+                            </div>
                             <input type="number" placeholder="Optional" value={takeProfit} onChange={(e) => setTakeProfit(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-full focus:outline-none focus:ring-2 focus:ring-cyan-400" />
                         </div>
                     </div>
                 </div>
-                <div className="w-full flex gap-2 mt-4">
-                    <button onClick={() => handleMarketOrder('SELL')} disabled={!prices[selectedSymbol.name]} className="flex-1 bg-red-600/90 hover:bg-red-500/90 border border-red-400 text-white p-3 rounded-md disabled:opacity-50">
-                        <span className="font-bold text-lg">SELL</span>
-                        <div className="font-mono text-xs">{prices[selectedSymbol.name]?.bid.toFixed(5)}</div>
-                    </button>
-                    <button onClick={() => handleMarketOrder('BUY')} disabled={!prices[selectedSymbol.name]} className="flex-1 bg-green-600/90 hover:bg-green-500/90 border border-green-400 text-white p-3 rounded-md disabled:opacity-50">
-                        <span className="font-bold text-lg">BUY</span>
-                        <div className="font-mono text-xs">{prices[selectedSymbol.name]?.ask.toFixed(5)}</div>
-                    </button>
-                </div>
+                {orderType === 'market' ? (
+                    <div className="w-full flex gap-2 mt-4">
+                        <button onClick={() => handleMarketOrder('SELL')} disabled={!prices[selectedSymbol.name]} className="flex-1 bg-red-600/90 hover:bg-red-500/90 border border-red-400 text-white p-3 rounded-md disabled:opacity-50">
+                            <span className="font-bold text-lg">SELL</span>
+                            <div className="font-mono text-xs">{prices[selectedSymbol.name]?.bid.toFixed(5)}</div>
+                        </button>
+                        <button onClick={() => handleMarketOrder('BUY')} disabled={!prices[selectedSymbol.name]} className="flex-1 bg-green-600/90 hover:bg-green-500/90 border border-green-400 text-white p-3 rounded-md disabled:opacity-50">
+                            <span className="font-bold text-lg">BUY</span>
+                            <div className="font-mono text-xs">{prices[selectedSymbol.name]?.ask.toFixed(5)}</div>
+                        </button>
+                    </div>
+                ) : (
+                    <div className="w-full flex gap-2 mt-4">
+                        <button onClick={() => handlePendingOrder('SELL')} disabled={!prices[selectedSymbol.name]} className="flex-1 bg-red-600/90 hover:bg-red-500/90 border border-red-400 text-white p-3 rounded-md disabled:opacity-50">
+                            <span className="font-bold text-sm">SELL {PENDING_ORDER_TYPES.find(t => t.value === pendingType).label}</span>
+                        </button>
+                        <button onClick={() => handlePendingOrder('BUY')} disabled={!prices[selectedSymbol.name]} className="flex-1 bg-green-600/90 hover:bg-green-500/90 border border-green-400 text-white p-3 rounded-md disabled:opacity-50">
+                            <span className="font-bold text-sm">BUY {PENDING_ORDER_TYPES.find(t => t.value === pendingType).label}</span>
+                        </button>
+                    </div>
+                )}
             </div>
         </div>
     );
     
-    const PositionsPanel = () => (
+    const renderPositionsPanel = () => (
         <div className="h-full flex flex-col p-2">
             <div className="flex gap-4 border-b border-gray-400 dark:border-gray-700 mb-2">
                 <button onClick={() => setPositionsTab('open')} className={`font-bold py-1 ${positionsTab === 'open' ? 'text-cyan-400 border-b-2 border-cyan-400' : 'text-gray-500'}`}>Open ({positions.length})</button>
+                <button onClick={() => setPositionsTab('pending')} className={`font-bold py-1 ${positionsTab === 'pending' ? 'text-cyan-400 border-b-2 border-cyan-400' : 'text-gray-500'}`}>Pending ({pendingOrders.length})</button>
                 <button onClick={() => setPositionsTab('history')} className={`font-bold py-1 ${positionsTab === 'history' ? 'text-cyan-400 border-b-2 border-cyan-400' : 'text-gray-500'}`}>History</button>
+                <button onClick={() => setPositionsTab('replay')} className={`font-bold py-1 ${positionsTab === 'replay' ? 'text-cyan-400 border-b-2 border-cyan-400' : 'text-gray-500'}`}>Replay Journal</button>
             </div>
             <div className="flex-1 terminal-scrollbar overflow-y-auto text-xs">
                 {positionsTab === 'open' && (
@@ -764,15 +3179,42 @@ const DemoTrader = ({ onTradeClose, theme, availableCapital, onSymbolVisibilityC
                         <tbody>
                             {positions.map(pos => (
                                 <tr key={pos.id} className="font-mono">
-                                    <td className="font-sans font-bold">{pos.symbol}</td>
+                                    <td className="font-sans font-bold">{pos.symbol}{pos.replay && <span className="ml-1 text-[10px] text-fuchsia-500">REPLAY</span>}</td>
                                     <td className={pos.type === 'BUY' ? 'text-green-500' : 'text-red-500'}>{pos.type}</td>
                                     <td>{pos.lots}</td><td>{pos.leverage}x</td>
                                     <td>{pos.entryPrice.toFixed(5)}</td>
                                     <td>{pos.currentPrice ? pos.currentPrice.toFixed(5) : '...'}</td>
-                                    <td className="text-[10px]"><div>SL: {pos.stopLoss || 'N/A'}</div><div>TP: {pos.takeProfit || 'N/A'}</div></td>
+                                    <td className="text-[10px]">
+                                        <div>SL: {pos.stopLoss || 'N/A'}{pos.trailingStop && ` (trail ${pos.trailingStop.distance}${pos.trailingStop.unit === 'percent' ? '%' : 'p'})`}</div>
+                                        <div>TP: {pos.takeProfit || 'N/A'}{pos.breakEvenPips != null && ` (BE ${pos.breakEvenPips}p)`}</div>
+                                    </td>
                                     <td className={pos.pnl >= 0 ? 'text-green-600' : 'text-red-600'}>{pos.pnl.toFixed(2)}</td>
                                     {/* **CORRECTED:** Pass the full `pos` object to the handler */}
-                                    <td><button onClick={() => handleClosePosition(pos, null, 'Manual Close')} className="bg-yellow-600/80 text-white px-2 py-0.5 text-xs rounded">X</button></td>
+                                    <td className="whitespace-nowrap">
+                                        <button onClick={() => openModifyPosition(pos)} className="bg-cyan-600/80 text-white px-2 py-0.5 text-xs rounded mr-1"><PencilIcon /></button>
+                                        <button onClick={() => handleClosePosition(pos, null, 'Manual Close')} className="bg-yellow-600/80 text-white px-2 py-0.5 text-xs rounded">X</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+                {positionsTab === 'pending' && (
+                    <table className="w-full">
+                        <thead><tr className="text-left text-gray-500 dark:text-gray-400"><th>Symbol</th><th>Type</th><th>Lots</th><th>Lvg</th><th>Price</th><th>SL/TP</th><th>Expiry</th><th></th></tr></thead>
+                        <tbody>
+                            {pendingOrders.map(order => (
+                                <tr key={order.id} className="font-mono">
+                                    <td className="font-sans font-bold">{order.symbol}</td>
+                                    <td className={order.type === 'BUY' ? 'text-green-500' : 'text-red-500'}>{order.type} {PENDING_ORDER_TYPES.find(t => t.value === order.orderType)?.label}</td>
+                                    <td>{order.lots}</td><td>{order.leverage}x</td>
+                                    <td>
+                                        <div>{order.price}</div>
+                                        {order.orderType === 'stop_limit' && <div className="text-[10px]">LMT: {order.limitPrice}{order.armed ? ' (armed)' : ''}</div>}
+                                    </td>
+                                    <td className="text-[10px]"><div>SL: {order.stopLoss || 'N/A'}</div><div>TP: {order.takeProfit || 'N/A'}</div></td>
+                                    <td className="font-sans text-[10px]">{order.expiresAt ? new Date(order.expiresAt).toLocaleString() : 'GTC'}</td>
+                                    <td><button onClick={() => handleCancelPendingOrder(order)} className="bg-yellow-600/80 text-white px-2 py-0.5 text-xs rounded">X</button></td>
                                 </tr>
                             ))}
                         </tbody>
@@ -780,9 +3222,33 @@ const DemoTrader = ({ onTradeClose, theme, availableCapital, onSymbolVisibilityC
                 )}
                 {positionsTab === 'history' && (
                     <table className="w-full">
-                        <thead><tr className="text-left text-gray-500 dark:text-gray-400"><th>Symbol</th><th>Type</th><th>Lots</th><th>Lvg</th><th>Entry</th><th>Exit</th><th>PnL</th><th>Reason</th></tr></thead>
+                        <thead><tr className="text-left text-gray-500 dark:text-gray-400"><th>Symbol</th><th>Type</th><th>Lots</th><th>Lvg</th><th>Entry</th><th>Exit</th><th>Gross</th><th>Costs</th><th>Net PnL</th><th>Reason</th></tr></thead>
                         <tbody>
                             {tradeHistory.map(pos => (
+                                <tr key={pos.id} className="font-mono">
+                                    <td className="font-sans font-bold">{pos.symbol}</td>
+                                    <td className={pos.type === 'BUY' ? 'text-green-500' : 'text-red-500'}>{pos.type}</td>
+                                    <td>{pos.lots}</td><td>{pos.leverage}x</td>
+                                    <td>{pos.entryPrice.toFixed(5)}</td>
+                                    <td>{pos.exitPrice.toFixed(5)}</td>
+                                    <td>{(pos.grossPnl ?? pos.pnl).toFixed(2)}</td>
+                                    <td className="text-[10px]">
+                                        <div>Comm: {(-(pos.commission || 0)).toFixed(2)}</div>
+                                        <div>Swap: {(pos.swap || 0).toFixed(2)}</div>
+                                        <div className="text-gray-500">Slip: {(-(pos.slippage || 0)).toFixed(2)}</div>
+                                    </td>
+                                    <td className={pos.pnl >= 0 ? 'text-green-600' : 'text-red-600'}>{pos.pnl.toFixed(2)}</td>
+                                    <td className="font-sans">{pos.reason}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+                {positionsTab === 'replay' && (
+                    <table className="w-full">
+                        <thead><tr className="text-left text-gray-500 dark:text-gray-400"><th>Symbol</th><th>Type</th><th>Lots</th><th>Lvg</th><th>Entry</th><th>Exit</th><th>PnL</th><th>Reason</th></tr></thead>
+                        <tbody>
+                            {replayJournal.map(pos => (
                                 <tr key={pos.id} className="font-mono">
                                     <td className="font-sans font-bold">{pos.symbol}</td>
                                     <td className={pos.type === 'BUY' ? 'text-green-500' : 'text-red-500'}>{pos.type}</td>
@@ -806,56 +3272,1229 @@ const DemoTrader = ({ onTradeClose, theme, availableCapital, onSymbolVisibilityC
             {/* Symbol Management Modal */}
             {isSymbolModalOpen && (
                 <div className="absolute inset-0 bg-black/80 z-20 flex items-center justify-center p-4">
-                    <div className="bg-gray-100 dark:bg-gray-800 p-6 rounded-lg w-full max-w-sm">
+                    <div className="bg-gray-100 dark:bg-gray-800 p-6 rounded-lg w-full max-w-sm max-h-full terminal-scrollbar overflow-y-auto">
                         <h3 className="text-lg font-bold text-cyan-600 dark:text-cyan-400 mb-4">Manage Symbols</h3>
                         <div className="space-y-2 max-h-60 terminal-scrollbar overflow-y-auto">
-                            {ALL_SYMBOLS.map(symbol => (
+                            {instruments.map(symbol => (
                                 <label key={symbol.name} className="flex items-center space-x-3 cursor-pointer">
                                     <input type="checkbox" className="h-5 w-5 rounded text-cyan-500" checked={!hiddenSymbols.includes(symbol.name)} onChange={() => onSymbolVisibilityChange(symbol.name)} />
                                     <span className="font-bold">{symbol.name}</span>
+                                    <span className="text-[10px] text-gray-500 dark:text-gray-400">{symbol.contractSize} / lot · {symbol.quoteCurrency}</span>
+                                    {symbol.custom && <button onClick={(e) => { e.preventDefault(); handleRemoveInstrument(symbol.name); }} className="ml-auto text-red-500 hover:text-red-400 text-xs font-bold">✕</button>}
                                 </label>
                             ))}
                         </div>
+                        <div className="border-t border-cyan-700/30 dark:border-cyan-500/50 mt-4 pt-3 space-y-2">
+                            <h4 className="text-xs font-bold text-gray-500 dark:text-gray-400">ADD CUSTOM INSTRUMENT</h4>
+                            <div className="grid grid-cols-2 gap-2">
+                                {INSTRUMENT_FORM_FIELDS.map(field => (
+                                    <div key={field.key}>
+                                        <label className="text-[10px] text-gray-500 dark:text-gray-400">{field.label}</label>
+                                        <input type={field.type || 'number'} value={instrumentForm[field.key]} onChange={(e) => setInstrumentForm({ ...instrumentForm, [field.key]: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                    </div>
+                                ))}
+                            </div>
+                            <button onClick={handleAddInstrument} className="w-full bg-gray-500/80 hover:bg-gray-400/80 border border-gray-400 text-white px-4 py-1 text-xs font-bold transition-all">Add Instrument</button>
+                        </div>
                         <button onClick={() => setIsSymbolModalOpen(false)} className="mt-6 w-full bg-cyan-600/80 hover:bg-cyan-500/80 border border-cyan-400 text-white px-6 py-2 font-bold transition-all">Done</button>
                     </div>
                 </div>
             )}
             
+            {/* Execution Costs Modal */}
+            {costsForm && (
+                <div className="absolute inset-0 bg-black/80 z-20 flex items-center justify-center p-4">
+                    <div className="bg-gray-100 dark:bg-gray-800 p-6 rounded-lg w-full max-w-sm space-y-4">
+                        <h3 className="text-lg font-bold text-cyan-600 dark:text-cyan-400">Execution Costs</h3>
+                        <div className="space-y-2">
+                            <h4 className="text-xs font-bold text-gray-500 dark:text-gray-400">{selectedSymbol.name} (per side, {selectedSymbol.quoteCurrency})</h4>
+                            <div className="flex gap-2">
+                                <select value={costsForm.commissionType} onChange={(e) => setCostsForm({ ...costsForm, commissionType: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 text-xs flex-1 focus:outline-none focus:ring-2 focus:ring-cyan-400">
+                                    <option value="none">No commission</option>
+                                    <option value="per_lot">Per lot</option>
+                                    <option value="notional">% of notional</option>
+                                </select>
+                                <input type="number" placeholder="Rate" disabled={costsForm.commissionType === 'none'} value={costsForm.commissionRate} onChange={(e) => setCostsForm({ ...costsForm, commissionRate: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 text-xs w-24 focus:outline-none focus:ring-2 focus:ring-cyan-400 disabled:opacity-50" />
+                            </div>
+                            <div className="flex gap-2">
+                                <div className="flex-1">
+                                    <label className="text-[10px] text-gray-500 dark:text-gray-400">Swap Long / lot / night</label>
+                                    <input type="number" value={costsForm.swapLong} onChange={(e) => setCostsForm({ ...costsForm, swapLong: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                </div>
+                                <div className="flex-1">
+                                    <label className="text-[10px] text-gray-500 dark:text-gray-400">Swap Short / lot / night</label>
+                                    <input type="number" value={costsForm.swapShort} onChange={(e) => setCostsForm({ ...costsForm, swapShort: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                </div>
+                            </div>
+                        </div>
+                        <div className="border-t border-cyan-700/30 dark:border-cyan-500/50 pt-3 space-y-2">
+                            <h4 className="text-xs font-bold text-gray-500 dark:text-gray-400">ALL INSTRUMENTS</h4>
+                            <div className="grid grid-cols-3 gap-2">
+                                <div>
+                                    <label className="text-[10px] text-gray-500 dark:text-gray-400">Swap Cutoff (UTC h)</label>
+                                    <input type="number" min="0" max="23" value={costsForm.swapCutoffHour} onChange={(e) => setCostsForm({ ...costsForm, swapCutoffHour: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                </div>
+                                <div>
+                                    <label className="text-[10px] text-gray-500 dark:text-gray-400">Max Slippage (pips)</label>
+                                    <input type="number" min="0" value={costsForm.maxSlippagePips} onChange={(e) => setCostsForm({ ...costsForm, maxSlippagePips: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                </div>
+                                <div>
+                                    <label className="text-[10px] text-gray-500 dark:text-gray-400">Max Spread (x)</label>
+                                    <input type="number" min="1" step="0.5" value={costsForm.maxSpreadMultiplier} onChange={(e) => setCostsForm({ ...costsForm, maxSpreadMultiplier: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                </div>
+                            </div>
+                            <p className="text-[10px] text-gray-500 dark:text-gray-400">Slippage applies to market orders, stops and stop losses. Set 0 pips / 1x to disable.</p>
+                        </div>
+                        <div className="flex gap-2">
+                            <button onClick={() => setCostsForm(null)} className="flex-1 bg-gray-500/80 hover:bg-gray-400/80 border border-gray-400 text-white px-4 py-2 font-bold transition-all">Cancel</button>
+                            <button onClick={handleSaveCosts} className="flex-1 bg-cyan-600/80 hover:bg-cyan-500/80 border border-cyan-400 text-white px-4 py-2 font-bold transition-all">Save</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Risk Limits Modal */}
+            {riskForm && (
+                <div className="absolute inset-0 bg-black/80 z-20 flex items-center justify-center p-4">
+                    <div className="bg-gray-100 dark:bg-gray-800 p-6 rounded-lg w-full max-w-sm space-y-4">
+                        <h3 className="text-lg font-bold text-cyan-600 dark:text-cyan-400">Risk Limits</h3>
+                        <div className="grid grid-cols-2 gap-2">
+                            <div>
+                                <label className="text-[10px] text-gray-500 dark:text-gray-400">Max Risk / Trade (% at SL)</label>
+                                <input type="number" min="0" step="0.1" value={riskForm.maxRiskPercent} onChange={(e) => setRiskForm({ ...riskForm, maxRiskPercent: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                            </div>
+                            <div>
+                                <label className="text-[10px] text-gray-500 dark:text-gray-400">Max Daily Loss (%)</label>
+                                <input type="number" min="0" step="0.5" value={riskForm.maxDailyLossPercent} onChange={(e) => setRiskForm({ ...riskForm, maxDailyLossPercent: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                            </div>
+                            <div>
+                                <label className="text-[10px] text-gray-500 dark:text-gray-400">Max Open Positions</label>
+                                <input type="number" min="0" step="1" value={riskForm.maxOpenPositions} onChange={(e) => setRiskForm({ ...riskForm, maxOpenPositions: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                            </div>
+                            <div>
+                                <label className="text-[10px] text-gray-500 dark:text-gray-400">Max Trades / Day</label>
+                                <input type="number" min="0" step="1" value={riskForm.maxTradesPerDay} onChange={(e) => setRiskForm({ ...riskForm, maxTradesPerDay: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                            </div>
+                        </div>
+                        <label className="flex items-center gap-2 text-xs text-gray-600 dark:text-gray-300">
+                            <input type="checkbox" checked={riskForm.requireStopLoss} onChange={(e) => setRiskForm({ ...riskForm, requireStopLoss: e.target.checked })} />
+                            Require a stop loss on every order
+                        </label>
+                        <div>
+                            <label className="text-[10px] text-gray-500 dark:text-gray-400">On Violation</label>
+                            <select value={riskForm.enforcement} onChange={(e) => setRiskForm({ ...riskForm, enforcement: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400">
+                                <option value="warn">Warn and place the order</option>
+                                <option value="block">Block the order</option>
+                            </select>
+                        </div>
+                        <p className="text-[10px] text-gray-500 dark:text-gray-400">Percentages are of today's capital. Set a limit to 0 to disable it. Hitting the daily loss limit always locks trading until tomorrow.</p>
+                        <div className="flex gap-2">
+                            <button onClick={() => setRiskForm(null)} className="flex-1 bg-gray-500/80 hover:bg-gray-400/80 border border-gray-400 text-white px-4 py-2 font-bold transition-all">Cancel</button>
+                            <button onClick={handleSaveRisk} className="flex-1 bg-cyan-600/80 hover:bg-cyan-500/80 border border-cyan-400 text-white px-4 py-2 font-bold transition-all">Save</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Modify Position Modal */}
+            {modifyingPosition && (
+                <div className="absolute inset-0 bg-black/80 z-20 flex items-center justify-center p-4">
+                    <div className="bg-gray-100 dark:bg-gray-800 p-6 rounded-lg w-full max-w-sm space-y-4">
+                        <h3 className="text-lg font-bold text-cyan-600 dark:text-cyan-400">Modify {modifyingPosition.type} {modifyingPosition.lots} {modifyingPosition.symbol}</h3>
+                        <div className="text-xs text-gray-500 dark:text-gray-400">Entry {modifyingPosition.entryPrice} · Current {modifyingPosition.currentPrice ?? '...'}</div>
+                        <div className="flex gap-2">
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500 dark:text-gray-400">Stop Loss</label>
+                                <input type="number" placeholder="None" value={modifyForm.stopLoss} onChange={(e) => setModifyForm({ ...modifyForm, stopLoss: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                            </div>
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500 dark:text-gray-400">Take Profit</label>
+                                <input type="number" placeholder="None" value={modifyForm.takeProfit} onChange={(e) => setModifyForm({ ...modifyForm, takeProfit: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                            </div>
+                        </div>
+                        <div className="flex gap-2">
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500 dark:text-gray-400">Trailing Stop</label>
+                                <div className="flex">
+                                    <input type="number" placeholder="Off" value={modifyForm.trailingDistance} onChange={(e) => setModifyForm({ ...modifyForm, trailingDistance: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                    <select value={modifyForm.trailingUnit} onChange={(e) => setModifyForm({ ...modifyForm, trailingUnit: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 text-xs">
+                                        <option value="pips">pips</option>
+                                        <option value="percent">%</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500 dark:text-gray-400">Break-even After (pips)</label>
+                                <input type="number" placeholder="Off" value={modifyForm.breakEvenPips} onChange={(e) => setModifyForm({ ...modifyForm, breakEvenPips: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                            </div>
+                        </div>
+                        <div className="flex gap-2">
+                            <button onClick={() => setModifyForm(null)} className="flex-1 bg-gray-500/80 hover:bg-gray-400/80 border border-gray-400 text-white px-4 py-2 font-bold transition-all">Cancel</button>
+                            <button onClick={handleSaveModify} className="flex-1 bg-cyan-600/80 hover:bg-cyan-500/80 border border-cyan-400 text-white px-4 py-2 font-bold transition-all">Save</button>
+                        </div>
+                        <div className="border-t border-cyan-700/30 dark:border-cyan-500/50 pt-3 space-y-2">
+                            <label className="text-xs text-gray-500 dark:text-gray-400">Partial Close (lots)</label>
+                            <div className="flex gap-2">
+                                <input type="number" step="0.01" min="0.01" placeholder={`< ${modifyingPosition.lots}`} value={modifyForm.closeLots} onChange={(e) => setModifyForm({ ...modifyForm, closeLots: e.target.value })} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 text-xs flex-1 focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                <button onClick={handlePartialClose} className="bg-yellow-600/80 hover:bg-yellow-500/80 text-white px-3 py-1 text-xs font-bold">Close Part</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Bar Replay Modal */}
+            {isBarReplayModalOpen && (
+                <div className="absolute inset-0 bg-black/80 z-20 flex items-center justify-center p-4">
+                    <div className="bg-gray-100 dark:bg-gray-800 p-6 rounded-lg w-full max-w-sm space-y-4">
+                        <h3 className="text-lg font-bold text-cyan-600 dark:text-cyan-400">Bar Replay Practice</h3>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">Trades closed during a replay are saved to the replay journal, not to today's plan.</p>
+                        <div className="space-y-2">
+                            <label className="text-xs text-gray-500 dark:text-gray-400">OHLC File (CSV or JSON: time, open, high, low, close)</label>
+                            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleBarFileLoad} className="text-xs w-full" />
+                            {barFile.name && <div className="text-xs text-gray-500 dark:text-gray-400">{barFile.name}: {barFile.bars.length} bars</div>}
+                        </div>
+                        <div className="flex gap-2">
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500 dark:text-gray-400">Symbol</label>
+                                <select value={barSymbolName} onChange={(e) => setBarSymbolName(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400">
+                                    {instruments.map(symbol => <option key={symbol.name} value={symbol.name}>{symbol.name}</option>)}
+                                </select>
+                            </div>
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500 dark:text-gray-400">Start Date</label>
+                                <input type="date" value={barStartDate} onChange={(e) => setBarStartDate(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 w-full text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                            </div>
+                        </div>
+                        <div className="flex gap-2">
+                            <button onClick={() => setIsBarReplayModalOpen(false)} className="flex-1 bg-gray-500/80 hover:bg-gray-400/80 border border-gray-400 text-white px-4 py-2 font-bold transition-all">Cancel</button>
+                            <button onClick={handleStartBarReplay} disabled={barFile.bars.length === 0 || !barStartDate} className="flex-1 bg-cyan-600/80 hover:bg-cyan-500/80 border border-cyan-400 text-white px-4 py-2 font-bold transition-all disabled:opacity-50">Start</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Price Feed Modal */}
+            {isFeedModalOpen && (
+                <div className="absolute inset-0 bg-black/80 z-20 flex items-center justify-center p-4">
+                    <div className="bg-gray-100 dark:bg-gray-800 p-6 rounded-lg w-full max-w-sm space-y-4">
+                        <h3 className="text-lg font-bold text-cyan-600 dark:text-cyan-400">Price Feed</h3>
+                        <div className="space-y-2">
+                            {FEED_SOURCES.map(source => (
+                                <label key={source.value} className="flex items-center space-x-3 cursor-pointer">
+                                    <input type="radio" name="feed-source" className="h-4 w-4 text-cyan-500" checked={feedSource === source.value} onChange={() => handleFeedSourceChange(source.value)} />
+                                    <span className="font-bold text-sm">{source.label}</span>
+                                </label>
+                            ))}
+                        </div>
+                        <div className="border-t border-cyan-700/30 dark:border-cyan-500/50 pt-3 space-y-2">
+                            <label className="text-xs text-gray-500 dark:text-gray-400">Tick File (CSV or JSON: time, symbol, bid, ask)</label>
+                            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleTickFileLoad} className="text-xs w-full" />
+                            {replayFileName && <div className="text-xs text-gray-500 dark:text-gray-400">{replayFileName}: {replayTicks.length} ticks</div>}
+                            <div className="flex gap-2 items-center">
+                                <label className="text-xs text-gray-500 dark:text-gray-400">Speed</label>
+                                <select value={replaySpeed} onChange={(e) => setReplaySpeed(Number(e.target.value))} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 text-xs flex-1 focus:outline-none focus:ring-2 focus:ring-cyan-400">
+                                    {REPLAY_SPEED_OPTIONS.map(speed => <option key={speed} value={speed}>{speed}x</option>)}
+                                </select>
+                                <button onClick={() => setReplayTicks(ticks => [...ticks])} disabled={feedSource !== 'replay'} className="bg-cyan-600/80 hover:bg-cyan-500/80 text-white px-3 py-1 text-xs font-bold disabled:opacity-50">Restart</button>
+                            </div>
+                        </div>
+                        <div className="border-t border-cyan-700/30 dark:border-cyan-500/50 pt-3 space-y-2">
+                            <label className="text-xs text-gray-500 dark:text-gray-400">WebSocket URL</label>
+                            <div className="flex gap-2">
+                                <input type="text" value={feedUrlInput} onChange={(e) => setFeedUrlInput(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 text-xs flex-1 focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                                <button onClick={() => { setFeedUrl(feedUrlInput); setFeedSource('websocket'); setCandles({}); }} className="bg-cyan-600/80 hover:bg-cyan-500/80 text-white px-3 py-1 text-xs font-bold">Connect</button>
+                            </div>
+                        </div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400">Status: {feedStatus.status}{feedStatus.detail ? ` — ${feedStatus.detail}` : ''}</div>
+                        <button onClick={() => setIsFeedModalOpen(false)} className="w-full bg-cyan-600/80 hover:bg-cyan-500/80 border border-cyan-400 text-white px-6 py-2 font-bold transition-all">Done</button>
+                    </div>
+                </div>
+            )}
+
             {/* Desktop Layout */}
             <div className="hidden md:flex md:flex-row h-full">
-                <div className="w-56 bg-gray-100 dark:bg-gray-800 border-r border-cyan-700/30 dark:border-cyan-500/50"><SymbolList /></div>
+                <div className="w-56 bg-gray-100 dark:bg-gray-800 border-r border-cyan-700/30 dark:border-cyan-500/50">{renderSymbolList()}</div>
                 <div className="flex-1 flex flex-col">
-                    <div className="flex-1"><ChartPanel /></div>
-                    <div className="h-48 border-t border-cyan-700/30 dark:border-cyan-500/50"><PositionsPanel /></div>
+                    <div className="flex-1">{renderChartPanel()}</div>
+                    <div className="h-48 border-t border-cyan-700/30 dark:border-cyan-500/50">{renderPositionsPanel()}</div>
+                </div>
+                <div className="w-64 bg-gray-100 dark:bg-gray-800 border-l border-cyan-700/30 dark:border-cyan-500/50">{renderTradePanel()}</div>
+            </div>
+            
+            {/* Mobile Layout */}
+            <div className="md:hidden flex flex-col h-[700px]">
+                <div className="flex-1 overflow-hidden">
+                    {mobileTab === 'chart' && renderChartPanel()}
+                    {mobileTab === 'trade' && <div className="h-full overflow-y-auto terminal-scrollbar">{renderTradePanel()}</div>}
+                    {mobileTab === 'symbols' && <div className="h-full">{renderSymbolList()}</div>}
+                    {mobileTab === 'positions' && renderPositionsPanel()}
+                </div>
+                {/* Mobile Nav */}
+                <div className="flex bg-gray-100 dark:bg-gray-800 border-t border-cyan-700/30 dark:border-cyan-500/50 h-16">
+                    <MobileTab label="Chart" onClick={() => setMobileTab('chart')} isActive={mobileTab === 'chart'} icon={<ChartIcon />} />
+                    <MobileTab label="Trade" onClick={() => setMobileTab('trade')} isActive={mobileTab === 'trade'} icon={<TradeIcon />} />
+                    <MobileTab label="Symbols" onClick={() => setMobileTab('symbols')} isActive={mobileTab === 'symbols'} icon={<SymbolsIcon />} />
+                    <MobileTab label="Positions" onClick={() => setMobileTab('positions')} isActive={mobileTab === 'positions'} icon={<PositionsIcon count={positions.length} />} />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Equity curve against the ideal plan, with drawdown, risk and trade statistics.
+ */
+const AnalyticsDashboard = ({ data, currency }) => {
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [symbol, setSymbol] = useState('');
+    const [tagFilters, setTagFilters] = useState({ setup: '', marketCondition: '', mistake: '' });
+    const isTagFiltered = Object.values(tagFilters).some(Boolean);
+    const journalTags = useMemo(() => getJournalTags(data.journalTags), [data.journalTags]);
+
+    const symbols = useMemo(() => {
+        const names = new Set(data.months.flatMap(m => m.days).flatMap(d => (d.trades || []).map(t => t.symbol)));
+        return [...names].sort();
+    }, [data]);
+    const stats = useMemo(() => calculateAnalytics(data, { from, to, symbol, ...tagFilters }), [data, from, to, symbol, tagFilters]);
+    const adherence = useMemo(() => calculateRuleAdherence(data, { from, to }), [data, from, to]);
+    const tagStats = useMemo(() => calculateTagStats(data, { from, to, symbol }), [data, from, to, symbol]);
+    const tagBreakdowns = [
+        ['SETUP', tagStats.setups],
+        ['MARKET', tagStats.marketConditions],
+        ['MISTAKE', tagStats.mistakes],
+        ['EMOTION', tagStats.emotions],
+        ['CONFIDENCE', tagStats.confidence],
+    ].filter(([, rows]) => rows.length > 0);
+    const tagFilterFields = [
+        { key: 'setup', label: 'SETUP', options: journalTags.setups.map(s => ({ value: s.id, label: s.label })) },
+        { key: 'marketCondition', label: 'MARKET', options: MARKET_CONDITIONS },
+        { key: 'mistake', label: 'MISTAKE', options: journalTags.mistakes.map(m => ({ value: m.id, label: m.label })) },
+    ];
+
+    // Scale both curves into a 600x200 viewBox
+    const { idealPath, actualPath } = useMemo(() => {
+        const values = stats.curve.flatMap(p => p.actual === null ? [p.ideal] : [p.ideal, p.actual]);
+        const min = Math.min(...values), max = Math.max(...values);
+        const x = (i) => stats.curve.length > 1 ? i / (stats.curve.length - 1) * 600 : 300;
+        const y = (v) => max > min ? 195 - (v - min) / (max - min) * 190 : 100;
+        let actual = '', drawing = false;
+        stats.curve.forEach((p, i) => {
+            if (p.actual === null) { drawing = false; return; }
+            actual += `${drawing ? 'L' : 'M'}${x(i).toFixed(1)},${y(p.actual).toFixed(1)} `;
+            drawing = true;
+        });
+        return {
+            idealPath: stats.curve.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(p.ideal).toFixed(1)}`).join(' '),
+            actualPath: actual,
+        };
+    }, [stats]);
+
+    const ratio = (value) => value === null ? '-' : value === Infinity ? '∞' : value.toFixed(2);
+    const money = (value) => value === null ? '-' : formatCurrency(Math.round(value), currency);
+    const tiles = [
+        ['MAX DRAWDOWN', `${money(stats.maxDrawdown)} (${stats.maxDrawdownPercent.toFixed(1)}%)`],
+        ['DRAWDOWN DURATION', `${stats.maxDrawdownDays} days`],
+        ['PROFIT FACTOR', ratio(stats.profitFactor)],
+        ['EXPECTANCY', money(stats.expectancy)],
+        ['WIN RATE', stats.winRate === null ? '-' : `${stats.winRate.toFixed(1)}%`],
+        ['AVG WIN / LOSS', `${money(stats.averageWin)} / ${money(stats.averageLoss)}`],
+        ['SHARPE', ratio(stats.sharpe)],
+        ['SORTINO', ratio(stats.sortino)],
+        ['BEST STREAK', `${stats.longestWinStreak} days`],
+        ['WORST STREAK', `${stats.longestLossStreak} days`],
+        ['CURRENT STREAK', stats.currentStreak === 0 ? '-' : `${Math.abs(stats.currentStreak)} ${stats.currentStreak > 0 ? 'W' : 'L'}`],
+        ['TRADES', stats.tradeCount],
+    ];
+
+    return (
+        <div className="p-4 bg-white/50 dark:bg-black/70 backdrop-blur-sm border border-fuchsia-700/30 dark:border-fuchsia-500/50 shadow-[0_0_15px_rgba(255,0,255,0.3)]">
+            {/* Filters */}
+            <div className="flex flex-wrap gap-4 items-end mb-4 text-xs">
+                <label className="flex flex-col text-gray-500 dark:text-gray-400">FROM<input type="date" value={from} onChange={e => setFrom(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 text-gray-800 dark:text-gray-200" /></label>
+                <label className="flex flex-col text-gray-500 dark:text-gray-400">TO<input type="date" value={to} onChange={e => setTo(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 text-gray-800 dark:text-gray-200" /></label>
+                <label className="flex flex-col text-gray-500 dark:text-gray-400">SYMBOL
+                    <select value={symbol} onChange={e => setSymbol(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 text-gray-800 dark:text-gray-200">
+                        <option value="">All (journal P&L)</option>
+                        {symbols.map(s => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                </label>
+                {tagFilterFields.map(field => (
+                    <label key={field.key} className="flex flex-col text-gray-500 dark:text-gray-400">{field.label}
+                        <select value={tagFilters[field.key]} onChange={e => setTagFilters(prev => ({ ...prev, [field.key]: e.target.value }))} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 text-gray-800 dark:text-gray-200">
+                            <option value="">All</option>
+                            {field.options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                        </select>
+                    </label>
+                ))}
+                {(from || to || symbol || isTagFiltered) && <button onClick={() => { setFrom(''); setTo(''); setSymbol(''); setTagFilters({ setup: '', marketCondition: '', mistake: '' }); }} className="px-3 py-1 border border-gray-500 text-gray-500 hover:text-cyan-500">CLEAR</button>}
+            </div>
+
+            {/* Equity Curve */}
+            <div className="flex gap-4 text-xs mb-1">
+                <span className="text-cyan-600 dark:text-cyan-400">━ ACTUAL</span>
+                <span className="text-gray-500">┅ IDEAL PLAN</span>
+            </div>
+            {stats.curve.length > 0 ? (
+                <svg viewBox="0 0 600 200" preserveAspectRatio="none" className="w-full h-48 border border-cyan-700/20 dark:border-cyan-500/30">
+                    <path d={idealPath} fill="none" stroke="#6b7280" strokeWidth="1.5" strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+                    <path d={actualPath} fill="none" stroke="#06b6d4" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+                </svg>
+            ) : (
+                <p className="text-center text-gray-500 py-8">No plan days in this range.</p>
+            )}
+
+            {/* Metrics */}
+            <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3 mt-4 text-center">
+                {tiles.map(([title, value]) => (
+                    <div key={title} className="p-2 border border-fuchsia-700/20 dark:border-fuchsia-500/30">
+                        <h4 className="text-[10px] font-semibold text-gray-500 dark:text-gray-400">{title}</h4>
+                        <p className="font-mono font-bold text-sm">{value}</p>
+                    </div>
+                ))}
+            </div>
+
+            {/* Day-of-week Breakdown */}
+            <table className="w-full mt-4 text-xs text-center">
+                <thead><tr className="text-gray-500 dark:text-gray-400"><th className="text-left">DAY</th><th>DAYS</th><th>WIN RATE</th><th>P&L</th></tr></thead>
+                <tbody>
+                    {stats.weekdays.map(w => (
+                        <tr key={w.name} className="font-mono">
+                            <td className="text-left font-sans font-bold">{w.name}</td>
+                            <td>{w.days}</td>
+                            <td>{w.days > 0 ? `${(w.wins / w.days * 100).toFixed(0)}%` : '-'}</td>
+                            <td className={w.pnl >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>{formatCurrency(Math.round(w.pnl), currency)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            {/* Tag Breakdown */}
+            {tagBreakdowns.length > 0 && (
+                <>
+                    <h4 className="text-xs font-bold text-fuchsia-600 dark:text-fuchsia-400 mt-4 mb-2">BY TAG</h4>
+                    <div className="grid md:grid-cols-2 gap-4">
+                        {tagBreakdowns.map(([title, rows]) => (
+                            <table key={title} className="w-full text-xs text-center self-start">
+                                <thead><tr className="text-gray-500 dark:text-gray-400"><th className="text-left">{title}</th><th>TRADES</th><th>WIN RATE</th><th>P&L</th><th>AVG</th></tr></thead>
+                                <tbody>
+                                    {rows.map(row => (
+                                        <tr key={row.key} className="font-mono">
+                                            <td className="text-left font-sans font-bold">{row.label}</td>
+                                            <td>{row.count}</td>
+                                            <td>{row.winRate.toFixed(0)}%</td>
+                                            <td className={row.pnl >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>{formatCurrency(Math.round(row.pnl), currency)}</td>
+                                            <td>{formatCurrency(Math.round(row.averagePnl), currency)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {/* Rule Adherence */}
+            <h4 className="text-xs font-bold text-fuchsia-600 dark:text-fuchsia-400 mt-4 mb-2">
+                RULE ADHERENCE {adherence.overall !== null && <span className="font-mono">{adherence.overall.toFixed(0)}%</span>}
+            </h4>
+            {adherence.weeks.length > 0 ? (
+                <>
+                    <div className="flex items-end gap-1 h-20 border-b border-cyan-700/20 dark:border-cyan-500/30">
+                        {adherence.weeks.map(w => (
+                            <div key={w.start} title={`Week of ${w.start}: ${w.rate === null ? '-' : `${w.rate.toFixed(0)}%`}`} className="flex-1 bg-fuchsia-500/60" style={{ height: `${w.rate || 0}%` }} />
+                        ))}
+                    </div>
+                    <div className="flex flex-wrap gap-4 text-xs mt-2">
+                        {adherence.categories.filter(c => c.total > 0).map(c => (
+                            <span key={c.category}>{RULE_CATEGORIES.find(rc => rc.value === c.category).label}: <span className="font-mono font-bold">{c.rate.toFixed(0)}%</span></span>
+                        ))}
+                    </div>
+                    <table className="w-full mt-2 text-xs text-center">
+                        <thead><tr className="text-gray-500 dark:text-gray-400"><th className="text-left">RULE</th><th>CATEGORY</th><th>FOLLOWED</th><th>RATE</th></tr></thead>
+                        <tbody>
+                            {adherence.rules.map(r => (
+                                <tr key={r.key} className="font-mono">
+                                    <td className="text-left font-sans">{r.text}</td>
+                                    <td className="font-sans">{RULE_CATEGORIES.find(c => c.value === r.category)?.label || '-'}</td>
+                                    <td>{r.checked}/{r.total}</td>
+                                    <td>{r.rate.toFixed(0)}%</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            ) : (
+                <p className="text-center text-gray-500 text-xs py-2">No completed days in this range.</p>
+            )}
+            <p className="text-[10px] text-gray-500 mt-2">Trade statistics use demo trader ledger trades; with a tag filter, or in the tag breakdown, a day journaled by hand counts as one trade. Sharpe and Sortino are annualised from daily returns. Rule adherence counts completed trading days.</p>
+        </div>
+    );
+};
+
+/**
+ * Switches between, creates, renames, archives and compares challenges.
+ */
+const ChallengeManager = ({ challenges, activeChallengeId, journalCollectionPath, onSwitch, onCreate, onUpdate }) => {
+    const [mode, setMode] = useState(null); // null | 'new' | 'rename' | 'compare'
+    const [form, setForm] = useState({ name: '', initialCapital: '', finalTarget: '', tenure: '', evaluation: '' });
+    const [showArchived, setShowArchived] = useState(false);
+    const [dayEntries, setDayEntries] = useState({}); // challengeId -> day entries, fetched for the comparison
+
+    const active = challenges.find(c => c.id === activeChallengeId);
+    const selectable = challenges.filter(c => !c.data.archived || c.id === activeChallengeId);
+    const compared = challenges.filter(c => showArchived || !c.data.archived);
+    const challengeIds = challenges.map(c => c.id).join(',');
+    const comparisonLoaded = challenges.every(c => dayEntries[c.id]);
+    const summaries = useMemo(() => new Map(challenges.map(c => [c.id, summarizeChallenge(assembleJournal(c.data, dayEntries[c.id]))])), [challenges, dayEntries]);
+
+    // Day entries of every challenge, read once each time the comparison opens
+    useEffect(() => {
+        if (mode !== 'compare') return;
+        let cancelled = false;
+        Promise.all(challengeIds.split(',').map(async (id) => {
+            const snapshot = await getDocs(collection(db, `${journalCollectionPath}/${id}/days`));
+            return [id, Object.fromEntries(snapshot.docs.map(d => [d.id, d.data()]))];
+        }))
+            .then(results => { if (!cancelled) setDayEntries(Object.fromEntries(results)); })
+            .catch(error => console.error("Error loading challenges for comparison:", error));
+        return () => { cancelled = true; };
+    }, [mode, challengeIds, journalCollectionPath]);
+
+    const openForm = (newMode) => {
+        setForm(newMode === 'rename'
+            ? { ...form, name: active?.data.name || DEFAULT_CHALLENGE_NAME }
+            : { name: '', initialCapital: String(DEFAULT_INITIAL_CAPITAL), finalTarget: String(DEFAULT_FINAL_TARGET), tenure: String(DEFAULT_TENURE_DAYS), evaluation: '' });
+        setMode(mode === newMode ? null : newMode);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const name = form.name.trim();
+        if (!name) return;
+        if (mode === 'rename') {
+            onUpdate(activeChallengeId, { name });
+        } else {
+            onCreate({
+                name,
+                initialCapital: parseInt(form.initialCapital, 10) || DEFAULT_INITIAL_CAPITAL,
+                finalTarget: parseInt(form.finalTarget, 10) || DEFAULT_FINAL_TARGET,
+                tenure: parseInt(form.tenure, 10) || DEFAULT_TENURE_DAYS,
+                evaluation: createEvaluation(form.evaluation),
+            });
+        }
+        setMode(null);
+    };
+
+    // An evaluation template sets the plan's target to its profit target
+    const handleEvaluationSelect = (templateId) => {
+        const rules = createEvaluation(templateId);
+        const capital = parseInt(form.initialCapital, 10) || DEFAULT_INITIAL_CAPITAL;
+        setForm({
+            ...form,
+            evaluation: templateId,
+            ...(rules && { finalTarget: String(Math.round(capital * (1 + rules.profitTargetPercent / 100))) }),
+        });
+    };
+
+    const inputClass = "bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-1.5 focus:outline-none focus:ring-2 focus:ring-cyan-400";
+    const buttonClass = (isActive) => `px-3 py-1.5 text-xs font-bold border transition-all ${isActive ? 'bg-cyan-600/80 border-cyan-400 text-white' : 'border-cyan-700/50 dark:border-cyan-500/50 text-cyan-700 dark:text-cyan-400 hover:bg-cyan-900/20'}`;
+
+    return (
+        <div className="w-full max-w-5xl mt-4 p-3 z-10 bg-white/50 dark:bg-black/70 backdrop-blur-sm border border-cyan-700/30 dark:border-cyan-500/50">
+            <div className="flex flex-wrap justify-center items-center gap-2">
+                <span className="text-xs text-gray-500 dark:text-gray-400">CHALLENGE</span>
+                <select value={activeChallengeId} onChange={e => onSwitch(e.target.value)} className={`${inputClass} w-56`}>
+                    {selectable.map(c => <option key={c.id} value={c.id}>{c.data.name || DEFAULT_CHALLENGE_NAME}{c.data.archived ? ' (archived)' : ''}</option>)}
+                </select>
+                <button onClick={() => openForm('new')} className={buttonClass(mode === 'new')}>+ NEW</button>
+                <button onClick={() => openForm('rename')} className={buttonClass(mode === 'rename')}>RENAME</button>
+                <button onClick={() => setMode(mode === 'compare' ? null : 'compare')} className={buttonClass(mode === 'compare')}>COMPARE</button>
+            </div>
+
+            {(mode === 'new' || mode === 'rename') && (
+                <form onSubmit={handleSubmit} className="flex flex-wrap justify-center items-end gap-2 mt-3 text-xs">
+                    <label className="flex flex-col text-gray-500 dark:text-gray-400">NAME<input autoFocus value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} placeholder="e.g. Funded Account" className={`${inputClass} w-48`} /></label>
+                    {mode === 'new' && (
+                        <>
+                            <label className="flex flex-col text-gray-500 dark:text-gray-400">CAPITAL<input type="number" value={form.initialCapital} onChange={e => setForm({ ...form, initialCapital: e.target.value })} className={`${inputClass} w-28`} /></label>
+                            <label className="flex flex-col text-gray-500 dark:text-gray-400">TARGET<input type="number" value={form.finalTarget} onChange={e => setForm({ ...form, finalTarget: e.target.value })} className={`${inputClass} w-28`} /></label>
+                            <label className="flex flex-col text-gray-500 dark:text-gray-400">TENURE<input type="number" value={form.tenure} onChange={e => setForm({ ...form, tenure: e.target.value })} className={`${inputClass} w-20`} /></label>
+                            <label className="flex flex-col text-gray-500 dark:text-gray-400">EVALUATION
+                                <select value={form.evaluation} onChange={e => handleEvaluationSelect(e.target.value)} className={`${inputClass} w-40`}>
+                                    <option value="">NONE</option>
+                                    {EVALUATION_TEMPLATES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                                </select>
+                            </label>
+                        </>
+                    )}
+                    <button type="submit" className={buttonClass(true)}>{mode === 'new' ? 'CREATE' : 'SAVE'}</button>
+                    <button type="button" onClick={() => setMode(null)} className={buttonClass(false)}>CANCEL</button>
+                </form>
+            )}
+
+            {mode === 'compare' && !comparisonLoaded && <p className="mt-3 text-center text-xs text-gray-500">Loading challenges...</p>}
+            {mode === 'compare' && comparisonLoaded && (
+                <div className="mt-3 overflow-x-auto">
+                    <label className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400 mb-2 cursor-pointer">
+                        <input type="checkbox" checked={showArchived} onChange={e => setShowArchived(e.target.checked)} /> Show archived
+                    </label>
+                    <table className="w-full text-xs text-center">
+                        <thead><tr className="text-gray-500 dark:text-gray-400"><th className="text-left">NAME</th><th>START</th><th>TARGET</th><th>CURRENT</th><th>P&L</th><th>PROGRESS</th><th>DAYS</th><th>WIN DAYS</th><th>MAX DD</th><th></th></tr></thead>
+                        <tbody>
+                            {compared.map(({ id, data }) => {
+                                const summary = summaries.get(id);
+                                const currency = data.accountCurrency || DEFAULT_ACCOUNT_CURRENCY;
+                                return (
+                                    <tr key={id} className={`font-mono ${id === activeChallengeId ? 'text-cyan-600 dark:text-cyan-400' : ''} ${data.archived ? 'opacity-60' : ''}`}>
+                                        <td className="text-left font-sans font-bold">{data.name || DEFAULT_CHALLENGE_NAME}</td>
+                                        <td>{formatCurrency(data.initialCapital, currency)}</td>
+                                        <td>{formatCurrency(data.finalTarget, currency)}</td>
+                                        <td>{formatCurrency(Math.round(summary.currentCapital), currency)}</td>
+                                        <td className={summary.pnl >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>{formatCurrency(Math.round(summary.pnl), currency)}</td>
+                                        <td>{summary.progress.toFixed(1)}%</td>
+                                        <td>{summary.daysTraded}/{data.tenure}</td>
+                                        <td>{summary.daysTraded > 0 ? `${(summary.winDays / summary.daysTraded * 100).toFixed(0)}%` : '-'}</td>
+                                        <td>{summary.maxDrawdownPercent.toFixed(1)}%</td>
+                                        <td className="font-sans whitespace-nowrap">
+                                            {id !== activeChallengeId && !data.archived && <button onClick={() => onSwitch(id)} className="text-cyan-600 dark:text-cyan-400 hover:underline mr-2">OPEN</button>}
+                                            {/* The open challenge can't be archived; switch away first */}
+                                            {id !== activeChallengeId && <button onClick={() => onUpdate(id, { archived: !data.archived })} className="text-gray-500 hover:underline">{data.archived ? 'RESTORE' : 'ARCHIVE'}</button>}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ARCHIVE_RESULT_STYLES = {
+    completed: 'text-green-600 dark:text-green-400',
+    failed: 'text-red-600 dark:text-red-400',
+    abandoned: 'text-gray-500',
+};
+
+/**
+ * Read-only browser for archived challenges.
+ */
+const ArchiveBrowser = ({ archivesPath, onRestore }) => {
+    const [archives, setArchives] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+
+    useEffect(() => {
+        const archivesQuery = query(collection(db, archivesPath), orderBy('archivedAt', 'desc'));
+        const unsubscribe = onSnapshot(archivesQuery, (snapshot) => {
+            setArchives(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => console.error("Archive snapshot error:", error));
+        return () => unsubscribe();
+    }, [archivesPath]);
+
+    const [loadedDays, setLoadedDays] = useState({ id: null, entries: null });
+
+    // The selected archive's days, read once each time it opens
+    useEffect(() => {
+        if (!selectedId) return;
+        let cancelled = false;
+        getDocs(collection(db, `${archivesPath}/${selectedId}/days`))
+            .then(snapshot => { if (!cancelled) setLoadedDays({ id: selectedId, entries: Object.fromEntries(snapshot.docs.map(d => [d.id, d.data()])) }); })
+            .catch(error => console.error("Error loading archived days:", error));
+        return () => { cancelled = true; };
+    }, [archivesPath, selectedId]);
+
+    const selected = archives.find(a => a.id === selectedId);
+    const selectedDays = loadedDays.id === selectedId ? loadedDays.entries : null;
+    // Archives keep the schema version they were taken at
+    const selectedData = useMemo(() => selected && readJournalData(selected.data), [selected]);
+    const selectedJournal = useMemo(() => (
+        selectedData?.errors.length === 0 && selectedDays ? assembleJournal({ ...selectedData.settings, dayEntries: selectedData.dayEntries }, selectedDays) : null
+    ), [selectedData, selectedDays]);
+
+    return (
+        <div className="p-4 bg-white/50 dark:bg-black/70 backdrop-blur-sm border border-cyan-700/30 dark:border-cyan-500/50">
+            {archives.length === 0 ? (
+                <p className="text-center text-gray-500 text-sm">No archived challenges yet. Resetting a challenge archives it here.</p>
+            ) : (
+                <table className="w-full text-xs text-center">
+                    <thead><tr className="text-gray-500 dark:text-gray-400"><th className="text-left">NAME</th><th>ARCHIVED</th><th>RESULT</th><th>FINAL CAPITAL</th><th>DAYS</th><th>RULES</th><th></th></tr></thead>
+                    <tbody>
+                        {archives.map(archive => (
+                            <tr key={archive.id} className={`font-mono ${archive.id === selectedId ? 'bg-cyan-900/20' : ''}`}>
+                                <td className="text-left font-sans font-bold">{archive.name}</td>
+                                <td>{new Date(archive.archivedAt).toLocaleDateString()}</td>
+                                <td title={archive.summary.evaluationBreach?.message} className={`font-sans font-bold uppercase ${ARCHIVE_RESULT_STYLES[archive.summary.result]}`}>{archive.summary.result}</td>
+                                <td>{formatCurrency(archive.summary.finalCapital, archive.summary.accountCurrency)} / {formatCurrency(archive.summary.finalTarget, archive.summary.accountCurrency)}</td>
+                                <td>{archive.summary.daysTraded}/{archive.summary.tenure}</td>
+                                <td>{archive.summary.ruleAdherence === null ? '-' : `${archive.summary.ruleAdherence.toFixed(0)}%`}</td>
+                                <td className="font-sans whitespace-nowrap">
+                                    <button onClick={() => setSelectedId(archive.id === selectedId ? null : archive.id)} className="text-cyan-600 dark:text-cyan-400 hover:underline mr-2">{archive.id === selectedId ? 'CLOSE' : 'VIEW'}</button>
+                                    <button onClick={() => onRestore(archive)} className="text-gray-500 hover:underline">RESTORE</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {selectedData?.errors.length > 0 && <p className="mt-4 text-center text-red-500 text-sm">This archive can't be shown: {selectedData.errors[0]}.</p>}
+            {selectedData?.errors.length === 0 && !selectedJournal && <p className="mt-4 text-center text-gray-500 text-sm">Loading...</p>}
+            {selectedJournal && (
+                <div className="mt-4 space-y-4">
+                    <AnalyticsDashboard data={selectedJournal} currency={selected.summary.accountCurrency} />
+                    <div className="max-h-96 overflow-y-auto">
+                        <table className="w-full text-xs text-center">
+                            <thead className="sticky top-0 bg-gray-100 dark:bg-black"><tr className="text-gray-500 dark:text-gray-400"><th>DAY</th><th>DATE</th><th>CAPITAL</th><th>TARGET</th><th>P&L</th><th>TRADES</th><th>RULES</th><th className="text-left">LOG</th></tr></thead>
+                            <tbody>
+                                {selectedJournal.months.flatMap(m => m.days).map(day => {
+                                    const pnl = (day.pnlSign === '+' ? 1 : -1) * (Number(day.actual) || 0);
+                                    return (
+                                        <tr key={day.date} className="font-mono border-t border-cyan-700/10">
+                                            <td>{day.noTrade ? 'REST' : day.day}</td>
+                                            <td>{day.date}</td>
+                                            <td>{formatCurrency(day.capital, selected.summary.accountCurrency)}</td>
+                                            <td>{formatCurrency(day.target, selected.summary.accountCurrency)}</td>
+                                            <td className={pnl >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>{day.actual === "" ? '-' : formatCurrency(pnl, selected.summary.accountCurrency)}</td>
+                                            <td>{(day.trades || []).length || '-'}</td>
+                                            <td>{(day.rules || []).filter(r => r.checked).length}/{(day.rules || []).length}</td>
+                                            <td className="text-left font-sans truncate max-w-xs">{day.logic}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const LIST_EDITOR_INPUT_CLASS = "bg-white/50 dark:bg-black/50 border border-fuchsia-700/30 dark:border-fuchsia-500/50 p-1 text-xs focus:outline-none focus:ring-2 focus:ring-fuchsia-500";
+
+/**
+ * Edits a list whose entries are archived rather than deleted, so the records
+ * and stats that use them keep their names. Each entry has an `id`, `archived`
+ * and its text under `textKey`; `renderFields(entry, onChange)` adds inputs for
+ * any other fields, and new entries start from `newItem`.
+ */
+const ArchivableListEditor = ({ items, onChange, textKey, newItem, renderFields, placeholder, reorderable = false }) => {
+    const [draft, setDraft] = useState(newItem);
+    const [showArchived, setShowArchived] = useState(false);
+
+    const visible = items.filter(item => showArchived || !item.archived);
+    const archivedCount = items.length - items.filter(item => !item.archived).length;
+
+    const updateItem = (id, changes) => onChange(items.map(item => (item.id === id ? { ...item, ...changes } : item)));
+
+    // Swaps with the neighbouring entry on screen, skipping hidden archived entries
+    const moveItem = (item, offset) => {
+        const neighbour = visible[visible.indexOf(item) + offset];
+        if (!neighbour) return;
+        const next = [...items];
+        const a = next.indexOf(item), b = next.indexOf(neighbour);
+        [next[a], next[b]] = [next[b], next[a]];
+        onChange(next);
+    };
+
+    const addItem = (e) => {
+        e.preventDefault();
+        if (!draft[textKey].trim()) return;
+        onChange([...items, { ...draft, id: crypto.randomUUID(), [textKey]: draft[textKey].trim(), archived: false }]);
+        setDraft(prev => ({ ...prev, [textKey]: '' }));
+    };
+
+    return (
+        <>
+            {visible.map((item, i) => (
+                <div key={item.id} className={`flex flex-wrap sm:flex-nowrap items-center gap-2 ${item.archived ? 'opacity-50' : ''}`}>
+                    {reorderable && (
+                        <>
+                            <button onClick={() => moveItem(item, -1)} disabled={i === 0} className="px-1 disabled:opacity-30">▲</button>
+                            <button onClick={() => moveItem(item, 1)} disabled={i === visible.length - 1} className="px-1 disabled:opacity-30">▼</button>
+                        </>
+                    )}
+                    {renderFields?.(item, changes => updateItem(item.id, changes))}
+                    <input value={item[textKey]} onChange={e => updateItem(item.id, { [textKey]: e.target.value })} className={`${LIST_EDITOR_INPUT_CLASS} flex-1 min-w-48`} />
+                    <button onClick={() => updateItem(item.id, { archived: !item.archived })} className="text-gray-500 hover:underline w-16">{item.archived ? 'RESTORE' : 'ARCHIVE'}</button>
+                </div>
+            ))}
+            <form onSubmit={addItem} className="flex flex-wrap sm:flex-nowrap items-center gap-2 pt-2 border-t border-fuchsia-700/20 dark:border-fuchsia-500/30">
+                {renderFields?.(draft, changes => setDraft(prev => ({ ...prev, ...changes })))}
+                <input value={draft[textKey]} onChange={e => setDraft(prev => ({ ...prev, [textKey]: e.target.value }))} placeholder={placeholder} className={`${LIST_EDITOR_INPUT_CLASS} flex-1 min-w-48`} />
+                <button type="submit" className="bg-fuchsia-600/80 hover:bg-fuchsia-500/80 border border-fuchsia-400 text-white px-3 py-1 font-bold">+ ADD</button>
+            </form>
+            {archivedCount > 0 && (
+                <button onClick={() => setShowArchived(!showArchived)} className="text-gray-500 hover:underline">
+                    {showArchived ? 'HIDE' : 'SHOW'} ARCHIVED ({archivedCount})
+                </button>
+            )}
+        </>
+    );
+};
+
+const renderRuleCategory = (rule, change) => (
+    <select value={rule.category} onChange={e => change({ category: e.target.value })} className={`${LIST_EDITOR_INPUT_CLASS} w-28`}>
+        {RULE_CATEGORIES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+    </select>
+);
+
+/**
+ * Edits a challenge's rule template: wording, category, order and archiving.
+ * Archived rules drop out of new checklists but stay in the template, so the
+ * adherence stats can still name them.
+ */
+const RuleTemplateEditor = ({ template, onChange }) => (
+    <div className="p-4 bg-white/50 dark:bg-black/70 backdrop-blur-sm border border-fuchsia-700/30 dark:border-fuchsia-500/50 text-xs space-y-2">
+        <p className="text-gray-500">Changes apply from today on. Past days keep the checklist they were journaled with.</p>
+        <ArchivableListEditor items={template} onChange={onChange} textKey="text" newItem={{ text: '', category: RULE_CATEGORIES[0].value }}
+            renderFields={renderRuleCategory} placeholder="NEW RULE..." reorderable />
+    </div>
+);
+
+/**
+ * Edits the setups and mistakes a challenge's days and trades are tagged with.
+ * Like protocols, tags are archived rather than deleted.
+ */
+const JournalTagsEditor = ({ tags, onChange }) => (
+    <div className="p-4 bg-white/50 dark:bg-black/70 backdrop-blur-sm border border-fuchsia-700/30 dark:border-fuchsia-500/50 text-xs grid md:grid-cols-2 gap-6">
+        {[['setups', 'SETUPS', 'NEW SETUP...'], ['mistakes', 'MISTAKES', 'NEW MISTAKE...']].map(([key, title, placeholder]) => (
+            <div key={key} className="space-y-2">
+                <h4 className="font-bold text-fuchsia-600 dark:text-fuchsia-400">{title}</h4>
+                <ArchivableListEditor items={tags[key]} onChange={items => onChange({ ...tags, [key]: items })} textKey="label" newItem={{ label: '' }} placeholder={placeholder} />
+            </div>
+        ))}
+    </div>
+);
+
+const EVALUATION_STATUS_STYLES = {
+    passed: 'border-green-500 text-green-600 dark:text-green-400',
+    failed: 'border-red-500 text-red-600 dark:text-red-400',
+    'in-progress': 'border-yellow-500 text-yellow-600 dark:text-yellow-400',
+};
+
+const EVALUATION_RULE_FIELDS = [
+    { key: 'profitTargetPercent', label: 'PROFIT TARGET %' },
+    { key: 'maxDailyLossPercent', label: 'MAX DAILY LOSS %' },
+    { key: 'maxLossPercent', label: 'MAX LOSS %' },
+    { key: 'minTradingDays', label: 'MIN TRADING DAYS' },
+    { key: 'consistencyPercent', label: 'BEST DAY MAX % OF PROFIT' },
+];
+
+/**
+ * Prop-firm evaluation of a challenge: its rules, the live status of each
+ * check and the breach that failed it, if any. Rule edits apply together.
+ */
+const EvaluationPanel = ({ rules, result, currency, onChange, onMessage }) => {
+    const [form, setForm] = useState(rules);
+    const [editedRules, setEditedRules] = useState(rules);
+    // Start over from the stored rules whenever they change elsewhere. Every
+    // settings snapshot brings a new object, so only a change in content counts.
+    if (JSON.stringify(rules) !== JSON.stringify(editedRules)) {
+        setEditedRules(rules);
+        setForm(rules);
+    }
+
+    const handleTemplateChange = (templateId) => setForm(templateId ? createEvaluation(templateId) : null);
+
+    const handleApply = () => {
+        if (!form) {
+            onChange(null);
+            return;
+        }
+        const values = Object.fromEntries(EVALUATION_RULE_FIELDS.map(({ key }) => [key, Number(form[key])]));
+        const invalidField = EVALUATION_RULE_FIELDS.find(({ key }) => !(values[key] >= 0));
+        if (invalidField) {
+            onMessage({ text: `${invalidField.label} must be a number, 0 or more.`, isProfit: false });
+            return;
+        }
+        onChange({ ...form, ...values });
+    };
+
+    // Editing a template's numbers turns it into a custom evaluation
+    const updateField = (key, value) => setForm({ ...form, [key]: value, template: 'custom' });
+
+    const formatCheck = (check) => {
+        if (check.id === 'trading-days') return `${check.value} / ${check.limit}`;
+        if (check.id === 'consistency') return `${check.value === null ? '-' : `${check.value.toFixed(0)}%`} / ≤${check.limit}%`;
+        const format = (amount) => formatCurrency(Math.round(amount), currency);
+        if (check.id === 'max-loss') return `${format(check.value)} / FLOOR ${format(check.limit)}`;
+        return `${format(check.value)} / ${format(check.limit)}`;
+    };
+
+    const inputClass = "bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-1 text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400";
+
+    return (
+        <div className="p-4 bg-white/50 dark:bg-black/70 backdrop-blur-sm border border-cyan-700/30 dark:border-cyan-500/50 text-xs space-y-3">
+            {result && (
+                <div className="space-y-2">
+                    <div className={`inline-block border px-3 py-1 font-bold ${EVALUATION_STATUS_STYLES[result.status]}`}>{result.status.replace('-', ' ').toUpperCase()}</div>
+                    {result.breach && (
+                        <p className="text-red-600 dark:text-red-400">
+                            BREACH {result.breach.date}: {result.breach.message}
+                        </p>
+                    )}
+                    <table className="w-full text-center">
+                        <thead><tr className="text-gray-500 dark:text-gray-400"><th className="text-left">RULE</th><th>NOW / LIMIT</th><th>STATUS</th></tr></thead>
+                        <tbody>
+                            {result.checks.map(check => (
+                                <tr key={check.id} className="font-mono">
+                                    <td className="text-left font-sans">{check.label}</td>
+                                    <td>{formatCheck(check)}</td>
+                                    <td className={check.status === 'breached' ? 'text-red-500' : check.status === 'pending' ? 'text-yellow-500' : 'text-green-500'}>{check.status.toUpperCase()}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="text-gray-500">Daily loss is measured against each day's starting balance; today includes the demo trader's open positions.</p>
+                </div>
+            )}
+            <div className="flex flex-wrap items-end gap-2 pt-2 border-t border-cyan-700/20 dark:border-cyan-500/30">
+                <label className="flex flex-col text-gray-500 dark:text-gray-400">TEMPLATE
+                    <select value={form?.template || ''} onChange={e => handleTemplateChange(e.target.value)} className={`${inputClass} w-40`}>
+                        <option value="">NONE</option>
+                        {EVALUATION_TEMPLATES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                    </select>
+                </label>
+                {form && EVALUATION_RULE_FIELDS.map(({ key, label }) => (
+                    <label key={key} className="flex flex-col text-gray-500 dark:text-gray-400">{label}
+                        <input type="number" min="0" step={key === 'minTradingDays' ? 1 : 0.5} value={form[key]} onChange={e => updateField(key, e.target.value)} className={`${inputClass} w-24`} />
+                    </label>
+                ))}
+                {form && (
+                    <label className="flex flex-col text-gray-500 dark:text-gray-400">DRAWDOWN
+                        <select value={form.drawdownType} onChange={e => updateField('drawdownType', e.target.value)} className={`${inputClass} w-28`}>
+                            {DRAWDOWN_TYPES.map(type => <option key={type} value={type}>{type.toUpperCase()}</option>)}
+                        </select>
+                    </label>
+                )}
+                <button onClick={handleApply} disabled={form === rules} className="bg-cyan-600/80 hover:bg-cyan-500/80 border border-cyan-400 text-white px-3 py-1 font-bold disabled:opacity-50">APPLY</button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Triggers a browser download of generated text.
+ * @param {string} fileName - Suggested file name.
+ * @param {string} content - File contents.
+ * @param {string} type - MIME type.
+ */
+const downloadFile = (fileName, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const STATEMENT_FIELD_LABELS = {
+    closeTime: 'CLOSE TIME', profit: 'PROFIT', commission: 'COMMISSION', swap: 'SWAP',
+    symbol: 'SYMBOL', side: 'TYPE / SIDE', lots: 'LOTS', ticket: 'TICKET / ID',
+};
+
+/**
+ * Exports the challenge as JSON or CSV, imports a JSON export, and imports
+ * trade histories from broker statements after the columns are mapped.
+ */
+const ImportExportPanel = ({ settings, entries, journal, onImportJournal, onImportTrades, onMessage }) => {
+    const [statement, setStatement] = useState(null); // { fileName, headers, records, formatId, columns }
+
+    const baseName = (settings.name || DEFAULT_CHALLENGE_NAME).replace(/[^\w-]+/g, '_');
+    const planDates = useMemo(() => new Set(journal.months.flatMap(m => m.days.map(d => d.date))), [journal]);
+
+    const preview = useMemo(() => {
+        if (!statement || REQUIRED_STATEMENT_FIELDS.some(field => !statement.columns[field])) return null;
+        const { trades, skipped } = mapStatementTrades(statement.records, statement.columns);
+        const byDate = groupTradesByDate(trades);
+        Object.keys(byDate).filter(date => !planDates.has(date)).forEach(date => delete byDate[date]);
+        const tradeCount = Object.values(byDate).flat().length;
+        return { byDate, skipped, tradeCount, outsideCount: trades.length - tradeCount };
+    }, [statement, planDates]);
+
+    const readFile = (e, onLoad) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow picking the same file again
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                onLoad(reader.result, file.name);
+            } catch (error) {
+                console.error(`Could not read ${file.name}:`, error);
+                onMessage({ text: `Could not read ${file.name}.`, isProfit: false });
+            }
+        };
+        reader.onerror = () => {
+            console.error(`Could not read ${file.name}:`, reader.error);
+            onMessage({ text: `Could not read ${file.name}.`, isProfit: false });
+        };
+        reader.readAsText(file);
+    };
+
+    const handleJournalFile = (e) => readFile(e, (text, fileName) => {
+        const { settings: imported, dayEntries, errors } = parseJournalImport(text);
+        if (errors.length > 0) {
+            console.error(`Could not import ${fileName}:`, errors);
+            onMessage({ text: `Could not import ${fileName}: ${errors[0]}.`, isProfit: false });
+            return;
+        }
+        onImportJournal(imported, dayEntries, fileName);
+    });
+
+    const handleStatementFile = (e) => readFile(e, (text, fileName) => {
+        const { headers, records } = toStatementRecords(parseCsv(text));
+        if (records.length === 0) {
+            onMessage({ text: `No trades found in ${fileName}.`, isProfit: false });
+            return;
+        }
+        const format = detectStatementFormat(headers);
+        setStatement({ fileName, headers, records, formatId: format.id, columns: resolveStatementColumns(format, headers) });
+    });
+
+    const handleFormatChange = (formatId) => {
+        const format = STATEMENT_FORMATS.find(f => f.id === formatId);
+        setStatement(prev => ({ ...prev, formatId, columns: resolveStatementColumns(format, prev.headers) }));
+    };
+
+    const handleImportTrades = () => {
+        onImportTrades(preview.byDate, statement.fileName);
+        setStatement(null);
+    };
+
+    const buttonClass = "bg-cyan-600/80 hover:bg-cyan-500/80 border border-cyan-400 text-white px-3 py-1 text-xs font-bold";
+    const selectClass = "bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 p-1 text-xs";
+
+    return (
+        <div className="p-4 bg-white/50 dark:bg-black/70 backdrop-blur-sm border border-cyan-700/30 dark:border-cyan-500/50 space-y-4 text-xs">
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="font-bold text-gray-500 dark:text-gray-400 w-24">EXPORT</span>
+                <button onClick={() => downloadFile(`${baseName}.json`, JSON.stringify(buildJournalExport(settings, entries), null, 2), 'application/json')} className={buttonClass}>JSON (FULL)</button>
+                <button onClick={() => downloadFile(`${baseName}-days.csv`, journalToCsv(journal), 'text/csv')} className={buttonClass}>DAYS CSV</button>
+                <button onClick={() => downloadFile(`${baseName}-trades.csv`, tradesToCsv(journal), 'text/csv')} className={buttonClass}>TRADES CSV</button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="font-bold text-gray-500 dark:text-gray-400 w-24">IMPORT JSON</span>
+                <input type="file" accept=".json,application/json" onChange={handleJournalFile} className="text-xs" />
+                <span className="text-gray-500">Replaces this challenge; the current plan is archived first.</span>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="font-bold text-gray-500 dark:text-gray-400 w-24">STATEMENT</span>
+                <input type="file" accept=".csv,.txt,text/csv" onChange={handleStatementFile} className="text-xs" />
+                <span className="text-gray-500">MT4/MT5, cTrader or any CSV trade history. Trades are added to the days they closed on.</span>
+            </div>
+
+            {statement && (
+                <div className="border-t border-cyan-700/20 dark:border-cyan-500/30 pt-4 space-y-3">
+                    <div className="flex flex-wrap items-center gap-2">
+                        <span className="font-bold">{statement.fileName}</span>
+                        <select value={statement.formatId} onChange={e => handleFormatChange(e.target.value)} className={selectClass}>
+                            {STATEMENT_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                        {Object.entries(STATEMENT_FIELD_LABELS).map(([field, label]) => (
+                            <label key={field} className="flex flex-col gap-1">
+                                <span className="text-gray-500 dark:text-gray-400">{label}{REQUIRED_STATEMENT_FIELDS.includes(field) && ' *'}</span>
+                                <select value={statement.columns[field] || ''} onChange={e => setStatement(prev => ({ ...prev, columns: { ...prev.columns, [field]: e.target.value } }))} className={selectClass}>
+                                    <option value="">-</option>
+                                    {statement.headers.filter(Boolean).map(h => <option key={h} value={h}>{h}</option>)}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+                    {preview ? (
+                        <div className="flex flex-wrap items-center gap-3">
+                            <span>
+                                {preview.tradeCount} trades on {Object.keys(preview.byDate).length} plan days
+                                {preview.outsideCount > 0 && `, ${preview.outsideCount} outside the plan's days (not imported)`}
+                                {preview.skipped > 0 && `, ${preview.skipped} rows skipped`}
+                            </span>
+                            <button onClick={handleImportTrades} disabled={Object.keys(preview.byDate).length === 0} className={`${buttonClass} disabled:opacity-50`}>IMPORT TRADES</button>
+                            <button onClick={() => setStatement(null)} className="text-gray-500 hover:underline">CANCEL</button>
+                        </div>
+                    ) : (
+                        <p className="text-yellow-600 dark:text-yellow-400">Map the close time and profit columns to continue.</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Thumbnails of the screenshots attached to a day or trade. The images live
+ * in this browser only (see attachments.js); elsewhere just the name shows.
+ */
+const AttachmentStrip = ({ attachments, onAdd, onRemove, onMessage }) => {
+    const [urls, setUrls] = useState({});
+    const ids = attachments.map(a => a.id).join(',');
+
+    // Object URLs for the images found on this device; null for those that aren't
+    useEffect(() => {
+        let cancelled = false;
+        let loaded = [];
+        const load = async (id) => {
+            try {
+                const blob = await loadAttachment(id);
+                return [id, blob ? URL.createObjectURL(blob) : null];
+            } catch (error) {
+                console.error("Error loading attachment:", error);
+                return [id, null];
+            }
+        };
+        Promise.all(ids.split(',').filter(Boolean).map(load)).then(entries => {
+            if (cancelled) {
+                entries.forEach(([, url]) => url && URL.revokeObjectURL(url));
+                return;
+            }
+            loaded = entries;
+            setUrls(Object.fromEntries(entries));
+        });
+        return () => {
+            cancelled = true;
+            loaded.forEach(([, url]) => url && URL.revokeObjectURL(url));
+        };
+    }, [ids]);
+
+    const handleFiles = async (e) => {
+        const files = [...e.target.files];
+        e.target.value = ''; // Allow picking the same file again
+        const saved = [];
+        for (const file of files) {
+            try {
+                saved.push(await saveAttachment(file));
+            } catch (error) {
+                console.error("Error saving attachment:", error);
+                onMessage({ text: `Could not attach ${file.name}: ${error.message}.`, isProfit: false });
+            }
+        }
+        if (saved.length > 0) onAdd(saved);
+    };
+
+    const handleRemove = (id) => {
+        onRemove(id);
+        deleteAttachment(id).catch(error => console.error("Error deleting attachment:", error));
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            {attachments.map(attachment => (
+                <div key={attachment.id} className="relative">
+                    {urls[attachment.id] ? (
+                        <a href={urls[attachment.id]} target="_blank" rel="noreferrer" title={attachment.name}>
+                            <img src={urls[attachment.id]} alt={attachment.name} className="h-16 w-24 object-cover border border-cyan-700/30 dark:border-cyan-500/50" />
+                        </a>
+                    ) : (
+                        <div title={`${attachment.name} is not stored on this device`} className="h-16 w-24 flex items-center justify-center text-center text-[10px] text-gray-500 border border-dashed border-gray-500 p-1 overflow-hidden">{attachment.name}</div>
+                    )}
+                    <button onClick={() => handleRemove(attachment.id)} title="Remove" className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full h-4 w-4 text-[10px] leading-none">×</button>
                 </div>
-                <div className="w-64 bg-gray-100 dark:bg-gray-800 border-l border-cyan-700/30 dark:border-cyan-500/50"><TradePanel /></div>
+            ))}
+            <label className="cursor-pointer px-3 py-1 border border-cyan-700/30 dark:border-cyan-500/50 text-cyan-600 dark:text-cyan-400 hover:bg-cyan-500/10">
+                + SCREENSHOT
+                <input type="file" accept="image/*" multiple onChange={handleFiles} className="hidden" />
+            </label>
+            <span className="text-[10px] text-gray-500">Saved on this device only.</span>
+        </div>
+    );
+};
+
+const SCORE_HINTS = {
+    emotion: { 1: 'CALM', 5: 'TILTED' },
+    confidence: { 1: 'LOW', 5: 'HIGH' },
+};
+
+/**
+ * The structured review of a day or a trade. A trade's blank fields fall back
+ * to its day's review, passed as `fallback`, which the blank options show.
+ * `onChange` takes the changed fields, or a function of the current review
+ * returning them.
+ */
+const ReviewFields = ({ review, tags, fallback, onChange, onMessage }) => {
+    const labelOf = (list, key) => list.find(item => (item.id ?? item.value) === key)?.label || key;
+    const blankOption = (fallbackLabel) => <option value="">{fallbackLabel ? `AS DAY: ${fallbackLabel}` : '—'}</option>;
+    // Archived tags stay listed where they are already in use
+    const setups = tags.setups.filter(s => !s.archived || s.id === review.setup);
+    const mistakes = tags.mistakes.filter(m => !m.archived || review.mistakes.includes(m.id));
+    const inheritedMistakes = review.mistakes.length === 0 ? (fallback?.mistakes || []) : [];
+
+    const toggleMistake = (id) => onChange(current => ({
+        mistakes: current.mistakes.includes(id) ? current.mistakes.filter(m => m !== id) : [...current.mistakes, id],
+    }));
+    const selectClass = "bg-white/50 dark:bg-black/50 border border-fuchsia-700/30 dark:border-fuchsia-500/50 p-1 text-gray-800 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-fuchsia-500";
+
+    return (
+        <div className="space-y-3 text-xs text-left">
+            <div className="flex flex-wrap gap-3">
+                <label className="flex flex-col text-gray-500 dark:text-gray-400">SETUP
+                    <select value={review.setup} onChange={e => onChange({ setup: e.target.value })} className={`${selectClass} w-40`}>
+                        {blankOption(fallback?.setup && labelOf(tags.setups, fallback.setup))}
+                        {setups.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                    </select>
+                </label>
+                <label className="flex flex-col text-gray-500 dark:text-gray-400">MARKET
+                    <select value={review.marketCondition} onChange={e => onChange({ marketCondition: e.target.value })} className={`${selectClass} w-40`}>
+                        {blankOption(fallback?.marketCondition && labelOf(MARKET_CONDITIONS, fallback.marketCondition))}
+                        {MARKET_CONDITIONS.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                    </select>
+                </label>
+                {['emotion', 'confidence'].map(field => (
+                    <label key={field} className="flex flex-col text-gray-500 dark:text-gray-400">{field.toUpperCase()}
+                        <select value={review[field] ?? ''} onChange={e => onChange({ [field]: e.target.value === '' ? null : Number(e.target.value) })} className={`${selectClass} w-28`}>
+                            {blankOption(fallback?.[field])}
+                            {SCORES.map(score => <option key={score} value={score}>{score}{SCORE_HINTS[field][score] ? ` · ${SCORE_HINTS[field][score]}` : ''}</option>)}
+                        </select>
+                    </label>
+                ))}
             </div>
-            
-            {/* Mobile Layout */}
-            <div className="md:hidden flex flex-col h-[700px]">
-                <div className="flex-1 overflow-hidden">
-                    {mobileTab === 'chart' && <ChartPanel />}
-                    {mobileTab === 'trade' && <div className="h-full overflow-y-auto terminal-scrollbar"><TradePanel /></div>}
-                    {mobileTab === 'symbols' && <div className="h-full"><SymbolList /></div>}
-                    {mobileTab === 'positions' && <PositionsPanel />}
-                </div>
-                {/* Mobile Nav */}
-                <div className="flex bg-gray-100 dark:bg-gray-800 border-t border-cyan-700/30 dark:border-cyan-500/50 h-16">
-                    <MobileTab label="Chart" onClick={() => setMobileTab('chart')} isActive={mobileTab === 'chart'} icon={<ChartIcon />} />
-                    <MobileTab label="Trade" onClick={() => setMobileTab('trade')} isActive={mobileTab === 'trade'} icon={<TradeIcon />} />
-                    <MobileTab label="Symbols" onClick={() => setMobileTab('symbols')} isActive={mobileTab === 'symbols'} icon={<SymbolsIcon />} />
-                    <MobileTab label="Positions" onClick={() => setMobileTab('positions')} isActive={mobileTab === 'positions'} icon={<PositionsIcon count={positions.length} />} />
+            <div>
+                <span className="text-gray-500 dark:text-gray-400">MISTAKES{inheritedMistakes.length > 0 && ` (AS DAY: ${inheritedMistakes.map(id => labelOf(tags.mistakes, id)).join(', ')})`}</span>
+                <div className="flex flex-wrap gap-2 mt-1">
+                    {mistakes.map(m => (
+                        <button key={m.id} onClick={() => toggleMistake(m.id)} className={`px-2 py-0.5 border ${review.mistakes.includes(m.id) ? 'bg-red-500/80 border-red-500 text-white' : 'border-gray-500 text-gray-500'}`}>{m.label}</button>
+                    ))}
                 </div>
             </div>
+            <textarea value={review.notes} onChange={e => onChange({ notes: e.target.value })} placeholder="// WHAT WENT WELL, WHAT TO CHANGE..." className="w-full h-20 p-2 bg-white/30 dark:bg-black/50 border border-fuchsia-700/30 dark:border-fuchsia-500/50 text-green-700 dark:text-green-400 rounded-none focus:outline-none focus:ring-2 focus:ring-fuchsia-500"></textarea>
+            <AttachmentStrip
+                attachments={review.attachments}
+                onAdd={saved => onChange(current => ({ attachments: [...current.attachments, ...saved] }))}
+                onRemove={id => onChange(current => ({ attachments: current.attachments.filter(a => a.id !== id) }))}
+                onMessage={onMessage}
+            />
         </div>
     );
 };
 
+// The plan, rows included, is rebuilt on every change, so a row is compared by its content
+const areJournalDayPropsEqual = (prev, next) => Object.keys(next).every(key => (
+    key === 'row' ? JSON.stringify(prev.row) === JSON.stringify(next.row) : prev[key] === next[key]
+));
+
 /**
  * Journal Day Component (Memoized)
  */
-const JournalDay = React.memo(({ row, activeMonthIndex, i, todayString, handleMouseDown, handleDetailsChange, handleRuleChange, handleProfitInput, handleSignChange }) => {
+const JournalDay = React.memo(({ row, currency, todayString, journalTags, handleMouseDown, handleDetailsChange, handleRuleChange, handleProfitInput, handleSignChange, handleNoTradeToggle, handleReviewChange, handleTradeReviewChange, onMessage }) => {
+    const [showTrades, setShowTrades] = useState(false);
+    const [showReview, setShowReview] = useState(false);
+    const [reviewingTradeId, setReviewingTradeId] = useState(null);
     const isToday = row.date === todayString;
+    const review = getReview(row);
+    const reviewSummary = [
+        journalTags.setups.find(s => s.id === review.setup)?.label,
+        MARKET_CONDITIONS.find(c => c.value === review.marketCondition)?.label,
+        review.mistakes.length > 0 && `${review.mistakes.length} MISTAKE${review.mistakes.length === 1 ? '' : 'S'}`,
+        review.attachments.length > 0 && `${review.attachments.length} SCREENSHOT${review.attachments.length === 1 ? '' : 'S'}`,
+    ].filter(Boolean).join(' · ');
+    const currencySymbol = ACCOUNT_CURRENCIES.find(c => c.code === currency)?.symbol ?? currency;
+    const ledger = row.trades || [];
+    const ledgerWins = ledger.filter(t => t.pnl > 0).length;
+    const ledgerLosses = ledger.filter(t => t.pnl < 0).length;
     const pnlValue = Number(row.actual) || 0;
     const isProfit = row.pnlSign === '+' && pnlValue > 0;
     const isLoss = row.pnlSign === '-' && pnlValue > 0;
@@ -870,24 +4509,77 @@ const JournalDay = React.memo(({ row, activeMonthIndex, i, todayString, handleMo
         >
             {/* Top Row: Financials */}
             <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-9 gap-4 items-center text-center">
-                <div className="flex flex-col"><span className="text-xs text-gray-500 dark:text-gray-400">DAY</span><span className="font-black text-lg">{row.day}</span></div>
+                <div className="flex flex-col"><span className="text-xs text-gray-500 dark:text-gray-400">DAY</span><span className="font-black text-lg">{row.noTrade ? 'REST' : row.day}</span></div>
                 <div className="flex flex-col"><span className="text-xs text-gray-500 dark:text-gray-400">DATE</span><span className="font-bold text-sm">{new Date(row.date + "T00:00:00").toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}</span></div>
-                <div className="flex flex-col"><span className="text-xs text-gray-500 dark:text-gray-400">CAPITAL</span><span className="font-mono font-bold">₹{formatNumber(row.capital, false)}</span></div>
+                <div className="flex flex-col"><span className="text-xs text-gray-500 dark:text-gray-400">CAPITAL</span><span className="font-mono font-bold">{formatCurrency(row.capital, currency, false)}</span></div>
                 <div className="flex flex-col"><span className="text-xs text-gray-500 dark:text-gray-400">TARGET %</span><span className={`font-mono font-bold ${row.dailyRate > 0 ? 'text-cyan-700 dark:text-cyan-400' : 'text-gray-500'}`}>{(row.dailyRate * 100).toFixed(2)}%</span></div>
-                <div className="flex flex-col"><span className="text-xs text-gray-500 dark:text-gray-400">PROFIT GOAL</span><span className="font-mono text-yellow-600 dark:text-yellow-400 font-bold">₹{formatNumber(row.profit, false)}</span></div>
-                <div className="flex flex-col"><span className="text-xs text-gray-500 dark:text-gray-400">TARGET AMT</span><span className="font-mono font-bold">₹{formatNumber(row.target, false)}</span></div>
-                <div className="flex flex-col items-center"><span className="text-xs text-gray-500 dark:text-gray-400 mb-1">WIN</span><input type="number" placeholder="W" value={row.winningTrades} onChange={(e) => handleDetailsChange(activeMonthIndex, i, 'winningTrades', e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-1.5 w-16 focus:outline-none focus:ring-2 focus:ring-cyan-400"/></div>
-                <div className="flex flex-col items-center"><span className="text-xs text-gray-500 dark:text-gray-400 mb-1">LOSS</span><input type="number" placeholder="L" value={row.losingTrades} onChange={(e) => handleDetailsChange(activeMonthIndex, i, 'losingTrades', e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-1.5 w-16 focus:outline-none focus:ring-2 focus:ring-cyan-400"/></div>
+                <div className="flex flex-col"><span className="text-xs text-gray-500 dark:text-gray-400">PROFIT GOAL</span><span className="font-mono text-yellow-600 dark:text-yellow-400 font-bold">{formatCurrency(row.profit, currency, false)}</span></div>
+                <div className="flex flex-col"><span className="text-xs text-gray-500 dark:text-gray-400">TARGET AMT</span><span className="font-mono font-bold">{formatCurrency(row.target, currency, false)}</span>{row.withdrawal > 0 && <span className="text-[10px] text-fuchsia-600 dark:text-fuchsia-400">-{formatCurrency(row.withdrawal, currency, false)} WITHDRAWAL</span>}</div>
+                {/* Manual counts are for off-platform trades; ledger trades are added on top */}
+                <div className="flex flex-col items-center"><span className="text-xs text-gray-500 dark:text-gray-400 mb-1">WIN</span><input type="number" placeholder="W" value={row.winningTrades} onChange={(e) => handleDetailsChange(row.date, 'winningTrades', e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-1.5 w-16 focus:outline-none focus:ring-2 focus:ring-cyan-400"/>{ledgerWins > 0 && <span className="text-[10px] text-green-600 dark:text-green-400 mt-1">+{ledgerWins} DEMO</span>}</div>
+                <div className="flex flex-col items-center"><span className="text-xs text-gray-500 dark:text-gray-400 mb-1">LOSS</span><input type="number" placeholder="L" value={row.losingTrades} onChange={(e) => handleDetailsChange(row.date, 'losingTrades', e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-1.5 w-16 focus:outline-none focus:ring-2 focus:ring-cyan-400"/>{ledgerLosses > 0 && <span className="text-[10px] text-red-600 dark:text-red-400 mt-1">+{ledgerLosses} DEMO</span>}</div>
                 <div className="flex flex-col items-center">
                     <span className="text-xs text-gray-500 dark:text-gray-400 mb-1">YOUR P&L</span>
                     <div className="flex items-center no-drag">
-                        <button onClick={() => handleSignChange(activeMonthIndex, i, '+')} className={`px-2 py-1 border ${row.pnlSign === '+' ? 'bg-green-500 text-white border-green-500' : 'bg-transparent border-gray-500'}`}>+</button>
-                        <input type="number" placeholder="₹" value={row.actual} onChange={(e) => handleProfitInput(activeMonthIndex, i, e.target.value)} className="bg-white/50 dark:bg-black/50 border-y border-cyan-700/30 dark:border-cyan-500/50 text-center p-1.5 w-28 focus:outline-none focus:ring-2 focus:ring-cyan-400" />
-                        <button onClick={() => handleSignChange(activeMonthIndex, i, '-')} className={`px-2 py-1 border ${row.pnlSign === '-' ? 'bg-red-500 text-white border-red-500' : 'bg-transparent border-gray-500'}`}>-</button>
+                        <button onClick={() => handleSignChange(row.date, '+')} className={`px-2 py-1 border ${row.pnlSign === '+' ? 'bg-green-500 text-white border-green-500' : 'bg-transparent border-gray-500'}`}>+</button>
+                        <input type="number" placeholder={currencySymbol} value={row.actual} onChange={(e) => handleProfitInput(row.date, e.target.value)} className="bg-white/50 dark:bg-black/50 border-y border-cyan-700/30 dark:border-cyan-500/50 text-center p-1.5 w-28 focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                        <button onClick={() => handleSignChange(row.date, '-')} className={`px-2 py-1 border ${row.pnlSign === '-' ? 'bg-red-500 text-white border-red-500' : 'bg-transparent border-gray-500'}`}>-</button>
                     </div>
                 </div>
             </div>
             
+            {/* A day can only be skipped before anything was traded on it */}
+            <div className="mt-2 flex justify-end no-drag">
+                <label className={`flex items-center gap-2 text-xs ${row.actual !== "" || ledger.length > 0 ? 'opacity-50' : 'cursor-pointer'}`}>
+                    <input type="checkbox" checked={!!row.noTrade} disabled={!row.noTrade && (row.actual !== "" || ledger.length > 0)} onChange={() => handleNoTradeToggle(row.date)} />
+                    NO TRADE DAY
+                </label>
+            </div>
+
+            {/* Trade Ledger */}
+            {ledger.length > 0 && (
+                <div className="mt-4 pt-4 border-t border-cyan-700/20 dark:border-cyan-500/30 no-drag">
+                    <button onClick={() => setShowTrades(!showTrades)} className="font-bold text-left text-cyan-600 dark:text-cyan-400 text-sm">
+                        {showTrades ? '▾' : '▸'} TRADE LEDGER ({ledger.length})
+                    </button>
+                    {showTrades && (
+                        <table className="w-full mt-2 text-xs">
+                            <thead><tr className="text-left text-gray-500 dark:text-gray-400"><th>Symbol</th><th>Side</th><th>Lots</th><th>Entry</th><th>Exit</th><th>Costs</th><th>PnL</th><th>Reason</th><th>Opened</th><th>Closed</th><th>Review</th></tr></thead>
+                            <tbody>
+                                {ledger.map(trade => (
+                                    <React.Fragment key={trade.id}>
+                                        <tr className="font-mono">
+                                            <td className="font-sans font-bold">{trade.symbol}</td>
+                                            <td className={trade.side === 'BUY' ? 'text-green-500' : 'text-red-500'}>{trade.side}</td>
+                                            <td>{trade.lots}</td>
+                                            <td>{trade.entryPrice.toFixed(5)}</td>
+                                            <td>{trade.exitPrice.toFixed(5)}</td>
+                                            <td>{((trade.swap || 0) - (trade.commission || 0)).toFixed(2)}</td>
+                                            <td className={trade.pnl >= 0 ? 'text-green-600' : 'text-red-600'}>{trade.pnl.toFixed(2)}</td>
+                                            <td className="font-sans">{trade.reason}</td>
+                                            <td>{trade.openedAt ? new Date(trade.openedAt).toLocaleTimeString() : '-'}</td>
+                                            <td>{new Date(trade.closedAt).toLocaleTimeString()}</td>
+                                            <td className="font-sans">
+                                                <button onClick={() => setReviewingTradeId(reviewingTradeId === trade.id ? null : trade.id)} className="text-fuchsia-600 dark:text-fuchsia-400 hover:underline">
+                                                    {journalTags.setups.find(s => s.id === getTradeReview(row, trade.id).setup)?.label || (reviewingTradeId === trade.id ? 'CLOSE' : 'TAG')}
+                                                </button>
+                                            </td>
+                                        </tr>
+                                        {reviewingTradeId === trade.id && (
+                                            <tr>
+                                                <td colSpan={11} className="py-2">
+                                                    <ReviewFields review={getTradeReview(row, trade.id)} tags={journalTags} fallback={review} onChange={changes => handleTradeReviewChange(row.date, trade.id, changes)} onMessage={onMessage} />
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+
             {/* Bottom Row: Journaling */}
             <div className="mt-4 pt-4 border-t border-cyan-700/20 dark:border-cyan-500/30 no-drag">
                 <div className="flex flex-col md:flex-row gap-6">
@@ -895,24 +4587,46 @@ const JournalDay = React.memo(({ row, activeMonthIndex, i, todayString, handleMo
                     <div className="flex-1 md:w-1.5/3">
                         <h3 className="font-bold mb-2 text-left text-fuchsia-600 dark:text-fuchsia-400">DAILY PROTOCOLS</h3>
                         <div className="space-y-2 text-left">
-                            {row.rules && row.rules.map((rule, ruleIndex) => (
-                                <label key={ruleIndex} className="flex items-center text-xs sm:text-sm cursor-pointer group">
-                                    <input type="checkbox" checked={rule.checked} onChange={(e) => handleRuleChange(activeMonthIndex, i, ruleIndex, e.target.checked)} className="h-4 w-4 rounded-none border-2 border-fuchsia-700/50 dark:border-fuchsia-500/50 text-fuchsia-500 focus:ring-fuchsia-500 bg-transparent" />
-                                    <span className="ml-3 text-gray-700 dark:text-gray-300 group-hover:text-fuchsia-600 dark:group-hover:text-fuchsia-400 transition-colors">{rule.text}</span>
-                                </label>
-                            ))}
+                            {/* Grouped by category; checklists from before categories form one group */}
+                            {[...RULE_CATEGORIES, { value: undefined, label: null }].map(category => {
+                                const rules = (row.rules || []).map((rule, ruleIndex) => ({ rule, ruleIndex })).filter(({ rule }) => rule.category === category.value);
+                                if (rules.length === 0) return null;
+                                return (
+                                    <div key={category.label || 'uncategorized'} className="space-y-2">
+                                        {category.label && <h4 className="text-[10px] font-bold tracking-wider text-gray-500 dark:text-gray-400">{category.label}</h4>}
+                                        {rules.map(({ rule, ruleIndex }) => (
+                                            <label key={ruleIndex} className="flex items-center text-xs sm:text-sm cursor-pointer group">
+                                                <input type="checkbox" checked={rule.checked} onChange={(e) => handleRuleChange(row.date, ruleIndex, e.target.checked)} className="h-4 w-4 rounded-none border-2 border-fuchsia-700/50 dark:border-fuchsia-500/50 text-fuchsia-500 focus:ring-fuchsia-500 bg-transparent" />
+                                                <span className="ml-3 text-gray-700 dark:text-gray-300 group-hover:text-fuchsia-600 dark:group-hover:text-fuchsia-400 transition-colors">{rule.text}</span>
+                                            </label>
+                                        ))}
+                                    </div>
+                                );
+                            })}
                         </div>
                     </div>
                     {/* Execution Log */}
                     <div className="flex-1 md:w-1.5/3">
                         <h3 className="font-bold mb-2 text-left text-fuchsia-600 dark:text-fuchsia-400">EXECUTION LOG</h3>
-                        <textarea value={row.logic} onChange={(e) => handleDetailsChange(activeMonthIndex, i, 'logic', e.target.value)} placeholder={`// LOG FOR DAY ${row.day}...`} className="w-full h-48 p-2 bg-white/30 dark:bg-black/50 border border-fuchsia-700/30 dark:border-fuchsia-500/50 text-green-700 dark:text-green-400 rounded-none focus:outline-none focus:ring-2 focus:ring-fuchsia-500"></textarea>
+                        <textarea value={row.logic} onChange={(e) => handleDetailsChange(row.date, 'logic', e.target.value)} placeholder={row.noTrade ? '// REST DAY...' : `// LOG FOR DAY ${row.day}...`} className="w-full h-48 p-2 bg-white/30 dark:bg-black/50 border border-fuchsia-700/30 dark:border-fuchsia-500/50 text-green-700 dark:text-green-400 rounded-none focus:outline-none focus:ring-2 focus:ring-fuchsia-500"></textarea>
                     </div>
                 </div>
             </div>
+
+            {/* Day Review: tags that the day's trades inherit */}
+            <div className="mt-4 pt-4 border-t border-cyan-700/20 dark:border-cyan-500/30 no-drag text-left">
+                <button onClick={() => setShowReview(!showReview)} className="font-bold text-fuchsia-600 dark:text-fuchsia-400 text-sm">
+                    {showReview ? '▾' : '▸'} REVIEW {!showReview && reviewSummary && <span className="font-normal text-xs text-gray-500">{reviewSummary}</span>}
+                </button>
+                {showReview && (
+                    <div className="mt-2">
+                        <ReviewFields review={review} tags={journalTags} onChange={changes => handleReviewChange(row.date, changes)} onMessage={onMessage} />
+                    </div>
+                )}
+            </div>
         </div>
     );
-});
+}, areJournalDayPropsEqual);
 
 /**
  * Custom Modal Component
@@ -1025,219 +4739,512 @@ const AuthComponent = () => {
     );
 };
 
+/**
+ * A review with changes applied. Changes may be a function of the current
+ * review, for attachments that finish saving after other edits.
+ * @param {object} review - The current review, from `getReview` or `getTradeReview`.
+ * @param {object|function(object): object} changes
+ * @returns {object} - The whole new review.
+ */
+const applyReviewChanges = (review, changes) => ({ ...review, ...(typeof changes === 'function' ? changes(review) : changes) });
+
 /**
  * Main Journal App Component (Authenticated View)
  */
-const JournalAppComponent = ({ user, userData, onSignOut }) => {
+const JournalAppComponent = ({ user, userData, challengeId, challenges, onSwitchChallenge, onCreateChallenge, onUpdateChallenge, onSignOut }) => {
     // --- STATE ---
-    const [data, setData] = useState(userData); // Local copy of data from props
+    const [data, setData] = useState(userData); // Local copy of the plan settings from props
+    const [entries, setEntries] = useState({}); // Day entries keyed by date, from the `days` subcollection
     const [activeMonthIndex, setActiveMonthIndex] = useState(0);
     const [todayString, setTodayString] = useState(getTodayDateString());
-    
+
     // State for the settings inputs
     const [inputCapital, setInputCapital] = useState(userData.initialCapital.toString());
     const [inputTarget, setInputTarget] = useState(userData.finalTarget.toString());
     const [inputTenure, setInputTenure] = useState(userData.tenure.toString());
-    
+    const [inputStartDate, setInputStartDate] = useState(() => getPlanCalendar(userData).startDate);
+    const [inputHolidays, setInputHolidays] = useState(() => getPlanCalendar(userData).holidayCalendars);
+    const [inputPlanModel, setInputPlanModel] = useState(() => ({ ...DEFAULT_PLAN_MODEL, ...(userData.planModel || {}) }));
+
     const [theme, setTheme] = useState(() => localStorage.getItem("theme") || "dark");
     const [modal, setModal] = useState({ isOpen: false, title: "", message: "", onConfirm: null });
     const [message, setMessage] = useState(null); // For trade notifications
-    
+    const [showAnalytics, setShowAnalytics] = useState(false);
+    const [showArchives, setShowArchives] = useState(false);
+    const [showTransfer, setShowTransfer] = useState(false);
+    const [showRuleEditor, setShowRuleEditor] = useState(false);
+    const [showEvaluation, setShowEvaluation] = useState(false);
+    const [showTagEditor, setShowTagEditor] = useState(false);
+
     const dragInfo = useRef(null); // For the 3D card drag effect
-    const dataRef = useRef(doc(db, `artifacts/${appId}/users/${user.uid}/journal/data`));
+    const journalPath = `artifacts/${appId}/users/${user.uid}/journal/${challengeId}`;
+    const daysPath = `${journalPath}/days`;
+    const dataRef = useRef(doc(db, journalPath));
+    const archivesPath = `artifacts/${appId}/users/${user.uid}/archives`;
 
-    // Sync local state if props change (e.g., from Firestore snapshot)
+    // Edits not yet written to Firestore, field by field
+    const pendingSettingsRef = useRef({});
+    const pendingEntriesRef = useRef({}); // date -> { field: value }
+    const saveTimerRef = useRef(null);
+
+    // Sync local state if props change (e.g., from Firestore snapshot).
+    // Unsaved local edits win over the incoming copy.
     useEffect(() => {
-        setData(userData);
+        setData({ ...userData, ...pendingSettingsRef.current });
     }, [userData]);
-    
+
+    // Day entries, merged field by field the same way so an edit in another
+    // tab only replaces the fields it actually changed
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, daysPath), (snapshot) => {
+            const serverEntries = Object.fromEntries(snapshot.docs.map(d => [d.id, d.data()]));
+            Object.entries(pendingEntriesRef.current).forEach(([date, fields]) => {
+                serverEntries[date] = mergeEntryFields(serverEntries[date] || { date }, fields);
+            });
+            setEntries(serverEntries);
+        }, (error) => console.error("Day entries snapshot error:", error));
+        return () => unsubscribe();
+    }, [daysPath]);
+
+    // Roll "today" over at midnight for sessions left open overnight
+    useEffect(() => {
+        const timer = setInterval(() => setTodayString(getTodayDateString()), 60000);
+        return () => clearInterval(timer);
+    }, []);
+
+    // The full plan, rebuilt whenever the settings or an entry change
+    const journal = useMemo(() => assembleJournal(data, entries), [data, entries]);
+
     // --- DATABASE HELPERS ---
-    
-    // **CORRECTED:** Debounced Firestore update function.
-    const updateFirestore = useCallback(
-        (newData) => {
-            if (!dataRef.current) return;
-            // The `setData` call in the handler provides the optimistic update.
-            // This just handles the debounced save.
-            if (window.firestoreTimer) clearTimeout(window.firestoreTimer);
-            window.firestoreTimer = setTimeout(async () => {
-                try {
-                    await setDoc(dataRef.current, newData, { merge: true });
-                } catch (error) { console.error("Error updating document:", error); }
-            }, 1000); // Debounce for 1 second
-        },
-        [dataRef] // dataRef.current is stable
-    );
+
+    /** Writes the pending edits: only the fields that changed, each day to its own document. */
+    const saveChanges = useCallback(async () => {
+        const settings = pendingSettingsRef.current;
+        const days = pendingEntriesRef.current;
+        pendingSettingsRef.current = {};
+        pendingEntriesRef.current = {};
+        saveTimerRef.current = null;
+
+        const batch = writeBatch(db);
+        Object.entries(days).forEach(([date, fields]) => batch.set(doc(db, `${daysPath}/${date}`), { date, ...fields }, { merge: true }));
+        if (Object.keys(settings).length > 0) batch.set(dataRef.current, settings, { merge: true });
+        try {
+            await trackWrite(batch.commit());
+        } catch (error) { console.error("Error updating document:", error); }
+    }, [daysPath]);
+
+    const scheduleSave = useCallback(() => {
+        if (saveTimerRef.current) clearTimeout(saveTimerRef.current);
+        saveTimerRef.current = setTimeout(saveChanges, 1000); // Debounce for 1 second
+    }, [saveChanges]);
+
+    // Don't lose the last second of edits when switching challenges
+    useEffect(() => () => {
+        if (saveTimerRef.current) {
+            clearTimeout(saveTimerRef.current);
+            saveChanges();
+        }
+    }, [saveChanges]);
+
+    /** Drops unsaved edits, for when the whole journal is about to be replaced. */
+    const discardPendingChanges = () => {
+        if (saveTimerRef.current) clearTimeout(saveTimerRef.current);
+        saveTimerRef.current = null;
+        pendingSettingsRef.current = {};
+        pendingEntriesRef.current = {};
+    };
+
+    // Entries a migrated journal carries that may not have a day document yet
+    const carriedEntries = useMemo(() => mergeDayEntries(data.dayEntries), [data.dayEntries]);
+    const allEntries = useMemo(() => mergeDayEntries(data.dayEntries, entries), [data.dayEntries, entries]);
+
+    /**
+     * Optimistically updates plan settings and queues the changed fields for saving.
+     * @param {object|function(object): object} getChanges - The changes, or a function of the current settings returning them.
+     */
+    const updateSettings = useCallback((getChanges) => {
+        setData(prevData => {
+            const changes = typeof getChanges === 'function' ? getChanges(prevData) : getChanges;
+            pendingSettingsRef.current = { ...pendingSettingsRef.current, ...changes };
+            return { ...prevData, ...changes };
+        });
+        scheduleSave();
+    }, [scheduleSave]);
+
+    /**
+     * Optimistically updates one day's entry and queues the changed fields for saving.
+     * @param {string} date - The day, as "YYYY-MM-DD".
+     * @param {object|function(object): object} getChanges - The changes, or a function of the current entry returning them.
+     */
+    const updateEntry = useCallback((date, getChanges) => {
+        setEntries(prevEntries => {
+            const entry = { date, ...carriedEntries[date], ...prevEntries[date] };
+            const changes = typeof getChanges === 'function' ? getChanges(entry) : getChanges;
+            pendingEntriesRef.current = { ...pendingEntriesRef.current, [date]: mergeEntryFields(pendingEntriesRef.current[date] || {}, changes) };
+            return { ...prevEntries, [date]: mergeEntryFields(entry, changes) };
+        });
+        scheduleSave();
+    }, [scheduleSave, carriedEntries]);
+
+    /**
+     * Posts a demo trader change to a day's trades and P&L straight away.
+     * Online it runs in a transaction on the stored day, so a trade another tab
+     * posts at the same time isn't lost. Offline it's queued with the trade
+     * added or removed by `arrayUnion` or `arrayRemove`, and the P&L as this
+     * tab sees it. The day's unsaved edits go in the same write.
+     * @param {string} date - The day, as "YYYY-MM-DD".
+     * @param {function(object): object} getChanges - The changes, as a function of the day's entry.
+     * @param {object} tradesUpdate - The `arrayUnion` or `arrayRemove` of the trade, for the queued write.
+     */
+    const postTradeChange = useCallback((date, getChanges, tradesUpdate) => {
+        const dayRef = doc(db, `${daysPath}/${date}`);
+        const { [date]: pending = {}, ...otherPending } = pendingEntriesRef.current;
+        pendingEntriesRef.current = otherPending;
+        const localEntry = { date, ...carriedEntries[date], ...entries[date] };
+        setEntries(prevEntries => {
+            const entry = { date, ...carriedEntries[date], ...prevEntries[date] };
+            return { ...prevEntries, [date]: { ...entry, ...getChanges(entry) } };
+        });
+
+        const writing = isServerReachable()
+            ? runTransaction(db, async (transaction) => {
+                const stored = await transaction.get(dayRef);
+                const changes = getChanges({ date, ...carriedEntries[date], ...stored.data(), ...pending });
+                transaction.set(dayRef, { date, ...pending, ...changes }, { merge: true });
+            })
+            : setDoc(dayRef, { date, ...pending, ...getChanges(localEntry), trades: tradesUpdate }, { merge: true });
+        trackWrite(writing).catch(error => console.error("Error posting trade:", error));
+    }, [daysPath, carriedEntries, entries]);
+
+    /**
+     * The writes that snapshot the current challenge, as shown on screen, into
+     * the archive, with its days and the demo trader's trade history in
+     * subcollections so no single document nears Firestore's size limit. The trader's positions,
+     * pending orders and history are cleared so the next plan starts without
+     * them. The writes go first in the same batches as the journal's
+     * replacement, so the journal isn't replaced if the archive can't be written.
+     * @returns {Promise<Array<function(object): void>>} - The writes, once the trader's records are read.
+     */
+    const archiveCurrentChallenge = async () => {
+        const archivePath = `${archivesPath}/${crypto.randomUUID()}`;
+        const [positions, pendingOrders, tradeHistory] = await Promise.all(
+            ['positions', 'pendingOrders', 'tradeHistory'].map(name => getDocs(collection(db, `${journalPath}/${name}`)))
+        );
+        const { archived: _archived, ...settings } = data;
+        return [
+            (batch) => batch.set(doc(db, archivePath), {
+                challengeId,
+                name: data.name || DEFAULT_CHALLENGE_NAME,
+                archivedAt: Date.now(),
+                summary: buildArchiveSummary(journal, todayString),
+                data: settings,
+            }),
+            ...Object.values(allEntries).map(entry => (batch) => batch.set(doc(db, `${archivePath}/days/${entry.date}`), entry)),
+            ...tradeHistory.docs.map(d => (batch) => batch.set(doc(db, `${archivePath}/tradeHistory/${d.id}`), d.data())),
+            // Open positions and pending orders are cancelled without posting to either plan
+            ...[positions, pendingOrders, tradeHistory].flatMap(snapshot => snapshot.docs.map(d => (batch) => batch.delete(d.ref))),
+        ];
+    };
 
     // **CORRECTED:** Function for the "Reset" button.
-    const resetJournalToDefaults = async () => {
+    const resetJournalToDefaults = () => {
         if (!dataRef.current) return;
-        try {
-            const initialTenure = DEFAULT_TENURE_DAYS;
-            const months = generatePlanStructure(initialTenure); // Uses hoisted func
-            let initialData = {
-                initialCapital: DEFAULT_INITIAL_CAPITAL,
-                finalTarget: DEFAULT_FINAL_TARGET,
-                tenure: initialTenure, months: months,
-                hiddenSymbols: [], version: 2
-            };
-            initialData.months = recalculatePlan(initialData); // Uses hoisted func
-            
-            // We must call `setDoc` here, which will trigger the `onSnapshot`
-            // in `MainApp`, which will then update the `userData` prop.
-            await setDoc(dataRef.current, initialData); 
-            
-            // Also reset the input fields to match
-            setInputCapital(DEFAULT_INITIAL_CAPITAL.toString());
-            setInputTarget(DEFAULT_FINAL_TARGET.toString());
-            setInputTenure(DEFAULT_TENURE_DAYS.toString());
-        } catch (error) { console.error("Error creating new journal:", error); }
+        // A pending save would land on top of the replacement
+        discardPendingChanges();
+
+        // Keep the challenge's identity and rules; only the plan and journal are reset
+        const initialData = {
+            ...createChallengeData({ name: data.name || DEFAULT_CHALLENGE_NAME, evaluation: data.evaluation || null }),
+            ruleTemplate: getRuleTemplate(data),
+            ...(data.journalTags && { journalTags: data.journalTags }),
+            createdAt: data.createdAt || Date.now(),
+        };
+
+        // Replacing the document triggers the `onSnapshot` in `MainApp`,
+        // which will then update the `userData` prop.
+        archiveCurrentChallenge()
+            .then(archiveWrites => commitInBatches([
+                ...archiveWrites,
+                ...Object.keys(entries).map(date => (batch) => batch.delete(doc(db, `${daysPath}/${date}`))),
+                (batch) => batch.set(dataRef.current, initialData),
+            ]))
+            .catch(error => console.error("Error creating new journal:", error));
+
+        // Also reset the input fields to match
+        setInputCapital(DEFAULT_INITIAL_CAPITAL.toString());
+        setInputTarget(DEFAULT_FINAL_TARGET.toString());
+        setInputTenure(DEFAULT_TENURE_DAYS.toString());
+        setInputStartDate(initialData.startDate);
+        setInputHolidays([]);
+        setInputPlanModel(DEFAULT_PLAN_MODEL);
+    };
+
+    /**
+     * Replaces the plan and every day entry, archiving the current plan first.
+     * @param {object} settings - The new journal settings, at the current schema version.
+     * @param {Array<object>} dayEntries - The new day entries.
+     * @param {Array<object>} [tradeHistory=[]] - The demo trader's history for the new plan.
+     * @returns {Promise<void>} - Settles once the server has the writes.
+     */
+    const replaceJournal = (settings, dayEntries, tradeHistory = []) => {
+        discardPendingChanges();
+        const restoredDates = new Set(dayEntries.map(entry => entry.date));
+        const replacing = archiveCurrentChallenge().then(archiveWrites => commitInBatches([
+            ...archiveWrites,
+            ...Object.keys(entries).filter(date => !restoredDates.has(date)).map(date => (batch) => batch.delete(doc(db, `${daysPath}/${date}`))),
+            ...dayEntries.map(entry => (batch) => batch.set(doc(db, `${daysPath}/${entry.date}`), entry)),
+            ...tradeHistory.map(({ id, ...trade }) => (batch) => batch.set(doc(db, `${journalPath}/tradeHistory/${id}`), trade)),
+            (batch) => batch.set(dataRef.current, { ...settings, archived: false }),
+        ]));
+        setInputCapital(settings.initialCapital.toString());
+        setInputTarget(settings.finalTarget.toString());
+        setInputTenure(settings.tenure.toString());
+        setInputStartDate(getPlanCalendar(settings).startDate);
+        setInputHolidays(settings.holidayCalendars || []);
+        setInputPlanModel({ ...DEFAULT_PLAN_MODEL, ...(settings.planModel || {}) });
+        setActiveMonthIndex(0);
+        return replacing;
+    };
+
+    /** Makes an archived plan the active one again, archiving the current plan first. */
+    const restoreArchive = (archive) => {
+        if (!dataRef.current) return;
+        // Archives keep the schema version they were taken at
+        const { settings, dayEntries, errors } = readJournalData(archive.data);
+        if (errors.length > 0) {
+            console.error(`Could not restore "${archive.name}":`, errors);
+            handleTradeMessage({ text: `Could not restore "${archive.name}": ${errors[0]}.`, isProfit: false });
+            return;
+        }
+        const archivePath = `${archivesPath}/${archive.id}`;
+        Promise.all([getDocs(collection(db, `${archivePath}/days`)), getDocs(collection(db, `${archivePath}/tradeHistory`))])
+            .then(([days, tradeHistory]) => replaceJournal(
+                settings,
+                Object.values(mergeDayEntries(dayEntries, Object.fromEntries(days.docs.map(d => [d.id, d.data()])))),
+                tradeHistory.docs.map(d => ({ ...d.data(), id: d.id }))
+            ))
+            .catch(error => console.error("Error restoring archive:", error));
+        handleTradeMessage({ text: `Restored "${archive.name}".`, isProfit: true });
+    };
+
+    /** Replaces the challenge with an imported JSON export, after confirmation. */
+    const handleImportJournal = (settings, dayEntries, fileName) => {
+        showModal(
+            "Import Journal",
+            `The current plan will be archived and replaced by the plan and ${dayEntries.length} journaled days in ${fileName}. Open demo positions and pending orders are cancelled.`,
+            () => {
+                replaceJournal(settings, dayEntries).catch(error => console.error("Error importing journal:", error));
+                handleTradeMessage({ text: `Imported "${settings.name || fileName}".`, isProfit: true });
+                closeModal();
+            }
+        );
+    };
+
+    /**
+     * Adds broker statement trades to their days. The plan is recalculated from
+     * the new entries like any manual edit.
+     * @param {object} tradesByDate - Date -> trades, from `groupTradesByDate`.
+     * @param {string} fileName - The statement, for the message.
+     */
+    const handleImportTrades = (tradesByDate, fileName) => {
+        let tradeCount = 0;
+        let dayCount = 0;
+        Object.entries(tradesByDate).forEach(([date, trades]) => {
+            const entry = allEntries[date] || { date };
+            const changes = applyImportedTrades(entry, trades);
+            if (!changes) return;
+            tradeCount += changes.importedTradeIds.length - (entry.importedTradeIds || []).length;
+            dayCount++;
+            updateEntry(date, changes);
+        });
+        handleTradeMessage(tradeCount > 0
+            ? { text: `Imported ${tradeCount} trades from ${fileName} into ${dayCount} days.`, isProfit: true }
+            : { text: `Every trade in ${fileName} was already imported.`, isProfit: false });
     };
 
     // --- Event Handlers ---
-    
+
     /** Handler for the "SET & RECALCULATE" button */
     const handleUpdateTargets = () => {
         const newInitialCapital = parseInt(inputCapital, 10) || DEFAULT_INITIAL_CAPITAL;
         const newFinalTarget = parseInt(inputTarget, 10) || DEFAULT_FINAL_TARGET;
         const newTenure = parseInt(inputTenure, 10) || DEFAULT_TENURE_DAYS;
-        
-        // Generate a new plan structure, preserving old days
-        const newMonths = generatePlanStructure(newTenure, data.months);
-        let updatedData = { ...data, initialCapital: newInitialCapital, finalTarget: newFinalTarget, tenure: newTenure, months: newMonths };
-        
-        // Recalculate all financial figures
-        updatedData.months = recalculatePlan(updatedData);
-        
-        setActiveMonthIndex(0); // Go back to the first month
-        
-        setData(updatedData); // Optimistic local update
-        updateFirestore(updatedData); // Send to Firestore
+        const calendar = { startDate: inputStartDate || getTodayDateString(), holidayCalendars: inputHolidays };
+        // An explicit 0 is a valid setting; only blank or invalid input falls back
+        const numberOr = (value, fallback) => {
+            const number = String(value).trim() === '' ? NaN : Number(value);
+            return Number.isFinite(number) ? number : fallback;
+        };
+        const planModel = {
+            type: inputPlanModel.type,
+            weeklyWithdrawal: Math.max(0, numberOr(inputPlanModel.weeklyWithdrawal, 0)),
+            riskPercent: Math.max(0, numberOr(inputPlanModel.riskPercent, DEFAULT_PLAN_MODEL.riskPercent)),
+            targetR: Math.max(0, numberOr(inputPlanModel.targetR, DEFAULT_PLAN_MODEL.targetR)),
+        };
+
+        const apply = () => {
+            // The plan is rebuilt from the new settings; day entries are kept by date
+            updateSettings({ initialCapital: newInitialCapital, finalTarget: newFinalTarget, tenure: newTenure, ...calendar, planModel });
+            setActiveMonthIndex(0); // Go back to the first month
+        };
+
+        // A new start date or holiday calendar can move journaled days out of the plan
+        const droppedDates = getDroppedDates(Object.values(allEntries), generatePlanStructure(newTenure, [{ days: Object.values(allEntries) }], calendar));
+        if (droppedDates.length === 0) {
+            apply();
+            return;
+        }
+        showModal(
+            "Update Plan",
+            `${droppedDates.length} journaled day(s) fall outside the new plan: ${droppedDates.join(', ')}. They are kept but won't be shown until the plan covers their dates again.`,
+            () => {
+                apply();
+                closeModal();
+            }
+        );
     };
-    
-    // **CORRECTED:** Wrapped in `useCallback` and uses updater pattern
-    // This makes the prop stable for `JournalDay` memoization
-    const handleJournalChange = useCallback((monthIndex, dayIndex, field, value) => {
-        setData(prevData => {
-            const newData = JSON.parse(JSON.stringify(prevData));
-            newData.months[monthIndex].days[dayIndex][field] = value;
-            // No recalculation needed, just save
-            updateFirestore(newData);
-            return newData;
-        });
-    }, [updateFirestore]);
 
-    // **CORRECTED:** Wrapped in `useCallback` and uses updater pattern
-    const handleProfitInput = useCallback((monthIndex, dayIndex, value) => {
-        setData(prevData => {
-            const newData = JSON.parse(JSON.stringify(prevData));
-            const day = newData.months[monthIndex].days[dayIndex];
-            day.actual = value;
-            
-            // Recalculate achievement status
-            const actualProfit = Number(value) || 0;
-            const signedProfit = day.pnlSign === '+' ? actualProfit : -actualProfit;
-            day.achieved = signedProfit >= day.profit;
-            
-            // Recalculate the entire plan's capital flow
-            newData.months = recalculatePlan(newData);
-            
-            updateFirestore(newData);
-            return newData;
-        });
-    }, [updateFirestore]); // `recalculatePlan` is hoisted and stable
-    
-    // **CORRECTED:** Wrapped in `useCallback` and uses updater pattern
-    const handleSignChange = useCallback((monthIndex, dayIndex, sign) => {
-        setData(prevData => {
-            const newData = JSON.parse(JSON.stringify(prevData));
-            const day = newData.months[monthIndex].days[dayIndex];
-            day.pnlSign = sign;
+    // Stable callbacks keyed by date keep `JournalDay` memoization effective
+    const handleJournalChange = useCallback((date, field, value) => {
+        updateEntry(date, { [field]: value });
+    }, [updateEntry]);
 
-            // Recalculate achievement status
-            const actualProfit = Number(day.actual) || 0;
-            const signedProfit = sign === '+' ? actualProfit : -actualProfit;
-            day.achieved = signedProfit >= day.profit;
+    /** Marks a day as "no trade"; the plan rebuilds so the schedule extends past it. */
+    const handleNoTradeToggle = useCallback((date) => {
+        updateEntry(date, entry => ({ noTrade: !entry.noTrade }));
+    }, [updateEntry]);
+
+    // Achievement and the capital flow are recalculated by `assembleJournal`
+    const handleProfitInput = useCallback((date, value) => {
+        updateEntry(date, { actual: value });
+    }, [updateEntry]);
+
+    const handleSignChange = useCallback((date, sign) => {
+        updateEntry(date, { pnlSign: sign });
+    }, [updateEntry]);
+
+    const ruleTemplate = getRuleTemplate(data);
+
+    const handleRuleChange = useCallback((date, ruleIndex, isChecked) => {
+        updateEntry(date, entry => ({
+            // Days nobody has touched yet don't have a document, so start from the template
+            rules: (entry.rules || getDayChecklist(ruleTemplate)).map((rule, i) => i === ruleIndex ? { ...rule, checked: isChecked } : { ...rule }),
+        }));
+    }, [updateEntry, ruleTemplate]);
+
+    /**
+     * Saves an edited rule template. Today's and later days pick it up; earlier
+     * days keep the checklist they had (see `getTemplateChangeChecklists`).
+     * @param {Array<object>} newTemplate - The whole template.
+     */
+    const handleRuleTemplateChange = (newTemplate) => {
+        const planDates = journal.months.flatMap(m => m.days.map(d => d.date));
+        Object.entries(getTemplateChangeChecklists(planDates, allEntries, ruleTemplate, newTemplate, todayString))
+            .forEach(([date, rules]) => updateEntry(date, { rules }));
+        updateSettings({ ruleTemplate: newTemplate });
+    };
+
+    const journalTags = useMemo(() => getJournalTags(data.journalTags), [data.journalTags]);
+
+    const handleJournalTagsChange = (newTags) => {
+        updateSettings({ journalTags: newTags });
+    };
+
+    const handleReviewChange = useCallback((date, changes) => {
+        updateEntry(date, entry => ({ review: applyReviewChanges(getReview(entry), changes) }));
+    }, [updateEntry]);
+
+    const handleTradeReviewChange = useCallback((date, tradeId, changes) => {
+        // Only this trade's key is saved; see `mergeEntryFields`
+        updateEntry(date, entry => ({ tradeReviews: { [tradeId]: applyReviewChanges(getTradeReview(entry, tradeId), changes) } }));
+    }, [updateEntry]);
 
-            // Recalculate the entire plan's capital flow
-            newData.months = recalculatePlan(newData);
-            
-            updateFirestore(newData);
-            return newData;
-        });
-    }, [updateFirestore]); // `recalculatePlan` is hoisted and stable
-    
-    // **CORRECTED:** Wrapped in `useCallback` and uses updater pattern
-    const handleRuleChange = useCallback((monthIndex, dayIndex, ruleIndex, isChecked) => {
-        setData(prevData => {
-            const newData = JSON.parse(JSON.stringify(prevData));
-            if (!newData.months[monthIndex].days[dayIndex].rules) {
-                // Fix for old data that might not have rules
-                newData.months[monthIndex].days[dayIndex].rules = JSON.parse(JSON.stringify(DEFAULT_RULES));
-            }
-            newData.months[monthIndex].days[dayIndex].rules[ruleIndex].checked = isChecked;
-            
-            updateFirestore(newData);
-            return newData;
-        });
-    }, [updateFirestore]);
-    
-    // **CORRECTED:** Wrapped in `useCallback` and uses updater pattern
     const handleSymbolVisibilityChange = useCallback((symbolName) => {
-        setData(prevData => {
+        updateSettings(prevData => {
             const currentHidden = prevData.hiddenSymbols || [];
-            const newHiddenSymbols = currentHidden.includes(symbolName)
-                ? currentHidden.filter(s => s !== symbolName)
-                : [...currentHidden, symbolName];
-            const newData = { ...prevData, hiddenSymbols: newHiddenSymbols };
-            
-            updateFirestore(newData);
-            return newData;
+            return {
+                hiddenSymbols: currentHidden.includes(symbolName)
+                    ? currentHidden.filter(s => s !== symbolName)
+                    : [...currentHidden, symbolName],
+            };
         });
-    }, [updateFirestore]);
+    }, [updateSettings]);
+
+    const handleAccountCurrencyChange = useCallback((accountCurrency) => {
+        updateSettings({ accountCurrency });
+    }, [updateSettings]);
+
+    const handleCustomInstrumentsChange = useCallback((customInstruments) => {
+        updateSettings({ customInstruments });
+    }, [updateSettings]);
+
+    const handleTraderSettingsChange = useCallback((changes) => {
+        updateSettings(prevData => ({ traderSettings: { ...(prevData.traderSettings || {}), ...changes } }));
+    }, [updateSettings]);
 
     // --- Memoized calculations for today's data ---
-    const { currentMonthIndex, currentDayIndex, todayData, isTodayFound } = useMemo(() => {
-        if (!data) return { currentMonthIndex: -1, currentDayIndex: -1, todayData: null, isTodayFound: false };
-        for (let m = 0; m < data.months.length; m++) {
-            const dayIndex = data.months[m].days.findIndex(d => d.date === todayString);
-            if (dayIndex !== -1) {
-                return { currentMonthIndex: m, currentDayIndex: dayIndex, todayData: data.months[m].days[dayIndex], isTodayFound: true };
-            }
-        }
+    const { todayData, isTodayFound } = useMemo(() => {
+        const today = journal.months.flatMap(m => m.days).find(d => d.date === todayString);
+        if (today) return { todayData: today, isTodayFound: true };
         // Fallback if today is not in the plan (e.g., plan expired)
-        return { currentMonthIndex: 0, currentDayIndex: 0, todayData: data.months[0]?.days[0], isTodayFound: false };
-    }, [data, todayString]);
+        return { todayData: journal.months[0]?.days[0], isTodayFound: false };
+    }, [journal, todayString]);
 
-    // **CORRECTED:** Wrapped in `useCallback` and uses updater pattern
-    const handleTradeClose = useCallback((pnl) => {
+    /**
+     * Posts a closed trade to today's entry.
+     * @param {object} trade - The closed trade.
+     * @returns {string|null} - The date it was posted to, or null if it wasn't.
+     */
+    const handleTradeClose = useCallback((trade) => {
         if (!isTodayFound) {
             showModal("Date Mismatch", "Today's date is not found in your challenge plan. Cannot log trade.");
-            return;
+            return null;
         }
-        setData(prevData => {
-            const newData = JSON.parse(JSON.stringify(prevData));
-            const day = newData.months[currentMonthIndex].days[currentDayIndex];
-            
+        const ledgerTrade = toLedgerTrade(trade);
+        postTradeChange(todayString, day => {
+            // Already posted, e.g. when the transaction is retried
+            if ((day.trades || []).some(t => t.id === trade.id)) return {};
             const currentPnl = Number(day.actual) || 0;
-            const signedCurrentPnl = day.pnlSign === '+' ? currentPnl : -currentPnl; // Corrected bug here
-            const newTotalPnl = signedCurrentPnl + pnl;
-            
-            day.pnlSign = newTotalPnl >= 0 ? '+' : '-';
-            day.actual = Math.abs(newTotalPnl).toFixed(2);
-            day.achieved = newTotalPnl >= day.profit;
-            
-            newData.months = recalculatePlan(newData);
-            
-            updateFirestore(newData);
-            return newData;
-        });
-    }, [isTodayFound, currentMonthIndex, currentDayIndex, updateFirestore]);
+            const signedCurrentPnl = day.pnlSign === '-' ? -currentPnl : currentPnl;
+            const newTotalPnl = signedCurrentPnl + (Number(trade.pnl) || 0);
+            return {
+                // Attach the structured record to the day's ledger
+                trades: [...(day.trades || []), ledgerTrade],
+                pnlSign: newTotalPnl >= 0 ? '+' : '-',
+                actual: Math.abs(newTotalPnl).toFixed(2),
+                // Trading on a rest day makes it a trading day again
+                noTrade: false,
+            };
+        }, arrayUnion(ledgerTrade));
+        return todayString;
+    }, [isTodayFound, todayString, postTradeChange]);
+
+    /**
+     * Takes a trade posted by `handleTradeClose` back out of its day, for a
+     * close that was rejected when it synced.
+     * @param {object} trade - The closed trade.
+     * @param {string} date - The day it was posted to.
+     */
+    const handleTradeRevert = useCallback((trade, date) => {
+        const posted = (entries[date]?.trades || []).find(t => t.id === trade.id);
+        if (!posted) return;
+        postTradeChange(date, day => {
+            if (!(day.trades || []).some(t => t.id === trade.id)) return {};
+            const currentPnl = Number(day.actual) || 0;
+            const signedCurrentPnl = day.pnlSign === '-' ? -currentPnl : currentPnl;
+            const newTotalPnl = signedCurrentPnl - (Number(trade.pnl) || 0);
+            return {
+                trades: day.trades.filter(t => t.id !== trade.id),
+                pnlSign: newTotalPnl >= 0 ? '+' : '-',
+                actual: Math.abs(newTotalPnl).toFixed(2),
+            };
+        }, arrayRemove(posted));
+    }, [entries, postTradeChange]);
 
     const handleResetChallenge = () => {
         showModal(
-            "::: CRITICAL WARNING :::",
-            "This will purge all your saved journal data from the database and reset to the default plan. This cannot be undone.",
+            "::: ARCHIVE & RESET :::",
+            `"${data.name || DEFAULT_CHALLENGE_NAME}" will be archived with a final summary and replaced by a fresh default plan. You can view or restore it later from PAST CHALLENGES. Open demo positions and pending orders are cancelled.`,
             () => {
                 resetJournalToDefaults();
                 closeModal();
@@ -1260,6 +5267,35 @@ const JournalAppComponent = ({ user, userData, onSignOut }) => {
         setTimeout(() => setMessage(null), 2500); // Notification lasts 2.5s
     }, []);
 
+    // --- Prop-firm evaluation ---
+    // The demo trader's open P&L, so today's limits are judged on live equity
+    const [floatingPnl, setFloatingPnl] = useState(0);
+    const evaluation = useMemo(() => evaluateChallenge(journal, { todayString, floatingPnl }), [journal, todayString, floatingPnl]);
+
+    // Records the first limit the challenge breaks, from the journal or the demo trader's live equity
+    const recordEvaluationBreach = useCallback((breach) => {
+        if (data.evaluationBreach) return;
+        updateSettings({ evaluationBreach: { ...breach, recordedAt: Date.now() } });
+        handleTradeMessage({ text: `EVALUATION FAILED: ${breach.message}`, isProfit: false });
+    }, [data.evaluationBreach, updateSettings, handleTradeMessage]);
+
+    useEffect(() => {
+        if (evaluation?.newBreach) recordEvaluationBreach(evaluation.newBreach);
+    }, [evaluation, recordEvaluationBreach]);
+
+    // New rules start a fresh evaluation, so a recorded breach is cleared with them
+    const handleEvaluationChange = (rules) => {
+        const apply = () => updateSettings({ evaluation: rules, evaluationBreach: null });
+        if (!data.evaluationBreach) {
+            apply();
+            return;
+        }
+        showModal("Change Evaluation Rules", "This evaluation has failed. Changing its rules clears the recorded breach and judges the journal again.", () => {
+            apply();
+            closeModal();
+        });
+    };
+
     // --- 3D Drag Handlers ---
     const handleMouseMove = useCallback((e) => {
         if (!dragInfo.current) return;
@@ -1298,30 +5334,30 @@ const JournalAppComponent = ({ user, userData, onSignOut }) => {
     
     // Analysis for the *active* month tab
     const analysis = useMemo(() => {
-        if (!data || !data.months[activeMonthIndex]) return { pnl: 0, profitDays: 0, lossDays: 0, winningTrades: 0, losingTrades: 0 };
+        if (!journal.months[activeMonthIndex]) return { pnl: 0, profitDays: 0, lossDays: 0, winningTrades: 0, losingTrades: 0 };
         
-        const month = data.months[activeMonthIndex];
+        const month = journal.months[activeMonthIndex];
         const completedDays = month.days.filter(d => d.actual !== "");
         
         const pnl = completedDays.reduce((acc, day) => { const value = Number(day.actual) || 0; return acc + (day.pnlSign === '+' ? value : -value); }, 0);
         const profitDays = completedDays.filter(d => (d.pnlSign === '+' && d.actual !== '0' && d.actual !== '')).length;
         const lossDays = completedDays.filter(d => (d.pnlSign === '-' && d.actual !== '0' && d.actual !== '')).length;
-        const winningTrades = completedDays.reduce((acc, day) => acc + (Number(day.winningTrades) || 0), 0);
-        const losingTrades = completedDays.reduce((acc, day) => acc + (Number(day.losingTrades) || 0), 0);
+        const winningTrades = completedDays.reduce((acc, day) => acc + getDayTradeCounts(day).wins, 0);
+        const losingTrades = completedDays.reduce((acc, day) => acc + getDayTradeCounts(day).losses, 0);
         
         return { pnl, profitDays, lossDays, winningTrades, losingTrades };
-    }, [data, activeMonthIndex]);
+    }, [journal, activeMonthIndex]);
     
     // Starting capital for the *active* month tab
     const startCapitalForMonth = useMemo(() => {
-        if (!data || !data.months[activeMonthIndex]) return data ? data.initialCapital : 0;
-        if (activeMonthIndex === 0) return data.initialCapital;
+        if (!journal.months[activeMonthIndex]) return journal.initialCapital;
+        if (activeMonthIndex === 0) return journal.initialCapital;
         
         // Find the first day of the active month
-        const firstDayOfActiveMonth = data.months[activeMonthIndex].days[0];
+        const firstDayOfActiveMonth = journal.months[activeMonthIndex].days[0];
         return firstDayOfActiveMonth ? firstDayOfActiveMonth.capital : 0;
         
-    }, [data, activeMonthIndex]);
+    }, [journal, activeMonthIndex]);
     
     // --- Main Render ---
     useEffect(() => {
@@ -1333,7 +5369,10 @@ const JournalAppComponent = ({ user, userData, onSignOut }) => {
             
     // Today's capital for the trader (use fallback)
     const tradingCapital = todayData ? todayData.capital : data.initialCapital;
-    const currentMonthData = data.months[activeMonthIndex];
+    const accountCurrency = data.accountCurrency || DEFAULT_ACCOUNT_CURRENCY;
+    const accountCurrencySymbol = ACCOUNT_CURRENCIES.find(c => c.code === accountCurrency)?.symbol ?? accountCurrency;
+    const currentMonthData = journal.months[activeMonthIndex];
+    const uncoveredCalendars = getUncoveredCalendars(getPlanCalendar(data).holidayCalendars, journal.months.at(-1)?.days.at(-1)?.date);
     
     return (
         <div className={`relative min-h-screen text-gray-800 dark:text-gray-200 flex flex-col items-center p-4 sm:p-6 scanlines transition-colors duration-500 ${theme}`}>
@@ -1348,34 +5387,95 @@ const JournalAppComponent = ({ user, userData, onSignOut }) => {
             <div className="absolute top-4 left-4 sm:top-6 sm:left-6 z-10 flex gap-2 items-center">
                 <div className="h-10 w-10 bg-cyan-500 rounded-full flex items-center justify-center text-white font-bold">{user.email ? user.email[0].toUpperCase() : 'U'}</div>
                 <button onClick={onSignOut} className="text-xs text-gray-400 hover:text-white">Sign Out</button>
+                <SyncIndicator />
             </div>
             
             <header className="text-center w-full max-w-7xl z-10">
                 <h1 className="text-2xl sm:text-4xl font-black mb-2 text-cyan-600 dark:text-cyan-400" style={{textShadow: '0 0 10px #00ffff'}}>DevTrader Trading Journal</h1>
-                <p className="font-bold tracking-wider text-gray-500 dark:text-gray-300 mb-2 drop-shadow">OBJECTIVE: ₹{formatNumber(data.initialCapital, false)} → ₹{formatNumber(data.finalTarget, false)} in {data.tenure} days</p>
+                <p className="font-bold tracking-wider text-gray-500 dark:text-gray-300 mb-2 drop-shadow">OBJECTIVE: {formatCurrency(data.initialCapital, accountCurrency, false)} → {formatCurrency(data.finalTarget, accountCurrency, false)} in {data.tenure} days</p>
                 <p className="text-xs text-gray-400">User: {user.email || user.uid}</p>
+                {evaluation && (
+                    <button onClick={() => setShowEvaluation(true)} className={`mt-2 border px-3 py-1 text-xs font-bold ${EVALUATION_STATUS_STYLES[evaluation.status]}`}>
+                        EVALUATION: {evaluation.status.replace('-', ' ').toUpperCase()}
+                    </button>
+                )}
             </header>
+
+            <ChallengeManager
+                challenges={challenges}
+                activeChallengeId={challengeId}
+                journalCollectionPath={`artifacts/${appId}/users/${user.uid}/journal`}
+                onSwitch={onSwitchChallenge}
+                onCreate={onCreateChallenge}
+                onUpdate={onUpdateChallenge}
+            />
             
             {/* Settings Panel */}
             <div className="w-full max-w-5xl my-4 p-4 z-10 bg-white/50 dark:bg-black/70 backdrop-blur-sm border border-cyan-700/30 dark:border-cyan-500/50 shadow-[0_0_15px_rgba(0,255,255,0.3)]">
-                <div className="flex flex-col sm:flex-row justify-center items-center gap-4">
+                <div className="flex flex-col sm:flex-row sm:flex-wrap justify-center items-center gap-4">
                     <div className="flex flex-col items-center">
                         <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">START CAPITAL</label>
                             <div className="flex items-center bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 focus-within:ring-2 focus-within:ring-cyan-400">
-                                <span className="px-2 text-gray-500">₹</span>
+                                <span className="px-2 text-gray-500">{accountCurrencySymbol}</span>
                                 <input type="number" value={inputCapital} onChange={e => setInputCapital(e.target.value)} className="bg-transparent text-center p-2 w-40 focus:outline-none" />
                             </div>
                     </div>
                     <div className="flex flex-col items-center">
                         <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">OVERALL TARGET</label>
                         <div className="flex items-center bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 focus-within:ring-2 focus-within:ring-cyan-400">
-                            <span className="px-2 text-gray-500">₹</span>
+                            <span className="px-2 text-gray-500">{accountCurrencySymbol}</span>
                             <input type="number" value={inputTarget} onChange={e => setInputTarget(e.target.value)} className="bg-transparent text-center p-2 w-40 focus:outline-none" />
                         </div>
                     </div>
                         <div className="flex flex-col items-center">
                         <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">TENURE (DAYS)</label>
                         <input type="number" value={inputTenure} onChange={e => setInputTenure(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-48 focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                    </div>
+                    <div className="flex flex-col items-center">
+                        <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">PLAN MODEL</label>
+                        <select value={inputPlanModel.type} onChange={e => setInputPlanModel(prev => ({ ...prev, type: e.target.value }))} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-48 focus:outline-none focus:ring-2 focus:ring-cyan-400">
+                            {PLAN_MODELS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                        </select>
+                        {inputPlanModel.type === 'withdrawal' && (
+                            <div className="flex items-center mt-1 text-xs gap-1">
+                                <span className="text-gray-500">WEEKLY {accountCurrencySymbol}</span>
+                                <input type="number" min="0" value={inputPlanModel.weeklyWithdrawal} onChange={e => setInputPlanModel(prev => ({ ...prev, weeklyWithdrawal: e.target.value }))} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-1 w-24 focus:outline-none" />
+                            </div>
+                        )}
+                        {inputPlanModel.type === 'risk' && (
+                            <div className="flex items-center mt-1 text-xs gap-1">
+                                <span className="text-gray-500">RISK %</span>
+                                <input type="number" min="0" step="0.1" value={inputPlanModel.riskPercent} onChange={e => setInputPlanModel(prev => ({ ...prev, riskPercent: e.target.value }))} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-1 w-14 focus:outline-none" />
+                                <span className="text-gray-500">TARGET R</span>
+                                <input type="number" min="0" step="0.5" value={inputPlanModel.targetR} onChange={e => setInputPlanModel(prev => ({ ...prev, targetR: e.target.value }))} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-1 w-14 focus:outline-none" />
+                            </div>
+                        )}
+                    </div>
+                    <div className="flex flex-col items-center">
+                        <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">START DATE</label>
+                        <input type="date" value={inputStartDate} onChange={e => setInputStartDate(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-40 focus:outline-none focus:ring-2 focus:ring-cyan-400" />
+                    </div>
+                    <div className="flex flex-col items-center">
+                        <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">HOLIDAYS</label>
+                        <div className="flex flex-col text-xs">
+                            {Object.entries(HOLIDAY_CALENDARS).map(([key, calendar]) => (
+                                <label key={key} className="flex items-center gap-1 cursor-pointer">
+                                    <input type="checkbox" checked={inputHolidays.includes(key)} onChange={e => setInputHolidays(prev => e.target.checked ? [...prev, key] : prev.filter(k => k !== key))} />
+                                    {calendar.label} <span className="text-gray-500">(to {calendar.coveredThrough.slice(0, 4)})</span>
+                                </label>
+                            ))}
+                        </div>
+                        {uncoveredCalendars.length > 0 && (
+                            <p className="text-[10px] text-yellow-600 dark:text-yellow-400 mt-1 max-w-48 text-center">
+                                {uncoveredCalendars.map(c => `${c.label} holidays end ${c.coveredThrough}`).join('; ')}. Later plan days are treated as trading days.
+                            </p>
+                        )}
+                    </div>
+                    <div className="flex flex-col items-center">
+                        <label className="text-xs text-gray-500 dark:text-gray-400 mb-1">ACCOUNT CURRENCY</label>
+                        <select value={accountCurrency} onChange={e => handleAccountCurrencyChange(e.target.value)} className="bg-white/50 dark:bg-black/50 border border-cyan-700/30 dark:border-cyan-500/50 text-center p-2 w-32 focus:outline-none focus:ring-2 focus:ring-cyan-400">
+                            {ACCOUNT_CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code} ({c.symbol})</option>)}
+                        </select>
                     </div>
                         <button onClick={handleUpdateTargets} className="bg-cyan-600/80 hover:bg-cyan-500/80 border border-cyan-400 backdrop-blur-sm text-white px-6 py-2 mt-2 sm:mt-5 font-bold shadow-[0_0_10px_rgba(0,255,255,0.5)] transition-all">SET & RECALCULATE</button>
                 </div>
@@ -1384,19 +5484,28 @@ const JournalAppComponent = ({ user, userData, onSignOut }) => {
             {/* Demo Trader */}
             <div className="w-full max-w-7xl mb-4 z-10">
                 <DemoTrader
+                    journalPath={journalPath}
                     onTradeClose={handleTradeClose}
+                    onTradeRevert={handleTradeRevert}
                     theme={theme}
                     availableCapital={tradingCapital}
+                    accountCurrency={accountCurrency}
+                    traderSettings={data.traderSettings}
+                    onTraderSettingsChange={handleTraderSettingsChange}
                     hiddenSymbols={data.hiddenSymbols || []}
                     onSymbolVisibilityChange={handleSymbolVisibilityChange}
+                    customInstruments={data.customInstruments}
+                    onCustomInstrumentsChange={handleCustomInstrumentsChange}
                     onNewMessage={handleTradeMessage}
+                    evaluation={evaluation}
+                    onFloatingPnlChange={setFloatingPnl}
                 />
             </div>
 
             {/* Month Tabs */}
             <div className="w-full max-w-7xl mb-4 bg-white/50 dark:bg-black/70 backdrop-blur-sm rounded-t-lg z-10 border-t border-x border-cyan-700/30 dark:border-cyan-500/50 shadow-[0_0_15px_rgba(0,255,255,0.3)]">
                 <div className="flex overflow-x-auto">
-                    {data.months.map((month, index) => (
+                    {journal.months.map((month, index) => (
                         <button key={month.id} onClick={() => setActiveMonthIndex(index)} className={`px-4 py-2 text-xs sm:text-sm font-bold transition-all whitespace-nowrap border-b-2 ${activeMonthIndex === index ? 'border-cyan-500 text-cyan-600 dark:border-cyan-400 dark:text-cyan-400' : 'border-transparent text-gray-600 dark:text-gray-400 hover:text-cyan-600 dark:hover:text-cyan-400 hover:bg-cyan-900/20'}`}>
                             &gt; {month.monthName || `Month ${month.id}`}
                         </button>
@@ -1415,32 +5524,68 @@ const JournalAppComponent = ({ user, userData, onSignOut }) => {
                             i === 2 || i === 4 ? 'text-red-600 dark:text-red-400' : 
                             'text-gray-800 dark:text-gray-200'
                         }`}>
-                            {i === 0 ? `₹${formatNumber(analysis.pnl, false)}` : 
+                            {i === 0 ? formatCurrency(analysis.pnl, accountCurrency, false) : 
                              i === 1 ? analysis.profitDays : 
                              i === 2 ? analysis.lossDays : 
                              i === 3 ? analysis.winningTrades : 
                              i === 4 ? analysis.losingTrades : 
-                             '₹' + formatNumber(Math.round(startCapitalForMonth), false) }
+                             formatCurrency(Math.round(startCapitalForMonth), accountCurrency, false) }
                         </p>
                     </div>
                 ))}
             </div>
 
+            {/* Analytics */}
+            <div className="w-full max-w-7xl mb-4 z-10">
+                <button onClick={() => setShowAnalytics(!showAnalytics)} className="font-bold text-cyan-600 dark:text-cyan-400 text-sm mb-2">
+                    {showAnalytics ? '▾' : '▸'} PERFORMANCE ANALYTICS
+                </button>
+                {showAnalytics && <AnalyticsDashboard data={journal} currency={accountCurrency} />}
+            </div>
+
+            {/* Rule Template */}
+            <div className="w-full max-w-7xl mb-4 z-10">
+                <button onClick={() => setShowRuleEditor(!showRuleEditor)} className="font-bold text-fuchsia-600 dark:text-fuchsia-400 text-sm mb-2">
+                    {showRuleEditor ? '▾' : '▸'} DAILY PROTOCOLS
+                </button>
+                {showRuleEditor && <RuleTemplateEditor template={ruleTemplate} onChange={handleRuleTemplateChange} />}
+            </div>
+
+            {/* Journal Tags */}
+            <div className="w-full max-w-7xl mb-4 z-10">
+                <button onClick={() => setShowTagEditor(!showTagEditor)} className="font-bold text-fuchsia-600 dark:text-fuchsia-400 text-sm mb-2">
+                    {showTagEditor ? '▾' : '▸'} SETUPS & MISTAKES
+                </button>
+                {showTagEditor && <JournalTagsEditor tags={journalTags} onChange={handleJournalTagsChange} />}
+            </div>
+
+            {/* Prop-firm Evaluation */}
+            <div className="w-full max-w-7xl mb-4 z-10">
+                <button onClick={() => setShowEvaluation(!showEvaluation)} className="font-bold text-cyan-600 dark:text-cyan-400 text-sm mb-2">
+                    {showEvaluation ? '▾' : '▸'} PROP-FIRM EVALUATION
+                </button>
+                {showEvaluation && <EvaluationPanel rules={data.evaluation || null} result={evaluation} currency={accountCurrency} onChange={handleEvaluationChange} onMessage={handleTradeMessage} />}
+            </div>
+
             {/* Journal Days List */}
             <div className="w-full max-w-7xl perspective-container z-10">
                 <div className="space-y-6">
-                    {currentMonthData && currentMonthData.days.map((row, i) => (
+                    {currentMonthData && currentMonthData.days.map((row) => (
                         <JournalDay 
                             key={row.date} // Use date as key for stable memoization
                             row={row} 
-                            activeMonthIndex={activeMonthIndex} 
-                            i={i} 
+                            currency={accountCurrency}
                             todayString={todayString} 
+                            journalTags={journalTags}
                             handleMouseDown={handleMouseDown} 
                             handleDetailsChange={handleJournalChange} 
                             handleRuleChange={handleRuleChange} 
                             handleProfitInput={handleProfitInput} 
                             handleSignChange={handleSignChange} 
+                            handleNoTradeToggle={handleNoTradeToggle}
+                            handleReviewChange={handleReviewChange}
+                            handleTradeReviewChange={handleTradeReviewChange}
+                            onMessage={handleTradeMessage}
                         />
                     ))}
                 </div>
@@ -1448,8 +5593,37 @@ const JournalAppComponent = ({ user, userData, onSignOut }) => {
             
             {/* Footer Actions */}
             <div className="w-full max-w-7xl mt-6 flex flex-wrap justify-center gap-4 z-10">
-                <button onClick={handleResetChallenge} className="bg-red-600/80 hover:bg-red-500/80 border border-red-400 backdrop-blur-sm text-white px-6 py-2 font-bold shadow-[0_0_10px_rgba(239,68,68,0.5)] transition-all">PURGE & RESET CHALLENGE</button>
+                <button onClick={() => setShowArchives(!showArchives)} className="bg-cyan-600/80 hover:bg-cyan-500/80 border border-cyan-400 backdrop-blur-sm text-white px-6 py-2 font-bold shadow-[0_0_10px_rgba(0,255,255,0.5)] transition-all">{showArchives ? 'HIDE' : 'PAST'} CHALLENGES</button>
+                <button onClick={() => setShowTransfer(!showTransfer)} className="bg-cyan-600/80 hover:bg-cyan-500/80 border border-cyan-400 backdrop-blur-sm text-white px-6 py-2 font-bold shadow-[0_0_10px_rgba(0,255,255,0.5)] transition-all">{showTransfer ? 'HIDE ' : ''}IMPORT / EXPORT</button>
+                <button onClick={handleResetChallenge} className="bg-red-600/80 hover:bg-red-500/80 border border-red-400 backdrop-blur-sm text-white px-6 py-2 font-bold shadow-[0_0_10px_rgba(239,68,68,0.5)] transition-all">ARCHIVE & RESET CHALLENGE</button>
             </div>
+            {showTransfer && (
+                <div className="w-full max-w-7xl mt-4 z-10">
+                    <ImportExportPanel
+                        settings={data}
+                        entries={allEntries}
+                        journal={journal}
+                        onImportJournal={handleImportJournal}
+                        onImportTrades={handleImportTrades}
+                        onMessage={handleTradeMessage}
+                    />
+                </div>
+            )}
+            {showArchives && (
+                <div className="w-full max-w-7xl mt-4 z-10">
+                    <ArchiveBrowser
+                        archivesPath={archivesPath}
+                        onRestore={(archive) => showModal(
+                            "Restore Challenge",
+                            `The current plan will be archived and replaced by "${archive.name}" (archived ${new Date(archive.archivedAt).toLocaleDateString()}). Open demo positions and pending orders are cancelled.`,
+                            () => {
+                                restoreArchive(archive);
+                                closeModal();
+                            }
+                        )}
+                    />
+                </div>
+            )}
         </div>
     );
 }
@@ -1459,9 +5633,11 @@ const JournalAppComponent = ({ user, userData, onSignOut }) => {
  */
 export default function MainApp() {
     const [user, setUser] = useState(null); // Firebase auth user object
-    const [userData, setUserData] = useState(null); // Firestore document data
+    const [challenges, setChallenges] = useState(null); // [{ id, data }] for every journal document
+    const [activeChallengeId, setActiveChallengeId] = useState(DEFAULT_CHALLENGE_ID);
     const [authLoading, setAuthLoading] = useState(true);
     const [dbLoading, setDbLoading] = useState(true);
+    const syncStatus = useSyncState();
     const [message, setMessage] = useState(null); // Global message handler
 
     // 1. Handle Auth State
@@ -1494,7 +5670,7 @@ export default function MainApp() {
             } else {
                 console.log("Auth state change: User signed out.");
                 setUser(null);
-                setUserData(null); // Clear data on sign out
+                setChallenges(null); // Clear data on sign out
                 
                 // **CORRECTED:** Try to sign in again if user signs out
                 // (e.g., token expired). This keeps them in the app.
@@ -1514,21 +5690,32 @@ export default function MainApp() {
     useEffect(() => {
         if (user) {
             setDbLoading(true);
-            const userDocRef = doc(db, `artifacts/${appId}/users/${user.uid}/journal/data`);
+            const journalRef = collection(db, `artifacts/${appId}/users/${user.uid}/journal`);
+            const prefsRef = doc(db, `artifacts/${appId}/users/${user.uid}/settings/challenges`);
+
+            const unsubscribePrefs = onSnapshot(prefsRef, (snapshot) => {
+                if (snapshot.exists() && snapshot.data().activeChallengeId) setActiveChallengeId(snapshot.data().activeChallengeId);
+            }, (error) => console.error("Preferences snapshot error:", error));
             
-            const unsubscribe = onSnapshot(userDocRef, (doc) => {
-                if (doc.exists()) {
+            // Metadata changes too: `fromCache` says whether Firestore can reach the server
+            const unsubscribe = onSnapshot(journalRef, { includeMetadataChanges: true }, (snapshot) => {
+                setSyncState({ connected: !snapshot.metadata.fromCache });
+                if (snapshot.empty && snapshot.metadata.fromCache) {
+                    // Nothing cached on this device yet. Creating a journal now could
+                    // overwrite the one on the server, so wait until it answers.
+                    return;
+                }
+                if (!snapshot.empty) {
                     console.log("User data found.");
-                    setUserData(doc.data());
+                    setChallenges(snapshot.docs
+                        .map(d => ({ id: d.id, data: loadJournalSnapshot(d) }))
+                        .sort((a, b) => (a.data.createdAt || 0) - (b.data.createdAt || 0)));
                 } else {
                     console.log("No user data. Creating new journal...");
-                    // Create a new journal
-                    createNewJournal(userDocRef);
+                    const initialData = createChallengeData();
+                    createNewJournal(doc(journalRef, DEFAULT_CHALLENGE_ID), initialData);
                     // Set temporary data so we don't flash the loading screen
-                    const initialTenure = DEFAULT_TENURE_DAYS;
-                    const months = generatePlanStructure(initialTenure);
-                    let tempData = { initialCapital: DEFAULT_INITIAL_CAPITAL, finalTarget: DEFAULT_FINAL_TARGET, tenure: initialTenure, months: months, hiddenSymbols: [] };
-                    setUserData(tempData); // This is temporary until the `setDoc` triggers snapshot
+                    setChallenges([{ id: DEFAULT_CHALLENGE_ID, data: initialData }]); // This is temporary until the `setDoc` triggers snapshot
                 }
                 setDbLoading(false);
             }, (error) => {
@@ -1536,7 +5723,17 @@ export default function MainApp() {
                 setDbLoading(false);
             });
             
-            return () => unsubscribe();
+            // Writes queued in a previous session are sent again on startup. Firestore
+            // doesn't say how many there are, so they aren't counted; the sync time
+            // moves on once they land.
+            waitForPendingWrites(db)
+                .then(() => setSyncState({ lastSyncedAt: Date.now() }))
+                .catch(error => console.error("Error syncing queued writes:", error));
+
+            return () => {
+                unsubscribe();
+                unsubscribePrefs();
+            };
         } else {
             // No user, no data
             setDbLoading(false);
@@ -1544,22 +5741,43 @@ export default function MainApp() {
     }, [user]); // Re-run when user object changes
     
     // Helper to create the initial journal
-    const createNewJournal = async (userDocRef) => {
+    const createNewJournal = async (userDocRef, initialData) => {
         try {
-            const initialTenure = DEFAULT_TENURE_DAYS;
-            const months = generatePlanStructure(initialTenure); // Use hoisted func
-            let initialData = {
-                initialCapital: DEFAULT_INITIAL_CAPITAL,
-                finalTarget: DEFAULT_FINAL_TARGET,
-                tenure: initialTenure, months: months,
-                hiddenSymbols: [], version: 2
-            };
-            initialData.months = recalculatePlan(initialData); // Use hoisted func
-            await setDoc(userDocRef, initialData);
+            await trackWrite(setDoc(userDocRef, initialData));
             console.log("New journal created.");
             // The onSnapshot listener will pick up this change and set state
         } catch (error) { console.error("Error creating new journal:", error); }
     };
+
+    // --- Challenge Management ---
+    
+    const challengeDoc = (id) => doc(db, `artifacts/${appId}/users/${user.uid}/journal/${id}`);
+
+    // These don't wait for the server: the local cache has the change at once,
+    // and offline the acknowledgement only comes once the connection is back.
+
+    const handleSwitchChallenge = (id) => {
+        setActiveChallengeId(id); // Optimistic; the preference syncs the choice to other devices
+        trackWrite(setDoc(doc(db, `artifacts/${appId}/users/${user.uid}/settings/challenges`), { activeChallengeId: id }, { merge: true }))
+            .catch(error => console.error("Error saving active challenge:", error));
+    };
+
+    const handleCreateChallenge = (options) => {
+        const id = crypto.randomUUID();
+        trackWrite(setDoc(challengeDoc(id), createChallengeData(options)))
+            .catch(error => console.error("Error creating challenge:", error));
+        handleSwitchChallenge(id);
+        setMessage({ text: `Challenge "${options.name}" created.`, isProfit: true });
+        setTimeout(() => setMessage(null), 3000);
+    };
+
+    const handleUpdateChallenge = (id, changes) => {
+        trackWrite(setDoc(challengeDoc(id), changes, { merge: true }))
+            .catch(error => console.error("Error updating challenge:", error));
+    };
+
+    // Fall back to the original journal if the saved choice no longer exists
+    const activeChallenge = challenges && (challenges.find(c => c.id === activeChallengeId) || challenges.find(c => c.id === DEFAULT_CHALLENGE_ID) || challenges[0]);
     
     // --- Render Logic ---
     
@@ -1583,19 +5801,26 @@ export default function MainApp() {
             {!user ? (
                 // 1. User is Signed Out (and initial auth failed)
                 <AuthComponent />
-            ) : (dbLoading || !userData) ? (
+            ) : (dbLoading || !activeChallenge) ? (
                 // 2. User is Signed In, but data is loading
                 <div className="dark bg-black min-h-screen flex items-center justify-center">
                     <BubbleBackground theme="dark" />
-                    <div className="text-cyan-400 text-2xl font-black z-10" style={{textShadow: '0 0 10px #00ffff'}}>
+                    <div className="text-cyan-400 text-2xl font-black z-10 text-center" style={{textShadow: '0 0 10px #00ffff'}}>
                         LOADING JOURNAL...
+                        {!syncStatus.online && <p className="text-xs text-yellow-400 mt-2" style={{textShadow: 'none'}}>OFFLINE: connect once so this device can keep a copy of your journal.</p>}
                     </div>
                 </div>
             ) : (
                 // 3. User is Signed In and data is loaded
                 <JournalAppComponent
+                    key={activeChallenge.id} // Remount so every piece of state belongs to one challenge
                     user={user}
-                    userData={userData}
+                    userData={activeChallenge.data}
+                    challengeId={activeChallenge.id}
+                    challenges={challenges}
+                    onSwitchChallenge={handleSwitchChallenge}
+                    onCreateChallenge={handleCreateChallenge}
+                    onUpdateChallenge={handleUpdateChallenge}
                     onSignOut={() => signOut(auth)} // Allow manual sign-out
                 />
             )}
@@ -0,0 +1,73 @@
+// Screenshots attached to journal days and trades.
+//
+// Images are far too large for journal documents, so they are kept in the
+// browser's IndexedDB and the journal only stores `{id, name}` references.
+// Attachments therefore stay on the device they were added on; other devices
+// see the reference without the image.
+//
+// Only removing an attachment from a day or trade deletes its image. Resetting
+// or replacing a journal archives it with its references, and an archive can
+// be restored, so those images are kept for as long as the browser keeps them.
+
+const DB_NAME = 'devtrader-attachments';
+const STORE_NAME = 'images';
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+let databasePromise = null;
+
+const openDatabase = () => {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again, e.g. after the user allows storage
+        databasePromise.catch(() => { databasePromise = null; });
+    }
+    return databasePromise;
+};
+
+/**
+ * Runs one request against the image store and waits for its transaction.
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest
+ * @returns {Promise<*>} - The request's result.
+ */
+const runRequest = async (mode, makeRequest) => {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * Stores an image file.
+ * @param {File} file - An image picked by the user.
+ * @returns {Promise<{id: string, name: string}>} - The reference to keep in the journal.
+ */
+export const saveAttachment = async (file) => {
+    if (!file.type.startsWith('image/')) throw new Error(`${file.name} is not an image`);
+    if (file.size > MAX_ATTACHMENT_BYTES) throw new Error(`${file.name} is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`);
+    const record = { id: crypto.randomUUID(), name: file.name, type: file.type, blob: file, createdAt: Date.now() };
+    await runRequest('readwrite', store => store.put(record));
+    return { id: record.id, name: record.name };
+};
+
+/**
+ * @param {string} id - The attachment's id.
+ * @returns {Promise<Blob|null>} - The image, or null when it isn't on this device.
+ */
+export const loadAttachment = async (id) => (await runRequest('readonly', store => store.get(id)))?.blob || null;
+
+/**
+ * @param {string} id - The attachment's id.
+ * @returns {Promise<void>}
+ */
+export const deleteAttachment = (id) => runRequest('readwrite', store => store.delete(id)).then(() => undefined);
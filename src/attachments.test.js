@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_ATTACHMENT_BYTES, deleteAttachment, loadAttachment, saveAttachment } from './attachments.js';
+
+// Node has no IndexedDB; this covers the calls attachments.js makes, with one
+// object store kept in a Map and every request and transaction completing on
+// the next tick.
+const records = new Map();
+const database = {
+    createObjectStore: () => {},
+    transaction: () => {
+        const store = {
+            put: (record) => { records.set(record.id, record); return { result: record.id }; },
+            get: (id) => ({ result: records.get(id) }),
+            delete: (id) => { records.delete(id); return { result: undefined }; },
+        };
+        const transaction = { objectStore: () => store };
+        setTimeout(() => transaction.oncomplete());
+        return transaction;
+    },
+};
+globalThis.indexedDB = {
+    open: () => {
+        const request = { result: database };
+        setTimeout(() => {
+            request.onupgradeneeded();
+            request.onsuccess();
+        });
+        return request;
+    },
+};
+
+test('an image is saved, loaded by its reference and deleted', async () => {
+    const file = new File(['chart'], 'chart.png', { type: 'image/png' });
+    const reference = await saveAttachment(file);
+    assert.deepEqual(Object.keys(reference), ['id', 'name']);
+    assert.equal(reference.name, 'chart.png');
+    assert.equal(await loadAttachment(reference.id), file);
+
+    await deleteAttachment(reference.id);
+    assert.equal(await loadAttachment(reference.id), null);
+    assert.equal(records.size, 0);
+});
+
+test('files that are not images or are too large are refused before storing', async () => {
+    await assert.rejects(saveAttachment(new File(['notes'], 'notes.txt', { type: 'text/plain' })), /notes.txt is not an image/);
+    await assert.rejects(saveAttachment({ name: 'huge.png', type: 'image/png', size: MAX_ATTACHMENT_BYTES + 1 }), /huge.png is larger than 10 MB/);
+    assert.equal(records.size, 0);
+});
@@ -0,0 +1,158 @@
+// Prop-firm style evaluations: the rules a funded-account challenge is judged
+// by, and the pass/fail status of a journal against them.
+//
+// A journal with an `evaluation` is judged day by day on its closing balances.
+// A day's loss counts against the daily limit as a percentage of that day's
+// starting balance. The balance counts against the overall floor, which is
+// static (from the initial capital) or trails the highest closing balance.
+// The demo trader adds its floating P&L to today's figures, so a limit can
+// also be breached intraday. The first breach is recorded on the journal as
+// `evaluationBreach` and fails the evaluation until the rules are changed.
+
+export const DRAWDOWN_TYPES = ['static', 'trailing'];
+const BREACH_RULES = ['daily-loss', 'max-loss'];
+
+// Starting points modelled on common evaluation programs; every value can be edited afterwards
+export const EVALUATION_TEMPLATES = [
+    { id: 'two-step-1', label: '2-STEP · PHASE 1', profitTargetPercent: 10, maxDailyLossPercent: 5, maxLossPercent: 10, drawdownType: 'static', minTradingDays: 4, consistencyPercent: 0 },
+    { id: 'two-step-2', label: '2-STEP · PHASE 2', profitTargetPercent: 5, maxDailyLossPercent: 5, maxLossPercent: 10, drawdownType: 'static', minTradingDays: 4, consistencyPercent: 0 },
+    { id: 'one-step', label: '1-STEP', profitTargetPercent: 10, maxDailyLossPercent: 3, maxLossPercent: 6, drawdownType: 'trailing', minTradingDays: 5, consistencyPercent: 40 },
+    { id: 'custom', label: 'CUSTOM', profitTargetPercent: 8, maxDailyLossPercent: 4, maxLossPercent: 8, drawdownType: 'static', minTradingDays: 0, consistencyPercent: 0 },
+];
+
+const RULE_FIELDS = ['profitTargetPercent', 'maxDailyLossPercent', 'maxLossPercent', 'minTradingDays', 'consistencyPercent'];
+
+/**
+ * The evaluation rules of a template, as stored on a journal.
+ * @param {string} templateId - An id from EVALUATION_TEMPLATES.
+ * @returns {object|null} - The rules, or null for an unknown template.
+ */
+export const createEvaluation = (templateId) => {
+    const template = EVALUATION_TEMPLATES.find(t => t.id === templateId);
+    if (!template) return null;
+    const { id, label: _label, ...rules } = template;
+    return { template: id, ...rules };
+};
+
+/**
+ * Checks the shape of a journal's evaluation rules.
+ * @param {object} evaluation - The rules.
+ * @returns {Array<string>} - Problems found; empty when the rules are valid.
+ */
+export const validateEvaluation = (evaluation) => {
+    if (!evaluation || typeof evaluation !== 'object') return ['evaluation is not an object'];
+    const errors = RULE_FIELDS
+        .filter(field => typeof evaluation[field] !== 'number' || !(evaluation[field] >= 0))
+        .map(field => `evaluation.${field} is not a number of 0 or more`);
+    if (!DRAWDOWN_TYPES.includes(evaluation.drawdownType)) errors.push(`evaluation.drawdownType is not one of ${DRAWDOWN_TYPES.join(', ')}`);
+    return errors;
+};
+
+/**
+ * Checks the shape of a journal's recorded breach.
+ * @param {object} breach - The breach, as `evaluateChallenge` found it.
+ * @returns {Array<string>} - Problems found; empty when the breach is valid.
+ */
+export const validateEvaluationBreach = (breach) => {
+    if (!breach || typeof breach !== 'object') return ['evaluationBreach is not an object'];
+    const errors = [];
+    if (!BREACH_RULES.includes(breach.rule)) errors.push(`evaluationBreach.rule is not one of ${BREACH_RULES.join(', ')}`);
+    ['date', 'message'].filter(field => typeof breach[field] !== 'string').forEach(field => errors.push(`evaluationBreach.${field} is not a string`));
+    ['value', 'limit'].filter(field => !Number.isFinite(breach[field])).forEach(field => errors.push(`evaluationBreach.${field} is not a number`));
+    return errors;
+};
+
+const signedPnl = (day) => (day.actual === '' ? 0 : (day.pnlSign === '-' ? -1 : 1) * (Number(day.actual) || 0));
+
+// A day counts towards the minimum once something was traded on it
+const isTradedDay = (day) => signedPnl(day) !== 0 || (day.trades || []).length > 0
+    || (Number(day.winningTrades) || 0) + (Number(day.losingTrades) || 0) > 0;
+
+/**
+ * The limit, if any, that a day's P&L and the resulting equity break.
+ * @param {object} rules - The evaluation rules.
+ * @param {{date: string, startBalance: number, pnl: number, dailyLossLimit: number, floor: number}} day - The day's figures.
+ * @returns {object|null} - The breach, or null.
+ */
+const findBreach = (rules, { date, startBalance, pnl, dailyLossLimit, floor }) => {
+    if (rules.maxDailyLossPercent > 0 && -pnl >= dailyLossLimit) {
+        return {
+            rule: 'daily-loss', date, value: pnl, limit: -dailyLossLimit,
+            message: `Daily loss of ${(-pnl).toFixed(2)} reached the ${rules.maxDailyLossPercent}% limit of ${dailyLossLimit.toFixed(2)}.`,
+        };
+    }
+    const equity = startBalance + pnl;
+    if (rules.maxLossPercent > 0 && equity <= floor) {
+        return {
+            rule: 'max-loss', date, value: equity, limit: floor,
+            message: `Equity of ${equity.toFixed(2)} fell to the ${rules.drawdownType} ${rules.maxLossPercent}% drawdown floor of ${floor.toFixed(2)}.`,
+        };
+    }
+    return null;
+};
+
+/**
+ * Judges a journal against its evaluation rules.
+ * @param {object} journal - The assembled journal, with `months` and `evaluation`.
+ * @param {object} options
+ * @param {string} options.todayString - Today as "YYYY-MM-DD"; later days are ignored.
+ * @param {number} [options.floatingPnl=0] - Open P&L to add to today's figures.
+ * @returns {object|null} - `{status, checks, breach, newBreach, today, balance, tradingDays, rules}`,
+ *   or null when the journal has no evaluation. `status` is 'passed', 'failed' or
+ *   'in-progress'; `newBreach` is a breach found that isn't recorded yet; `today`
+ *   holds today's realized figures, before the floating P&L.
+ */
+export const evaluateChallenge = (journal, { todayString, floatingPnl = 0 }) => {
+    const rules = journal.evaluation;
+    if (!rules) return null;
+    const initial = journal.initialCapital;
+    const lossAllowance = initial * rules.maxLossPercent / 100;
+    const floorFor = (peak) => (rules.drawdownType === 'trailing' ? peak : initial) - lossAllowance;
+
+    let balance = initial;
+    let peak = initial;
+    let tradingDays = 0;
+    let bestDay = 0;
+    let breach = null;
+    let today = null;
+    journal.months.flatMap(month => month.days).forEach(day => {
+        const isToday = day.date === todayString;
+        if (day.date > todayString || (!isToday && (day.noTrade || day.actual === ''))) return;
+        const realized = signedPnl(day);
+        const figures = {
+            date: day.date, startBalance: balance, pnl: realized,
+            dailyLossLimit: balance * rules.maxDailyLossPercent / 100,
+            floor: floorFor(peak),
+        };
+        if (isToday) today = figures;
+        breach = breach || findBreach(rules, { ...figures, pnl: realized + (isToday ? floatingPnl : 0) });
+
+        balance += realized;
+        peak = Math.max(peak, balance);
+        if (isTradedDay(day)) {
+            tradingDays++;
+            bestDay = Math.max(bestDay, realized);
+        }
+    });
+    // Today may be a rest day or outside the plan; the next trading day starts from here
+    today = today || { date: todayString, startBalance: balance, pnl: 0, dailyLossLimit: balance * rules.maxDailyLossPercent / 100, floor: floorFor(peak) };
+
+    const profit = balance - initial;
+    const profitTarget = initial * rules.profitTargetPercent / 100;
+    const consistencyShare = profit > 0 ? bestDay / profit * 100 : null;
+    const recorded = journal.evaluationBreach || null;
+    const failedRule = (recorded || breach)?.rule;
+    const checks = [
+        { id: 'profit-target', label: 'PROFIT TARGET', value: profit, limit: profitTarget, status: profit >= profitTarget ? 'met' : 'pending' },
+        rules.maxDailyLossPercent > 0 && { id: 'daily-loss', label: 'MAX DAILY LOSS', value: today.pnl + floatingPnl, limit: -today.dailyLossLimit, status: failedRule === 'daily-loss' ? 'breached' : 'ok' },
+        rules.maxLossPercent > 0 && { id: 'max-loss', label: `MAX LOSS (${rules.drawdownType.toUpperCase()})`, value: balance + floatingPnl, limit: floorFor(peak), status: failedRule === 'max-loss' ? 'breached' : 'ok' },
+        rules.minTradingDays > 0 && { id: 'trading-days', label: 'MIN TRADING DAYS', value: tradingDays, limit: rules.minTradingDays, status: tradingDays >= rules.minTradingDays ? 'met' : 'pending' },
+        // The best day may make up at most this share of the total profit
+        rules.consistencyPercent > 0 && { id: 'consistency', label: 'CONSISTENCY', value: consistencyShare, limit: rules.consistencyPercent, status: consistencyShare !== null && consistencyShare <= rules.consistencyPercent ? 'met' : 'pending' },
+    ].filter(Boolean);
+
+    let status = 'in-progress';
+    if (failedRule) status = 'failed';
+    else if (checks.every(check => check.status !== 'pending')) status = 'passed';
+    return { status, checks, breach: recorded || breach, newBreach: recorded ? null : breach, today, balance, tradingDays, rules };
+};
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEvaluation, evaluateChallenge, validateEvaluation, validateEvaluationBreach } from './challengeEvaluation.js';
+import { validateJournal } from './migrations.js';
+
+// Days with a signed P&L each, one per weekday from Monday 17 November 2025
+const makeJournal = (pnls, evaluation, overrides = {}) => ({
+    initialCapital: 100000, finalTarget: 110000, tenure: pnls.length + 5,
+    evaluation,
+    months: [{
+        id: 1,
+        days: pnls.map((pnl, i) => ({
+            date: `2025-11-${String(17 + i).padStart(2, '0')}`,
+            noTrade: false,
+            pnlSign: pnl < 0 ? '-' : '+',
+            actual: pnl === null ? '' : String(Math.abs(pnl)),
+            winningTrades: '', losingTrades: '', trades: [],
+        })),
+    }],
+    ...overrides,
+});
+
+const statusOf = (result, id) => result.checks.find(check => check.id === id)?.status;
+
+test('createEvaluation copies a template without its label', () => {
+    assert.deepEqual(createEvaluation('two-step-1'), {
+        template: 'two-step-1', profitTargetPercent: 10, maxDailyLossPercent: 5, maxLossPercent: 10,
+        drawdownType: 'static', minTradingDays: 4, consistencyPercent: 0,
+    });
+    assert.equal(createEvaluation('nope'), null);
+});
+
+test('a journal without an evaluation is not judged', () => {
+    assert.equal(evaluateChallenge(makeJournal([100], undefined), { todayString: '2025-11-17' }), null);
+});
+
+test('the evaluation passes once the target and minimum days are met', () => {
+    const rules = createEvaluation('two-step-1');
+    const inProgress = evaluateChallenge(makeJournal([4000, 3000, 2000], rules), { todayString: '2025-11-19' });
+    assert.equal(inProgress.status, 'in-progress');
+    assert.equal(statusOf(inProgress, 'profit-target'), 'pending');
+    assert.equal(statusOf(inProgress, 'trading-days'), 'pending');
+
+    const passed = evaluateChallenge(makeJournal([4000, 3000, 2000, 1500], rules), { todayString: '2025-11-20' });
+    assert.equal(passed.status, 'passed');
+    assert.equal(passed.balance, 110500);
+    assert.equal(passed.tradingDays, 4);
+});
+
+test('a day losing the daily limit of its starting balance is a breach', () => {
+    const rules = createEvaluation('two-step-1');
+    const result = evaluateChallenge(makeJournal([2000, -5100, 1000], rules), { todayString: '2025-11-19' });
+    assert.equal(result.status, 'failed');
+    assert.equal(result.breach.rule, 'daily-loss');
+    assert.equal(result.breach.date, '2025-11-18');
+    assert.equal(result.breach.limit, -5100); // 5% of the 102,000 it started with
+    assert.deepEqual(result.newBreach, result.breach);
+});
+
+test('static and trailing drawdown floors', () => {
+    const pnls = [6000, -4000, -4000, -4000];
+    const staticRules = { ...createEvaluation('two-step-1'), maxDailyLossPercent: 0 };
+    // 100,000 - 10% = 90,000 is never reached: the balance bottoms out at 94,000
+    assert.equal(evaluateChallenge(makeJournal(pnls, staticRules), { todayString: '2025-11-20' }).status, 'in-progress');
+
+    // Trailing 10% from the 106,000 peak puts the floor at 96,000
+    const trailing = evaluateChallenge(makeJournal(pnls, { ...staticRules, drawdownType: 'trailing' }), { todayString: '2025-11-20' });
+    assert.equal(trailing.breach.rule, 'max-loss');
+    assert.equal(trailing.breach.date, '2025-11-20');
+    assert.equal(trailing.breach.limit, 96000);
+});
+
+test('the consistency rule holds the pass until no day dominates the profit', () => {
+    const rules = { ...createEvaluation('one-step'), minTradingDays: 0 };
+    const lopsided = evaluateChallenge(makeJournal([8000, 1000, 1000], rules), { todayString: '2025-11-19' });
+    assert.equal(statusOf(lopsided, 'consistency'), 'pending'); // Best day is 80% of the profit
+    assert.equal(lopsided.status, 'in-progress');
+
+    const even = evaluateChallenge(makeJournal([2600, 2600, 2600, 2600], rules), { todayString: '2025-11-20' });
+    assert.equal(even.status, 'passed');
+});
+
+test('a recorded breach fails the evaluation even after the day is edited', () => {
+    const rules = createEvaluation('two-step-1');
+    const breach = { rule: 'daily-loss', date: '2025-11-18', value: -6000, limit: -5000, message: 'Lost too much' };
+    const result = evaluateChallenge(makeJournal([500, 200], rules, { evaluationBreach: breach }), { todayString: '2025-11-18' });
+    assert.equal(result.status, 'failed');
+    assert.deepEqual(result.breach, breach);
+    assert.equal(result.newBreach, null);
+});
+
+test('floating P&L can breach a limit intraday', () => {
+    const rules = createEvaluation('two-step-1');
+    const result = evaluateChallenge(makeJournal([1000, -2000], rules), { todayString: '2025-11-18' });
+    assert.equal(result.status, 'in-progress');
+    assert.deepEqual(result.today, { date: '2025-11-18', startBalance: 101000, pnl: -2000, dailyLossLimit: 5050, floor: 90000 });
+    const live = (floatingPnl) => evaluateChallenge(makeJournal([1000, -2000], rules), { todayString: '2025-11-18', floatingPnl });
+    assert.equal(live(-3000).newBreach, null);
+    assert.equal(live(-3050).newBreach.rule, 'daily-loss');
+    assert.equal(live(-3050).status, 'failed');
+});
+
+test('days after today and unjournaled days are ignored', () => {
+    const rules = createEvaluation('two-step-1');
+    const result = evaluateChallenge(makeJournal([1000, null, -9000], rules), { todayString: '2025-11-18' });
+    assert.equal(result.status, 'in-progress');
+    assert.equal(result.tradingDays, 1);
+    assert.equal(result.today.startBalance, 101000);
+});
+
+test('evaluation rules are validated with the journal', () => {
+    const journal = { initialCapital: 100000, finalTarget: 110000, tenure: 20 };
+    assert.deepEqual(validateEvaluation(createEvaluation('one-step')), []);
+    assert.deepEqual(validateJournal({ ...journal, evaluation: null }), []);
+    assert.deepEqual(validateJournal({ ...journal, evaluation: { ...createEvaluation('one-step'), drawdownType: 'relative', minTradingDays: -1 } }), [
+        'evaluation.minTradingDays is not a number of 0 or more',
+        'evaluation.drawdownType is not one of static, trailing',
+    ]);
+});
+
+test('a recorded breach is validated with the journal', () => {
+    const journal = { initialCapital: 100000, finalTarget: 110000, tenure: 20, evaluation: createEvaluation('two-step-1') };
+    const breach = evaluateChallenge(makeJournal([-5050], journal.evaluation), { todayString: '2025-11-17' }).breach;
+    assert.deepEqual(validateEvaluationBreach({ ...breach, recordedAt: 1 }), []);
+    assert.deepEqual(validateJournal({ ...journal, evaluationBreach: null }), []);
+    assert.deepEqual(validateJournal({ ...journal, evaluationBreach: { rule: 'weekly-loss', date: '2025-11-17', value: '-5050', message: 'Down' } }), [
+        'evaluationBreach.rule is not one of daily-loss, max-loss',
+        'evaluationBreach.value is not a number',
+        'evaluationBreach.limit is not a number',
+    ]);
+});
@@ -0,0 +1,167 @@
+// Structured journaling: what a day or a trade was tagged with, and how each
+// tag performed.
+//
+// Journal days and ledger trades have the same optional review: a setup
+// from the challenge's own list, the market condition, emotion and confidence
+// scores from 1 to 5, mistakes from the challenge's list, written notes and
+// image attachments. A day keeps its own in `review` and its trades' in
+// `tradeReviews`, keyed by trade id, so a trade's review is saved apart from
+// the ledger. A trade takes the day's value for anything it leaves blank, so
+// tagging the day tags all of its trades.
+
+export const MARKET_CONDITIONS = [
+    { value: 'trending', label: 'TRENDING' },
+    { value: 'ranging', label: 'RANGING' },
+    { value: 'volatile', label: 'VOLATILE' },
+    { value: 'quiet', label: 'QUIET' },
+    { value: 'news', label: 'NEWS DRIVEN' },
+];
+
+export const SCORES = [1, 2, 3, 4, 5];
+
+export const EMPTY_REVIEW = { setup: '', marketCondition: '', emotion: null, confidence: null, mistakes: [], notes: '', attachments: [] };
+
+// The lists a new challenge starts with; users rename, archive and add to them
+export const DEFAULT_JOURNAL_TAGS = {
+    setups: [
+        { id: 'breakout', label: 'BREAKOUT', archived: false },
+        { id: 'pullback', label: 'PULLBACK', archived: false },
+        { id: 'reversal', label: 'REVERSAL', archived: false },
+        { id: 'range', label: 'RANGE PLAY', archived: false },
+    ],
+    mistakes: [
+        { id: 'fomo', label: 'FOMO ENTRY', archived: false },
+        { id: 'early-exit', label: 'EARLY EXIT', archived: false },
+        { id: 'moved-stop', label: 'MOVED STOP', archived: false },
+        { id: 'oversized', label: 'OVERSIZED', archived: false },
+        { id: 'revenge', label: 'REVENGE TRADE', archived: false },
+        { id: 'off-plan', label: 'OFF PLAN', archived: false },
+    ],
+};
+
+/**
+ * A challenge's tag lists, with the defaults for any it hasn't customised.
+ * @param {object} [stored] - The journal's `journalTags`.
+ * @returns {{setups: Array<object>, mistakes: Array<object>}}
+ */
+export const getJournalTags = (stored) => ({
+    setups: stored?.setups || DEFAULT_JOURNAL_TAGS.setups,
+    mistakes: stored?.mistakes || DEFAULT_JOURNAL_TAGS.mistakes,
+});
+
+/**
+ * The review of a day or trade with every field filled in.
+ * @param {object} [record] - The day or trade.
+ * @returns {object}
+ */
+export const getReview = (record) => ({ ...EMPTY_REVIEW, ...(record?.review || {}) });
+
+/**
+ * The review of one of a day's ledger trades with every field filled in.
+ * @param {object} day - The journal day.
+ * @param {string} tradeId - The trade's id.
+ * @returns {object}
+ */
+export const getTradeReview = (day, tradeId) => getReview({ review: day?.tradeReviews?.[tradeId] });
+
+const signedPnl = (day) => (day.pnlSign === '-' ? -1 : 1) * (Number(day.actual) || 0);
+
+/**
+ * The tradable records of a day: its ledger trades with the day's tags filled
+ * in where they have none, or for a day journaled by hand, the day itself.
+ * @param {object} day - The journal day.
+ * @returns {Array<{id: string, date: string, symbol: string|null, pnl: number, review: object}>}
+ */
+export const getTaggedRecords = (day) => {
+    const dayReview = getReview(day);
+    const ledger = day.trades || [];
+    if (ledger.length === 0) {
+        if (day.noTrade || day.actual === '' || day.actual === undefined) return [];
+        return [{ id: day.date, date: day.date, symbol: null, pnl: signedPnl(day), review: dayReview }];
+    }
+    return ledger.map(trade => {
+        const review = getTradeReview(day, trade.id);
+        return {
+            ...trade,
+            date: day.date,
+            review: {
+                ...review,
+                setup: review.setup || dayReview.setup,
+                marketCondition: review.marketCondition || dayReview.marketCondition,
+                emotion: review.emotion ?? dayReview.emotion,
+                confidence: review.confidence ?? dayReview.confidence,
+                mistakes: review.mistakes.length > 0 ? review.mistakes : dayReview.mistakes,
+            },
+        };
+    });
+};
+
+/**
+ * Whether a record's review matches the tag filters; blank filters match everything.
+ * @param {object} review - The record's review.
+ * @param {{setup?: string, marketCondition?: string, mistake?: string}} filters
+ * @returns {boolean}
+ */
+export const matchesTagFilters = (review, { setup = '', marketCondition = '', mistake = '' } = {}) =>
+    (!setup || review.setup === setup)
+    && (!marketCondition || review.marketCondition === marketCondition)
+    && (!mistake || review.mistakes.includes(mistake));
+
+/**
+ * Performance per setup, market condition, mistake, emotion and confidence
+ * score over the journal's tagged records. A record with several mistakes
+ * counts towards each of them; untagged records are left out.
+ * @param {object} journal - The assembled journal.
+ * @param {{from?: string, to?: string, symbol?: string}} [filters] - Dates as "YYYY-MM-DD".
+ * @returns {object} - For each grouping, rows of `{key, label, count, wins, winRate, pnl, averagePnl}`.
+ */
+export const calculateTagStats = (journal, { from = '', to = '', symbol = '' } = {}) => {
+    const tags = getJournalTags(journal.journalTags);
+    const labelOf = (list) => (key) => list.find(item => (item.id ?? item.value) === key)?.label || key;
+    const groupings = {
+        setups: { keysOf: review => [review.setup], label: labelOf(tags.setups) },
+        marketConditions: { keysOf: review => [review.marketCondition], label: labelOf(MARKET_CONDITIONS) },
+        mistakes: { keysOf: review => review.mistakes, label: labelOf(tags.mistakes) },
+        emotions: { keysOf: review => [review.emotion], label: key => String(key), byKey: true },
+        confidence: { keysOf: review => [review.confidence], label: key => String(key), byKey: true },
+    };
+
+    const records = journal.months.flatMap(month => month.days)
+        .filter(day => (!from || day.date >= from) && (!to || day.date <= to))
+        .flatMap(getTaggedRecords)
+        .filter(record => !symbol || record.symbol === symbol);
+
+    return Object.fromEntries(Object.entries(groupings).map(([name, { keysOf, label, byKey }]) => {
+        const rows = new Map();
+        records.forEach(record => {
+            keysOf(record.review).filter(key => key !== '' && key !== null && key !== undefined).forEach(key => {
+                const row = rows.get(key) || { key, label: label(key), count: 0, wins: 0, pnl: 0 };
+                rows.set(key, row);
+                row.count++;
+                row.pnl += Number(record.pnl) || 0;
+                if (record.pnl > 0) row.wins++;
+            });
+        });
+        const sorted = [...rows.values()]
+            .map(row => ({ ...row, winRate: row.wins / row.count * 100, averagePnl: row.pnl / row.count }))
+            // Tags by how often they were used, scores in order
+            .sort((a, b) => (byKey ? a.key - b.key : b.count - a.count));
+        return [name, sorted];
+    }));
+};
+
+/**
+ * Checks the shape of a journal's tag lists.
+ * @param {object} tags - The journal's `journalTags`.
+ * @returns {Array<string>} - Problems found; empty when the lists are valid.
+ */
+export const validateJournalTags = (tags) => {
+    if (!tags || typeof tags !== 'object') return ['journalTags is not an object'];
+    return ['setups', 'mistakes'].flatMap(list => {
+        if (tags[list] === undefined) return [];
+        if (!Array.isArray(tags[list])) return [`journalTags.${list} is not an array`];
+        return tags[list].some(item => typeof item?.id !== 'string' || typeof item?.label !== 'string')
+            ? [`journalTags.${list} has an entry without an id and label`]
+            : [];
+    });
+};
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_JOURNAL_TAGS, calculateTagStats, getJournalTags, getReview, getTaggedRecords, matchesTagFilters, validateJournalTags } from './journalTags.js';
+import { validateJournal } from './migrations.js';
+
+const makeDay = (date, overrides = {}) => ({
+    date, noTrade: false, pnlSign: '+', actual: '', winningTrades: '', losingTrades: '', trades: [], ...overrides,
+});
+
+test('getJournalTags falls back to the default lists', () => {
+    assert.deepEqual(getJournalTags(undefined), DEFAULT_JOURNAL_TAGS);
+    const setups = [{ id: 'orb', label: 'OPENING RANGE', archived: false }];
+    assert.deepEqual(getJournalTags({ setups }), { setups, mistakes: DEFAULT_JOURNAL_TAGS.mistakes });
+});
+
+test('a hand-journaled day is one record; an empty or rest day is none', () => {
+    const day = makeDay('2025-11-17', { actual: '120', pnlSign: '-', review: { setup: 'breakout' } });
+    const [record] = getTaggedRecords(day);
+    assert.equal(record.pnl, -120);
+    assert.equal(record.symbol, null);
+    assert.deepEqual(record.review, { ...getReview(), setup: 'breakout' });
+    assert.deepEqual(getTaggedRecords(makeDay('2025-11-18')), []);
+    assert.deepEqual(getTaggedRecords(makeDay('2025-11-19', { noTrade: true, actual: '0' })), []);
+});
+
+test('ledger trades take the day\'s tags for anything they leave blank', () => {
+    const day = makeDay('2025-11-17', {
+        actual: '150',
+        review: { setup: 'breakout', marketCondition: 'trending', emotion: 2, mistakes: ['fomo'] },
+        trades: [
+            { id: 't1', symbol: 'EURUSD', pnl: 200 },
+            { id: 't2', symbol: 'GBPUSD', pnl: -50 },
+        ],
+        tradeReviews: { t2: { setup: 'reversal', emotion: 4, mistakes: ['revenge'] } },
+    });
+    const [first, second] = getTaggedRecords(day);
+    assert.deepEqual([first.review.setup, first.review.emotion, first.review.mistakes], ['breakout', 2, ['fomo']]);
+    assert.deepEqual([second.review.setup, second.review.marketCondition, second.review.emotion, second.review.mistakes],
+        ['reversal', 'trending', 4, ['revenge']]);
+    assert.equal(matchesTagFilters(second.review, { setup: 'reversal', mistake: 'revenge' }), true);
+    assert.equal(matchesTagFilters(first.review, { mistake: 'revenge' }), false);
+    assert.equal(matchesTagFilters(first.review, {}), true);
+});
+
+test('calculateTagStats reports win rate and P&L per tag', () => {
+    const journal = {
+        months: [{
+            days: [
+                makeDay('2025-11-17', {
+                    trades: [
+                        { id: 't1', symbol: 'EURUSD', pnl: 300 },
+                        { id: 't2', symbol: 'EURUSD', pnl: -100 },
+                    ],
+                    tradeReviews: { t1: { setup: 'breakout', mistakes: [] }, t2: { setup: 'breakout', mistakes: ['fomo', 'oversized'] } },
+                }),
+                makeDay('2025-11-18', { actual: '50', review: { setup: 'pullback', marketCondition: 'ranging', confidence: 4 } }),
+                makeDay('2025-11-19', { actual: '80', pnlSign: '-' }),
+            ],
+        }],
+    };
+    const stats = calculateTagStats(journal);
+    assert.deepEqual(stats.setups.map(row => [row.label, row.count, row.wins, row.winRate, row.pnl, row.averagePnl]), [
+        ['BREAKOUT', 2, 1, 50, 200, 100],
+        ['PULLBACK', 1, 1, 100, 50, 50],
+    ]);
+    assert.deepEqual(stats.mistakes.map(row => [row.key, row.pnl]), [['fomo', -100], ['oversized', -100]]);
+    assert.deepEqual(stats.marketConditions.map(row => row.label), ['RANGING']);
+    assert.deepEqual(stats.confidence.map(row => [row.label, row.count]), [['4', 1]]);
+    assert.deepEqual(stats.emotions, []);
+
+    assert.deepEqual(calculateTagStats(journal, { from: '2025-11-18' }).setups.map(row => row.key), ['pullback']);
+    assert.deepEqual(calculateTagStats(journal, { symbol: 'EURUSD' }).setups.map(row => row.key), ['breakout']);
+});
+
+test('tag lists and reviews are validated with the journal', () => {
+    const journal = { initialCapital: 100000, finalTarget: 110000, tenure: 20 };
+    assert.deepEqual(validateJournalTags(DEFAULT_JOURNAL_TAGS), []);
+    assert.deepEqual(validateJournal({ ...journal, journalTags: { setups: {}, mistakes: [{ id: 'x' }] } }), [
+        'journalTags.setups is not an array',
+        'journalTags.mistakes has an entry without an id and label',
+    ]);
+    assert.deepEqual(validateJournal({ ...journal, dayEntries: [{ date: '2025-11-17', review: 'good day' }] }), [
+        'dayEntries[0].review is not an object',
+    ]);
+    assert.deepEqual(validateJournal({ ...journal, dayEntries: [{ date: '2025-11-17', tradeReviews: { t1: 'good trade' } }] }), [
+        'dayEntries[0].tradeReviews has a review that is not an object',
+    ]);
+});
@@ -0,0 +1,398 @@
+// Getting journal data out of the app and back in: JSON and CSV exports of a
+// challenge, JSON import, and reading trade histories from broker statements.
+//
+// Statement imports only touch the day fields a trader would otherwise fill in
+// by hand (`actual`, `winningTrades`, `losingTrades`); the plan is recalculated
+// from them like any other entry. Each day remembers the ids of the trades
+// imported into it, so importing an overlapping statement again doesn't count
+// a trade twice.
+
+import { CURRENT_SCHEMA_VERSION, migrateJournal } from './migrations.js';
+
+const EXPORT_FORMAT = 'devtrader-journal';
+
+// --- CSV ---
+
+const DELIMITER_SAMPLE_LINES = 10; // Enough to get past a statement's preamble to its table
+
+/**
+ * Picks the delimiter that splits the most of the first lines into the same
+ * number of cells, so neither a preamble above the header nor decimal commas
+ * in a semicolon file decide it. Falls back to a comma.
+ * @param {string} source - The file contents.
+ * @returns {string}
+ */
+const detectDelimiter = (source) => {
+    const lines = source.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, DELIMITER_SAMPLE_LINES);
+    let best = { delimiter: ',', lines: 0, cells: 0 };
+    [',', ';', '\t'].forEach(delimiter => {
+        const linesByCellCount = {};
+        lines.forEach(line => {
+            const cells = line.split(delimiter).length;
+            if (cells > 1) linesByCellCount[cells] = (linesByCellCount[cells] || 0) + 1;
+        });
+        Object.entries(linesByCellCount).forEach(([cells, count]) => {
+            if (count > best.lines || (count === best.lines && Number(cells) > best.cells)) best = { delimiter, lines: count, cells: Number(cells) };
+        });
+    });
+    return best.delimiter;
+};
+
+/**
+ * Splits CSV text into rows of cells. Handles quoted cells (with "" escapes and
+ * line breaks) and detects a comma, semicolon or tab delimiter.
+ * @param {string} text - The file contents.
+ * @returns {Array<Array<string>>} - Rows of trimmed cells, blank lines dropped.
+ */
+export const parseCsv = (text) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(source);
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell.trim()); cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell.trim()); cell = '';
+            rows.push(row); row = [];
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell.trim());
+    rows.push(row);
+    return rows.filter(r => r.some(c => c !== ''));
+};
+
+const escapeCsvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text from a header and rows.
+ * @param {Array<string>} headers - Column names.
+ * @param {Array<Array<*>>} rows - Cell values; null and undefined become empty cells.
+ * @returns {string}
+ */
+export const toCsv = (headers, rows) => [headers, ...rows].map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+
+// --- Export ---
+
+const signedActual = (day) => (day.actual === '' ? '' : (day.pnlSign === '-' ? -1 : 1) * Number(day.actual));
+
+/**
+ * Everything needed to rebuild a challenge: its settings and day entries, in
+ * the same shape as an archive so `parseJournalImport` can migrate old exports.
+ * @param {object} settings - The journal document.
+ * @param {object} entries - Day entries keyed by date.
+ * @returns {object}
+ */
+export const buildJournalExport = (settings, entries) => ({
+    format: EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    ...settings,
+    dayEntries: Object.values(entries).sort((a, b) => a.date.localeCompare(b.date)),
+});
+
+/**
+ * One row per plan day with the plan figures and everything journaled for it.
+ * @param {object} journal - An assembled journal (with `months`).
+ * @returns {string} - CSV text.
+ */
+export const journalToCsv = (journal) => toCsv(
+    ['Date', 'Day', 'Month', 'Rest Day', 'Capital', 'Target', 'Actual P&L', 'Achieved', 'Winning Trades', 'Losing Trades',
+        'Ledger Trades', 'Rules Followed', 'Rules', 'Logic'],
+    journal.months.flatMap(month => month.days.map(day => [
+        day.date, day.day ?? '', month.monthName, day.noTrade ? 'yes' : 'no',
+        day.capital.toFixed(2), day.target.toFixed(2), signedActual(day), day.achieved ? 'yes' : 'no',
+        day.winningTrades, day.losingTrades, (day.trades || []).length,
+        `${day.rules.filter(r => r.checked).length}/${day.rules.length}`,
+        day.rules.map(r => `${r.checked ? '[x]' : '[ ]'} ${r.text}`).join(' | '),
+        day.logic,
+    ])),
+);
+
+/**
+ * One row per trade in the days' ledgers (trades closed in the demo trader).
+ * @param {object} journal - An assembled journal (with `months`).
+ * @returns {string} - CSV text.
+ */
+export const tradesToCsv = (journal) => toCsv(
+    ['Date', 'Id', 'Symbol', 'Side', 'Lots', 'Entry Price', 'Exit Price', 'P&L', 'Commission', 'Swap', 'Reason', 'Opened', 'Closed'],
+    journal.months.flatMap(month => month.days.flatMap(day => (day.trades || []).map(trade => [
+        day.date, trade.id, trade.symbol, trade.side, trade.lots, trade.entryPrice, trade.exitPrice,
+        trade.pnl, trade.commission, trade.swap, trade.reason,
+        trade.openedAt ? new Date(trade.openedAt).toISOString() : '', trade.closedAt ? new Date(trade.closedAt).toISOString() : '',
+    ]))),
+);
+
+// --- JSON import ---
+
+/**
+ * Upgrades an exported or archived journal to the current schema and
+ * validates it. Journals from a newer version of the app are refused, since
+ * this version can't tell whether they are valid.
+ * @param {object} journal - The journal, as exported or archived.
+ * @returns {{settings: object, dayEntries: Array<object>, errors: Array<string>}}
+ */
+export const readJournalData = (journal) => {
+    if (Number.isInteger(journal.version) && journal.version > CURRENT_SCHEMA_VERSION) {
+        return { settings: null, dayEntries: [], errors: [`journal is from a newer version of the app (schema version ${journal.version})`] };
+    }
+    const { data, errors } = migrateJournal(journal);
+    const { dayEntries = [], ...settings } = data;
+    return { settings, dayEntries, errors };
+};
+
+/**
+ * Reads a JSON export back in, upgrading it to the current schema.
+ * @param {string} text - The file contents.
+ * @returns {{settings: object, dayEntries: Array<object>, errors: Array<string>}}
+ */
+export const parseJournalImport = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        return { settings: null, dayEntries: [], errors: ['file is not valid JSON'] };
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { settings: null, dayEntries: [], errors: ['file does not contain a journal'] };
+    }
+    const { format: _format, exportedAt: _exportedAt, ...journal } = parsed;
+    return readJournalData(journal);
+};
+
+// --- Broker statements ---
+
+// Candidate column headers for each trade field, matched case-insensitively.
+// Repeated headers (MetaTrader has two "Price" and, in MT5, two "Time" columns)
+// are numbered from the second one on: "Price (2)".
+export const STATEMENT_FORMATS = [
+    {
+        id: 'mt4', label: 'MetaTrader 4',
+        signature: ['ticket', 'item', 'close time'],
+        columns: { ticket: ['Ticket'], closeTime: ['Close Time'], symbol: ['Item'], side: ['Type'], lots: ['Size'], profit: ['Profit'], commission: ['Commission'], swap: ['Swap'] },
+    },
+    {
+        id: 'mt5', label: 'MetaTrader 5',
+        signature: ['position', 'symbol', 'volume', 'time (2)'],
+        columns: { ticket: ['Position'], closeTime: ['Time (2)'], symbol: ['Symbol'], side: ['Type'], lots: ['Volume'], profit: ['Profit'], commission: ['Commission'], swap: ['Swap'] },
+    },
+    {
+        id: 'ctrader', label: 'cTrader',
+        signature: ['closing time', 'opening direction'],
+        // "Net USD" (or EUR, ...) is already after costs
+        columns: { ticket: ['ID', 'Position ID'], closeTime: ['Closing Time'], symbol: ['Symbol'], side: ['Opening Direction'], lots: ['Closing Quantity', 'Quantity'], profit: [/^net\b/i], commission: [], swap: [] },
+    },
+    {
+        id: 'generic', label: 'Other (map columns)',
+        signature: [],
+        columns: {
+            ticket: ['Ticket', 'Trade ID', 'Order', 'Deal', 'Position', 'ID'],
+            closeTime: ['Close Time', 'Closing Time', 'Close Date', 'Closed', 'Date', 'Time'],
+            symbol: ['Symbol', 'Instrument', 'Item', 'Market'],
+            side: ['Type', 'Side', 'Direction', 'Action'],
+            lots: ['Lots', 'Volume', 'Size', 'Quantity', 'Units'],
+            profit: ['Profit', 'Net Profit', 'P&L', 'PnL', 'Realized P&L', 'Realized PnL'],
+            commission: ['Commission', 'Fees', 'Fee'],
+            swap: ['Swap', 'Rollover', 'Financing'],
+        },
+    },
+];
+
+// The fields a statement must map for its trades to be imported
+export const REQUIRED_STATEMENT_FIELDS = ['closeTime', 'profit'];
+
+/**
+ * Turns statement rows into records keyed by header, numbering repeated headers.
+ * Statements often start with account details before the trade table, so the
+ * header is the first row that has at least four cells.
+ * @param {Array<Array<string>>} rows - Output of `parseCsv`.
+ * @returns {{headers: Array<string>, records: Array<object>}}
+ */
+export const toStatementRecords = (rows) => {
+    const headerIndex = Math.max(0, rows.findIndex(row => row.filter(Boolean).length >= 4));
+    const seen = {};
+    const headers = (rows[headerIndex] || []).map(header => {
+        const key = header.toLowerCase();
+        seen[key] = (seen[key] || 0) + 1;
+        return seen[key] > 1 ? `${header} (${seen[key]})` : header;
+    });
+    const records = rows.slice(headerIndex + 1).map(row => Object.fromEntries(headers.map((h, i) => [h, row[i] ?? ''])));
+    return { headers, records };
+};
+
+const findHeader = (headers, candidates) => {
+    for (const candidate of candidates) {
+        const match = headers.find(h => (candidate instanceof RegExp ? candidate.test(h) : h.toLowerCase() === candidate.toLowerCase()));
+        if (match) return match;
+    }
+    return '';
+};
+
+/**
+ * Picks the statement format whose signature columns are all present.
+ * @param {Array<string>} headers - From `toStatementRecords`.
+ * @returns {object} - An entry of `STATEMENT_FORMATS`; the generic one if nothing matches.
+ */
+export const detectStatementFormat = (headers) => {
+    const lower = headers.map(h => h.toLowerCase());
+    return STATEMENT_FORMATS.find(format => format.signature.length > 0 && format.signature.every(h => lower.includes(h)))
+        || STATEMENT_FORMATS[STATEMENT_FORMATS.length - 1];
+};
+
+/**
+ * Maps each trade field to the statement column a format reads it from.
+ * @param {object} format - An entry of `STATEMENT_FORMATS`.
+ * @param {Array<string>} headers - The statement's headers.
+ * @returns {object} - Field -> header, '' where the statement has no such column.
+ */
+export const resolveStatementColumns = (format, headers) =>
+    Object.fromEntries(Object.entries(format.columns).map(([field, candidates]) => [field, findHeader(headers, candidates)]));
+
+/**
+ * Reads a number as brokers print them: thousands separators, a decimal comma,
+ * a trailing currency or a negative in parentheses.
+ * @param {string} text - The cell.
+ * @returns {number} - NaN if there's no number.
+ */
+export const parseStatementNumber = (text) => {
+    let value = String(text ?? '').replace(/\s/g, '').replace(/[^\d.,()-]/g, '');
+    const negative = /^\(.*\)$/.test(value);
+    value = value.replace(/[()]/g, '');
+    if (value.includes(',') && value.includes('.')) {
+        // Whichever comes last is the decimal point
+        value = value.lastIndexOf(',') > value.lastIndexOf('.') ? value.replace(/\./g, '').replace(',', '.') : value.replace(/,/g, '');
+    } else if (/^-?\d+,\d{1,2}$/.test(value)) {
+        value = value.replace(',', '.');
+    } else {
+        value = value.replace(/,/g, '');
+    }
+    const number = value === '' ? NaN : Number(value);
+    return negative ? -number : number;
+};
+
+/**
+ * Reads a statement timestamp. Year-first dates (MetaTrader's "2024.01.15 10:30:00",
+ * ISO) and day-first dates ("15/01/2024 10:30") are understood; month-first US
+ * dates are not. The time is kept as printed, in the statement's own time zone.
+ * @param {string} text - The cell.
+ * @returns {{date: string, time: number}|null} - "YYYY-MM-DD" and a timestamp, or null.
+ */
+export const parseStatementDate = (text) => {
+    const value = String(text ?? '').trim();
+    const time = '(?:[ T,]+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?';
+    let match = value.match(new RegExp(`^(\\d{4})[.\\-/](\\d{1,2})[.\\-/](\\d{1,2})${time}`));
+    let year, month, day;
+    if (match) {
+        [, year, month, day] = match;
+    } else {
+        match = value.match(new RegExp(`^(\\d{1,2})[.\\-/](\\d{1,2})[.\\-/](\\d{4})${time}`));
+        if (!match) return null;
+        [, day, month, year] = match;
+    }
+    const [hours = 0, minutes = 0, seconds = 0] = match.slice(4).map(v => (v === undefined ? undefined : Number(v)));
+    const timestamp = Date.UTC(Number(year), Number(month) - 1, Number(day), hours, minutes, seconds);
+    const date = new Date(timestamp);
+    // Rejects the likes of 2024-02-31, which Date.UTC would roll into March
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+    return { date: date.toISOString().split('T')[0], time: timestamp };
+};
+
+const SIDES = { buy: 'BUY', long: 'BUY', sell: 'SELL', short: 'SELL' };
+
+/**
+ * Reads the closed trades out of statement records. Rows that aren't trades
+ * (deposits, balance and credit rows, pending orders) are skipped: they have a
+ * type other than buy/sell, or no usable close time or profit.
+ * @param {Array<object>} records - From `toStatementRecords`.
+ * @param {object} columns - Field -> header, as from `resolveStatementColumns`.
+ * @returns {{trades: Array<object>, skipped: number}} - `pnl` is net of commission and swap.
+ */
+export const mapStatementTrades = (records, columns) => {
+    const cell = (record, field) => (columns[field] ? record[columns[field]] : '');
+    const trades = [];
+    let skipped = 0;
+    records.forEach(record => {
+        // Exactly buy or sell: "buy limit" and the like are orders that never filled
+        const side = SIDES[cell(record, 'side').trim().toLowerCase()];
+        const closed = parseStatementDate(cell(record, 'closeTime'));
+        const profit = parseStatementNumber(cell(record, 'profit'));
+        if ((columns.side && !side) || !closed || isNaN(profit)) {
+            skipped++;
+            return;
+        }
+        const commission = parseStatementNumber(cell(record, 'commission')) || 0;
+        const swap = parseStatementNumber(cell(record, 'swap')) || 0;
+        const symbol = cell(record, 'symbol').toUpperCase();
+        const ticket = cell(record, 'ticket');
+        const pnl = Number((profit + commission + swap).toFixed(2));
+        trades.push({
+            // Without a ticket number the trade is identified by what it is
+            id: ticket ? `ticket-${ticket}` : `${closed.time}-${symbol}-${pnl}`,
+            date: closed.date,
+            closedAt: closed.time,
+            symbol,
+            side: side || null,
+            lots: parseStatementNumber(cell(record, 'lots')) || null,
+            pnl,
+            commission,
+            swap,
+        });
+    });
+    return { trades, skipped };
+};
+
+/**
+ * Groups trades by the day they closed.
+ * @param {Array<object>} trades - From `mapStatementTrades`.
+ * @returns {object} - Date -> trades.
+ */
+export const groupTradesByDate = (trades) => trades.reduce((byDate, trade) => {
+    (byDate[trade.date] = byDate[trade.date] || []).push(trade);
+    return byDate;
+}, {});
+
+/**
+ * Adds one day's imported trades to its entry: their net P&L to `actual`, and
+ * winners and losers to the win and loss counts. Trades already imported into
+ * the day are left out.
+ * @param {object} entry - The day's entry (may be empty).
+ * @param {Array<object>} trades - That day's trades from `mapStatementTrades`.
+ * @returns {object|null} - The entry fields to change, or null if every trade was already imported.
+ */
+export const applyImportedTrades = (entry, trades) => {
+    const importedIds = new Set(entry.importedTradeIds || []);
+    const fresh = [];
+    trades.forEach(trade => {
+        if (importedIds.has(trade.id)) return;
+        importedIds.add(trade.id);
+        fresh.push(trade);
+    });
+    if (fresh.length === 0) return null;
+
+    const current = (Number(entry.actual) || 0) * (entry.pnlSign === '-' ? -1 : 1);
+    const total = current + fresh.reduce((sum, trade) => sum + trade.pnl, 0);
+    return {
+        pnlSign: total >= 0 ? '+' : '-',
+        actual: Math.abs(total).toFixed(2),
+        winningTrades: String((Number(entry.winningTrades) || 0) + fresh.filter(t => t.pnl > 0).length),
+        losingTrades: String((Number(entry.losingTrades) || 0) + fresh.filter(t => t.pnl < 0).length),
+        importedTradeIds: [...importedIds],
+        // Trading on a rest day makes it a trading day again
+        noTrade: false,
+    };
+};
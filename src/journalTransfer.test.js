@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CURRENT_SCHEMA_VERSION } from './migrations.js';
+import {
+    applyImportedTrades, buildJournalExport, detectStatementFormat, groupTradesByDate, journalToCsv, mapStatementTrades,
+    parseCsv, parseJournalImport, parseStatementDate, parseStatementNumber, readJournalData, resolveStatementColumns, toCsv, toStatementRecords,
+} from './journalTransfer.js';
+
+const MT4_STATEMENT = [
+    'Closed Transactions:',
+    'Ticket,Open Time,Type,Size,Item,Price,S / L,T / P,Close Time,Price,Commission,Taxes,Swap,Profit',
+    '1001,2025.11.17 09:00:00,buy,1.00,eurusd,1.0850,0,0,2025.11.17 11:30:00,1.0870,-7.00,0.00,0.00,200.00',
+    '1002,2025.11.17 12:00:00,sell,0.50,gbpusd,1.2700,0,0,2025.11.17 15:00:00,1.2720,-3.50,0.00,-1.20,-100.00',
+    '1003,2025.11.18 09:00:00,balance,,Deposit,,,,,,,,,5000.00',
+    '1004,2025.11.18 10:00:00,buy limit,1.00,eurusd,1.0800,0,0,2025.11.18 12:00:00,1.0810,0.00,0.00,0.00,0.00',
+    '1005,2025.11.18 10:00:00,buy,2.00,xauusd,2350.00,0,0,2025.11.18 16:45:00,2352.00,-14.00,0.00,0.00,"1,200.00"',
+].join('\n');
+
+const MT5_POSITIONS = [
+    'Time;Position;Symbol;Type;Volume;Price;S / L;T / P;Time;Price;Commission;Swap;Profit',
+    '2025.11.19 08:00:00;555;EURUSD;sell;1;1.0900;;;2025.11.19 10:00:00;1.0880;-7,00;0,00;200,00',
+].join('\r\n');
+
+test('parseCsv handles quotes, escaped quotes and line breaks inside cells', () => {
+    assert.deepEqual(parseCsv('a,b\n"x, y","say ""hi""\nthere"\n\n'), [['a', 'b'], ['x, y', 'say "hi"\nthere']]);
+});
+
+test('parseCsv detects semicolon and tab delimiters', () => {
+    assert.deepEqual(parseCsv('a;b;c\r\n1;2;3'), [['a', 'b', 'c'], ['1', '2', '3']]);
+    assert.deepEqual(parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('parseCsv detects the delimiter past a preamble and decimal commas', () => {
+    const statement = [
+        'Account: 12345, Demo',
+        'Period: 2025.11.17, 2025.11.18',
+        'Ticket;Close Time;Item;Type;Size;Profit',
+        '1001;2025.11.17 11:30;eurusd;buy;1,00;200,00',
+        '1002;2025.11.17 15:00;gbpusd;sell;0,50;-100,00',
+    ].join('\n');
+    const rows = parseCsv(statement);
+    assert.deepEqual(rows[2], ['Ticket', 'Close Time', 'Item', 'Type', 'Size', 'Profit']);
+    assert.deepEqual(rows[4], ['1002', '2025.11.17 15:00', 'gbpusd', 'sell', '0,50', '-100,00']);
+    assert.equal(toStatementRecords(rows).records[0].Profit, '200,00');
+});
+
+test('toCsv quotes cells that need it and round-trips through parseCsv', () => {
+    const csv = toCsv(['Name', 'Note'], [['a,b', 'he said "go"'], [null, 3]]);
+    assert.deepEqual(parseCsv(csv), [['Name', 'Note'], ['a,b', 'he said "go"'], ['', '3']]);
+});
+
+test('parseStatementNumber reads broker number formats', () => {
+    assert.equal(parseStatementNumber('1,200.50'), 1200.5);
+    assert.equal(parseStatementNumber('1.200,50'), 1200.5);
+    assert.equal(parseStatementNumber('-7,00'), -7);
+    assert.equal(parseStatementNumber('(12.25)'), -12.25);
+    assert.equal(parseStatementNumber('1 500.00 USD'), 1500);
+    assert.ok(isNaN(parseStatementNumber('')));
+});
+
+test('parseStatementDate reads year-first and day-first dates', () => {
+    assert.deepEqual(parseStatementDate('2025.11.17 11:30:00'), { date: '2025-11-17', time: Date.UTC(2025, 10, 17, 11, 30, 0) });
+    assert.equal(parseStatementDate('2025-11-17T09:05').date, '2025-11-17');
+    assert.equal(parseStatementDate('17/11/2025 09:05').date, '2025-11-17');
+    assert.equal(parseStatementDate('2025-02-31'), null);
+    assert.equal(parseStatementDate('yesterday'), null);
+});
+
+test('MT4 statements are detected and their trades mapped', () => {
+    const { headers, records } = toStatementRecords(parseCsv(MT4_STATEMENT));
+    const format = detectStatementFormat(headers);
+    assert.equal(format.id, 'mt4');
+    const columns = resolveStatementColumns(format, headers);
+    assert.equal(columns.closeTime, 'Close Time');
+
+    const { trades, skipped } = mapStatementTrades(records, columns);
+    assert.equal(skipped, 2); // The deposit and the unfilled limit order
+    assert.deepEqual(trades.map(t => [t.id, t.date, t.symbol, t.side, t.pnl]), [
+        ['ticket-1001', '2025-11-17', 'EURUSD', 'BUY', 193],
+        ['ticket-1002', '2025-11-17', 'GBPUSD', 'SELL', -104.7],
+        ['ticket-1005', '2025-11-18', 'XAUUSD', 'BUY', 1186],
+    ]);
+});
+
+test('MT5 statements use the second Time column as the close time', () => {
+    const { headers, records } = toStatementRecords(parseCsv(MT5_POSITIONS));
+    const format = detectStatementFormat(headers);
+    assert.equal(format.id, 'mt5');
+    const { trades } = mapStatementTrades(records, resolveStatementColumns(format, headers));
+    assert.deepEqual(trades.map(t => [t.id, t.date, t.pnl]), [['ticket-555', '2025-11-19', 193]]);
+});
+
+test('unknown statements fall back to the generic column names', () => {
+    const { headers, records } = toStatementRecords(parseCsv('Date,Instrument,Side,Quantity,P&L\n2025-11-20,NAS100,Long,1,-50'));
+    const format = detectStatementFormat(headers);
+    assert.equal(format.id, 'generic');
+    const { trades } = mapStatementTrades(records, resolveStatementColumns(format, headers));
+    assert.equal(trades[0].side, 'BUY');
+    assert.equal(trades[0].pnl, -50);
+    assert.equal(trades[0].id, `${Date.UTC(2025, 10, 20)}-NAS100--50`);
+});
+
+test('applyImportedTrades adds to the day and skips trades already imported', () => {
+    const { headers, records } = toStatementRecords(parseCsv(MT4_STATEMENT));
+    const { trades } = mapStatementTrades(records, resolveStatementColumns(detectStatementFormat(headers), headers));
+    const day = groupTradesByDate(trades)['2025-11-17'];
+
+    const entry = { date: '2025-11-17', actual: '50.00', pnlSign: '-', winningTrades: '1', losingTrades: '' };
+    const changes = applyImportedTrades(entry, day);
+    assert.deepEqual(changes, {
+        pnlSign: '+', actual: '38.30', winningTrades: '2', losingTrades: '1',
+        importedTradeIds: ['ticket-1001', 'ticket-1002'], noTrade: false,
+    });
+    assert.equal(applyImportedTrades({ ...entry, ...changes }, day), null);
+});
+
+test('a JSON export imports back as the same settings and day entries', () => {
+    const settings = { initialCapital: 50000, finalTarget: 100000, tenure: 20, name: 'Funded', version: CURRENT_SCHEMA_VERSION };
+    const entries = { '2025-11-18': { date: '2025-11-18', actual: '10' }, '2025-11-17': { date: '2025-11-17', logic: 'Patience' } };
+    const result = parseJournalImport(JSON.stringify(buildJournalExport(settings, entries)));
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.settings, settings);
+    assert.deepEqual(result.dayEntries.map(e => e.date), ['2025-11-17', '2025-11-18']);
+});
+
+test('parseJournalImport upgrades old journals and rejects non-journals', () => {
+    const legacy = { initialCapital: 50000, finalTarget: 100000, tenure: 1, months: [{ id: 1, days: [{ date: '2025-11-17', actual: 25 }] }] };
+    const result = parseJournalImport(JSON.stringify(legacy));
+    assert.equal(result.settings.version, CURRENT_SCHEMA_VERSION);
+    assert.equal(result.dayEntries[0].actual, '25');
+
+    assert.deepEqual(parseJournalImport('not json').errors, ['file is not valid JSON']);
+    assert.deepEqual(parseJournalImport('[]').errors, ['file does not contain a journal']);
+    assert.ok(parseJournalImport('{"tenure":"x"}').errors.length > 0);
+});
+
+test('readJournalData refuses journals from a newer version of the app', () => {
+    const newer = { initialCapital: 50000, finalTarget: 100000, tenure: 20, version: CURRENT_SCHEMA_VERSION + 1 };
+    assert.deepEqual(readJournalData(newer).errors, [`journal is from a newer version of the app (schema version ${CURRENT_SCHEMA_VERSION + 1})`]);
+    assert.equal(parseJournalImport(JSON.stringify(newer)).settings, null);
+});
+
+test('parseJournalImport reports old journals without months instead of throwing', () => {
+    for (const version of [2, 3]) {
+        const result = parseJournalImport(JSON.stringify({ initialCapital: 50000, finalTarget: 100000, tenure: 20, version }));
+        assert.deepEqual(result.errors, ['months is not an array']);
+    }
+    assert.deepEqual(parseJournalImport('{"initialCapital":1,"finalTarget":2,"tenure":3,"version":3,"months":[{"id":1}]}').errors, [
+        'months[0].days is not an array',
+    ]);
+});
+
+test('journalToCsv writes one row per plan day with the signed P&L', () => {
+    const day = {
+        date: '2025-11-17', day: 1, noTrade: false, capital: 50000, target: 51000, achieved: false, pnlSign: '-', actual: '120',
+        winningTrades: '', losingTrades: '2', trades: [], logic: 'Overtraded', rules: [{ text: 'STOP AT -2R', checked: true }],
+    };
+    const rows = parseCsv(journalToCsv({ months: [{ monthName: 'November 2025', days: [day] }] }));
+    assert.equal(rows.length, 2);
+    assert.deepEqual(rows[1], ['2025-11-17', '1', 'November 2025', 'no', '50000.00', '51000.00', '-120', 'no', '', '2', '0', '1/1', '[x] STOP AT -2R', 'Overtraded']);
+});
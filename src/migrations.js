@@ -0,0 +1,247 @@
+// Schema versions of the journal document and the steps between them.
+//
+// A document without a `version` field is version 1. Each step upgrades a
+// document by exactly one version and only fills in what is missing, so
+// running a step on data that already has the newer fields is harmless.
+// Steps keep their own copies of defaults: they describe the schema as it was
+// at that version, not whatever the app uses today.
+//
+// From version 4 the journal document only holds the plan settings. What the
+// user enters for a day lives in its own document under `days/{date}`, and the
+// months are rebuilt from the two on load. A migrated journal carries its day
+// entries in `dayEntries` until they are written out as documents.
+
+import { validateEvaluation, validateEvaluationBreach } from './challengeEvaluation.js';
+import { validateJournalTags } from './journalTags.js';
+
+export const CURRENT_SCHEMA_VERSION = 5;
+
+// Daily protocols as they shipped with version 2
+const V2_DEFAULT_RULES = [
+    { text: "MAINTAIN DISCIPLINE: ADHERE TO THE PLAN", checked: false },
+    { text: "VALIDATE STRATEGY: CONFIRM ENTRY/EXIT CRITERIA", checked: false },
+    { text: "ASSESS MACRO TREND: CONSULT HIGHER TIMEFRAMES", checked: false },
+    { text: "RISK PROTOCOL: MAX 2% CAPITAL PER ENGAGEMENT", checked: false },
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toText = (value) => (value === undefined || value === null ? "" : String(value));
+
+/**
+ * Version 1 -> 2: journaling fields on every day and the hidden symbol list.
+ * Version 1 journals could lack daily protocols entirely, or store P&L as a number.
+ * @param {object} data - A version 1 journal.
+ * @returns {object} - The version 2 journal.
+ */
+const migrateV1ToV2 = (data) => ({
+    ...data,
+    hiddenSymbols: Array.isArray(data.hiddenSymbols) ? data.hiddenSymbols : [],
+    months: (Array.isArray(data.months) ? data.months : []).map((month, monthIndex) => ({
+        ...month,
+        id: month.id ?? monthIndex + 1,
+        days: (Array.isArray(month.days) ? month.days : []).map(day => ({
+            ...day,
+            pnlSign: day.pnlSign === '-' ? '-' : '+',
+            actual: toText(day.actual),
+            winningTrades: toText(day.winningTrades),
+            losingTrades: toText(day.losingTrades),
+            logic: toText(day.logic),
+            achieved: Boolean(day.achieved),
+            rules: Array.isArray(day.rules)
+                ? day.rules.map(rule => ({ text: toText(rule?.text), checked: Boolean(rule?.checked) }))
+                : V2_DEFAULT_RULES.map(rule => ({ ...rule })),
+        })),
+    })),
+    version: 2,
+});
+
+// Whether every month has a list of day objects; later steps leave malformed
+// months as they are, so `validateJournal` can report them
+const hasWellFormedMonths = (months) => Array.isArray(months)
+    && months.every(month => Array.isArray(month?.days) && month.days.every(day => day && typeof day === 'object'));
+
+/**
+ * Version 2 -> 3: multiple challenges, calendar-aware plans, plan models and
+ * the demo trader's per-day trade ledger.
+ * @param {object} data - A version 2 journal.
+ * @returns {object} - The version 3 journal.
+ */
+const migrateV2ToV3 = (data) => ({
+    ...data,
+    name: data.name || 'Main Challenge',
+    archived: Boolean(data.archived),
+    createdAt: data.createdAt || 0, // Unknown; sorts before every challenge created since
+    startDate: data.startDate || (hasWellFormedMonths(data.months) && data.months[0]?.days[0]?.date) || null,
+    holidayCalendars: Array.isArray(data.holidayCalendars) ? data.holidayCalendars : [],
+    planModel: { type: 'compounding', weeklyWithdrawal: 0, riskPercent: 1, targetR: 2, ...(data.planModel || {}) },
+    months: !hasWellFormedMonths(data.months) ? data.months : data.months.map(month => ({
+        ...month,
+        days: month.days.map(day => ({
+            ...day,
+            noTrade: Boolean(day.noTrade),
+            trades: Array.isArray(day.trades) ? day.trades : [],
+        })),
+    })),
+    version: 3,
+});
+
+// The user-entered fields of a day as of version 4; everything else is derived from the plan
+const V4_DAY_FIELDS = ['noTrade', 'pnlSign', 'actual', 'winningTrades', 'losingTrades', 'trades', 'logic', 'rules'];
+
+const isBlankDay = (day) => !day.noTrade && day.actual === "" && !day.logic && !day.winningTrades && !day.losingTrades
+    && !(Array.isArray(day.trades) && day.trades.length > 0) && !(Array.isArray(day.rules) && day.rules.some(rule => rule?.checked));
+
+/**
+ * Version 3 -> 4: moves the days out of the journal document. Only days with
+ * something entered become day entries; blank days are rebuilt from the plan.
+ * Malformed months stay in the document for `validateJournal` to report.
+ * @param {object} data - A version 3 journal.
+ * @returns {object} - The version 4 journal settings with `dayEntries`.
+ */
+const migrateV3ToV4 = ({ months, ...settings }) => (!hasWellFormedMonths(months) ? { ...settings, months, version: 4 } : {
+    ...settings,
+    dayEntries: months.flatMap(month => month.days)
+        .filter(day => !isBlankDay(day))
+        .map(day => Object.fromEntries([['date', day.date], ...V4_DAY_FIELDS.map(field => [field, day[field]])])),
+    version: 4,
+});
+
+// The checklist template version 5 starts every challenge with: the same four
+// protocols version 4 copied into every day, now with ids and categories
+const V5_DEFAULT_RULE_TEMPLATE = [
+    { id: 'discipline', text: "MAINTAIN DISCIPLINE: ADHERE TO THE PLAN", category: 'post-trade', archived: false },
+    { id: 'strategy', text: "VALIDATE STRATEGY: CONFIRM ENTRY/EXIT CRITERIA", category: 'pre-trade', archived: false },
+    { id: 'macro-trend', text: "ASSESS MACRO TREND: CONSULT HIGHER TIMEFRAMES", category: 'pre-trade', archived: false },
+    { id: 'risk', text: "RISK PROTOCOL: MAX 2% CAPITAL PER ENGAGEMENT", category: 'risk', archived: false },
+];
+
+// The categories of the current schema, shared with the rule template editor
+export const RULE_CATEGORIES = [
+    { value: 'pre-trade', label: 'PRE-TRADE' },
+    { value: 'risk', label: 'RISK' },
+    { value: 'post-trade', label: 'POST-TRADE' },
+];
+
+/**
+ * Version 4 -> 5: an editable rule template per challenge. Days already
+ * journaled keep the checklist they were stored with.
+ * @param {object} data - A version 4 journal.
+ * @returns {object} - The version 5 journal.
+ */
+const migrateV4ToV5 = (data) => ({
+    ...data,
+    ruleTemplate: Array.isArray(data.ruleTemplate) ? data.ruleTemplate : V5_DEFAULT_RULE_TEMPLATE.map(rule => ({ ...rule })),
+    version: 5,
+});
+
+// MIGRATIONS[n] upgrades a version n document to version n + 1
+export const MIGRATIONS = {
+    1: migrateV1ToV2,
+    2: migrateV2ToV3,
+    3: migrateV3ToV4,
+    4: migrateV4ToV5,
+};
+
+/**
+ * Checks the shape of one day, either inside `months` or a day entry document.
+ * Day entries are written field by field, so each field is optional there.
+ * @param {object} day - The day.
+ * @param {string} path - Where the day is, for the messages.
+ * @param {boolean} [partial=false] - Whether missing fields are allowed.
+ * @returns {Array<string>} - Problems found.
+ */
+export const validateDay = (day, path, partial = false) => {
+    const errors = [];
+    const has = (field) => !partial || (day && day[field] !== undefined);
+    if (typeof day?.date !== 'string' || !DATE_PATTERN.test(day.date)) errors.push(`${path}.date is not a YYYY-MM-DD date`);
+    if (has('pnlSign') && day?.pnlSign !== '+' && day?.pnlSign !== '-') errors.push(`${path}.pnlSign is not + or -`);
+    if (has('actual') && typeof day?.actual !== 'string') errors.push(`${path}.actual is not a string`);
+    if (has('rules')) {
+        if (!Array.isArray(day?.rules)) {
+            errors.push(`${path}.rules is not an array`);
+        } else if (day.rules.some(rule => typeof rule?.text !== 'string' || typeof rule?.checked !== 'boolean')) {
+            errors.push(`${path}.rules has a malformed rule`);
+        }
+    }
+    // Reviews are optional everywhere
+    if (day?.review != null && (typeof day.review !== 'object' || Array.isArray(day.review))) {
+        errors.push(`${path}.review is not an object`);
+    }
+    if (day?.tradeReviews != null) {
+        if (typeof day.tradeReviews !== 'object' || Array.isArray(day.tradeReviews)) {
+            errors.push(`${path}.tradeReviews is not an object`);
+        } else if (Object.values(day.tradeReviews).some(review => !review || typeof review !== 'object' || Array.isArray(review))) {
+            errors.push(`${path}.tradeReviews has a review that is not an object`);
+        }
+    }
+    return errors;
+};
+
+/**
+ * Checks the shape of a journal: the plan settings plus, where present, its
+ * rule template, evaluation rules and breach, tag lists, months (older or rebuilt journals)
+ * and day entries (migrated journals).
+ * @param {object} data - The journal data.
+ * @returns {Array<string>} - Problems found; empty when the journal is valid.
+ */
+export const validateJournal = (data) => {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['journal is not an object'];
+    ['initialCapital', 'finalTarget', 'tenure'].forEach(field => {
+        if (typeof data[field] !== 'number' || !isFinite(data[field])) errors.push(`${field} is not a number`);
+    });
+
+    if ('months' in data) {
+        if (!Array.isArray(data.months)) return [...errors, 'months is not an array'];
+        data.months.forEach((month, m) => {
+            if (!Array.isArray(month?.days)) {
+                errors.push(`months[${m}].days is not an array`);
+                return;
+            }
+            month.days.forEach((day, d) => errors.push(...validateDay(day, `months[${m}].days[${d}]`)));
+        });
+    }
+    if ('ruleTemplate' in data) {
+        if (!Array.isArray(data.ruleTemplate)) return [...errors, 'ruleTemplate is not an array'];
+        data.ruleTemplate.forEach((rule, i) => {
+            if (typeof rule?.id !== 'string' || typeof rule?.text !== 'string') errors.push(`ruleTemplate[${i}] needs an id and text`);
+            else if (!RULE_CATEGORIES.some(c => c.value === rule.category)) errors.push(`ruleTemplate[${i}].category is not one of ${RULE_CATEGORIES.map(c => c.value).join(', ')}`);
+        });
+    }
+    if (data.evaluation != null) errors.push(...validateEvaluation(data.evaluation));
+    if (data.evaluationBreach != null) errors.push(...validateEvaluationBreach(data.evaluationBreach));
+    if (data.journalTags !== undefined) errors.push(...validateJournalTags(data.journalTags));
+    if ('dayEntries' in data) {
+        if (!Array.isArray(data.dayEntries)) return [...errors, 'dayEntries is not an array'];
+        data.dayEntries.forEach((entry, i) => errors.push(...validateDay(entry, `dayEntries[${i}]`, true)));
+    }
+    return errors;
+};
+
+/**
+ * Upgrades a journal to the current schema version one step at a time.
+ * Journals written by a newer version of the app are returned untouched, and
+ * so are journals a step fails on, with the failure in `errors`.
+ * @param {object} data - The journal as stored.
+ * @returns {{data: object, migrated: boolean, errors: Array<string>}} - `migrated`
+ *   tells whether anything changed and the journal should be written back.
+ */
+export const migrateJournal = (data) => {
+    const storedVersion = Number.isInteger(data?.version) ? data.version : 1;
+    if (storedVersion > CURRENT_SCHEMA_VERSION) {
+        return { data, migrated: false, errors: [] };
+    }
+
+    if (!data || typeof data !== 'object') return { data, migrated: false, errors: ['journal is not an object'] };
+
+    let migrated = data;
+    for (let version = storedVersion; version < CURRENT_SCHEMA_VERSION; version++) {
+        try {
+            migrated = MIGRATIONS[version](migrated);
+        } catch (error) {
+            return { data, migrated: false, errors: [`version ${version} journal could not be upgraded: ${error.message}`] };
+        }
+    }
+    return { data: migrated, migrated: storedVersion < CURRENT_SCHEMA_VERSION, errors: validateJournal(migrated) };
+};
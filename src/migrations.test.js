@@ -0,0 +1,202 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CURRENT_SCHEMA_VERSION, MIGRATIONS, migrateJournal, validateDay, validateJournal } from './migrations.js';
+
+const makeDay = (overrides = {}) => ({
+    day: 1, date: '2025-11-17', capital: 50000, target: 52000, profit: 2000, dailyRate: 0.04,
+    achieved: false, pnlSign: '+', actual: '', winningTrades: '', losingTrades: '', logic: '',
+    rules: [{ text: 'RULE', checked: false }],
+    ...overrides,
+});
+
+const makeJournal = (days, overrides = {}) => ({
+    initialCapital: 50000, finalTarget: 1000000, tenure: 66,
+    months: [{ id: 1, monthName: 'November 2025', days }],
+    ...overrides,
+});
+
+test('v1 -> v2 adds the default protocols to days without rules', () => {
+    const { rules: _rules, ...day } = makeDay();
+    const result = MIGRATIONS[1](makeJournal([day]));
+    assert.equal(result.version, 2);
+    assert.equal(result.months[0].days[0].rules.length, 4);
+    assert.ok(result.months[0].days[0].rules.every(rule => rule.checked === false));
+});
+
+test('v1 -> v2 gives each day its own copy of the default protocols', () => {
+    const { rules: _a, ...first } = makeDay();
+    const { rules: _b, ...second } = makeDay({ date: '2025-11-18' });
+    const result = MIGRATIONS[1](makeJournal([first, second]));
+    result.months[0].days[0].rules[0].checked = true;
+    assert.equal(result.months[0].days[1].rules[0].checked, false);
+});
+
+test('v1 -> v2 normalises journaling fields', () => {
+    const result = MIGRATIONS[1](makeJournal([makeDay({ actual: 1500, pnlSign: undefined, logic: null, winningTrades: 3, rules: [{ text: 'RULE', checked: 1 }] })]));
+    const day = result.months[0].days[0];
+    assert.equal(day.actual, '1500');
+    assert.equal(day.pnlSign, '+');
+    assert.equal(day.logic, '');
+    assert.equal(day.winningTrades, '3');
+    assert.deepEqual(day.rules, [{ text: 'RULE', checked: true }]);
+    assert.deepEqual(result.hiddenSymbols, []);
+});
+
+test('v1 -> v2 keeps existing journal entries', () => {
+    const day = makeDay({ actual: '2500', pnlSign: '-', logic: 'Chased the breakout', rules: [{ text: 'RULE', checked: true }] });
+    const result = MIGRATIONS[1](makeJournal([day], { hiddenSymbols: ['BTC/USD'] }));
+    assert.deepEqual(result.months[0].days[0], day);
+    assert.deepEqual(result.hiddenSymbols, ['BTC/USD']);
+});
+
+test('v2 -> v3 adds challenge, calendar and plan model fields', () => {
+    const result = MIGRATIONS[2](makeJournal([makeDay()], { version: 2 }));
+    assert.equal(result.version, 3);
+    assert.equal(result.name, 'Main Challenge');
+    assert.equal(result.archived, false);
+    assert.equal(result.startDate, '2025-11-17');
+    assert.deepEqual(result.holidayCalendars, []);
+    assert.equal(result.planModel.type, 'compounding');
+    assert.equal(result.months[0].days[0].noTrade, false);
+    assert.deepEqual(result.months[0].days[0].trades, []);
+});
+
+test('v2 -> v3 leaves fields that are already set alone', () => {
+    const trades = [{ id: 't1', symbol: 'EUR/USD', pnl: 12 }];
+    const journal = makeJournal([makeDay({ noTrade: true, trades })], {
+        version: 2, name: 'Funded', startDate: '2025-12-01', holidayCalendars: ['NSE'], planModel: { type: 'linear' },
+    });
+    const result = MIGRATIONS[2](journal);
+    assert.equal(result.name, 'Funded');
+    assert.equal(result.startDate, '2025-12-01');
+    assert.deepEqual(result.holidayCalendars, ['NSE']);
+    assert.equal(result.planModel.type, 'linear');
+    assert.equal(result.months[0].days[0].noTrade, true);
+    assert.deepEqual(result.months[0].days[0].trades, trades);
+});
+
+test('v3 -> v4 moves days with entries out of the journal document', () => {
+    const logged = makeDay({ date: '2025-11-18', actual: '1200', logic: 'Clean breakout', noTrade: false, trades: [] });
+    const rest = makeDay({ date: '2025-11-19', noTrade: true, trades: [] });
+    const blank = makeDay({ date: '2025-11-17', noTrade: false, trades: [] });
+    const result = MIGRATIONS[3](makeJournal([blank, logged, rest], { version: 3, name: 'Funded' }));
+    assert.equal(result.version, 4);
+    assert.equal(result.name, 'Funded');
+    assert.equal('months' in result, false);
+    assert.deepEqual(result.dayEntries.map(entry => entry.date), ['2025-11-18', '2025-11-19']);
+    assert.deepEqual(result.dayEntries[0], {
+        date: '2025-11-18', noTrade: false, pnlSign: '+', actual: '1200', winningTrades: '', losingTrades: '',
+        trades: [], logic: 'Clean breakout', rules: [{ text: 'RULE', checked: false }],
+    });
+});
+
+test('v3 -> v4 keeps days whose only entry is a checked protocol', () => {
+    const day = makeDay({ noTrade: false, trades: [], rules: [{ text: 'RULE', checked: true }] });
+    const result = MIGRATIONS[3](makeJournal([day], { version: 3 }));
+    assert.equal(result.dayEntries.length, 1);
+});
+
+test('v4 -> v5 adds the default rule template', () => {
+    const result = MIGRATIONS[4]({ ...makeJournal([]), version: 4 });
+    assert.equal(result.version, 5);
+    assert.deepEqual(result.ruleTemplate.map(rule => rule.category), ['post-trade', 'pre-trade', 'pre-trade', 'risk']);
+    assert.ok(result.ruleTemplate.every(rule => typeof rule.id === 'string' && rule.archived === false));
+});
+
+test('v4 -> v5 keeps an existing rule template', () => {
+    const ruleTemplate = [{ id: 'a', text: 'ONLY A+ SETUPS', category: 'pre-trade', archived: false }];
+    assert.equal(MIGRATIONS[4]({ ...makeJournal([]), version: 4, ruleTemplate }).ruleTemplate, ruleTemplate);
+});
+
+test('migrateJournal upgrades an unversioned journal through every step', () => {
+    const { rules: _rules, ...day } = makeDay({ actual: '500' });
+    const result = migrateJournal(makeJournal([day]));
+    assert.equal(result.migrated, true);
+    assert.equal(result.data.version, CURRENT_SCHEMA_VERSION);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.data.dayEntries[0].rules.length, 4);
+    assert.deepEqual(result.data.dayEntries[0].trades, []);
+});
+
+test('migrateJournal does not touch current or newer journals', () => {
+    const current = MIGRATIONS[4](MIGRATIONS[3](MIGRATIONS[2](MIGRATIONS[1](makeJournal([makeDay()])))));
+    assert.equal(migrateJournal(current).migrated, false);
+    assert.equal(migrateJournal(current).data, current);
+
+    const newer = { ...current, version: CURRENT_SCHEMA_VERSION + 1 };
+    assert.equal(migrateJournal(newer).migrated, false);
+    assert.equal(migrateJournal(newer).data, newer);
+});
+
+test('migrateJournal does not mutate its input', () => {
+    const journal = makeJournal([makeDay({ actual: 10 })]);
+    const copy = JSON.parse(JSON.stringify(journal));
+    migrateJournal(journal);
+    assert.deepEqual(journal, copy);
+});
+
+test('migrateJournal reports malformed v2 and v3 journals instead of throwing', () => {
+    for (const version of [2, 3]) {
+        const missing = migrateJournal({ ...makeJournal([]), version, months: null });
+        assert.equal(missing.data.version, CURRENT_SCHEMA_VERSION);
+        assert.deepEqual(missing.errors, ['months is not an array']);
+
+        const noDays = migrateJournal({ ...makeJournal([]), version, months: [{ id: 1 }] });
+        assert.deepEqual(noDays.errors, ['months[0].days is not an array']);
+
+        const nullDay = migrateJournal({ ...makeJournal([null]), version });
+        assert.equal(nullDay.errors[0], 'months[0].days[0].date is not a YYYY-MM-DD date');
+    }
+    assert.deepEqual(migrateJournal({ ...makeJournal([makeDay({ actual: '100', rules: null, trades: 'x' })]), version: 3 }).errors, [
+        'dayEntries[0].rules is not an array',
+    ]);
+});
+
+test('migrateJournal reports a step that fails and leaves the journal as stored', () => {
+    const journal = { ...makeJournal([]), version: 1 };
+    const original = MIGRATIONS[1];
+    MIGRATIONS[1] = () => { throw new Error('boom'); };
+    try {
+        assert.deepEqual(migrateJournal(journal), { data: journal, migrated: false, errors: ['version 1 journal could not be upgraded: boom'] });
+    } finally {
+        MIGRATIONS[1] = original;
+    }
+    assert.deepEqual(migrateJournal(null).errors, ['journal is not an object']);
+});
+
+test('every version below the current one has a migration step', () => {
+    for (let version = 1; version < CURRENT_SCHEMA_VERSION; version++) {
+        assert.equal(typeof MIGRATIONS[version], 'function', `missing migration from v${version}`);
+    }
+});
+
+test('validateJournal reports malformed months, days and rules', () => {
+    assert.deepEqual(validateJournal(makeJournal([makeDay()])), []);
+    assert.deepEqual(validateJournal({ ...makeJournal([]), months: null }), ['months is not an array']);
+    assert.deepEqual(validateJournal({ ...makeJournal([]), tenure: '66' }), ['tenure is not a number']);
+    assert.deepEqual(validateJournal({ ...makeJournal([]), months: [{ id: 1 }] }), ['months[0].days is not an array']);
+
+    const errors = validateJournal(makeJournal([makeDay({ date: '17/11/2025', pnlSign: 'x', actual: 5, rules: [{ text: 'RULE' }] })]));
+    assert.deepEqual(errors, [
+        'months[0].days[0].date is not a YYYY-MM-DD date',
+        'months[0].days[0].pnlSign is not + or -',
+        'months[0].days[0].actual is not a string',
+        'months[0].days[0].rules has a malformed rule',
+    ]);
+});
+
+test('validateJournal checks the rule template', () => {
+    const rule = { id: 'a', text: 'ONLY A+ SETUPS', category: 'risk', archived: false };
+    assert.deepEqual(validateJournal({ ...makeJournal([]), ruleTemplate: [rule] }), []);
+    assert.deepEqual(validateJournal({ ...makeJournal([]), ruleTemplate: {} }), ['ruleTemplate is not an array']);
+    assert.deepEqual(validateJournal({ ...makeJournal([]), ruleTemplate: [{ text: 'NO ID', category: 'risk' }] }), ['ruleTemplate[0] needs an id and text']);
+    assert.deepEqual(validateJournal({ ...makeJournal([]), ruleTemplate: [{ ...rule, category: 'mindset' }] }), ['ruleTemplate[0].category is not one of pre-trade, risk, post-trade']);
+});
+
+test('validateJournal checks day entries, which may omit fields', () => {
+    const journal = { ...makeJournal([]), dayEntries: [{ date: '2025-11-17', logic: 'Notes only' }] };
+    delete journal.months;
+    assert.deepEqual(validateJournal(journal), []);
+    assert.deepEqual(validateJournal({ ...journal, dayEntries: [{ date: '2025-11-17', actual: 12 }] }), ['dayEntries[0].actual is not a string']);
+    assert.deepEqual(validateDay({ logic: '' }, 'entry', true), ['entry.date is not a YYYY-MM-DD date']);
+});
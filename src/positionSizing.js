@@ -0,0 +1,57 @@
+// Position sizing for demo orders: the P&L of a price move, stop losses
+// entered as a price or in pips, and the size that risks a given amount.
+//
+// Instruments are plain specifications from the registry in App.jsx; money
+// is converted to the account currency by the caller's `toAccountCurrency`.
+
+/**
+ * Profit or loss of a position between two prices, in the instrument's quote currency.
+ * @param {object} instrument - The instrument specification.
+ * @param {'BUY'|'SELL'} type - Position side.
+ * @param {number} entryPrice - Opening price.
+ * @param {number} exitPrice - Closing (or current) price.
+ * @param {number} lots - Position size.
+ * @returns {number}
+ */
+export const calculatePnl = (instrument, type, entryPrice, exitPrice, lots) => {
+    const priceMove = type === 'BUY' ? exitPrice - entryPrice : entryPrice - exitPrice;
+    return (priceMove / instrument.tickSize) * instrument.tickValue * lots;
+};
+
+/**
+ * Resolves a stop loss entered either as a price or as a distance in pips from the entry.
+ * @param {object} instrument - The instrument specification.
+ * @param {'BUY'|'SELL'} type - Order side; a BUY's stop sits below the entry.
+ * @param {number} entryPrice - Expected fill price.
+ * @param {string|number} value - The entered value; blank for no stop loss.
+ * @param {'price'|'pips'} unit - How the value was entered.
+ * @returns {number|null}
+ */
+export const resolveStopLoss = (instrument, type, entryPrice, value, unit) => {
+    const amount = parseFloat(value);
+    if (!(amount > 0)) return null;
+    if (unit === 'price') return amount;
+    const distance = amount * instrument.pips;
+    return Number((type === 'BUY' ? entryPrice - distance : entryPrice + distance).toPrecision(12));
+};
+
+/**
+ * Largest size whose loss at the stop stays within a risk budget: rounded down to the
+ * lot step and capped at the instrument's maximum.
+ * @param {object} instrument - The instrument specification.
+ * @param {number} riskAmount - Money to risk, in account currency.
+ * @param {number} stopDistance - Distance from entry to stop loss, in price.
+ * @param {Function} toAccountCurrency - `(amount, currency) => amount` in account currency.
+ * @returns {{lots: number, error: string|null}}
+ */
+export const calculateRiskLots = (instrument, riskAmount, stopDistance, toAccountCurrency) => {
+    if (!(riskAmount > 0)) return { lots: 0, error: "Enter the amount to risk." };
+    if (!(stopDistance > 0)) return { lots: 0, error: "Set a stop loss to size the position." };
+    const lossPerLot = Math.abs(toAccountCurrency(calculatePnl(instrument, 'BUY', stopDistance, 0, 1), instrument.quoteCurrency));
+    // A missing tick size or value would otherwise size the order as NaN or Infinity lots
+    if (!(lossPerLot > 0) || !Number.isFinite(lossPerLot)) return { lots: 0, error: `${instrument.name} has no tick value to size a position with.` };
+    const steps = Math.floor(riskAmount / lossPerLot / instrument.lotStep + 1e-9);
+    const lots = Number(Math.min(steps * instrument.lotStep, instrument.maxLot).toFixed(8));
+    if (lots < instrument.minLot) return { lots: 0, error: `Risk is below the ${instrument.minLot} lot minimum at this stop.` };
+    return { lots, error: null };
+};
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculatePnl, calculateRiskLots, resolveStopLoss } from './positionSizing.js';
+
+const EURUSD = { name: 'EUR/USD', pips: 0.0001, quoteCurrency: 'USD', tickSize: 0.00001, tickValue: 1, minLot: 0.01, maxLot: 100, lotStep: 0.01 };
+const inUsd = (amount) => amount;
+
+test('calculatePnl values a price move in the quote currency', () => {
+    assert.equal(Math.round(calculatePnl(EURUSD, 'BUY', 1.085, 1.086, 1)), 100);
+    assert.equal(Math.round(calculatePnl(EURUSD, 'SELL', 1.085, 1.086, 0.5)), -50);
+});
+
+test('resolveStopLoss takes a price or a distance in pips', () => {
+    assert.equal(resolveStopLoss(EURUSD, 'BUY', 1.085, '1.08', 'price'), 1.08);
+    assert.equal(resolveStopLoss(EURUSD, 'BUY', 1.085, '20', 'pips'), 1.083);
+    assert.equal(resolveStopLoss(EURUSD, 'SELL', 1.085, '20', 'pips'), 1.087);
+    assert.equal(resolveStopLoss(EURUSD, 'BUY', 1.085, '', 'pips'), null);
+});
+
+test('calculateRiskLots rounds down to the lot step', () => {
+    // A 10 pip stop loses $100 per lot
+    assert.deepEqual(calculateRiskLots(EURUSD, 250, 0.001, inUsd), { lots: 2.5, error: null });
+    assert.deepEqual(calculateRiskLots(EURUSD, 255.9, 0.001, inUsd), { lots: 2.55, error: null });
+});
+
+test('calculateRiskLots caps the size at the maximum lot', () => {
+    assert.deepEqual(calculateRiskLots(EURUSD, 1000000, 0.001, inUsd), { lots: 100, error: null });
+});
+
+test('calculateRiskLots reports a size below the minimum lot', () => {
+    const { lots, error } = calculateRiskLots(EURUSD, 0.5, 0.001, inUsd);
+    assert.equal(lots, 0);
+    assert.match(error, /below the 0.01 lot minimum/);
+});
+
+test('calculateRiskLots reports missing inputs and an instrument it cannot value', () => {
+    assert.equal(calculateRiskLots(EURUSD, 0, 0.001, inUsd).error, 'Enter the amount to risk.');
+    assert.equal(calculateRiskLots(EURUSD, 250, 0, inUsd).error, 'Set a stop loss to size the position.');
+    const { lots, error } = calculateRiskLots({ ...EURUSD, tickValue: undefined }, 250, 0.001, inUsd);
+    assert.equal(lots, 0);
+    assert.match(error, /EUR\/USD has no tick value/);
+    assert.equal(calculateRiskLots({ ...EURUSD, tickValue: 0 }, 250, 0.001, inUsd).lots, 0);
+});
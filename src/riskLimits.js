@@ -0,0 +1,81 @@
+// Risk limits on demo orders: the money at risk at the stop loss, the limits
+// a new order breaks, and the daily loss that locks trading for the day.
+//
+// Money is in the account currency, converted from an instrument's quote
+// currency by the caller's `toAccountCurrency`.
+
+import { calculatePnl } from './positionSizing.js';
+
+// Limits applied to new demo orders; 0 switches a limit off. 'block' rejects an
+// order that breaks one, 'warn' lets it through. The daily loss lock always blocks.
+// Every limit starts off so nobody is locked or warned without opting in.
+export const DEFAULT_RISK_LIMITS = {
+    maxRiskPercent: 0,
+    maxDailyLossPercent: 0,
+    maxOpenPositions: 0,
+    maxTradesPerDay: 0,
+    requireStopLoss: false,
+    enforcement: 'warn',
+};
+
+/**
+ * Money at risk if a position is stopped out, in account currency; 0 without a stop loss.
+ * @param {object} instrument - The instrument specification.
+ * @param {{type: 'BUY'|'SELL', price: number, lots: number, stopLoss?: number|null}} order - Entry and size.
+ * @param {Function} toAccountCurrency - `(amount, currency) => amount` in account currency.
+ * @returns {number}
+ */
+export const calculateRiskAtStop = (instrument, { type, price, lots, stopLoss }, toAccountCurrency) => {
+    if (!stopLoss) return 0;
+    return Math.max(0, -toAccountCurrency(calculatePnl(instrument, type, price, stopLoss, lots), instrument.quoteCurrency));
+};
+
+/**
+ * Counts the trades opened on a day. Partial closes share their position's
+ * id, so a trade closed in parts is counted once.
+ * @param {Array<object>} trades - Open positions and closed trades.
+ * @param {string} date - The day, as "YYYY-MM-DD".
+ * @param {function(number): string} toDateString - Turns an `openedAt` timestamp into its day.
+ * @returns {number}
+ */
+export const countTradesOpenedOn = (trades, date, toDateString) => new Set(trades
+    .filter(t => t.openedAt && toDateString(t.openedAt) === date)
+    .map(t => t.positionId || t.id)).size;
+
+/**
+ * Checks a new order against the risk limits. A limit of 0 is switched off.
+ * @param {{type: 'BUY'|'SELL', price: number, lots: number, stopLoss?: number|null}} order - The order.
+ * @param {object} context
+ * @param {object} context.limits - See DEFAULT_RISK_LIMITS.
+ * @param {object} context.instrument - The instrument specification.
+ * @param {number} context.capital - The account size the percentages are of.
+ * @param {number} context.openPositionCount - Positions already open.
+ * @param {number} context.tradesToday - Trades opened so far today.
+ * @param {Function} context.toAccountCurrency - `(amount, currency) => amount` in account currency.
+ * @returns {Array<string>} - One message per limit the order breaks.
+ */
+export const getRiskViolations = (order, { limits, instrument, capital, openPositionCount, tradesToday, toAccountCurrency }) => {
+    const violations = [];
+    if (limits.requireStopLoss && !order.stopLoss) violations.push('A stop loss is required.');
+    if (limits.maxRiskPercent > 0 && order.stopLoss && capital > 0) {
+        const riskPercent = calculateRiskAtStop(instrument, order, toAccountCurrency) / capital * 100;
+        if (riskPercent > limits.maxRiskPercent) violations.push(`Risk at SL is ${riskPercent.toFixed(2)}% (max ${limits.maxRiskPercent}%).`);
+    }
+    if (limits.maxOpenPositions > 0 && openPositionCount >= limits.maxOpenPositions) {
+        violations.push(`${openPositionCount} positions already open (max ${limits.maxOpenPositions}).`);
+    }
+    if (limits.maxTradesPerDay > 0 && tradesToday >= limits.maxTradesPerDay) {
+        violations.push(`${tradesToday} trades taken today (max ${limits.maxTradesPerDay}).`);
+    }
+    return violations;
+};
+
+/**
+ * The loss that locks trading for the rest of the day, once today's P&L reaches it.
+ * @param {object} limits - See DEFAULT_RISK_LIMITS.
+ * @param {number} capital - The account size the percentage is of.
+ * @returns {number|null} - The loss as a positive amount, or null when the limit is off.
+ */
+export const getDailyLossLimit = (limits, capital) => (
+    limits.maxDailyLossPercent > 0 && capital > 0 ? capital * limits.maxDailyLossPercent / 100 : null
+);
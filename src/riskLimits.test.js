@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RISK_LIMITS, calculateRiskAtStop, countTradesOpenedOn, getDailyLossLimit, getRiskViolations } from './riskLimits.js';
+
+const EURUSD = { name: 'EUR/USD', pips: 0.0001, quoteCurrency: 'USD', tickSize: 0.00001, tickValue: 1 };
+const inUsd = (amount) => amount;
+// 1 lot with a 20 pip stop risks 200 USD, 2% of 10,000
+const ORDER = { type: 'BUY', price: 1.085, lots: 1, stopLoss: 1.083 };
+const context = (limits, counts = {}) => ({
+    limits: { ...DEFAULT_RISK_LIMITS, ...limits }, instrument: EURUSD, capital: 10000,
+    openPositionCount: 0, tradesToday: 0, toAccountCurrency: inUsd, ...counts,
+});
+
+test('calculateRiskAtStop is the loss at the stop, and 0 without one or past the entry', () => {
+    assert.equal(Math.round(calculateRiskAtStop(EURUSD, ORDER, inUsd)), 200);
+    assert.equal(calculateRiskAtStop(EURUSD, { ...ORDER, stopLoss: null }, inUsd), 0);
+    assert.equal(calculateRiskAtStop(EURUSD, { ...ORDER, stopLoss: 1.086 }, inUsd), 0);
+});
+
+test('the default limits let every order through', () => {
+    assert.deepEqual(getRiskViolations({ ...ORDER, stopLoss: null }, context({}, { openPositionCount: 50, tradesToday: 50 })), []);
+});
+
+test('getRiskViolations requires a stop loss when asked to', () => {
+    assert.deepEqual(getRiskViolations({ ...ORDER, stopLoss: null }, context({ requireStopLoss: true })), ['A stop loss is required.']);
+    assert.deepEqual(getRiskViolations(ORDER, context({ requireStopLoss: true })), []);
+});
+
+test('getRiskViolations allows risk up to the limit and no further', () => {
+    assert.deepEqual(getRiskViolations({ ...ORDER, stopLoss: 1.0831 }, context({ maxRiskPercent: 2 })), []);
+    assert.deepEqual(getRiskViolations({ ...ORDER, stopLoss: 1.0829 }, context({ maxRiskPercent: 2 })), ['Risk at SL is 2.10% (max 2%).']);
+    // Without a stop loss there is nothing to measure; `requireStopLoss` covers that
+    assert.deepEqual(getRiskViolations({ ...ORDER, stopLoss: null }, context({ maxRiskPercent: 2 })), []);
+});
+
+test('getRiskViolations caps open positions and trades per day', () => {
+    assert.deepEqual(getRiskViolations(ORDER, context({ maxOpenPositions: 3 }, { openPositionCount: 2 })), []);
+    assert.deepEqual(getRiskViolations(ORDER, context({ maxOpenPositions: 3 }, { openPositionCount: 3 })), ['3 positions already open (max 3).']);
+    assert.deepEqual(getRiskViolations(ORDER, context({ maxTradesPerDay: 5 }, { tradesToday: 4 })), []);
+    assert.deepEqual(getRiskViolations(ORDER, context({ maxTradesPerDay: 5 }, { tradesToday: 5 })), ['5 trades taken today (max 5).']);
+});
+
+test('countTradesOpenedOn counts a trade closed in parts once', () => {
+    const toDate = (time) => new Date(time).toISOString().split('T')[0];
+    const today = Date.UTC(2025, 10, 17, 10);
+    const trades = [
+        { id: 'p1', openedAt: today },
+        { id: 'h1', positionId: 'p1', openedAt: today },
+        { id: 'h2', positionId: 'p1', openedAt: today },
+        { id: 'h3', positionId: 'p2', openedAt: today },
+        { id: 'h4', positionId: 'p3', openedAt: today - 24 * 60 * 60 * 1000 },
+        { id: 'h5' },
+    ];
+    assert.equal(countTradesOpenedOn(trades, '2025-11-17', toDate), 2);
+});
+
+test('getDailyLossLimit is a share of the capital, or null when off', () => {
+    assert.equal(getDailyLossLimit({ ...DEFAULT_RISK_LIMITS, maxDailyLossPercent: 5 }, 10000), 500);
+    assert.equal(getDailyLossLimit(DEFAULT_RISK_LIMITS, 10000), null);
+    assert.equal(getDailyLossLimit({ ...DEFAULT_RISK_LIMITS, maxDailyLossPercent: 5 }, 0), null);
+});
@@ -0,0 +1,114 @@
+// Rule templates and daily checklists: each challenge keeps a template of
+// rules, and each journaled day a checklist copied from it that is ticked
+// rule by rule.
+//
+// Template edits apply from today on. Earlier days keep the checklist they
+// had, so the adherence stats describe the rules as they were followed.
+
+import { RULE_CATEGORIES } from './migrations.js';
+
+// Each challenge edits its own copy; see `getRuleTemplate`
+export const DEFAULT_RULE_TEMPLATE = [
+    { id: 'discipline', text: "MAINTAIN DISCIPLINE: ADHERE TO THE PLAN", category: 'post-trade', archived: false },
+    { id: 'strategy', text: "VALIDATE STRATEGY: CONFIRM ENTRY/EXIT CRITERIA", category: 'pre-trade', archived: false },
+    { id: 'macro-trend', text: "ASSESS MACRO TREND: CONSULT HIGHER TIMEFRAMES", category: 'pre-trade', archived: false },
+    { id: 'risk', text: "RISK PROTOCOL: MAX 2% CAPITAL PER ENGAGEMENT", category: 'risk', archived: false },
+];
+
+/**
+ * A challenge's rule template: every rule it has had, in order, archived ones included.
+ * @param {object} data - The journal data.
+ * @returns {Array<{id: string, text: string, category: string, archived: boolean}>}
+ */
+export const getRuleTemplate = (data) => data.ruleTemplate || DEFAULT_RULE_TEMPLATE;
+
+/**
+ * A fresh, unticked checklist for a day from the template's active rules.
+ * @param {Array<object>} template - See `getRuleTemplate`.
+ * @returns {Array<{id: string, text: string, category: string, checked: boolean}>}
+ */
+export const getDayChecklist = (template) => template
+    .filter(rule => !rule.archived)
+    .map(({ id, text, category }) => ({ id, text, category, checked: false }));
+
+/**
+ * Brings a stored checklist up to date with the template, keeping the ticks of
+ * rules that are still in it. Checklists from before rules had ids are matched by text.
+ * @param {Array<object>} template - See `getRuleTemplate`.
+ * @param {Array<object>} rules - The day's stored checklist.
+ * @returns {Array<object>} - The new checklist.
+ */
+export const mergeChecklist = (template, rules) => getDayChecklist(template).map(rule => ({
+    ...rule,
+    checked: rules.some(old => (old.id ? old.id === rule.id : old.text === rule.text) && old.checked),
+}));
+
+/**
+ * The checklists to store when the template changes. Today's and later days
+ * with a stored checklist pick up the new template, keeping their ticks.
+ * Earlier plan days without one get the checklist they were showing, so the
+ * edit doesn't reach back into them.
+ * @param {Array<string>} planDates - Every date in the plan, as "YYYY-MM-DD".
+ * @param {object} entries - Date -> stored day entry.
+ * @param {Array<object>} previousTemplate - The template before the edit.
+ * @param {Array<object>} newTemplate - The edited template.
+ * @param {string} todayString - Today, as "YYYY-MM-DD".
+ * @returns {object} - Date -> the day's new checklist.
+ */
+export const getTemplateChangeChecklists = (planDates, entries, previousTemplate, newTemplate, todayString) => {
+    const previousChecklist = getDayChecklist(previousTemplate);
+    const checklists = {};
+    new Set([...planDates, ...Object.keys(entries)]).forEach(date => {
+        const rules = entries[date]?.rules;
+        if (date < todayString) {
+            if (!rules) checklists[date] = previousChecklist;
+        } else if (rules) {
+            checklists[date] = mergeChecklist(newTemplate, rules);
+        }
+    });
+    return checklists;
+};
+
+/**
+ * How closely the daily checklists were followed over completed trading days:
+ * week by week (weeks start on Monday), and per rule and category. Rules are
+ * matched by id, or by text on checklists from before rules had ids.
+ * @param {object} data - The journal data.
+ * @param {{from?: string, to?: string}} [filters] - Dates as "YYYY-MM-DD".
+ * @returns {{overall: number|null, weeks: Array<object>, rules: Array<object>, categories: Array<object>}} - Rates in percent.
+ */
+export const calculateRuleAdherence = (data, { from = '', to = '' } = {}) => {
+    const days = data.months.flatMap(m => m.days)
+        .filter(d => !d.noTrade && d.actual !== "" && (!from || d.date >= from) && (!to || d.date <= to));
+    const rate = (checked, total) => (total > 0 ? checked / total * 100 : null);
+
+    const weeks = new Map();
+    const rules = new Map();
+    const categories = new Map(RULE_CATEGORIES.map(c => [c.value, { category: c.value, checked: 0, total: 0 }]));
+    let checked = 0, total = 0;
+    days.forEach(day => {
+        const date = new Date(day.date + "T00:00:00.000Z");
+        date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+        const weekStart = date.toISOString().split('T')[0];
+        const week = weeks.get(weekStart) || { start: weekStart, checked: 0, total: 0 };
+        weeks.set(weekStart, week);
+
+        (day.rules || []).forEach(rule => {
+            const key = rule.id || rule.text;
+            const stats = rules.get(key) || { key, text: rule.text, category: rule.category || null, checked: 0, total: 0 };
+            rules.set(key, stats);
+            const counted = [week, stats, categories.get(rule.category)].filter(Boolean);
+            counted.forEach(c => { c.total++; if (rule.checked) c.checked++; });
+            total++;
+            if (rule.checked) checked++;
+        });
+    });
+
+    const withRate = (c) => ({ ...c, rate: rate(c.checked, c.total) });
+    return {
+        overall: rate(checked, total),
+        weeks: [...weeks.values()].map(withRate),
+        rules: [...rules.values()].map(withRate),
+        categories: [...categories.values()].map(withRate),
+    };
+};
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateRuleAdherence, getDayChecklist, getTemplateChangeChecklists, mergeChecklist } from './ruleTemplates.js';
+
+const TEMPLATE = [
+    { id: 'plan', text: 'FOLLOW THE PLAN', category: 'post-trade', archived: false },
+    { id: 'stop', text: 'SET A STOP', category: 'risk', archived: false },
+    { id: 'news', text: 'CHECK THE NEWS', category: 'pre-trade', archived: true },
+];
+
+test('getDayChecklist leaves out archived rules', () => {
+    assert.deepEqual(getDayChecklist(TEMPLATE), [
+        { id: 'plan', text: 'FOLLOW THE PLAN', category: 'post-trade', checked: false },
+        { id: 'stop', text: 'SET A STOP', category: 'risk', checked: false },
+    ]);
+});
+
+test('mergeChecklist keeps ticks by id, or by text for checklists without ids', () => {
+    const renamed = TEMPLATE.map(rule => (rule.id === 'stop' ? { ...rule, text: 'ALWAYS SET A STOP' } : rule));
+    assert.deepEqual(mergeChecklist(renamed, [{ id: 'stop', text: 'SET A STOP', checked: true }]).map(r => [r.text, r.checked]), [
+        ['FOLLOW THE PLAN', false], ['ALWAYS SET A STOP', true],
+    ]);
+    assert.deepEqual(mergeChecklist(TEMPLATE, [{ text: 'FOLLOW THE PLAN', checked: true }]).map(r => r.checked), [true, false]);
+});
+
+test('getTemplateChangeChecklists pins past days and updates today on', () => {
+    const edited = [...TEMPLATE, { id: 'size', text: 'SIZE BY RISK', category: 'risk', archived: false }];
+    const entries = {
+        '2025-11-17': { date: '2025-11-17', actual: '10' },
+        '2025-11-18': { date: '2025-11-18', rules: [{ id: 'plan', text: 'FOLLOW THE PLAN', category: 'post-trade', checked: true }] },
+        '2025-11-20': { date: '2025-11-20', rules: [{ id: 'stop', text: 'SET A STOP', category: 'risk', checked: true }] },
+    };
+    const planDates = ['2025-11-17', '2025-11-18', '2025-11-19', '2025-11-20', '2025-11-21'];
+    const checklists = getTemplateChangeChecklists(planDates, entries, TEMPLATE, edited, '2025-11-20');
+
+    assert.deepEqual(Object.keys(checklists).sort(), ['2025-11-17', '2025-11-19', '2025-11-20']);
+    // Past days without a stored checklist, journaled or not, keep the one they were showing
+    assert.deepEqual(checklists['2025-11-17'], getDayChecklist(TEMPLATE));
+    assert.deepEqual(checklists['2025-11-19'], getDayChecklist(TEMPLATE));
+    assert.deepEqual(checklists['2025-11-20'].map(r => [r.id, r.checked]), [['plan', false], ['stop', true], ['size', false]]);
+});
+
+test('calculateRuleAdherence rates completed trading days by week, rule and category', () => {
+    const rules = (plan, stop) => [
+        { id: 'plan', text: 'FOLLOW THE PLAN', category: 'post-trade', checked: plan },
+        { id: 'stop', text: 'SET A STOP', category: 'risk', checked: stop },
+    ];
+    const data = { months: [{ days: [
+        { date: '2025-11-14', actual: '5', rules: rules(true, true) },
+        { date: '2025-11-17', actual: '10', rules: rules(true, false) },
+        { date: '2025-11-18', actual: '', rules: rules(false, false) },
+        { date: '2025-11-19', actual: '', noTrade: true, rules: rules(false, false) },
+        { date: '2025-11-20', actual: '-20', rules: [{ text: 'FOLLOW THE PLAN', checked: false }] },
+    ] }] };
+    const adherence = calculateRuleAdherence(data);
+
+    assert.equal(adherence.overall, 60);
+    assert.deepEqual(adherence.weeks.map(w => [w.start, w.rate]), [['2025-11-10', 100], ['2025-11-17', 1 / 3 * 100]]);
+    assert.deepEqual(adherence.rules.map(r => [r.key, r.rate]), [['plan', 100], ['stop', 50], ['FOLLOW THE PLAN', 0]]);
+    assert.equal(adherence.categories.find(c => c.category === 'risk').rate, 50);
+    assert.equal(calculateRuleAdherence(data, { from: '2025-11-17', to: '2025-11-17' }).overall, 50);
+});
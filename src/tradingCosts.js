@@ -0,0 +1,86 @@
+// Trading costs of the demo trader: commission, overnight swap, slippage and
+// spread widening.
+//
+// Amounts are in the instrument's quote currency; callers convert them to the
+// account currency.
+
+/**
+ * Notional value of a position.
+ * @returns {number}
+ */
+export const calculatePositionValue = (instrument, price, lots) => price * lots * instrument.contractSize;
+
+/**
+ * Commission for one side (opening or closing) of a trade, in quote currency.
+ * @param {object} instrument - The instrument specification.
+ * @param {number} price - Execution price.
+ * @param {number} lots - Traded size.
+ * @returns {number}
+ */
+export const calculateCommission = (instrument, price, lots) => {
+    if (!instrument.commission) return 0;
+    if (instrument.commission.type === 'notional') {
+        return calculatePositionValue(instrument, price, lots) * instrument.commission.rate / 100;
+    }
+    return instrument.commission.rate * lots;
+};
+
+/**
+ * Counts the swap days between two times. A rollover happens at the daily cutoff;
+ * instruments with trading hours skip weekends and charge three days on Wednesday
+ * to cover them, while 24/7 instruments roll every day.
+ * @param {object} instrument - The instrument specification.
+ * @param {number} from - Time swap was last charged up to (ms).
+ * @param {number} to - Current time (ms).
+ * @param {number} cutoffHour - Rollover hour in UTC.
+ * @returns {{days: number, lastCutoff: number|null}} - Days to charge and the last cutoff passed.
+ */
+export const countSwapDays = (instrument, from, to, cutoffHour) => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const start = new Date(from);
+    let cutoff = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate(), cutoffHour);
+    if (cutoff <= from) cutoff += DAY_MS;
+    let days = 0;
+    let lastCutoff = null;
+    while (cutoff <= to) {
+        const weekday = new Date(cutoff).getUTCDay();
+        if (!instrument.tradingHours) days += 1;
+        else if (weekday >= 1 && weekday <= 5) days += weekday === 3 ? 3 : 1;
+        lastCutoff = cutoff;
+        cutoff += DAY_MS;
+    }
+    return { days, lastCutoff };
+};
+
+/**
+ * Moves an execution price against the trader by a random 0..maxPips pips.
+ * @param {number} price - The quoted price.
+ * @param {boolean} isBuy - Whether the execution buys (fills at a higher price when slipped).
+ * @param {number} pipSize - Price value of one pip.
+ * @param {number} maxPips - Maximum slippage; 0 disables it.
+ * @returns {number}
+ */
+export const applySlippage = (price, isBuy, pipSize, maxPips) => {
+    if (!(maxPips > 0)) return price;
+    const slip = Math.random() * maxPips * pipSize;
+    return isBuy ? price + slip : price - slip;
+};
+
+/**
+ * Wraps any feed so its spreads vary: most quotes stay close to the source spread,
+ * with occasional spikes of up to `maxMultiplier` times it around the same mid.
+ * @param {object} feed - The source feed.
+ * @param {number} maxMultiplier - Widest spread as a multiple of the source spread.
+ * @returns {object} - A feed with the same controls as the source.
+ */
+export const withSpreadWidening = (feed, maxMultiplier) => ({
+    ...feed,
+    start(onTick, onStatus) {
+        feed.start((symbolName, bid, ask, time) => {
+            const multiplier = 1 + (maxMultiplier - 1) * Math.random() ** 4;
+            const mid = (bid + ask) / 2;
+            const halfSpread = (ask - bid) * multiplier / 2;
+            onTick(symbolName, mid - halfSpread, mid + halfSpread, time);
+        }, onStatus);
+    },
+});
@@ -0,0 +1,55 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySlippage, calculateCommission, countSwapDays, withSpreadWidening } from './tradingCosts.js';
+
+const EURUSD = { name: 'EUR/USD', contractSize: 100000, tradingHours: { open: 'Sun 22:00', close: 'Fri 22:00' }, commission: { type: 'per_lot', rate: 3.5 } };
+const BTCUSD = { name: 'BTC/USD', contractSize: 1, tradingHours: null, commission: { type: 'notional', rate: 0.05 } };
+const HOUR_MS = 60 * 60 * 1000;
+
+test('calculateCommission charges per lot or on the notional value', () => {
+    assert.equal(calculateCommission(EURUSD, 1.085, 2), 7);
+    assert.equal(calculateCommission(BTCUSD, 60000, 0.5), 15);
+    assert.equal(calculateCommission({ ...EURUSD, commission: null }, 1.085, 2), 0);
+});
+
+test('countSwapDays charges triple on Wednesday and skips weekends', () => {
+    // Monday 17 November 2025 to Thursday 20 November, rolling over at 22:00 UTC
+    const monday = Date.UTC(2025, 10, 17);
+    const thursdayNight = Date.UTC(2025, 10, 20, 23);
+    assert.deepEqual(countSwapDays(EURUSD, monday, thursdayNight, 22), { days: 6, lastCutoff: Date.UTC(2025, 10, 20, 22) });
+    assert.equal(countSwapDays(BTCUSD, monday, thursdayNight, 22).days, 4);
+
+    const fridayNight = Date.UTC(2025, 10, 21, 23);
+    assert.equal(countSwapDays(EURUSD, fridayNight, fridayNight + 3 * 24 * HOUR_MS, 22).days, 1);
+    assert.equal(countSwapDays(BTCUSD, fridayNight, fridayNight + 3 * 24 * HOUR_MS, 22).days, 3);
+});
+
+test('countSwapDays starts after a cutoff it was charged up to', () => {
+    const cutoff = Date.UTC(2025, 10, 17, 22);
+    assert.deepEqual(countSwapDays(EURUSD, cutoff, cutoff + HOUR_MS, 22), { days: 0, lastCutoff: null });
+});
+
+test('applySlippage moves the price against the trader', (t) => {
+    t.mock.method(Math, 'random', () => 0.5);
+    assert.equal(applySlippage(1.1, true, 0.0001, 2), 1.1001);
+    assert.equal(applySlippage(1.1, false, 0.0001, 2), 1.0999);
+    assert.equal(applySlippage(1.1, true, 0.0001, 0), 1.1);
+});
+
+test('withSpreadWidening widens the spread around the same mid', (t) => {
+    const ticks = [];
+    const source = { start: (onTick) => onTick('EUR/USD', 1.0999, 1.1001, 1000), stop: mock.fn() };
+    const feed = withSpreadWidening(source, 3);
+    assert.equal(feed.stop, source.stop);
+
+    t.mock.method(Math, 'random', () => 1);
+    feed.start((...tick) => ticks.push(tick));
+    t.mock.method(Math, 'random', () => 0);
+    feed.start((...tick) => ticks.push(tick));
+
+    const [[, wideBid, wideAsk, time], [, bid, ask]] = ticks;
+    assert.equal(time, 1000);
+    assert.equal(Number((wideAsk - wideBid).toFixed(6)), 0.0006);
+    assert.equal(Number(((wideAsk + wideBid) / 2).toFixed(6)), 1.1);
+    assert.equal(Number((ask - bid).toFixed(6)), 0.0002);
+});